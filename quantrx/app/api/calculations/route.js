@@ -95,6 +95,7 @@ export async function GET(request) {
         recommended_ndc,
         alternatives,
         warnings,
+        tolerance_profile,
         status,
         verified_by,
         verified_at,
@@ -463,12 +464,14 @@ export async function POST(request) {
       drug_name: input.drugName || null,
       ndc: input.ndc || null,
       sig: sigValue, // Use placeholder if direct quantity was used
-      days_supply: input.daysSupply || null,
+      // The days supply the quantity was calculated for, which may come from the SIG duration
+      days_supply: calculationResult.calculation?.daysSupply ?? input.daysSupply ?? null,
       calculated_quantity: calculationResult.calculation?.calculatedQuantity || null,
       rxcui: calculationResult.normalization?.rxcui || null,
       recommended_ndc: calculationResult.recommendation ? JSON.stringify(calculationResult.recommendation.ndc) : null,
       alternatives: calculationResult.alternatives ? JSON.stringify(calculationResult.alternatives) : null,
       warnings: calculationResult.warnings ? JSON.stringify(calculationResult.warnings) : null,
+      tolerance_profile: calculationResult.toleranceProfile ? JSON.stringify(calculationResult.toleranceProfile) : null,
       status: 'pending'
     };
     
@@ -537,6 +540,8 @@ export async function POST(request) {
         calculation: calculationResult.calculation,
         recommendation: calculationResult.recommendation,
         alternatives: calculationResult.alternatives || [],
+        fillPlans: calculationResult.fillPlans || [],
+        toleranceProfile: calculationResult.toleranceProfile || null,
         warnings: calculationResult.warnings || [],
         status: calculationResult.status
       }
@@ -190,6 +190,17 @@ export default function HomePage() {
     }
   };
 
+  /**
+   * Handle switching a ranged SIG between its minimum and maximum quantity
+   * Re-runs the calculation with the same inputs and the selected end of the range.
+   * @param {string} rangeSelection - 'min' or 'max'
+   */
+  const handleRangeSelectionChange = (rangeSelection) => {
+    if (!calculationResult?.inputs) return;
+
+    handleCalculationSubmit({ ...calculationResult.inputs, rangeSelection });
+  };
+
   /**
    * Handle alternative NDC selection
    * @param {Object} ndc - Selected NDC object
@@ -295,6 +306,7 @@ export default function HomePage() {
           onNewCalculation={handleNewCalculation}
           onVerify={isAdmin ? handleVerify : undefined}
           onSelectAlternative={handleSelectAlternative}
+          onRangeSelectionChange={handleRangeSelectionChange}
         />
       )}
     </Container>
@@ -27,6 +27,9 @@ import {
   CircularProgress
 } from '@mui/material';
 import { CalculationFormSchema } from '@/schemas/calculation';
+import { hasSIGDuration } from '@/lib/calculations/sig-parsing';
+import { SIGPreview } from '../SIGPreview';
+import { PatientMeasurements } from '../PatientMeasurements';
 
 /**
  * CalculationForm Component
@@ -56,6 +59,8 @@ export function CalculationForm({ onSubmit, loading = false, initialValues = {}
       sig: '',
       daysSupply: '',
       quantity: '',
+      weightKg: '',
+      heightCm: '',
       ...initialValues
     }
   });
@@ -81,7 +86,7 @@ export function CalculationForm({ onSubmit, loading = false, initialValues = {}
     const daysSupplyValue = typeof formValues.daysSupply === 'string'
       ? (formValues.daysSupply === '' ? 0 : parseInt(formValues.daysSupply, 10))
       : (formValues.daysSupply || 0);
-    const hasSigAndDays = formValues.sig?.trim() && daysSupplyValue > 0;
+    const hasSigAndDays = formValues.sig?.trim() && (daysSupplyValue > 0 || hasSIGDuration(formValues.sig));
     
     return hasQuantity || hasSigAndDays;
   }, [formValues, inputMode]);
@@ -135,6 +140,8 @@ export function CalculationForm({ onSubmit, loading = false, initialValues = {}
     } else if (typeof submitData.quantity === 'string') {
       submitData.quantity = parseInt(submitData.quantity, 10) || undefined;
     }
+    submitData.weightKg = parseFloat(submitData.weightKg) || undefined;
+    submitData.heightCm = parseFloat(submitData.heightCm) || undefined;
     
     // Ensure we only send the relevant field based on inputMode
     if (inputMode === 'drugName') {
@@ -162,7 +169,9 @@ export function CalculationForm({ onSubmit, loading = false, initialValues = {}
       ndc: '',
       sig: '',
       daysSupply: '',
-      quantity: ''
+      quantity: '',
+      weightKg: '',
+      heightCm: ''
     });
     setInputMode('drugName');
   };
@@ -289,18 +298,33 @@ export function CalculationForm({ onSubmit, loading = false, initialValues = {}
                 const showError = hasQuantity ? false : !!errors.sig;
                 
                 return (
-                  <TextField
-                    {...field}
-                    label="Prescription Directions (SIG)"
-                    placeholder="Take 1 tablet twice daily"
-                    fullWidth
-                    required={!hasQuantity}
-                    multiline
-                    rows={2}
-                    error={showError}
-                    helperText={showError ? errors.sig?.message : (hasQuantity ? 'Optional when quantity is provided directly' : 'Required to calculate quantity')}
-                    disabled={loading || hasQuantity}
-                  />
+                  <>
+                    <TextField
+                      {...field}
+                      label="Prescription Directions (SIG)"
+                      placeholder="Take 1 tablet twice daily"
+                      fullWidth
+                      required={!hasQuantity}
+                      multiline
+                      rows={2}
+                      error={showError}
+                      helperText={showError ? errors.sig?.message : (hasQuantity ? 'Optional when quantity is provided directly' : 'Required to calculate quantity')}
+                      disabled={loading || hasQuantity}
+                    />
+
+                    {!hasQuantity && <SIGPreview sig={field.value} />}
+
+                    {!hasQuantity && (
+                      <PatientMeasurements
+                        control={control}
+                        errors={errors}
+                        sig={field.value}
+                        weightKg={formValues.weightKg}
+                        heightCm={formValues.heightCm}
+                        disabled={loading}
+                      />
+                    )}
+                  </>
                 );
               }}
             />
@@ -328,7 +352,7 @@ export function CalculationForm({ onSubmit, loading = false, initialValues = {}
                     fullWidth
                     value={field.value ?? ''}
                     error={showError}
-                    helperText={showError ? errors.daysSupply?.message : (hasQuantity ? 'Optional when quantity is provided directly' : 'Required to calculate quantity from SIG')}
+                    helperText={showError ? errors.daysSupply?.message : (hasQuantity ? 'Optional when quantity is provided directly' : 'Required unless the SIG states a duration (e.g., "x 10 days")')}
                     disabled={loading || hasQuantity}
                     inputProps={{
                       min: 1,
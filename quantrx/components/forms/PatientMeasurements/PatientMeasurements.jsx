@@ -0,0 +1,82 @@
+/**
+ * PatientMeasurements Component
+ *
+ * Patient weight and height fields for weight- and body-surface-area-based
+ * orders ("10 mg/kg/day divided BID", "100 mg/m2/day"). Shown only while the
+ * SIG contains such an order, with the calculated BSA once both are entered.
+ *
+ * @module components/forms/PatientMeasurements
+ */
+
+'use client';
+
+import { Controller } from 'react-hook-form';
+import { Box, TextField, Typography } from '@mui/material';
+import { hasWeightBasedDose, calculateBSA } from '@/lib/calculations/weight-dosing';
+
+/**
+ * Read a measurement field, which holds a number or a string while typing
+ * @param {number|string} value - Field value
+ * @returns {number|null} Parsed measurement, or null when empty
+ */
+function toMeasurement(value) {
+  const numValue = typeof value === 'string' ? parseFloat(value) : value;
+  return numValue > 0 ? numValue : null;
+}
+
+/**
+ * PatientMeasurements Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.control - React Hook Form control
+ * @param {Object} props.errors - Form errors
+ * @param {string} props.sig - SIG text being entered
+ * @param {number|string} [props.weightKg] - Current weight value
+ * @param {number|string} [props.heightCm] - Current height value
+ * @param {boolean} [props.disabled] - Disable the fields
+ * @returns {JSX.Element|null} Weight and height fields, or null when the SIG is not weight-based
+ */
+export function PatientMeasurements({ control, errors, sig, weightKg, heightCm, disabled = false }) {
+  if (!hasWeightBasedDose(sig)) {
+    return null;
+  }
+
+  const bsa = calculateBSA(toMeasurement(weightKg), toMeasurement(heightCm));
+  const fields = [
+    { name: 'weightKg', label: 'Patient Weight (kg)', placeholder: '15', helperText: 'Required for mg/kg directions' },
+    { name: 'heightCm', label: 'Patient Height (cm)', placeholder: '100', helperText: 'Required with weight for mg/m² directions' }
+  ];
+
+  return (
+    <Box>
+      <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', sm: '1fr 1fr' }, gap: 2 }}>
+        {fields.map(({ name, label, placeholder, helperText }) => (
+          <Controller
+            key={name}
+            name={name}
+            control={control}
+            render={({ field }) => (
+              <TextField
+                {...field}
+                label={label}
+                type="number"
+                placeholder={placeholder}
+                fullWidth
+                value={field.value ?? ''}
+                error={!!errors[name]}
+                helperText={errors[name]?.message || helperText}
+                disabled={disabled}
+                inputProps={{ min: 0, step: 0.1 }}
+              />
+            )}
+          />
+        ))}
+      </Box>
+      {bsa && (
+        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+          Body surface area: {bsa} m² (Mosteller)
+        </Typography>
+      )}
+    </Box>
+  );
+}
@@ -0,0 +1,7 @@
+/**
+ * PatientMeasurements Component Export
+ *
+ * @module components/forms/PatientMeasurements
+ */
+
+export { PatientMeasurements } from './PatientMeasurements';
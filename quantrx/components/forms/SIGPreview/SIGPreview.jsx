@@ -0,0 +1,135 @@
+/**
+ * SIGPreview Component
+ *
+ * Inline preview of the SIG being typed, parsed as it will be calculated: the
+ * parts the parse read (dose, unit, route, frequency, duration, indication)
+ * are highlighted and everything it skipped is underlined, so a misread SIG
+ * can be fixed before submitting. A SIG that does not parse shows why.
+ * Abbreviated and Spanish SIGs are also shown written out in plain English.
+ *
+ * @module components/forms/SIGPreview
+ */
+
+'use client';
+
+import { useDeferredValue, useMemo } from 'react';
+import { Box, Typography, useTheme } from '@mui/material';
+import { SIG_SPAN_TYPES } from '@/lib/calculations/sig-annotation';
+import { parseSIG } from '@/lib/calculations/sig-parsing';
+import { SIG_LANGUAGES } from '@/lib/constants/locale';
+
+/**
+ * Legend labels for the highlighted span types
+ */
+const SPAN_LABELS = {
+  [SIG_SPAN_TYPES.DOSE]: 'Dose',
+  [SIG_SPAN_TYPES.UNIT]: 'Unit',
+  [SIG_SPAN_TYPES.ROUTE]: 'Route',
+  [SIG_SPAN_TYPES.FREQUENCY]: 'Frequency',
+  [SIG_SPAN_TYPES.DURATION]: 'Duration',
+  [SIG_SPAN_TYPES.INDICATION]: 'Indication',
+  [SIG_SPAN_TYPES.TIMING]: 'Timing',
+  [SIG_SPAN_TYPES.MAX_DOSE]: 'Max dose'
+};
+
+/**
+ * SIGPreview Component
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.sig - SIG text to annotate
+ * @returns {JSX.Element|null} Highlighted SIG preview, or null when the SIG is empty
+ */
+export function SIGPreview({ sig }) {
+  const theme = useTheme();
+  const deferredSig = useDeferredValue(sig);
+  const parsed = useMemo(() => parseSIG(deferredSig?.trim() || ''), [deferredSig]);
+  const spans = parsed.annotation || [];
+  const unrecognized = spans.filter(span => span.type === SIG_SPAN_TYPES.UNRECOGNIZED).map(span => span.text);
+  const reading = {
+    text: parsed.expandedText,
+    fromSpanish: parsed.language === SIG_LANGUAGES.SPANISH,
+    changed: Boolean(parsed.expandedText) && parsed.expandedText !== parsed.originalText
+  };
+
+  if (spans.length === 0) {
+    return null;
+  }
+
+  const spanColors = {
+    [SIG_SPAN_TYPES.DOSE]: theme.palette.primary.main,
+    [SIG_SPAN_TYPES.UNIT]: theme.palette.secondary.main,
+    [SIG_SPAN_TYPES.ROUTE]: theme.palette.info.main,
+    [SIG_SPAN_TYPES.FREQUENCY]: theme.palette.success.main,
+    [SIG_SPAN_TYPES.DURATION]: theme.palette.warning.main,
+    [SIG_SPAN_TYPES.INDICATION]: theme.palette.text.secondary,
+    [SIG_SPAN_TYPES.TIMING]: theme.palette.info.light,
+    [SIG_SPAN_TYPES.MAX_DOSE]: theme.palette.error.light
+  };
+  const presentTypes = Object.keys(SPAN_LABELS).filter(type => spans.some(span => span.type === type));
+
+  return (
+    <Box aria-live="polite" sx={{ px: 1.5, py: 1, borderRadius: 1, backgroundColor: 'action.hover' }}>
+      <Typography variant="body2" component="p" sx={{ lineHeight: 2 }}>
+        {spans.map((span) => {
+          if (span.type === SIG_SPAN_TYPES.TEXT) {
+            return <span key={span.start}>{span.text}</span>;
+          }
+
+          if (span.type === SIG_SPAN_TYPES.UNRECOGNIZED) {
+            return (
+              <Box
+                key={span.start}
+                component="span"
+                title="Not recognized"
+                sx={{ textDecoration: 'underline wavy', textDecorationColor: theme.palette.error.main }}
+              >
+                {span.text}
+              </Box>
+            );
+          }
+
+          return (
+            <Box
+              key={span.start}
+              component="span"
+              title={SPAN_LABELS[span.type]}
+              sx={{
+                px: 0.5,
+                borderRadius: 0.5,
+                borderBottom: `2px solid ${spanColors[span.type]}`,
+                backgroundColor: 'background.paper'
+              }}
+            >
+              {span.text}
+            </Box>
+          );
+        })}
+      </Typography>
+
+      {!parsed.parseSuccess && (
+        <Typography variant="body2" color="error">
+          {parsed.parseError}
+        </Typography>
+      )}
+
+      {reading.changed && (
+        <Typography variant="body2" color="text.secondary">
+          {reading.fromSpanish ? 'Reads as (from Spanish)' : 'Reads as'}: {reading.text}
+        </Typography>
+      )}
+
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1.5, mt: 0.5 }}>
+        {presentTypes.map(type => (
+          <Typography key={type} variant="caption" sx={{ borderBottom: `2px solid ${spanColors[type]}` }}>
+            {SPAN_LABELS[type]}
+          </Typography>
+        ))}
+        {unrecognized.length > 0 && (
+          <Typography variant="caption" color="error">
+            Not recognized: {unrecognized.join(', ')}
+          </Typography>
+        )}
+      </Box>
+    </Box>
+  );
+}
@@ -0,0 +1,7 @@
+/**
+ * SIGPreview Component Export
+ *
+ * @module components/forms/SIGPreview
+ */
+
+export { SIGPreview } from './SIGPreview';
@@ -7,3 +7,5 @@
 
 // Form component exports
 export { CalculationForm } from './CalculationForm';
+export { SIGPreview } from './SIGPreview';
+export { PatientMeasurements } from './PatientMeasurements';
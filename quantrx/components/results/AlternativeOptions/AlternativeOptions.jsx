@@ -26,6 +26,8 @@ import { NDCCard } from '../NDCCard';
  * @param {number} props.alternatives[].breakdown.totalQuantity - Total quantity
  * @param {number} props.alternatives[].breakdown.overfill - Overfill amount
  * @param {string} props.alternatives[].breakdown.description - Breakdown description
+ * @param {number|null} [props.alternatives[].cost] - Total package cost (null when unpriced)
+ * @param {number|null} [props.alternatives[].savings] - Cost saved against the default pick (negative when it costs more)
  * @param {Function} [props.onSelectAlternative] - Callback when alternative is selected
  * @returns {JSX.Element|null} Alternative options section or null if no alternatives
  */
@@ -70,6 +72,28 @@ export function AlternativeOptions({ alternatives = [], onSelectAlternative }) {
     return { label: 'Significant Overfill', color: 'error' };
   };
 
+  /**
+   * Describe an alternative's cost and its savings against the default pick
+   * @param {Object} alternative - Alternative NDC option
+   * @returns {Object|null} Cost text and color, or null when the alternative is unpriced
+   */
+  const getCostInfo = (alternative) => {
+    if (typeof alternative.cost !== 'number') {
+      return null;
+    }
+
+    const cost = `Cost: $${alternative.cost.toFixed(2)}`;
+    const { savings } = alternative;
+
+    if (typeof savings !== 'number' || savings === 0) {
+      return { text: cost, color: 'text.secondary' };
+    }
+
+    return savings > 0
+      ? { text: `${cost} · saves $${savings.toFixed(2)} vs. default pick`, color: 'success.main' }
+      : { text: `${cost} · $${Math.abs(savings).toFixed(2)} more than default pick`, color: 'text.secondary' };
+  };
+
   return (
     <Box sx={{ mb: 4 }}>
       {/* Section header */}
@@ -102,6 +126,7 @@ export function AlternativeOptions({ alternatives = [], onSelectAlternative }) {
       <Box sx={{ display: 'flex', flexDirection: 'column', gap: '16px' }}>
         {displayAlternatives.map((alternative, index) => {
           const quality = getMatchQuality(alternative);
+          const costInfo = getCostInfo(alternative);
           
           // Handle both ndc (singular) and ndcs (plural) structures
           const ndcRecord = alternative.ndc || (alternative.ndcs && alternative.ndcs[0]);
@@ -159,6 +184,21 @@ export function AlternativeOptions({ alternatives = [], onSelectAlternative }) {
                 onSelect={onSelectAlternative}
                 showSelectButton={!!onSelectAlternative}
               />
+
+              {/* Package cost and savings against the default pick */}
+              {costInfo && (
+                <Typography
+                  variant="caption"
+                  sx={{
+                    display: 'block',
+                    mt: 1,
+                    fontSize: '12px',
+                    color: costInfo.color
+                  }}
+                >
+                  {costInfo.text}
+                </Typography>
+              )}
             </Box>
           );
         })}
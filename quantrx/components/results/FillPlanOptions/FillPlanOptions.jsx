@@ -0,0 +1,144 @@
+/**
+ * FillPlanOptions Component
+ *
+ * Displays fallback fill plans when no package combination fits the calculated
+ * quantity: a partial fill with the quantity owed, or a days supply adjusted
+ * to the packages that can be dispensed whole.
+ *
+ * @module components/results/FillPlanOptions
+ */
+
+import {
+  Typography,
+  Box,
+  Chip
+} from '@mui/material';
+import { NDCCard } from '../NDCCard';
+
+/**
+ * Chip label and color for each plan type
+ */
+const PLAN_LABELS = {
+  partial_fill: { label: 'Partial Fill', color: 'warning' },
+  adjusted_days_supply: { label: 'Adjusted Days Supply', color: 'info' }
+};
+
+/**
+ * FillPlanOptions Component
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.fillPlans - Fallback fill plans from the calculation
+ * @param {string} props.fillPlans[].type - Plan type ("partial_fill" or "adjusted_days_supply")
+ * @param {Array} props.fillPlans[].ndcs - NDC records dispensed
+ * @param {Array<number>} props.fillPlans[].packages - Packages of each NDC
+ * @param {number} props.fillPlans[].totalQuantity - Quantity dispensed
+ * @param {number} props.fillPlans[].overfill - Overfill percentage (negative for underfill)
+ * @param {string} props.fillPlans[].breakdown - Package breakdown description
+ * @param {number} props.fillPlans[].owedQuantity - Quantity still owed (partial fills)
+ * @param {string} props.fillPlans[].description - Plan description
+ * @returns {JSX.Element|null} Fill plan section or null if no plans
+ */
+export function FillPlanOptions({ fillPlans = [] }) {
+  // Don't render if no plans
+  if (!fillPlans || fillPlans.length === 0) {
+    return null;
+  }
+
+  return (
+    <Box sx={{ mb: 4 }}>
+      {/* Section header */}
+      <Box sx={{ mb: 3 }}>
+        <Typography
+          variant="h3"
+          sx={{
+            fontSize: '20px',
+            fontWeight: 600,
+            color: 'text.primary',
+            lineHeight: 1.4,
+            mb: 1
+          }}
+        >
+          Short Supply Options
+        </Typography>
+        <Typography
+          variant="body2"
+          sx={{
+            fontSize: '14px',
+            color: 'text.secondary',
+            lineHeight: 1.43
+          }}
+        >
+          No package combination fits the calculated quantity. These fills can be dispensed instead.
+        </Typography>
+      </Box>
+
+      {/* Fill plan cards */}
+      <Box sx={{ display: 'flex', flexDirection: 'column', gap: '16px' }}>
+        {fillPlans.map((plan, index) => {
+          const planLabel = PLAN_LABELS[plan.type] || { label: plan.type, color: 'default' };
+          const ndcRecord = plan.ndcs && plan.ndcs[0];
+
+          if (!ndcRecord) {
+            return null; // Skip if no NDC record
+          }
+
+          return (
+            <Box key={`${plan.type}-${index}`} sx={{ position: 'relative' }}>
+              {/* Plan type indicator - centered at top to avoid overlap with status badge */}
+              <Box sx={{
+                position: 'absolute',
+                top: '12px',
+                left: '50%',
+                transform: 'translateX(-50%)',
+                zIndex: 2
+              }}>
+                <Chip
+                  label={planLabel.label}
+                  size="small"
+                  color={planLabel.color}
+                  variant="outlined"
+                  sx={{
+                    fontSize: '11px',
+                    height: '20px',
+                    '& .MuiChip-label': {
+                      px: 1,
+                      py: 0.25
+                    }
+                  }}
+                />
+              </Box>
+
+              {/* NDC Card */}
+              <NDCCard
+                ndc={ndcRecord}
+                isPrimary={false}
+                breakdown={{
+                  packages: Array.isArray(plan.packages)
+                    ? plan.packages.reduce((sum, p) => sum + p, 0)
+                    : plan.packages || 0,
+                  totalQuantity: plan.totalQuantity,
+                  overfill: plan.overfill,
+                  description: plan.breakdown
+                }}
+                showSelectButton={false}
+              />
+
+              {/* What the plan dispenses and what is owed */}
+              <Typography
+                variant="caption"
+                sx={{
+                  display: 'block',
+                  mt: 1,
+                  fontSize: '12px',
+                  color: 'text.secondary'
+                }}
+              >
+                {plan.description}
+              </Typography>
+            </Box>
+          );
+        })}
+      </Box>
+    </Box>
+  );
+}
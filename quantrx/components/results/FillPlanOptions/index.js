@@ -0,0 +1,7 @@
+/**
+ * FillPlanOptions Component Export
+ *
+ * @module components/results/FillPlanOptions
+ */
+
+export { FillPlanOptions } from './FillPlanOptions';
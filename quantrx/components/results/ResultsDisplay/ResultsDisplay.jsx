@@ -31,6 +31,7 @@ import { SummaryCard } from '../SummaryCard';
 import { NDCCard } from '../NDCCard';
 import { WarningsSection } from '../WarningsSection';
 import { AlternativeOptions } from '../AlternativeOptions';
+import { FillPlanOptions } from '../FillPlanOptions';
 
 /**
  * ResultsDisplay Component
@@ -41,6 +42,7 @@ import { AlternativeOptions } from '../AlternativeOptions';
  * @param {Function} [props.onNewCalculation] - Callback to start new calculation
  * @param {Function} [props.onVerify] - Callback for verification (pharmacists only)
  * @param {Function} [props.onSelectAlternative] - Callback when alternative NDC selected
+ * @param {Function} [props.onRangeSelectionChange] - Callback when min/max is chosen for a ranged SIG
  * @returns {JSX.Element} Results display container
  */
 export function ResultsDisplay({
@@ -48,7 +50,8 @@ export function ResultsDisplay({
   onExport,
   onNewCalculation,
   onVerify,
-  onSelectAlternative
+  onSelectAlternative,
+  onRangeSelectionChange
 }) {
   const { isAdmin } = useAuth();
   const [exportMenuAnchor, setExportMenuAnchor] = useState(null);
@@ -62,6 +65,7 @@ export function ResultsDisplay({
   const {
     recommendation,
     alternatives = [],
+    fillPlans = [],
     warnings = [],
     status
   } = result;
@@ -151,7 +155,7 @@ export function ResultsDisplay({
         <WarningsSection warnings={warnings} />
 
         {/* 2. Summary Card */}
-        <SummaryCard result={result} />
+        <SummaryCard result={result} onRangeSelectionChange={onRangeSelectionChange} />
 
         {/* 3. Primary Recommendation */}
         {recommendation && recommendation.ndcs && recommendation.ndcs.length > 0 && (
@@ -191,6 +195,11 @@ export function ResultsDisplay({
           onSelectAlternative={handleSelectAlternative}
         />
 
+        {/* 4b. Short supply fill plans (only when nothing fits) */}
+        {!recommendation && (
+          <FillPlanOptions fillPlans={fillPlans} />
+        )}
+
         {/* 5. Action Buttons */}
         <Box sx={{ mt: 2 }}>
           <Divider sx={{ mb: 3 }} />
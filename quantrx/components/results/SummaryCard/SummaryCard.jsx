@@ -3,6 +3,8 @@
  *
  * Displays calculation overview information in a card format.
  * Shows drug name, RxCUI, calculated quantity, days supply, and overall status.
+ * For ranged SIGs ("1-2 tablets") shows the min/max quantities and lets the
+ * pharmacist choose which end of the range to dispense.
  * Includes calculation ID and timestamp for reference.
  *
  * @module components/results/SummaryCard
@@ -13,7 +15,9 @@ import {
   CardContent,
   Typography,
   Box,
-  Divider
+  Divider,
+  ToggleButton,
+  ToggleButtonGroup
 } from '@mui/material';
 import { StatusBadge } from '@/components/ui/StatusBadge';
 
@@ -28,9 +32,10 @@ import { StatusBadge } from '@/components/ui/StatusBadge';
  * @param {Object} props.result.calculation - Quantity calculation data
  * @param {string} props.result.status - Overall calculation status
  * @param {Array} [props.result.warnings] - Warnings array
+ * @param {Function} [props.onRangeSelectionChange] - Callback with 'min' or 'max' when the range selection changes
  * @returns {JSX.Element} Summary card component
  */
-export function SummaryCard({ result }) {
+export function SummaryCard({ result, onRangeSelectionChange }) {
   if (!result) {
     return null;
   }
@@ -58,6 +63,16 @@ export function SummaryCard({ result }) {
     return 'pending';
   };
 
+  const quantityRange = calculation?.quantityRange;
+  const hasQuantityRange = quantityRange && quantityRange.min !== quantityRange.max;
+
+  // Handle min/max toggle (ignore deselecting the current choice)
+  const handleRangeSelection = (event, value) => {
+    if (value && value !== calculation.rangeSelection && onRangeSelectionChange) {
+      onRangeSelectionChange(value);
+    }
+  };
+
   // Format timestamp for display
   const formatTimestamp = (timestamp) => {
     try {
@@ -205,10 +220,52 @@ export function SummaryCard({ result }) {
                 >
                   {calculation.calculatedQuantity.toLocaleString()} {calculation.unit || 'units'}
                 </Typography>
+                {hasQuantityRange && (
+                  <Box sx={{ mt: 1 }}>
+                    <Typography
+                      variant="body2"
+                      sx={{
+                        fontSize: '14px',
+                        color: 'text.secondary',
+                        mb: 1
+                      }}
+                    >
+                      Range: {quantityRange.min.toLocaleString()}–{quantityRange.max.toLocaleString()} {calculation.unit || 'units'}
+                    </Typography>
+                    <ToggleButtonGroup
+                      size="small"
+                      exclusive
+                      value={calculation.rangeSelection || 'max'}
+                      onChange={handleRangeSelection}
+                      disabled={!onRangeSelectionChange}
+                      aria-label="Quantity range selection"
+                    >
+                      <ToggleButton value="min" aria-label="Dispense minimum quantity">
+                        Min ({quantityRange.min.toLocaleString()})
+                      </ToggleButton>
+                      <ToggleButton value="max" aria-label="Dispense maximum quantity">
+                        Max ({quantityRange.max.toLocaleString()})
+                      </ToggleButton>
+                    </ToggleButtonGroup>
+                  </Box>
+                )}
+                {calculation.breakdown && (
+                  <Typography
+                    variant="caption"
+                    sx={{
+                      display: 'block',
+                      fontSize: '12px',
+                      color: 'text.secondary',
+                      mt: 1
+                    }}
+                  >
+                    {calculation.breakdown}
+                  </Typography>
+                )}
               </Box>
             )}
 
-            {/* Days Supply */}
+            {/* Days Supply (the calculated value can differ, e.g. insulin in-use limits) */}
             {result.inputs?.daysSupply && (
               <Box sx={{ mb: 2 }}>
                 <Typography
@@ -232,7 +289,9 @@ export function SummaryCard({ result }) {
                     color: 'text.primary'
                   }}
                 >
-                  {result.inputs.daysSupply} days
+                  {calculation?.daysSupply && calculation.daysSupply !== result.inputs.daysSupply
+                    ? `${calculation.daysSupply} days (requested ${result.inputs.daysSupply})`
+                    : `${result.inputs.daysSupply} days`}
                 </Typography>
               </Box>
             )}
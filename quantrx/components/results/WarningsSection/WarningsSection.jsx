@@ -159,6 +159,36 @@ export function WarningsSection({ warnings = [] }) {
                 </Typography>
               </Box>
             )}
+
+            {severityWarnings.some(w => w.type === 'prn_ceiling') && (
+              <Box sx={{ mt: 2, pt: 2, borderTop: '1px solid rgba(0,0,0,0.12)' }}>
+                <Typography
+                  variant="caption"
+                  sx={{
+                    fontSize: '12px',
+                    color: 'text.secondary',
+                    display: 'block'
+                  }}
+                >
+                  💡 Tip: PRN quantities are a worst-case ceiling, not a fixed schedule. Enter a quantity directly if the prescriber intended less.
+                </Typography>
+              </Box>
+            )}
+
+            {severityWarnings.some(w => w.type === 'topical_estimate') && (
+              <Box sx={{ mt: 2, pt: 2, borderTop: '1px solid rgba(0,0,0,0.12)' }}>
+                <Typography
+                  variant="caption"
+                  sx={{
+                    fontSize: '12px',
+                    color: 'text.secondary',
+                    display: 'block'
+                  }}
+                >
+                  💡 Tip: One fingertip unit (about 0.5 g) covers two adult palms. Name the body area in the directions for a closer estimate.
+                </Typography>
+              </Box>
+            )}
           </Alert>
         );
       })}
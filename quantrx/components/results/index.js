@@ -10,4 +10,5 @@ export { ResultsDisplay } from './ResultsDisplay';
 export { SummaryCard } from './SummaryCard';
 export { NDCCard } from './NDCCard';
 export { AlternativeOptions } from './AlternativeOptions';
+export { FillPlanOptions } from './FillPlanOptions';
 export { WarningsSection } from './WarningsSection';
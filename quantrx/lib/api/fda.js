@@ -16,10 +16,23 @@ import {
   simulateApiDelay,
   simulateApiError
 } from '../mocks/fda-fixtures.js';
+import { ACTUATION_COUNT_PATTERN } from '../constants/inhaler.js';
+import { normalizeFDARoutes } from '../calculations/sig-details.js';
+import { classifyPackaging } from '../calculations/packaging.js';
 import { logApiCallStart, logApiCallCompleted, logApiCallError } from '../utils/logger.js';
 import { logApiCall } from '../utils/audit.js';
 import { trackApiCall } from '../utils/performance.js';
 
+/**
+ * Net content of tubes, jars and bottles: "> 30 g in 1 TUBE", "> 100 mL in 1 BOTTLE"
+ */
+const PACKAGE_CONTENT_PATTERN = /(\d+(?:\.\d+)?)\s*(G|ML)\s+in\s+1\s+(?:TUBE|JAR|BOTTLE|CONTAINER|PACKET)\b/i;
+
+/**
+ * Package NDC at the end of a package description: "30 TABLET in 1 BOTTLE (0009-0054-30)"
+ */
+const PACKAGE_NDC_PATTERN = /\((\d{4,5}-\d{3,4}-\d{1,2})\)\s*$/;
+
 /**
  * Check if mock mode is enabled
  * @returns {boolean} True if using mock APIs
@@ -485,8 +498,12 @@ function processFDAResponse(response, options = {}) {
  * @returns {Object} Processed NDC record
  */
 function processFDARecord(record) {
-  // Extract package size from description
-  const packageSize = extractPackageSize(record.package_description?.[0] || '');
+  const [firstPackage] = record.packaging || [];
+  const packageDescription = record.package_description?.[0] || firstPackage?.description || '';
+
+  // Extract package size (net content for tubes, actuation count for inhalers/sprays) from description
+  const { packageSize, packageUnit, actuationsPerDevice } = extractPackageSize(packageDescription);
+  const packagingType = classifyPackaging(packageDescription);
   const strength = record.strength?.[0] || '';
   const dosageForm = record.dosage_form?.toLowerCase() || '';
 
@@ -495,10 +512,15 @@ function processFDARecord(record) {
   const isActive = !marketingEndDate || marketingEndDate === 'null' || marketingEndDate === '';
 
   return {
-    ndc: record.product_ndc,
+    // Keyed on the package NDC the size was read from, so package prices can be matched
+    ndc: firstPackage?.package_ndc || packageDescription.match(PACKAGE_NDC_PATTERN)?.[1] || record.product_ndc,
     manufacturer: record.labeler_name || '',
     packageSize,
+    packageUnit,
+    actuationsPerDevice,
+    packagingType,
     dosageForm,
+    routes: normalizeFDARoutes(record.route || []),
     strength,
     status: isActive ? 'active' : 'inactive',
     marketingStartDate: record.marketing_start_date || null,
@@ -510,15 +532,34 @@ function processFDARecord(record) {
 
 /**
  * Extract package size from FDA package description
+ * Tubes, jars and bottles measured in g or mL report their net content as the package size,
+ * so topical and liquid quantities match against it directly.
  * @param {string} description - Package description
- * @returns {number} Package size
+ * @returns {Object} Package size, its unit ("g" or "ml" for net contents, otherwise null), and
+ *   actuations per device (null unless the description states an actuation count,
+ *   e.g. "1 INHALER in 1 CARTON > 200 ACTUATION")
  */
 function extractPackageSize(description) {
-  if (!description) return 1;
+  if (!description) return { packageSize: 1, packageUnit: null, actuationsPerDevice: null };
 
   // Look for patterns like "30 TABLET in 1 BOTTLE" or "20 CAPSULE in 1 BOTTLE"
   const match = description.match(/^(\d+)\s+/);
-  return match ? parseInt(match[1], 10) : 1;
+  const actuationMatch = description.match(ACTUATION_COUNT_PATTERN);
+  const contentMatch = !actuationMatch && description.match(PACKAGE_CONTENT_PATTERN);
+
+  if (contentMatch) {
+    return {
+      packageSize: parseFloat(contentMatch[1]),
+      packageUnit: contentMatch[2].toLowerCase(),
+      actuationsPerDevice: null
+    };
+  }
+
+  return {
+    packageSize: match ? parseInt(match[1], 10) : 1,
+    packageUnit: null,
+    actuationsPerDevice: actuationMatch ? parseInt(actuationMatch[1], 10) : null
+  };
 }
 
 /**
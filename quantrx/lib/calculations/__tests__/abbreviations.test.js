@@ -0,0 +1,82 @@
+/**
+ * Unit tests for SIG abbreviation expansion
+ *
+ * Tests expansion of Latin and pharmacy shorthand, detection of ISMP
+ * error-prone abbreviations, and the expanded-text parsing pass.
+ */
+
+import { expandSIGAbbreviations, findErrorProneAbbreviations } from '../abbreviations.js';
+import { parseSIG } from '../sig-parsing.js';
+import { createErrorProneAbbreviationWarning } from '../../services/calculation-warnings.js';
+
+describe('SIG Abbreviations', () => {
+  describe('expandSIGAbbreviations', () => {
+    test('should expand common abbreviations', () => {
+      expect(expandSIGAbbreviations('1 tab po qhs').text).toBe('1 tablet by mouth at bedtime');
+      expect(expandSIGAbbreviations('ii caps PO b.i.d. prn').text).toBe('2 capsules by mouth twice daily as needed');
+      expect(expandSIGAbbreviations('Inject 10 U SQ qam').text).toBe('Inject 10 units subcutaneously every morning');
+    });
+
+    test('should record each expansion with its position and type', () => {
+      const { expansions } = expandSIGAbbreviations('1 gtt OU tid');
+
+      expect(expansions.map(({ abbreviation, type }) => [abbreviation, type])).toEqual([
+        ['gtt', 'unit'],
+        ['OU', 'route'],
+        ['tid', 'frequency']
+      ]);
+      expect(expansions[1]).toMatchObject({ start: 6, end: 8 });
+    });
+
+    test('should leave ordinary words alone', () => {
+      const sig = 'Take 1 tablet as needed for pain';
+
+      expect(expandSIGAbbreviations(sig)).toEqual({ text: sig, expansions: [] });
+      expect(expandSIGAbbreviations('TAKE 1 TABLET AS NEEDED').expansions).toEqual([]);
+      expect(expandSIGAbbreviations('').text).toBe('');
+    });
+  });
+
+  describe('findErrorProneAbbreviations', () => {
+    test('should flag ISMP error-prone abbreviations', () => {
+      const ids = findErrorProneAbbreviations('Inject 10 U SC qd').map(issue => issue.id);
+
+      expect(ids).toEqual(expect.arrayContaining(['qd', 'u', 'sc']));
+      expect(findErrorProneAbbreviations('Take 1.0 mg daily')[0]).toMatchObject({ id: 'trailing_zero', text: '1.0' });
+      expect(findErrorProneAbbreviations('Instill 1 drop OD bid')[0].id).toBe('eye_abbreviation');
+    });
+
+    test('should not flag safe wording', () => {
+      expect(findErrorProneAbbreviations('Take 1 tablet by mouth daily')).toEqual([]);
+      expect(findErrorProneAbbreviations('TAKE 1 TABLET AS NEEDED')).toEqual([]);
+      expect(findErrorProneAbbreviations('Take 1.5 tablets every other day')).toEqual([]);
+    });
+
+    test('should build a warning with the suggested wording', () => {
+      const [issue] = findErrorProneAbbreviations('1 tab qd');
+      const warning = createErrorProneAbbreviationWarning(issue);
+
+      expect(warning).toMatchObject({
+        id: 'error_prone_abbreviation_qd',
+        type: 'error_prone_abbreviation',
+        severity: 'warning'
+      });
+      expect(warning.message).toContain('"daily"');
+    });
+  });
+
+  describe('parseSIG', () => {
+    test('should parse abbreviations only the expanded text covers', () => {
+      const result = parseSIG('1 cap qam');
+
+      expect(result).toMatchObject({ dose: 1, unit: 'capsule', frequency: 1, parseSuccess: true });
+      expect(result.originalText).toBe('1 cap qam');
+      expect(result.expandedText).toBe('1 capsule every morning');
+    });
+
+    test('should report error-prone abbreviations with the parse', () => {
+      expect(parseSIG('1 tab po qd').errorProneAbbreviations.map(issue => issue.id)).toEqual(['qd']);
+      expect(parseSIG('Take 1 tablet by mouth daily').errorProneAbbreviations).toEqual([]);
+    });
+  });
+});
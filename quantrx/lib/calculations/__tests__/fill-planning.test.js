@@ -0,0 +1,143 @@
+/**
+ * Unit tests for short-supply fill planning
+ *
+ * Tests the partial-fill and adjusted days supply plans proposed when no
+ * package combination fits the calculated quantity, and that the matcher
+ * returns them only when nothing fits.
+ */
+
+import { planShortSupplyFills, FILL_PLAN_TYPES } from '../fill-planning.js';
+import { selectOptimalNDCs } from '../ndc-matching.js';
+import { parseSIG } from '../sig-parsing.js';
+import { convertSIGToVolume } from '../unit-conversion.js';
+
+/**
+ * Build active tablet NDCs from package sizes
+ * @param {Array<number>} sizes - Package sizes
+ * @returns {Array<Object>} NDC objects
+ */
+function ndcsWithSizes(sizes) {
+  return sizes.map((packageSize, index) => ({
+    ndc: `00000-0000-${String(index).padStart(2, '0')}`,
+    packageSize,
+    dosageForm: 'tablet',
+    status: 'active'
+  }));
+}
+
+const onceDaily = { dose: 1, unit: 'tablet', frequency: 1, parseSuccess: true };
+const strictTolerance = { maxOverfill: 0, maxUnderfill: 0, preferredOverfill: 0 };
+
+describe('planShortSupplyFills', () => {
+  test('should propose a partial fill with the remainder owed', () => {
+    const plans = planShortSupplyFills(100, ndcsWithSizes([90]), { daysSupply: 100 });
+
+    expect(plans).toHaveLength(1);
+    expect(plans[0]).toMatchObject({
+      type: FILL_PLAN_TYPES.PARTIAL_FILL,
+      totalQuantity: 90,
+      packages: [1],
+      owedQuantity: 10,
+      daysSupply: 100
+    });
+    expect(plans[0].description).toContain('owe the remaining 10');
+  });
+
+  test('should adjust the days supply to the packages dispensed', () => {
+    const plans = planShortSupplyFills(100, ndcsWithSizes([90]), { parsedSIG: onceDaily, daysSupply: 100 });
+    const adjusted = plans.filter(plan => plan.type === FILL_PLAN_TYPES.ADJUSTED_DAYS_SUPPLY);
+
+    expect(adjusted.map(plan => [plan.totalQuantity, plan.daysSupply])).toEqual([[90, 90], [180, 180]]);
+    expect(adjusted[0]).toMatchObject({ owedQuantity: 0, originalDaysSupply: 100 });
+    expect(adjusted[0].description).toContain('instead of 100 days');
+  });
+
+  test('should divide the quantity by the daily dose', () => {
+    const plans = planShortSupplyFills(120, ndcsWithSizes([100]), { parsedSIG: parseSIG('Take 2 tablets twice daily'), daysSupply: 30 });
+    const adjusted = plans.filter(plan => plan.type === FILL_PLAN_TYPES.ADJUSTED_DAYS_SUPPLY);
+
+    expect(adjusted.map(plan => [plan.totalQuantity, plan.daysSupply])).toEqual([[100, 25], [200, 50]]);
+  });
+
+  test('should work out liquid days from the dose in mL', () => {
+    const { data: tablespoonDaily } = convertSIGToVolume(parseSIG('Take 1 tablespoon by mouth daily'));
+    const plans = planShortSupplyFills(450, ndcsWithSizes([100]), { parsedSIG: tablespoonDaily, daysSupply: 30 });
+    const adjusted = plans.filter(plan => plan.type === FILL_PLAN_TYPES.ADJUSTED_DAYS_SUPPLY);
+
+    expect(adjusted.map(plan => [plan.totalQuantity, plan.daysSupply])).toEqual([[400, 26], [500, 33]]);
+  });
+
+  test('should average weekly regimens over the week', () => {
+    const plans = planShortSupplyFills(30, ndcsWithSizes([36]), { parsedSIG: parseSIG('Take 6 tablets by mouth once weekly'), daysSupply: 30 });
+
+    expect(plans).toEqual([expect.objectContaining({ type: FILL_PLAN_TYPES.ADJUSTED_DAYS_SUPPLY, totalQuantity: 36, daysSupply: 42 })]);
+  });
+
+  test('should only round up when every package exceeds the quantity', () => {
+    const plans = planShortSupplyFills(10, ndcsWithSizes([30]), { parsedSIG: onceDaily, daysSupply: 10 });
+
+    expect(plans).toHaveLength(1);
+    expect(plans[0]).toMatchObject({
+      type: FILL_PLAN_TYPES.ADJUSTED_DAYS_SUPPLY,
+      totalQuantity: 30,
+      daysSupply: 30,
+      originalDaysSupply: 10
+    });
+  });
+
+  test('should use mixed package combinations', () => {
+    const [partialFill] = planShortSupplyFills(125, ndcsWithSizes([90, 30]));
+
+    expect(partialFill.totalQuantity).toBe(120);
+    expect(partialFill.packages).toEqual([1, 1]);
+    expect(partialFill.owedQuantity).toBe(5);
+  });
+
+  test('should not adjust the days supply for as-needed or multi-phase SIGs', () => {
+    const asNeeded = planShortSupplyFills(100, ndcsWithSizes([90]), { parsedSIG: { ...onceDaily, asNeeded: true } });
+    const tapered = planShortSupplyFills(100, ndcsWithSizes([90]), { parsedSIG: { phases: [onceDaily] } });
+
+    expect(asNeeded.map(plan => plan.type)).toEqual([FILL_PLAN_TYPES.PARTIAL_FILL]);
+    expect(tapered.map(plan => plan.type)).toEqual([FILL_PLAN_TYPES.PARTIAL_FILL]);
+  });
+
+  test('should return no plans for invalid input', () => {
+    expect(planShortSupplyFills(0, ndcsWithSizes([30]))).toEqual([]);
+    expect(planShortSupplyFills(30, [])).toEqual([]);
+  });
+});
+
+describe('selectOptimalNDCs fill plans', () => {
+  test('should return fill plans when no combination fits', () => {
+    const result = selectOptimalNDCs(10, ndcsWithSizes([30]), {
+      tolerance: strictTolerance,
+      parsedSIG: onceDaily,
+      daysSupply: 10
+    });
+
+    expect(result.recommendations).toEqual([]);
+    expect(result.fillPlans).toHaveLength(1);
+    expect(result.fillPlans[0].daysSupply).toBe(30);
+  });
+
+  test('should return fill plans when only out-of-tolerance combinations exist', () => {
+    const longTermCare = { maxOverfill: 3, maxUnderfill: 0, preferredOverfill: 1 };
+    const result = selectOptimalNDCs(150, ndcsWithSizes([100, 40]), {
+      tolerance: longTermCare,
+      parsedSIG: { ...onceDaily, dose: 5 },
+      daysSupply: 30
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.recommendations).toEqual([]);
+    expect(result.fillPlans.length).toBeGreaterThan(0);
+    expect(result.fillPlans[0]).toMatchObject({ type: FILL_PLAN_TYPES.PARTIAL_FILL, totalQuantity: 140, owedQuantity: 10 });
+  });
+
+  test('should return no fill plans when a combination fits', () => {
+    const result = selectOptimalNDCs(30, ndcsWithSizes([30]), { parsedSIG: onceDaily, daysSupply: 30 });
+
+    expect(result.recommendations.length).toBeGreaterThan(0);
+    expect(result.fillPlans).toEqual([]);
+  });
+});
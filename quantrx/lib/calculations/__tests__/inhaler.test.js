@@ -0,0 +1,102 @@
+/**
+ * Unit tests for inhaler and nasal spray quantity calculation
+ *
+ * Tests actuation unit detection, nostril doubling, actuation count selection,
+ * and conversion of puffs and sprays into devices with priming.
+ */
+
+import {
+  isActuationUnit,
+  getActuationMultiplier,
+  selectActuationsPerDevice,
+  calculateInhalerQuantity
+} from '../inhaler.js';
+import { parseSIG } from '../sig-parsing.js';
+
+describe('Inhaler Calculation', () => {
+  describe('helpers', () => {
+    test('should recognise actuation units', () => {
+      expect(isActuationUnit('puffs')).toBe(true);
+      expect(isActuationUnit('spray')).toBe(true);
+      expect(isActuationUnit('inhalations')).toBe(true);
+      expect(isActuationUnit('tablets')).toBe(false);
+      expect(isActuationUnit(null)).toBe(false);
+    });
+
+    test('should double doses given in each nostril', () => {
+      expect(getActuationMultiplier('2 sprays in each nostril once daily')).toBe(2);
+      expect(getActuationMultiplier('1 spray into both nostrils bid')).toBe(2);
+      expect(getActuationMultiplier('1 spray in the left nostril daily')).toBe(1);
+    });
+
+    test('should select the most common actuation count', () => {
+      expect(selectActuationsPerDevice([
+        { actuationsPerDevice: 200 },
+        { actuationsPerDevice: 60 },
+        { actuationsPerDevice: 200 },
+        { actuationsPerDevice: null }
+      ])).toBe(200);
+      expect(selectActuationsPerDevice([{ actuationsPerDevice: 60 }, { actuationsPerDevice: 120 }])).toBe(120);
+      expect(selectActuationsPerDevice([{ packageSize: 30 }])).toBeNull();
+    });
+  });
+
+  describe('calculateInhalerQuantity', () => {
+    test('should convert puffs into inhalers after priming', () => {
+      const parsedSIG = parseSIG('Inhale 2 puffs twice daily');
+      const result = calculateInhalerQuantity(parsedSIG, 30, { actuationsPerDevice: 120 });
+
+      expect(result.success).toBe(true);
+      expect(result.quantity).toBe(2);
+      expect(result.unit).toBe('inhaler');
+      expect(result.actuations.totalActuations).toBe(120);
+      expect(result.actuations.primingActuations).toBe(4);
+      expect(result.calculation).toContain('120 ÷ (120 actuations − 4 priming) per inhaler = 2 inhalers');
+    });
+
+    test('should fit a month of puffs into one 200-actuation inhaler', () => {
+      const parsedSIG = parseSIG('Inhale 2 puffs twice daily');
+      const result = calculateInhalerQuantity(parsedSIG, 30, { actuationsPerDevice: 200 });
+
+      expect(result.quantity).toBe(1);
+    });
+
+    test('should count sprays for both nostrils', () => {
+      const parsedSIG = parseSIG('2 sprays in each nostril once daily');
+      const result = calculateInhalerQuantity(parsedSIG, 30, { actuationsPerDevice: 120 });
+
+      expect(result.unit).toBe('bottle');
+      expect(result.actuations.totalActuations).toBe(120);
+      expect(result.quantity).toBe(2);
+    });
+
+    test('should use the PRN ceiling for as-needed inhalers', () => {
+      const parsedSIG = parseSIG('Inhale 2 puffs every 4-6 hours as needed');
+      const result = calculateInhalerQuantity(parsedSIG, 30, { actuationsPerDevice: 200 });
+
+      expect(result.basis).toBe('prn_ceiling');
+      expect(result.actuations.totalActuations).toBe(360);
+      expect(result.quantity).toBe(2);
+    });
+
+    test('should honour a priming override', () => {
+      const parsedSIG = parseSIG('Inhale 2 puffs twice daily');
+      const result = calculateInhalerQuantity(parsedSIG, 30, { actuationsPerDevice: 124, primingActuations: 4 });
+
+      expect(result.quantity).toBe(1);
+    });
+
+    test('should fail without an actuation count', () => {
+      const parsedSIG = parseSIG('Inhale 2 puffs twice daily');
+      const result = calculateInhalerQuantity(parsedSIG, 30, {});
+
+      expect(result.success).toBe(false);
+    });
+
+    test('should reject non-actuation units', () => {
+      const result = calculateInhalerQuantity({ dose: 1, frequency: 1, unit: 'tablet' }, 30, { actuationsPerDevice: 200 });
+
+      expect(result.success).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Unit tests for insulin quantity calculation
+ *
+ * Tests concentration and device detection, priming, in-use expiry, and the
+ * days supply cap for pens and vials.
+ */
+
+import {
+  isInsulinProduct,
+  parseInsulinConcentration,
+  detectInsulinDevice,
+  calculateInsulinQuantity
+} from '../insulin.js';
+
+describe('Insulin Calculation', () => {
+  const basalSIG = { dose: 22, frequency: 1, unit: 'units', parseSuccess: true };
+
+  describe('product detection', () => {
+    test('should recognise insulin products', () => {
+      expect(isInsulinProduct({ drugName: 'insulin glargine 100 UNT/ML Pen Injector' })).toBe(true);
+      expect(isInsulinProduct({ drugName: 'metformin 500 MG Oral Tablet' })).toBe(false);
+    });
+
+    test('should parse concentrations', () => {
+      expect(parseInsulinConcentration('100 UNT/ML')).toBe(100);
+      expect(parseInsulinConcentration('Humulin R U-500 KwikPen')).toBe(500);
+      expect(parseInsulinConcentration('insulin lispro')).toBeNull();
+    });
+
+    test('should detect the device from the drug name', () => {
+      expect(detectInsulinDevice('insulin lispro 100 UNT/ML KwikPen')).toBe('pen');
+      expect(detectInsulinDevice('insulin regular 100 UNT/ML Injectable Solution vial')).toBe('vial');
+      expect(detectInsulinDevice('insulin regular 100 UNT/ML Injectable Solution')).toBeNull();
+    });
+  });
+
+  describe('calculateInsulinQuantity', () => {
+    test('should add priming units and count pens', () => {
+      const result = calculateInsulinQuantity(basalSIG, 30, { drugName: 'insulin glargine 100 UNT/ML Pen Injector' });
+
+      expect(result.success).toBe(true);
+      expect(result.quantity).toBe(3);
+      expect(result.unit).toBe('pen');
+      expect(result.insulin.primingUnits).toBe(60);
+      expect(result.insulin.totalUnits).toBe(720);
+      expect(result.daysSupply).toBe(37);
+    });
+
+    test('should cap a vial at its in-use expiry', () => {
+      const result = calculateInsulinQuantity(basalSIG, 30, { device: 'vial' });
+
+      expect(result.quantity).toBe(2);
+      expect(result.insulin.daysPerDevice).toBe(28);
+      expect(result.insulin.primingUnits).toBe(0);
+    });
+
+    test('should report the days supply one device covers', () => {
+      const result = calculateInsulinQuantity(basalSIG, 7, { device: 'vial' });
+
+      expect(result.quantity).toBe(1);
+      expect(result.daysSupply).toBe(28);
+      expect(result.requestedDaysSupply).toBe(7);
+    });
+
+    test('should use the concentrated device capacity', () => {
+      const result = calculateInsulinQuantity(
+        { dose: 100, frequency: 2, unit: 'units', parseSuccess: true },
+        30,
+        { drugName: 'insulin regular, human 500 UNT/ML Pen' }
+      );
+
+      expect(result.insulin.unitsPerDevice).toBe(1500);
+      expect(result.quantity).toBe(5);
+    });
+
+    test('should reject doses that are not in units', () => {
+      const result = calculateInsulinQuantity({ ...basalSIG, unit: 'ml' }, 30);
+
+      expect(result.success).toBe(false);
+    });
+  });
+});
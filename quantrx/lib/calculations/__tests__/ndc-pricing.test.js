@@ -0,0 +1,125 @@
+/**
+ * Unit tests for NDC pricing
+ *
+ * Tests price file parsing, the CSV pricing source, combination costs, and
+ * cost scoring in NDC matching.
+ */
+
+import {
+  parsePriceCSV,
+  createCSVPricingSource,
+  applyPricing,
+  calculateCombinationCost,
+  normalizeNDCKey
+} from '../ndc-pricing.js';
+import { selectOptimalNDCs, SCORING_MODES } from '../ndc-matching.js';
+
+const PRICE_CSV = [
+  'ndc,acquisition_cost,awp',
+  '00009-0054-30,2.00,12.00',
+  '"00009009001",$9.00,"$1,020.00"',
+  '00009010001,30.00,',
+  ',1.00,2.00',
+  '0009-0200-01,free,1.00'
+].join('\n');
+
+// FDA package NDCs in the 4-4-2, 5-3-2 and 5-4-1 layouts
+const ndcs = [
+  { ndc: '0009-0054-30', packageSize: 30, dosageForm: 'tablet', status: 'active' },
+  { ndc: '00009-090-01', packageSize: 90, dosageForm: 'tablet', status: 'active' },
+  { ndc: '00009-0100-1', packageSize: 100, dosageForm: 'tablet', status: 'active' }
+];
+
+describe('NDC Pricing', () => {
+  describe('parsePriceCSV', () => {
+    test('should read prices keyed by 11-digit NDC and report bad rows', () => {
+      const result = parsePriceCSV(PRICE_CSV);
+
+      expect(result.success).toBe(true);
+      expect(result.data.get('00009005430')).toEqual({ acquisition_cost: 2, awp: 12 });
+      expect(result.data.get('00009009001')).toEqual({ acquisition_cost: 9, awp: 1020 });
+      expect(result.data.get('00009010001').awp).toBeNull();
+      expect(result.errors).toEqual(['Line 5: missing NDC', 'Line 6: invalid price for NDC 0009-0200-01']);
+    });
+
+    test('should pad 10-digit NDCs to 11 digits', () => {
+      expect(normalizeNDCKey('0009-0054-30')).toBe('00009005430');
+      expect(normalizeNDCKey('12345-678-90')).toBe('12345067890');
+      expect(normalizeNDCKey('12345-6789-0')).toBe('12345678900');
+      expect(normalizeNDCKey('12345-6789-01')).toBe('12345678901');
+      expect(normalizeNDCKey('12345678901')).toBe('12345678901');
+      expect(normalizeNDCKey('1234567890')).toBe('1234567890');
+    });
+
+    test('should require an NDC column and a price column', () => {
+      expect(parsePriceCSV('ndc,price\n0009-0054,1').error).toContain('header');
+      expect(parsePriceCSV('').error).toContain('empty');
+    });
+  });
+
+  describe('pricing sources', () => {
+    test('should price NDCs on the chosen basis', () => {
+      const prices = parsePriceCSV(PRICE_CSV).data;
+      const acquisition = applyPricing(ndcs, createCSVPricingSource(prices));
+      const awp = applyPricing(ndcs, createCSVPricingSource(prices, { basis: 'awp' }));
+
+      expect(acquisition.map(ndc => ndc.cost)).toEqual([2, 9, 30]);
+      expect(acquisition[0].costSource).toBe('csv:acquisition');
+      expect(awp[2].cost).toBeUndefined();
+    });
+
+    test('should total a combination only when every NDC is priced', () => {
+      const [thirty, ninety] = applyPricing(ndcs, createCSVPricingSource(parsePriceCSV(PRICE_CSV).data));
+
+      expect(calculateCombinationCost({ ndcs: [ninety, thirty], packages: [1, 2] })).toBe(13);
+      expect(calculateCombinationCost({ ndcs: [ndcs[0]], packages: [1] })).toBeNull();
+    });
+  });
+
+  describe('cost scoring', () => {
+    const priced = applyPricing(ndcs, createCSVPricingSource(parsePriceCSV(PRICE_CSV).data));
+
+    test('should report cost and savings against the default pick', () => {
+      const result = selectOptimalNDCs(120, priced);
+      const fourThirties = result.alternatives.find(alt => alt.ndcs.length === 1 && alt.packages[0] === 4);
+
+      expect(result.recommendations[0]).toMatchObject({ totalQuantity: 120, packages: [1, 1], cost: 11, savings: 0 });
+      expect(fourThirties).toMatchObject({ cost: 8, savings: 3 });
+    });
+
+    test('should recommend the cheapest combination within tolerance in cost mode', () => {
+      const result = selectOptimalNDCs(120, priced, { scoringMode: SCORING_MODES.COST });
+
+      expect(result.recommendations[0]).toMatchObject({ totalQuantity: 120, packages: [4], cost: 8, savings: 3 });
+      expect(result.alternatives[0]).toMatchObject({ packages: [1, 1], cost: 11, savings: 0 });
+    });
+
+    test('should not trade tolerance for cost', () => {
+      const result = selectOptimalNDCs(100, priced, { scoringMode: SCORING_MODES.COST });
+
+      // 1 × 90 costs less but is 10% short, beyond the underfill tolerance
+      expect(result.recommendations[0]).toMatchObject({ totalQuantity: 100, cost: 30 });
+    });
+
+    test('should mix the cheapest labeler of each package size in cost mode', () => {
+      const labelers = [
+        { ndc: '0009-0090', packageSize: 90, dosageForm: 'tablet', status: 'active', cost: 9 },
+        { ndc: '0009-0030', packageSize: 30, dosageForm: 'tablet', status: 'active', cost: 3 },
+        { ndc: '0781-0090', packageSize: 90, dosageForm: 'tablet', status: 'active', cost: 1 },
+        { ndc: '0781-0030', packageSize: 30, dosageForm: 'tablet', status: 'active', cost: 0.5 }
+      ];
+      const result = selectOptimalNDCs(150, labelers, { scoringMode: SCORING_MODES.COST });
+
+      expect(result.recommendations[0]).toMatchObject({ totalQuantity: 150, packages: [1, 2], cost: 2 });
+      expect(result.recommendations[0].ndcs.map(ndc => ndc.ndc)).toEqual(['0781-0090', '0781-0030']);
+    });
+
+    test('should fall back to the default ranking without prices', () => {
+      const defaultResult = selectOptimalNDCs(120, ndcs);
+      const costResult = selectOptimalNDCs(120, ndcs, { scoringMode: SCORING_MODES.COST });
+
+      expect(costResult.recommendations[0]).toEqual(defaultResult.recommendations[0]);
+      expect(costResult.recommendations[0].cost).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Unit tests for ophthalmic and otic drop calculation
+ *
+ * Tests eye/ear site detection, drops-per-mL lookup, drop-to-volume
+ * conversion and bottle size selection.
+ */
+
+import {
+  isDropUnit,
+  parseDropSite,
+  getDropsPerMl,
+  calculateDropQuantity,
+  selectBottleSize
+} from '../ophthalmic.js';
+import { parseSIG } from '../sig-parsing.js';
+
+describe('Ophthalmic Calculation', () => {
+  describe('helpers', () => {
+    test('should recognise drop units, including gtt', () => {
+      expect(isDropUnit(parseSIG('1 gtt OU BID').unit)).toBe(true);
+      expect(isDropUnit('drops')).toBe(true);
+      expect(isDropUnit('ml')).toBe(false);
+    });
+
+    test('should double both eyes and both ears', () => {
+      expect(parseDropSite('1 gtt OU BID')).toEqual({ label: 'both eyes', multiplier: 2 });
+      expect(parseDropSite('Instill 1 drop in each eye twice daily').multiplier).toBe(2);
+      expect(parseDropSite('3 drops AU TID')).toEqual({ label: 'both ears', multiplier: 2 });
+    });
+
+    test('should count a single eye or ear once', () => {
+      expect(parseDropSite('2 drops OD qid')).toEqual({ label: 'right eye', multiplier: 1 });
+      expect(parseDropSite('1 gtt OS qhs').label).toBe('left eye');
+      expect(parseDropSite('4 drops in the right ear twice daily').label).toBe('right ear');
+      expect(parseDropSite('1 drop as needed').label).toBeNull();
+    });
+
+    test('should look up drops per mL', () => {
+      expect(getDropsPerMl({ drugName: 'latanoprost 0.005% ophthalmic solution' })).toEqual({ dropsPerMl: 32, source: 'ingredient' });
+      expect(getDropsPerMl({ drugName: 'latanoprost', dropsPerMl: 40 })).toEqual({ dropsPerMl: 40, source: 'product' });
+      expect(getDropsPerMl({ drugName: 'artificial tears' })).toEqual({ dropsPerMl: 20, source: 'default' });
+    });
+  });
+
+  describe('calculateDropQuantity', () => {
+    test('should convert drops in both eyes to mL', () => {
+      const result = calculateDropQuantity(parseSIG('1 gtt OU BID'), 30);
+
+      expect(result.success).toBe(true);
+      expect(result.unit).toBe('ml');
+      expect(result.drops.totalDrops).toBe(120);
+      expect(result.quantity).toBe(6);
+      expect(result.calculation).toContain('both eyes: × 2 = 120 drops');
+    });
+
+    test('should use the product drops-per-mL factor', () => {
+      const result = calculateDropQuantity(parseSIG('1 gtt OU qhs'), 30, { drugName: 'latanoprost' });
+
+      expect(result.drops.dropsPerMl).toBe(32);
+      expect(result.quantity).toBe(1.9);
+    });
+
+    test('should reject non-drop units', () => {
+      expect(calculateDropQuantity({ dose: 1, frequency: 1, unit: 'tablet' }, 30).success).toBe(false);
+    });
+  });
+
+  describe('selectBottleSize', () => {
+    test('should pick the smallest bottle that holds the volume', () => {
+      expect(selectBottleSize(1.9, [2.5, 5, 10])).toEqual({ bottleSize: 2.5, bottles: 1, totalMl: 2.5 });
+      expect(selectBottleSize(6, [2.5, 5, 10])).toEqual({ bottleSize: 2.5, bottles: 3, totalMl: 7.5 });
+    });
+
+    test('should prefer fewer bottles for the same volume', () => {
+      expect(selectBottleSize(8, [5, 10])).toEqual({ bottleSize: 10, bottles: 1, totalMl: 10 });
+    });
+
+    test('should return null without bottle sizes', () => {
+      expect(selectBottleSize(5, [])).toBeNull();
+    });
+  });
+});
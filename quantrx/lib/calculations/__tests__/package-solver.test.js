@@ -0,0 +1,139 @@
+/**
+ * Unit tests for the package combination solver
+ *
+ * Tests that mixed package combinations are found, that every total is reached
+ * with the fewest packages (checked against brute force), and that the closest
+ * total within tolerance is ranked first.
+ */
+
+import { solvePackageCombinations, MAX_SOLVER_TOTAL } from '../package-solver.js';
+import { selectOptimalNDCs } from '../ndc-matching.js';
+
+/**
+ * Build active tablet NDCs from package sizes
+ * @param {Array<number>} sizes - Package sizes
+ * @returns {Array<Object>} NDC objects
+ */
+function ndcsWithSizes(sizes) {
+  return sizes.map((packageSize, index) => ({
+    ndc: `00000-0000-${String(index).padStart(2, '0')}`,
+    packageSize,
+    dosageForm: 'tablet',
+    status: 'active'
+  }));
+}
+
+/**
+ * Fewest packages reaching a total, by exhaustive search
+ * @param {number} total - Total to reach
+ * @param {Array<number>} sizes - Package sizes
+ * @returns {number} Fewest packages, or Infinity when the total cannot be reached
+ */
+function bruteForceFewestPackages(total, sizes) {
+  if (total === 0) return 0;
+  if (sizes.length === 0) return Infinity;
+
+  const [size, ...rest] = sizes;
+  let fewest = Infinity;
+  for (let count = 0; count * size <= total; count++) {
+    fewest = Math.min(fewest, count + bruteForceFewestPackages(total - count * size, rest));
+  }
+  return fewest;
+}
+
+/**
+ * Count the packages in a combination
+ * @param {Object} combination - Solver combination
+ * @returns {number} Total packages
+ */
+function totalPackages(combination) {
+  return combination.packages.reduce((sum, count) => sum + count, 0);
+}
+
+describe('Package Solver', () => {
+  describe('solvePackageCombinations', () => {
+    test('should combine package sizes that no single size divides', () => {
+      const [best] = solvePackageCombinations(150, ndcsWithSizes([30, 90, 100]));
+
+      expect(best.ndcs.map(ndc => ndc.packageSize)).toEqual([90, 30]);
+      expect(best.packages).toEqual([1, 2]);
+      expect(best).toMatchObject({ totalQuantity: 150, overfill: 0, breakdown: '1 × 90-count tablet + 2 × 30-count tablet = 150 units' });
+    });
+
+    test('should beat the greedy choice', () => {
+      // Greedy takes 25 first and needs 25 + 5 × 1; three 10-count packages reach 30 exactly
+      const [best] = solvePackageCombinations(30, ndcsWithSizes([25, 10, 1]));
+
+      expect(best.packages).toEqual([3]);
+      expect(best.ndcs[0].packageSize).toBe(10);
+    });
+
+    test('should reach every total with the fewest packages', () => {
+      const sizeSets = [[30, 90, 100], [6, 9, 20], [7, 5], [28, 30, 84, 90], [4, 15, 60, 100]];
+
+      for (const sizes of sizeSets) {
+        for (let target = 1; target <= 200; target++) {
+          const [best] = solvePackageCombinations(target, ndcsWithSizes(sizes));
+          const fewest = bruteForceFewestPackages(target, sizes);
+
+          if (fewest === Infinity) {
+            expect(best).toBeUndefined();
+          } else {
+            expect(best.totalQuantity).toBe(target);
+            expect(totalPackages(best)).toBe(fewest);
+          }
+        }
+      }
+    });
+
+    test('should pick the closest total within tolerance, preferring overfill', () => {
+      // 43 cannot be made from 6, 9 and 20; 42 and 44 are equally close
+      const [best, next] = solvePackageCombinations(43, ndcsWithSizes([6, 9, 20]), { maxOverfill: 10, maxUnderfill: 5 });
+
+      expect(best.totalQuantity).toBe(44);
+      expect(totalPackages(best)).toBe(4);
+      expect(next.totalQuantity).toBe(42);
+      expect(next.overfill).toBeLessThan(0);
+    });
+
+    test('should return nothing outside tolerance', () => {
+      expect(solvePackageCombinations(23, ndcsWithSizes([7, 5]))).toEqual([]);
+      expect(solvePackageCombinations(23, ndcsWithSizes([7, 5]), { maxOverfill: 10 })[0].totalQuantity).toBe(24);
+    });
+
+    test('should use one NDC per package size', () => {
+      const [best] = solvePackageCombinations(60, ndcsWithSizes([30, 30]));
+
+      expect(best.ndcs).toHaveLength(1);
+      expect(best.packages).toEqual([2]);
+    });
+
+    test('should use the cheapest priced NDC of each size when asked', () => {
+      const [brand, generic, unpriced] = ndcsWithSizes([30, 30, 30]);
+      const ndcs = [{ ...brand, cost: 3 }, { ...generic, cost: 0.5 }, unpriced];
+
+      expect(solvePackageCombinations(60, ndcs)[0].ndcs).toEqual([ndcs[0]]);
+      expect(solvePackageCombinations(60, ndcs, { preferLowestCost: true })[0].ndcs).toEqual([ndcs[1]]);
+    });
+
+    test('should solve fractional package sizes', () => {
+      const [best] = solvePackageCombinations(12.5, ndcsWithSizes([2.5, 5]));
+
+      expect(best).toMatchObject({ totalQuantity: 12.5, packages: [2, 1] });
+    });
+
+    test('should stay within the search bound', () => {
+      expect(solvePackageCombinations(MAX_SOLVER_TOTAL + 1, ndcsWithSizes([30]))).toEqual([]);
+      expect(solvePackageCombinations(0, ndcsWithSizes([30]))).toEqual([]);
+      expect(solvePackageCombinations(30, [])).toEqual([]);
+    });
+  });
+
+  describe('selectOptimalNDCs', () => {
+    test('should recommend the mixed combination over many small packages', () => {
+      const result = selectOptimalNDCs(150, ndcsWithSizes([30, 90, 100]));
+
+      expect(result.recommendations[0]).toMatchObject({ totalQuantity: 150, packages: [1, 2], matchQuality: 'exact' });
+    });
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Unit tests for package type awareness
+ *
+ * Tests packaging types derived from FDA package descriptions, that unbreakable
+ * packages are dispensed whole and never mixed with other sizes, and that
+ * institutional plan profiles rank unit-dose packages first.
+ */
+
+import {
+  classifyPackaging,
+  isUnbreakablePackage,
+  prefersUnitDose,
+  describePackagingConstraint
+} from '../packaging.js';
+import { PACKAGING_TYPES } from '../../constants/packaging.js';
+import { solvePackageCombinations } from '../package-solver.js';
+import { selectOptimalNDCs } from '../ndc-matching.js';
+import { planShortSupplyFills } from '../fill-planning.js';
+import { ProcessedNDCRecordSchema } from '../../../schemas/ndc.js';
+
+/**
+ * Build an active tablet NDC
+ * @param {string} ndc - NDC code
+ * @param {number} packageSize - Package size
+ * @param {string} [packagingType] - Packaging type
+ * @returns {Object} NDC object
+ */
+function tabletNDC(ndc, packageSize, packagingType = PACKAGING_TYPES.BULK) {
+  return { ndc, packageSize, packagingType, dosageForm: 'tablet', status: 'active' };
+}
+
+describe('classifyPackaging', () => {
+  test.each([
+    ['100 TABLET in 1 BOTTLE (0093-1234-01)', PACKAGING_TYPES.BULK],
+    ['10 BLISTER PACK in 1 CARTON > 10 TABLET in 1 BLISTER PACK', PACKAGING_TYPES.UNIT_DOSE],
+    ['100 TABLET in 1 BOX, UNIT-DOSE', PACKAGING_TYPES.UNIT_DOSE],
+    ['1 BLISTER PACK in 1 CARTON > 21 TABLET in 1 BLISTER PACK (DOSE PACK)', PACKAGING_TYPES.DOSE_PACK],
+    ['1 KIT in 1 CARTON', PACKAGING_TYPES.KIT],
+    ['1 INHALER in 1 CARTON > 200 ACTUATION in 1 INHALER', PACKAGING_TYPES.DEVICE],
+    ['1 PEN in 1 CARTON > 3 mL in 1 PEN', PACKAGING_TYPES.DEVICE],
+    ['2 INJECTOR, AUTO-INJECTOR in 1 CARTON > 0.3 mL in 1 INJECTOR', PACKAGING_TYPES.DEVICE],
+    ['5 SYRINGE in 1 CARTON > 3 mL in 1 SYRINGE', PACKAGING_TYPES.BULK],
+    ['5 CARTRIDGE in 1 CARTON > 3 mL in 1 CARTRIDGE', PACKAGING_TYPES.BULK]
+  ])('should classify "%s" as %s', (description, type) => {
+    expect(classifyPackaging(description)).toBe(type);
+  });
+
+  test('should treat a missing description as bulk', () => {
+    expect(classifyPackaging(undefined)).toBe(PACKAGING_TYPES.BULK);
+  });
+
+  test('should keep the packaging type on processed NDC records', () => {
+    const record = {
+      ndc: '0169-7501-11',
+      manufacturer: 'Novo Nordisk',
+      packageSize: 15,
+      packageUnit: 'ml',
+      packagingType: classifyPackaging('5 SYRINGE in 1 CARTON > 3 mL in 1 SYRINGE'),
+      dosageForm: 'injection, solution',
+      strength: '100 [iU]/mL',
+      status: 'active'
+    };
+
+    expect(ProcessedNDCRecordSchema.parse(record).packagingType).toBe(PACKAGING_TYPES.BULK);
+    expect(ProcessedNDCRecordSchema.safeParse({ ...record, packagingType: 'carton' }).success).toBe(false);
+  });
+});
+
+describe('packaging helpers', () => {
+  test('should treat kits, dose packs and devices as unbreakable', () => {
+    expect(isUnbreakablePackage(tabletNDC('1', 21, PACKAGING_TYPES.DOSE_PACK))).toBe(true);
+    expect(isUnbreakablePackage(tabletNDC('2', 1, PACKAGING_TYPES.KIT))).toBe(true);
+    expect(isUnbreakablePackage(tabletNDC('3', 100, PACKAGING_TYPES.UNIT_DOSE))).toBe(false);
+    expect(isUnbreakablePackage({ ndc: '4', packageSize: 30 })).toBe(false);
+  });
+
+  test('should prefer unit-dose only for institutional plan profiles', () => {
+    expect(prefersUnitDose('long_term_care')).toBe(true);
+    expect(prefersUnitDose('standard')).toBe(false);
+    expect(prefersUnitDose(undefined)).toBe(false);
+  });
+
+  test('should explain the constraint for unbreakable and unit-dose packages', () => {
+    expect(describePackagingConstraint([tabletNDC('1', 21, PACKAGING_TYPES.DOSE_PACK)]))
+      .toBe(' (dose pack: dispensed whole, not combined with other packages)');
+    expect(describePackagingConstraint([tabletNDC('2', 10, PACKAGING_TYPES.UNIT_DOSE)])).toBe(' (unit-dose)');
+    expect(describePackagingConstraint([tabletNDC('3', 30)])).toBe('');
+  });
+});
+
+describe('unbreakable packages in matching', () => {
+  test('should not mix an unbreakable package with other sizes', () => {
+    const ndcs = [tabletNDC('00000-0000-01', 21, PACKAGING_TYPES.DOSE_PACK), tabletNDC('00000-0000-02', 10)];
+    const combinations = solvePackageCombinations(31, ndcs, { maxOverfill: 10, maxUnderfill: 10 });
+
+    expect(combinations.length).toBeGreaterThan(0);
+    expect(combinations.every(combo => combo.ndcs.length === 1)).toBe(true);
+  });
+
+  test('should still mix breakable package sizes', () => {
+    const ndcs = [tabletNDC('00000-0000-01', 90), tabletNDC('00000-0000-02', 30, PACKAGING_TYPES.UNIT_DOSE)];
+    const [best] = solvePackageCombinations(150, ndcs);
+
+    expect(best.packages).toEqual([1, 2]);
+  });
+
+  test('should mix cartons of prefilled syringes with other carton sizes', () => {
+    const classify = (ndc, packageSize, description) => ({
+      ...tabletNDC(ndc, packageSize, classifyPackaging(description)),
+      dosageForm: 'injection, solution'
+    });
+    const ndcs = [
+      classify('00000-0000-01', 15, '5 SYRINGE in 1 CARTON > 3 mL in 1 SYRINGE'),
+      classify('00000-0000-02', 6, '2 CARTRIDGE in 1 CARTON > 3 mL in 1 CARTRIDGE')
+    ];
+    const [best] = solvePackageCombinations(21, ndcs);
+
+    expect(ndcs.some(isUnbreakablePackage)).toBe(false);
+    expect(best).toMatchObject({ totalQuantity: 21, packages: [1, 1] });
+  });
+
+  test('should explain the constraint in the breakdown', () => {
+    const result = selectOptimalNDCs(42, [tabletNDC('00000-0000-01', 21, PACKAGING_TYPES.DOSE_PACK)]);
+
+    expect(result.recommendations[0].packages).toEqual([2]);
+    expect(result.recommendations[0].breakdown).toContain('dose pack: dispensed whole');
+  });
+
+  test('should not plan a partial fill that mixes in an unbreakable package', () => {
+    const ndcs = [tabletNDC('00000-0000-01', 21, PACKAGING_TYPES.DOSE_PACK), tabletNDC('00000-0000-02', 100)];
+    const [partialFill] = planShortSupplyFills(30, ndcs);
+
+    expect(partialFill.ndcs).toHaveLength(1);
+    expect(partialFill.totalQuantity).toBe(21);
+  });
+});
+
+describe('unit-dose preference', () => {
+  const ndcs = [tabletNDC('00000-0000-01', 30), tabletNDC('00000-0000-02', 30, PACKAGING_TYPES.UNIT_DOSE)];
+
+  test('should keep the default ranking without the preference', () => {
+    const result = selectOptimalNDCs(30, ndcs);
+
+    expect(result.recommendations[0].ndcs[0].packagingType).toBe(PACKAGING_TYPES.BULK);
+  });
+
+  test('should rank unit-dose first when preferred', () => {
+    const result = selectOptimalNDCs(30, ndcs, { preferUnitDose: true });
+
+    expect(result.recommendations[0].ndcs[0].packagingType).toBe(PACKAGING_TYPES.UNIT_DOSE);
+    expect(result.recommendations[0].breakdown).toContain('(unit-dose)');
+  });
+});
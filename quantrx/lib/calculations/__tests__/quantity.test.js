@@ -0,0 +1,213 @@
+/**
+ * Unit tests for quantity calculation
+ *
+ * Tests dose × frequency × days supply calculations, multi-phase (taper)
+ * totals, min/max quantities for ranged SIGs, PRN ceilings, and input validation.
+ */
+
+import { calculateQuantity, calculateQuantityWithOverrides } from '../quantity.js';
+import { parseSIG } from '../sig-parsing.js';
+
+describe('Quantity Calculation', () => {
+
+  describe('calculateQuantity', () => {
+    test('should multiply dose, frequency and days supply', () => {
+      const result = calculateQuantity(
+        { dose: 1, frequency: 2, unit: 'tablet', parseSuccess: true },
+        30
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.quantity).toBe(60);
+      expect(result.calculation).toBe('1 × 2 × 30 = 60');
+    });
+
+    test('should reject invalid days supply', () => {
+      const result = calculateQuantity(
+        { dose: 1, frequency: 2, unit: 'tablet', parseSuccess: true },
+        0
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Days supply');
+    });
+  });
+
+  describe('Tapering SIGs', () => {
+    const taperSIG = {
+      dose: 4,
+      frequency: 1,
+      unit: 'tablet',
+      parseSuccess: true,
+      phases: [
+        { dose: 4, frequency: 1, unit: 'tablet', durationDays: 3 },
+        { dose: 3, frequency: 1, unit: 'tablet', durationDays: 3 },
+        { dose: 2, frequency: 1, unit: 'tablet', durationDays: 3 },
+        { dose: 1, frequency: 1, unit: 'tablet', durationDays: 3 }
+      ]
+    };
+
+    test('should sum quantities across phases', () => {
+      const result = calculateQuantity(taperSIG, 12);
+
+      expect(result.success).toBe(true);
+      expect(result.quantity).toBe(30);
+      expect(result.totalDays).toBe(12);
+      expect(result.phases).toHaveLength(4);
+    });
+
+    test('should list each phase in the breakdown', () => {
+      const result = calculateQuantity(taperSIG, 12);
+
+      expect(result.calculation).toBe(
+        'Phase 1: 4 × 1 × 3 = 12; Phase 2: 3 × 1 × 3 = 9; Phase 3: 2 × 1 × 3 = 6; Phase 4: 1 × 1 × 3 = 3; Total = 30'
+      );
+    });
+
+    test('should run an open-ended final phase for the rest of the days supply', () => {
+      const result = calculateQuantity({
+        ...taperSIG,
+        phases: [
+          { dose: 2, frequency: 1, unit: 'tablet', durationDays: 5 },
+          { dose: 1, frequency: 1, unit: 'tablet', durationDays: null }
+        ]
+      }, 30);
+
+      expect(result.success).toBe(true);
+      expect(result.quantity).toBe(35);
+    });
+
+    test('should count a one-time phase as a single dose', () => {
+      const result = calculateQuantity(parseSIG('Take 2 tablets now, then 1 tablet daily for 4 days'), 5);
+
+      expect(result.success).toBe(true);
+      expect(result.quantity).toBe(6);
+      expect(result.phases.map(phase => phase.quantity)).toEqual([2, 4]);
+    });
+
+    test('should fail when an open-ended phase has no remaining days', () => {
+      const result = calculateQuantity({
+        ...taperSIG,
+        phases: [
+          { dose: 2, frequency: 1, unit: 'tablet', durationDays: 10 },
+          { dose: 1, frequency: 1, unit: 'tablet', durationDays: null }
+        ]
+      }, 10);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('dosing phase 2');
+    });
+  });
+
+  describe('Ranged SIGs', () => {
+    const rangedSIG = {
+      dose: 2,
+      frequency: 6,
+      unit: 'tablet',
+      parseSuccess: true,
+      doseRange: { min: 1, max: 2 },
+      frequencyRange: { min: 4, max: 6 }
+    };
+
+    test('should default to the maximum quantity', () => {
+      const result = calculateQuantity(rangedSIG, 10);
+
+      expect(result.success).toBe(true);
+      expect(result.quantity).toBe(120);
+      expect(result.quantityRange).toEqual({ min: 40, max: 120 });
+      expect(result.rangeSelection).toBe('max');
+      expect(result.calculation).toBe('Min: 1 × 4 × 10 = 40; Max: 2 × 6 × 10 = 120; Using max = 120');
+    });
+
+    test('should use the minimum quantity when selected', () => {
+      const result = calculateQuantity(rangedSIG, 10, { rangeSelection: 'min' });
+
+      expect(result.quantity).toBe(40);
+      expect(result.dose).toBe(1);
+      expect(result.frequency).toBe(4);
+    });
+
+    test('should reject an unknown range selection', () => {
+      const result = calculateQuantity(rangedSIG, 10, { rangeSelection: 'average' });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Invalid range selection');
+    });
+
+    test('should drop a range when its value is overridden', () => {
+      const result = calculateQuantityWithOverrides(rangedSIG, 10, { dose: 1 });
+
+      expect(result.quantityRange).toEqual({ min: 40, max: 60 });
+      expect(result.quantity).toBe(60);
+    });
+  });
+
+  describe('As-needed SIGs', () => {
+    const prnSIG = {
+      dose: 1,
+      frequency: null,
+      unit: 'tablet',
+      parseSuccess: true,
+      asNeeded: true,
+      maxDailyDose: { amount: 6, unit: 'tablet' }
+    };
+
+    test('should use the maximum daily dose as the ceiling', () => {
+      const result = calculateQuantity(prnSIG, 10);
+
+      expect(result.success).toBe(true);
+      expect(result.quantity).toBe(60);
+      expect(result.basis).toBe('prn_ceiling');
+      expect(result.prnCeiling).toEqual({ perDay: 6, source: 'max_daily_dose' });
+    });
+
+    test('should use the interval when it is lower than the cap', () => {
+      const result = calculateQuantity({ ...prnSIG, frequency: 4 }, 10);
+
+      expect(result.quantity).toBe(40);
+      expect(result.prnCeiling.source).toBe('interval');
+    });
+
+    test('should multiply dose-count caps by the dose', () => {
+      const result = calculateQuantity({ ...prnSIG, dose: 2, maxDailyDose: { amount: 4, unit: 'dose' } }, 10);
+
+      expect(result.quantity).toBe(80);
+    });
+
+    test('should work out a ceiling for each end of a ranged PRN SIG', () => {
+      const rangedPRN = parseSIG('Take 1-2 tablets every 4-6 hours as needed');
+      const result = calculateQuantity(rangedPRN, 30);
+
+      expect(result.success).toBe(true);
+      expect(result.basis).toBe('prn_ceiling');
+      expect(result.quantityRange).toEqual({ min: 120, max: 360 });
+      expect(result.rangeSelection).toBe('max');
+      expect(result.quantity).toBe(360);
+
+      const minResult = calculateQuantity(rangedPRN, 30, { rangeSelection: 'min' });
+      expect(minResult.quantity).toBe(120);
+      expect(minResult).toMatchObject({ dose: 1, frequency: 4, rangeSelection: 'min' });
+    });
+
+    test('should cap each end of a ranged PRN SIG by the dose-count limit', () => {
+      const result = calculateQuantity(parseSIG('Take 1-2 tabs q4-6h prn, not to exceed 4 doses in 24h'), 10);
+
+      expect(result.quantityRange).toEqual({ min: 40, max: 80 });
+      expect(result.prnCeiling.source).toBe('max_daily_dose');
+    });
+
+    test('should reject an unknown range selection for a ranged PRN SIG', () => {
+      const result = calculateQuantity(parseSIG('Take 1-2 tablets every 4-6 hours as needed'), 10, { rangeSelection: 'average' });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Invalid range selection');
+    });
+
+    test('should fail without a cap or interval', () => {
+      const result = calculateQuantity({ ...prnSIG, maxDailyDose: null }, 10);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('as needed');
+    });
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Unit tests for dosing regimens
+ *
+ * Tests parsing of weekly, interval and cyclical schedules, exact dose
+ * counting over a days supply, and quantities from parsed SIGs.
+ */
+
+import { parseRegimen, countRegimenDoses } from '../regimen.js';
+import { parseFrequencyText, parseFrequencyRegimen } from '../frequency-parsing.js';
+import { parseSIG } from '../sig-parsing.js';
+import { calculateQuantity } from '../quantity.js';
+
+describe('Dosing Regimens', () => {
+  describe('parseRegimen', () => {
+    test('should parse weekly schedules on named days', () => {
+      expect(parseRegimen('once weekly on mondays')).toMatchObject({ cycleDays: 7, dosingDays: [0] });
+      expect(parseRegimen('on mon, wed and fri')).toMatchObject({ cycleDays: 7, dosingDays: [0, 2, 4] });
+    });
+
+    test('should parse interval schedules', () => {
+      expect(parseRegimen('every other day')).toMatchObject({ cycleDays: 2, dosingDays: [0] });
+      expect(parseRegimen('qod')).toMatchObject({ cycleDays: 2 });
+      expect(parseRegimen('every 28 days')).toMatchObject({ cycleDays: 28, dosingDays: [0] });
+      expect(parseRegimen('every 2 weeks')).toMatchObject({ cycleDays: 14 });
+      expect(parseRegimen('once a month')).toMatchObject({ cycleDays: 30 });
+    });
+
+    test('should parse cyclical schedules', () => {
+      const regimen = parseRegimen('on days 1-21 of a 28-day cycle');
+
+      expect(regimen.cycleDays).toBe(28);
+      expect(regimen.dosingDays).toHaveLength(21);
+      expect(parseRegimen('21 days on, 7 days off').dosingDays).toHaveLength(21);
+    });
+
+    test('should spread weekly doses over the week', () => {
+      expect(parseRegimen('twice weekly').dosingDays).toEqual([0, 3]);
+      expect(parseRegimen('3 times per week').dosingDays).toEqual([0, 2, 4]);
+    });
+
+    test('should ignore daily and hourly schedules', () => {
+      expect(parseRegimen('twice daily')).toBeNull();
+      expect(parseRegimen('every 6 hours')).toBeNull();
+      expect(parseRegimen('once a day for 14 days')).toBeNull();
+    });
+  });
+
+  describe('frequency parsing', () => {
+    test('should return the average daily frequency for a regimen', () => {
+      expect(parseFrequencyText('once weekly')).toBe(0.14);
+      expect(parseFrequencyText('every other day')).toBe(0.5);
+      expect(parseFrequencyText('daily on days 1-21 of a 28-day cycle')).toBe(0.75);
+    });
+
+    test('should read the doses on each dosing day', () => {
+      expect(parseFrequencyRegimen('twice daily on days 1-14 of a 21-day cycle').dosesPerDosingDay).toBe(2);
+      expect(parseFrequencyRegimen('once weekly').dosesPerDosingDay).toBe(1);
+    });
+  });
+
+  describe('countRegimenDoses', () => {
+    test('should count whole doses in full and partial cycles', () => {
+      expect(countRegimenDoses({ cycleDays: 7, dosingDays: [0] }, 90)).toBe(13);
+      expect(countRegimenDoses({ cycleDays: 28, dosingDays: Array.from({ length: 21 }, (_, i) => i) }, 90)).toBe(69);
+      expect(countRegimenDoses({ cycleDays: 21, dosingDays: [0, 1], dosesPerDosingDay: 2 }, 42)).toBe(8);
+    });
+  });
+
+  describe('quantity', () => {
+    test('should dispense whole doses of weekly methotrexate', () => {
+      const parsedSIG = parseSIG('Take 4 tablets once weekly on Mondays');
+      const result = calculateQuantity(parsedSIG, 90);
+
+      expect(parsedSIG.regimen.description).toBe('weekly on Monday');
+      expect(result.quantity).toBe(52);
+      expect(result.doseCount).toBe(13);
+      expect(result.calculation).toBe('4 × 13 doses (weekly on Monday over 90 days) = 52');
+    });
+
+    test('should dispense a 21/7 oral contraceptive by active days', () => {
+      const parsedSIG = parseSIG('Take 1 tablet daily on days 1-21 of a 28-day cycle');
+
+      expect(calculateQuantity(parsedSIG, 84).quantity).toBe(63);
+    });
+
+    test('should handle every-other-day dosing', () => {
+      const parsedSIG = parseSIG('Take 1 tablet every other day');
+
+      expect(calculateQuantity(parsedSIG, 30).quantity).toBe(15);
+    });
+
+    test('should leave daily SIGs unchanged', () => {
+      const parsedSIG = parseSIG('Take 1 tablet twice daily');
+
+      expect(parsedSIG.regimen).toBeUndefined();
+      expect(calculateQuantity(parsedSIG, 30).quantity).toBe(60);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Unit tests for the quantity rounding policy engine
+ *
+ * Tests policy selection by dosage form, plan profile, explicit request and
+ * controlled-substance status, and rounding by each policy type.
+ */
+
+import { isControlledSubstance, resolveRoundingPolicy, applyRoundingPolicy } from '../rounding-policy.js';
+import { calculateQuantity } from '../quantity.js';
+import { parseSIG } from '../sig-parsing.js';
+import { applyRoundingPolicyStep } from '../../services/quantity-rounding.js';
+
+/**
+ * Resolve a policy and fail the test if it cannot be resolved
+ * @param {Object} context - Policy context
+ * @returns {Object} Resolved policy
+ */
+function policyFor(context) {
+  const result = resolveRoundingPolicy(context);
+  expect(result.success).toBe(true);
+  return result.data;
+}
+
+describe('Rounding Policy', () => {
+  describe('resolveRoundingPolicy', () => {
+    test('should use the dosage form default', () => {
+      expect(policyFor({ dosageForm: 'tablet' })).toMatchObject({ name: 'whole_unit', source: 'dosage_form' });
+      expect(policyFor({ dosageForm: 'cream' })).toMatchObject({ name: 'whole_package', source: 'dosage_form' });
+      expect(policyFor({ dosageForm: 'solution' }).name).toBe('none');
+      expect(policyFor({ unit: 'capsule' }).name).toBe('whole_unit');
+    });
+
+    test('should apply plan profile overrides for the dosage form', () => {
+      expect(policyFor({ dosageForm: 'tablet', planProfile: 'long_term_care' }))
+        .toMatchObject({ name: 'blister_card_30', source: 'plan_profile', planProfile: 'long_term_care' });
+      expect(policyFor({ dosageForm: 'suspension', planProfile: 'medicaid' }).name).toBe('nearest_5_ml');
+      expect(policyFor({ dosageForm: 'cream', planProfile: 'medicaid' })).toMatchObject({ name: 'whole_package', source: 'dosage_form' });
+    });
+
+    test('should prefer an explicit policy, except for controlled substances', () => {
+      expect(policyFor({ dosageForm: 'tablet', planProfile: 'long_term_care', policy: 'blister_card_28' }))
+        .toMatchObject({ name: 'blister_card_28', source: 'request' });
+      expect(policyFor({ dosageForm: 'tablet', drugName: 'oxycodone 5 MG Oral Tablet', policy: 'blister_card_30' }))
+        .toMatchObject({ name: 'no_overfill', source: 'controlled_substance' });
+    });
+
+    test('should reject unknown profiles and policies', () => {
+      expect(resolveRoundingPolicy({ planProfile: 'cash' }).error).toContain('Unknown plan profile');
+      expect(resolveRoundingPolicy({ policy: 'nearest_10' }).error).toContain('Unknown rounding policy');
+    });
+
+    test('should recognise controlled substances by ingredient', () => {
+      expect(isControlledSubstance('Hydrocodone Bitartrate 5 MG / Acetaminophen 325 MG')).toBe(true);
+      expect(isControlledSubstance('lisinopril 10 MG Oral Tablet')).toBe(false);
+    });
+  });
+
+  describe('applyRoundingPolicy', () => {
+    test('should round solids up to whole blister cards', () => {
+      const quantityData = { quantity: 45, unit: 'tablet', calculation: '1.5 tablet × 1 × 30 days = 45 tablet' };
+      const rounded = applyRoundingPolicy(quantityData, policyFor({ dosageForm: 'tablet', planProfile: 'long_term_care' }));
+
+      expect(rounded.quantity).toBe(60);
+      expect(rounded.roundingPolicy).toMatchObject({ name: 'blister_card_30', calculatedQuantity: 45, quantity: 60, basis: '30 per card' });
+      expect(rounded.calculation).toContain('Rounding policy blister_card_30 (30 per card) = 60');
+    });
+
+    test('should round liquids up to the next 5 mL', () => {
+      const rounded = applyRoundingPolicy({ quantity: 112.5, unit: 'ml', calculation: '' }, policyFor({ dosageForm: 'suspension', planProfile: 'medicaid' }));
+
+      expect(rounded.quantity).toBe(115);
+    });
+
+    test('should round up to whole packages of the matching unit', () => {
+      const packages = [
+        { packageSize: 30, packageUnit: 'g' },
+        { packageSize: 15, packageUnit: 'g' },
+        { packageSize: 1, packageUnit: null }
+      ];
+      const rounded = applyRoundingPolicy({ quantity: 40, unit: 'g', calculation: '' }, policyFor({ dosageForm: 'cream' }), packages);
+
+      expect(rounded.quantity).toBe(45);
+      expect(rounded.roundingPolicy.basis).toBe('15 per package');
+    });
+
+    test('should keep the quantity when no package matches the unit', () => {
+      const rounded = applyRoundingPolicy({ quantity: 40, unit: 'g', calculation: 'x' }, policyFor({ dosageForm: 'cream' }), [{ packageSize: 1, packageUnit: null }]);
+
+      expect(rounded.quantity).toBe(40);
+      expect(rounded.calculation).toBe('x');
+    });
+
+    test('should never exceed the days supply for controlled substances', () => {
+      const quantityResult = calculateQuantity(parseSIG('Take 1.5 tablets three times daily'), 5);
+      const rounded = applyRoundingPolicy(quantityResult, policyFor({ dosageForm: 'tablet', drugName: 'oxycodone 5 MG Oral Tablet' }));
+
+      expect(quantityResult).toMatchObject({ quantity: 23, exactQuantity: 22.5 });
+      expect(rounded.quantity).toBe(22);
+      expect(rounded.roundingPolicy.basis).toBe('no more than the days supply');
+    });
+  });
+
+  describe('applyRoundingPolicyStep', () => {
+    test('should add a notice when the quantity changes', () => {
+      const result = applyRoundingPolicyStep(
+        { quantity: 45, unit: 'tablet', calculation: '' },
+        { active: [], inactive: [] },
+        { dosageForm: 'tablet', planProfile: 'long_term_care' }
+      );
+
+      expect(result.data.quantity).toBe(60);
+      expect(result.warnings).toHaveLength(1);
+      expect(result.warnings[0]).toMatchObject({ type: 'quantity_rounded', severity: 'info' });
+      expect(result.warnings[0].message).toContain('rounded up from 45 to 60 tablet');
+    });
+
+    test('should fail for an unknown plan profile', () => {
+      const result = applyRoundingPolicyStep({ quantity: 30, unit: 'tablet', calculation: '' }, null, { planProfile: 'cash' });
+
+      expect(result.success).toBe(false);
+    });
+  });
+});
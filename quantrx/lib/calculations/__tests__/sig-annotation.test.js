@@ -0,0 +1,123 @@
+/**
+ * Unit tests for SIG span annotation
+ *
+ * Tests building spans from parse trace matches, and the annotation parseSIG
+ * attaches: labelled dose, unit, route, frequency, duration and indication
+ * spans, and the words a parse did not read.
+ */
+
+import { annotateSIG, SIG_SPAN_TYPES } from '../sig-annotation.js';
+import { parseSIG } from '../sig-parsing.js';
+
+/**
+ * Reduce the annotation of a parsed SIG to "type:text" labels, leaving out plain text
+ * @param {string} sig - SIG text
+ * @returns {Array<string>} Labels in order
+ */
+function labels(sig) {
+  return parseSIG(sig).annotation
+    .filter(span => span.type !== SIG_SPAN_TYPES.TEXT)
+    .map(span => `${span.type}:${span.text}`);
+}
+
+/**
+ * Get the words of a parsed SIG that the parse did not read
+ * @param {string} sig - SIG text
+ * @returns {Array<string>} Unrecognized words in order
+ */
+function unrecognized(sig) {
+  return parseSIG(sig).annotation
+    .filter(span => span.type === SIG_SPAN_TYPES.UNRECOGNIZED)
+    .map(span => span.text);
+}
+
+describe('SIG Annotation', () => {
+  describe('annotateSIG', () => {
+    test('should label the matches of a parse and flag the rest', () => {
+      const sig = 'Take 1 tablet daily';
+      const { spans, unrecognized: words } = annotateSIG(sig, [
+        { type: SIG_SPAN_TYPES.DOSE, start: 5, end: 6, value: 1 },
+        { type: SIG_SPAN_TYPES.FREQUENCY, start: 14, end: 19, value: 1 }
+      ]);
+
+      expect(spans.filter(span => span.type !== SIG_SPAN_TYPES.TEXT).map(span => `${span.type}:${span.text}`))
+        .toEqual(['dose:1', 'unrecognized:tablet', 'frequency:daily']);
+      expect(words).toEqual(['tablet']);
+    });
+
+    test('should let the first of two overlapping matches win', () => {
+      const { spans } = annotateSIG('1 tab', [
+        { type: SIG_SPAN_TYPES.DOSE, start: 0, end: 1, value: 1 },
+        { type: SIG_SPAN_TYPES.UNIT, start: 0, end: 5, value: 'tablet' }
+      ]);
+
+      expect(spans.map(span => span.type)).toEqual([SIG_SPAN_TYPES.DOSE, SIG_SPAN_TYPES.TEXT, SIG_SPAN_TYPES.UNRECOGNIZED]);
+    });
+
+    test('should handle empty input', () => {
+      expect(annotateSIG('')).toEqual({ spans: [], unrecognized: [] });
+      expect(annotateSIG(null)).toEqual({ spans: [], unrecognized: [] });
+    });
+  });
+
+  describe('parseSIG', () => {
+    test('should label dose, unit, route and frequency', () => {
+      expect(labels('Take 1 tablet by mouth twice daily')).toEqual([
+        'dose:1', 'unit:tablet', 'route:by mouth', 'frequency:twice daily'
+      ]);
+    });
+
+    test('should label durations and indications', () => {
+      expect(labels('Take 1-2 tabs po q4-6h prn for pain x 10 days')).toEqual([
+        'dose:1-2', 'unit:tabs', 'route:po', 'frequency:q4-6h', 'frequency:prn', 'indication:for pain', 'duration:x 10 days'
+      ]);
+      expect(labels('Take 1 tablet as needed for pain, max 6 tablets per day')).toContain('max_dose:max 6 tablets per day');
+    });
+
+    test('should end an indication where the schedule starts', () => {
+      expect(labels('Take 1 tablet for blood pressure daily')).toContain('indication:for blood pressure');
+    });
+
+    test('should label eye and ear sites as route', () => {
+      expect(labels('Instill 1 drop into each eye bid')).toContain('route:eye');
+    });
+
+    test('should label the values the parse read', () => {
+      const spans = parseSIG('Take 2 tabs three times a day for 7 days').annotation;
+      const valueOf = (type) => spans.find(span => span.type === type).value;
+
+      expect(valueOf(SIG_SPAN_TYPES.DOSE)).toBe(2);
+      expect(valueOf(SIG_SPAN_TYPES.UNIT)).toBe('tablet');
+      expect(valueOf(SIG_SPAN_TYPES.FREQUENCY)).toBe(3);
+      expect(valueOf(SIG_SPAN_TYPES.DURATION)).toBe(7);
+    });
+
+    test('should flag unrecognized words but not connecting words', () => {
+      expect(unrecognized('Take 1 tablet twice daily blorp florb')).toEqual(['blorp', 'florb']);
+      expect(unrecognized('Take 1 tablet by mouth daily with food')).toEqual([]);
+    });
+
+    test('should flag the words a misread parse skipped', () => {
+      expect(parseSIG('Take 1 and 1/2 tablets daily').dose).toBe(1);
+      expect(unrecognized('Take 1 and 1/2 tablets daily')).toEqual(['1/2', 'tablets']);
+      expect(unrecognized('Take 1 tablet by mouth 3 times daily')).toEqual([]);
+      expect(unrecognized('Take one tab three times a day for 7 days')).toContain('one');
+    });
+
+    test('should cover the whole text in order', () => {
+      const sig = 'Take 2 caps q12h x 3 days, then 1 cap daily';
+      const spans = parseSIG(sig).annotation;
+
+      expect(spans.map(span => span.text).join('')).toBe(sig);
+      spans.forEach(span => expect(sig.slice(span.start, span.end)).toBe(span.text));
+    });
+
+    test('should return the annotation with successful and failed parses', () => {
+      expect(parseSIG('Take 1 tablet twice daily').annotation.length).toBeGreaterThan(0);
+
+      const failed = parseSIG('Take as directed by cardiology');
+      expect(failed.parseSuccess).toBe(false);
+      expect(failed.annotation.some(span => span.type === SIG_SPAN_TYPES.UNRECOGNIZED)).toBe(true);
+    });
+  });
+});
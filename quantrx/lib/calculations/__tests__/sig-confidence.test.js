@@ -0,0 +1,142 @@
+/**
+ * Unit tests for the SIG parse confidence model
+ *
+ * Tests scoring by strategy, text coverage, unread numbers, ambiguity and
+ * translation, the dosage-form agreement adjustment, and the pharmacist review step.
+ */
+
+import {
+  scoreParseConfidence,
+  getParsingConfidence,
+  checkDosageFormAgreement,
+  applyDosageFormAgreement
+} from '../sig-confidence.js';
+import { parseSIG, parseSIGWithProvider } from '../sig-parsing.js';
+import { reviewParsedSIGStep, getReviewThreshold } from '../../services/sig-review.js';
+import { STRATEGY_CONFIDENCE, MAX_PARSE_CONFIDENCE } from '../../constants/confidence.js';
+
+describe('SIG Confidence', () => {
+  describe('scoreParseConfidence', () => {
+    test('should score failed parses as zero', () => {
+      expect(scoreParseConfidence(parseSIG('Use as directed'))).toEqual({ confidence: 0, factors: null });
+    });
+
+    test('should start from the confidence of the strategy that matched', () => {
+      const structured = scoreParseConfidence(parseSIG('Take 1 tablet by mouth twice daily'));
+      const complex = scoreParseConfidence(parseSIG('Daily take 1 tablet'));
+      const topical = scoreParseConfidence(parseSIG('Apply to affected area twice daily'));
+
+      expect(structured.factors).toMatchObject({ strategy: 'structured', coverage: 1, unreadNumbers: false, ambiguous: false });
+      expect(structured.confidence).toBe(Math.min(STRATEGY_CONFIDENCE.structured, MAX_PARSE_CONFIDENCE));
+      expect(complex.confidence).toBeLessThan(structured.confidence);
+      expect(topical.confidence).toBe(STRATEGY_CONFIDENCE.topical);
+    });
+
+    test('should lower the score when part of the SIG was not understood', () => {
+      const result = scoreParseConfidence(parseSIG('Take 1 tablet twice daily blorp zing quux'));
+
+      expect(result.factors.coverage).toBeLessThan(1);
+      expect(result.confidence).toBeLessThan(0.9);
+    });
+
+    test('should lower the score when strategies read the SIG differently', () => {
+      const result = scoreParseConfidence(parseSIG('take 1 mg tab daily'));
+
+      expect(result.factors.ambiguous).toBe(true);
+      expect(result.confidence).toBe(0.76);
+    });
+
+    test('should score misread SIGs below the review threshold', () => {
+      const skippedFraction = parseSIG('Take 1 and 1/2 tablets daily');
+
+      expect(skippedFraction.dose).toBe(1);
+      expect(scoreParseConfidence(skippedFraction).factors.unreadNumbers).toBe(true);
+      expect(getParsingConfidence(skippedFraction)).toBeLessThan(0.6);
+      expect(getParsingConfidence(parseSIG('Take one tab three times a day for 7 days'))).toBeLessThan(0.6);
+    });
+
+    test('should lower the score for translated SIGs', () => {
+      const result = scoreParseConfidence(parseSIG('Tomar 1 tableta dos veces al día'));
+
+      expect(result.factors.translated).toBe(true);
+      expect(result.confidence).toBe(0.94);
+    });
+
+    test('should match getParsingConfidence', () => {
+      const parsed = parseSIG('2 capsules three times daily');
+
+      expect(getParsingConfidence(parsed)).toBe(scoreParseConfidence(parsed).confidence);
+    });
+  });
+
+  describe('dosage form agreement', () => {
+    test('should compare the SIG unit with the dosage form', () => {
+      expect(checkDosageFormAgreement('tablet', 'TABLET, FILM COATED')).toBe(true);
+      expect(checkDosageFormAgreement('ml', 'Oral Solution')).toBe(true);
+      expect(checkDosageFormAgreement('tablet', 'capsule')).toBe(false);
+      expect(checkDosageFormAgreement('tablet', null)).toBeNull();
+      expect(checkDosageFormAgreement('mg', 'tablet')).toBeNull();
+    });
+
+    test('should raise or lower the confidence and record the agreement', async () => {
+      const parsed = await parseSIGWithProvider('1 tab po bid');
+
+      expect(applyDosageFormAgreement(parsed, 'tablet')).toMatchObject({
+        confidence: 0.95,
+        confidenceFactors: { strategy: 'abbreviated', dosageFormAgreement: true }
+      });
+      expect(applyDosageFormAgreement(parsed, 'capsule').confidence).toBe(0.7);
+      expect(applyDosageFormAgreement(parsed, null).confidence).toBe(parsed.confidence);
+    });
+  });
+
+  describe('pharmacist review', () => {
+    test('should require review below the threshold', async () => {
+      const parsed = await parseSIGWithProvider('1 tab po bid');
+      const result = reviewParsedSIGStep(parsed, 'capsule', 0.75);
+
+      expect(result.data.confidence).toBe(0.7);
+      expect(result.warnings).toEqual([expect.objectContaining({
+        type: 'pharmacist_review_required',
+        severity: 'warning',
+        data: expect.objectContaining({ confidence: 0.7, threshold: 0.75 })
+      })]);
+    });
+
+    test('should not let dosage-form agreement lift a parse past review', async () => {
+      const parsed = await parseSIGWithProvider('Take 1 tablet by mouth daily, 90 day supply');
+      const result = reviewParsedSIGStep(parsed, 'tablet');
+
+      expect(parsed.confidence).toBeGreaterThanOrEqual(0.55);
+      expect(parsed.confidence).toBeLessThan(0.6);
+      expect(result.data.confidence).toBe(parsed.confidence);
+      expect(result.data.confidenceFactors.dosageFormAgreement).toBe(true);
+      expect(result.warnings).toEqual([expect.objectContaining({ type: 'pharmacist_review_required' })]);
+    });
+
+    test('should not require review at or above the threshold', async () => {
+      const parsed = await parseSIGWithProvider('Take 1 tablet by mouth twice daily');
+
+      expect(reviewParsedSIGStep(parsed, 'tablet').warnings).toEqual([]);
+      expect(reviewParsedSIGStep({ dose: 1, frequency: 2, unit: 'tablet' }, 'capsule').warnings).toEqual([]);
+    });
+
+    test('should read the threshold from the environment', () => {
+      const previous = process.env.SIG_REVIEW_CONFIDENCE_THRESHOLD;
+      process.env.SIG_REVIEW_CONFIDENCE_THRESHOLD = '0.8';
+
+      try {
+        expect(getReviewThreshold()).toBe(0.8);
+        expect(getReviewThreshold(0.5)).toBe(0.5);
+        process.env.SIG_REVIEW_CONFIDENCE_THRESHOLD = 'high';
+        expect(getReviewThreshold()).toBe(0.6);
+      } finally {
+        if (previous === undefined) {
+          delete process.env.SIG_REVIEW_CONFIDENCE_THRESHOLD;
+        } else {
+          process.env.SIG_REVIEW_CONFIDENCE_THRESHOLD = previous;
+        }
+      }
+    });
+  });
+});
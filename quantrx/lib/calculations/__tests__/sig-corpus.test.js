@@ -0,0 +1,110 @@
+/**
+ * SIG corpus regression tests
+ *
+ * Scores parseSIG against the golden SIG corpus and fails when accuracy drops
+ * below the stored baseline or the strategy starting confidence no longer
+ * matches it. After an intended improvement, refresh the baseline with
+ * `npm run test:sig-corpus -- --update-baseline`.
+ */
+
+import { readFileSync } from 'fs';
+import path from 'path';
+import {
+  evaluateSIGCase,
+  evaluateSIGCorpus,
+  createCorpusBaseline,
+  compareToBaseline,
+  calibrateStrategyConfidence,
+  UNPARSED_STRATEGY
+} from '../sig-corpus.js';
+import {
+  STRATEGY_CONFIDENCE,
+  UNKNOWN_STRATEGY_CONFIDENCE,
+  DEFAULT_REVIEW_CONFIDENCE_THRESHOLD
+} from '../../constants/confidence.js';
+
+const FIXTURE_DIR = path.join(process.cwd(), 'lib/calculations/__tests__/fixtures');
+
+/**
+ * Read a JSON fixture
+ * @param {string} name - File name in the fixtures directory
+ * @returns {Object} Parsed fixture
+ */
+function readFixture(name) {
+  return JSON.parse(readFileSync(path.join(FIXTURE_DIR, name), 'utf8'));
+}
+
+describe('SIG Corpus', () => {
+  const corpus = readFixture('sig-corpus.json');
+  const baseline = readFixture('sig-corpus-baseline.json');
+  const report = evaluateSIGCorpus(corpus.cases);
+
+  describe('golden corpus', () => {
+    test('should hold several hundred uniquely identified cases', () => {
+      const ids = corpus.cases.map(testCase => testCase.id);
+
+      expect(corpus.cases.length).toBeGreaterThanOrEqual(300);
+      expect(new Set(ids).size).toBe(ids.length);
+    });
+
+    test('should not drop below the baseline accuracy', () => {
+      const comparison = compareToBaseline(report, baseline);
+
+      expect(comparison.newlyFailing).toEqual([]);
+      expect(report.accuracy).toBeGreaterThanOrEqual(baseline.accuracy);
+      expect(comparison.regressed).toBe(false);
+    });
+
+    test('should start each strategy from its calibrated baseline accuracy', () => {
+      expect(STRATEGY_CONFIDENCE).toEqual(calibrateStrategyConfidence(baseline.byStrategy));
+    });
+
+    test('should score misread cases below the review threshold', () => {
+      const misread = report.results.filter(result => !result.passed && result.strategy !== UNPARSED_STRATEGY);
+
+      misread.forEach(result => expect(result.confidence).toBeLessThan(DEFAULT_REVIEW_CONFIDENCE_THRESHOLD));
+    });
+  });
+
+  describe('evaluation', () => {
+    test('should calibrate strategies without corpus cases to the unknown-strategy confidence', () => {
+      const calibrated = calibrateStrategyConfidence({ structured: { total: 96, passed: 96, accuracy: 1 } });
+
+      expect(calibrated.structured).toBe(0.98);
+      expect(calibrated.complex).toBe(UNKNOWN_STRATEGY_CONFIDENCE);
+    });
+
+    test('should compare only the expected fields', () => {
+      const result = evaluateSIGCase({
+        id: 'example-001',
+        category: 'structured',
+        sig: 'Take 1 tablet once weekly',
+        expected: { dose: 1, frequency: 0.14 }
+      });
+
+      expect(result).toMatchObject({ passed: true, strategy: 'structured', mismatches: [] });
+    });
+
+    test('should report mismatched fields and unparsed SIGs', () => {
+      const wrong = evaluateSIGCase({ id: 'a', category: 'x', sig: '1 tab po bid', expected: { frequency: 3 } });
+      const unparsed = evaluateSIGCase({ id: 'b', category: 'x', sig: 'Use as directed', expected: { parseSuccess: false } });
+
+      expect(wrong.mismatches).toEqual([{ field: 'frequency', expected: 3, actual: 2 }]);
+      expect(unparsed).toMatchObject({ passed: true, strategy: UNPARSED_STRATEGY });
+    });
+
+    test('should flag a category that loses accuracy', () => {
+      const cases = [
+        { id: 'a', category: 'prn', sig: 'Take 1 tablet every 6 hours as needed', expected: { frequency: 4 } },
+        { id: 'b', category: 'prn', sig: 'Take 1 tablet every 8 hours as needed', expected: { frequency: 3 } }
+      ];
+      const stored = createCorpusBaseline(evaluateSIGCorpus(cases));
+      const broken = evaluateSIGCorpus(cases, (sig) => ({ parseSuccess: true, strategy: 'prn', frequency: sig.includes('6') ? 4 : 1 }));
+
+      const comparison = compareToBaseline(broken, stored);
+
+      expect(comparison).toMatchObject({ regressed: true, newlyFailing: ['b'], accuracyDelta: -0.5 });
+      expect(comparison.categories).toEqual([{ name: 'prn', accuracy: 0.5, baselineAccuracy: 1, delta: -0.5 }]);
+    });
+  });
+});
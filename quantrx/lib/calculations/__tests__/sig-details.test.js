@@ -0,0 +1,81 @@
+/**
+ * Unit tests for SIG route, site, timing and indication extraction
+ *
+ * Tests detail extraction from SIG text, FDA route normalization and the
+ * route compatibility check used to flag mismatched NDCs.
+ */
+
+import {
+  extractSIGDetails,
+  parseRouteText,
+  normalizeFDARoutes,
+  isRouteCompatible
+} from '../sig-details.js';
+import { parseSIG } from '../sig-parsing.js';
+import { checkNDCRouteStep } from '../../services/route-check.js';
+
+describe('SIG Details', () => {
+  describe('extractSIGDetails', () => {
+    test('should read stated routes', () => {
+      expect(parseRouteText('Take 1 tab PO BID')).toBe('oral');
+      expect(parseRouteText('Inject 10 units SQ daily')).toBe('subcutaneous');
+      expect(parseRouteText('Dissolve 1 tablet under the tongue')).toBe('sublingual');
+      expect(parseRouteText('Take 1 tablet daily')).toBeNull();
+    });
+
+    test('should read sites and the routes they imply', () => {
+      expect(extractSIGDetails('Instill 1 drop in left eye twice daily')).toMatchObject({
+        route: 'ophthalmic',
+        site: 'left eye'
+      });
+      expect(extractSIGDetails('Instill 2 drops AU tid')).toMatchObject({ route: 'otic', site: 'both ears' });
+      expect(extractSIGDetails('1 spray in each nostril daily')).toMatchObject({ route: 'nasal', site: 'each nostril' });
+    });
+
+    test('should read timing and indication', () => {
+      expect(extractSIGDetails('Take 1 tablet by mouth at bedtime')).toMatchObject({ timing: 'at bedtime', indication: null });
+      expect(extractSIGDetails('Take 1-2 tablets every 6 hours as needed for pain').indication).toBe('pain');
+      expect(extractSIGDetails('Take 1 tablet for blood pressure daily').indication).toBe('blood pressure');
+      expect(extractSIGDetails('Take 1 tablet daily for 10 days').indication).toBeNull();
+    });
+  });
+
+  describe('parseSIG', () => {
+    test('should keep route tokens from abbreviated SIGs', () => {
+      expect(parseSIG('1 tab PO BID')).toMatchObject({ dose: 1, unit: 'tablet', frequency: 2, route: 'oral' });
+      expect(parseSIG('1 cap IM daily')).toMatchObject({ unit: 'capsule', route: 'intramuscular' });
+    });
+
+    test('should attach details to every parse', () => {
+      const result = parseSIG('Take 1 tablet by mouth with food every morning');
+
+      expect(result).toMatchObject({ route: 'oral', timing: 'with food', site: null, indication: null });
+    });
+  });
+
+  describe('route check', () => {
+    test('should normalize FDA route names', () => {
+      expect(normalizeFDARoutes(['ORAL'])).toEqual(['oral']);
+      expect(normalizeFDARoutes(['RESPIRATORY (INHALATION)', 'DENTAL'])).toEqual(['inhalation', 'dental']);
+      expect(normalizeFDARoutes(undefined)).toEqual([]);
+    });
+
+    test('should compare SIG and NDC routes', () => {
+      expect(isRouteCompatible('oral', ['oral'])).toBe(true);
+      expect(isRouteCompatible('oral', ['sublingual'])).toBe(true);
+      expect(isRouteCompatible('oral', ['subcutaneous'])).toBe(false);
+      expect(isRouteCompatible(null, ['oral'])).toBeNull();
+      expect(isRouteCompatible('oral', [])).toBeNull();
+    });
+
+    test('should warn when an oral SIG matches an injectable NDC', () => {
+      const recommendations = [{ ndcs: [{ ndc: '0002-8215-01', routes: ['subcutaneous'] }] }];
+      const result = checkNDCRouteStep({ route: 'oral' }, recommendations);
+
+      expect(result.warnings).toHaveLength(1);
+      expect(result.warnings[0]).toMatchObject({ type: 'route_mismatch', severity: 'warning' });
+      expect(checkNDCRouteStep({ route: 'subcutaneous' }, recommendations).warnings).toEqual([]);
+      expect(checkNDCRouteStep(null, recommendations).warnings).toEqual([]);
+    });
+  });
+});
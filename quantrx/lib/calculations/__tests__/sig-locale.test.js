@@ -0,0 +1,78 @@
+/**
+ * Unit tests for Spanish SIG parsing
+ *
+ * Tests language detection, translation of Spanish SIG vocabulary and
+ * parsing of Spanish SIGs through the English strategies.
+ */
+
+import { detectSIGLanguage, translateSpanishSIG } from '../sig-locale.js';
+import { parseSIG } from '../sig-parsing.js';
+
+describe('SIG Locale', () => {
+  describe('detectSIGLanguage', () => {
+    test('should detect Spanish and English SIGs', () => {
+      expect(detectSIGLanguage('tomar 1 tableta dos veces al día')).toBe('es');
+      expect(detectSIGLanguage('TOMAR UNA TABLETA UNA VEZ AL DIA')).toBe('es');
+      expect(detectSIGLanguage('Take 1 tablet once daily')).toBe('en');
+      expect(detectSIGLanguage('')).toBe('en');
+    });
+  });
+
+  describe('translateSpanishSIG', () => {
+    test('should translate with or without accents', () => {
+      expect(translateSpanishSIG('tomar 1 tableta dos veces al día').text).toBe('take 1 tablet twice daily');
+      expect(translateSpanishSIG('tomar 1 tableta dos veces al dia').text).toBe('take 1 tablet twice daily');
+    });
+
+    test('should translate number words inside phrases', () => {
+      expect(translateSpanishSIG('Tome dos cápsulas cada ocho horas por diez días').text)
+        .toBe('take 2 capsules every 8 hours for 10 days');
+      expect(translateSpanishSIG('Tomar media tableta al acostarse').text).toBe('take 0.5 tablet at bedtime');
+    });
+
+    test('should record each translation with its position and type', () => {
+      const { translations } = translateSpanishSIG('Aplicar 2 gotas en el ojo derecho');
+
+      expect(translations.map(({ term, type }) => [term, type])).toEqual([
+        ['Aplicar', 'text'],
+        ['gotas', 'unit'],
+        ['en el ojo derecho', 'route']
+      ]);
+      expect(translations[1]).toMatchObject({ english: 'drops', start: 10, end: 15 });
+    });
+  });
+
+  describe('parseSIG', () => {
+    test('should parse Spanish SIGs and report the language', () => {
+      const result = parseSIG('tomar 1 tableta dos veces al día');
+
+      expect(result).toMatchObject({ dose: 1, unit: 'tablet', frequency: 2, parseSuccess: true, language: 'es' });
+      expect(result.originalText).toBe('tomar 1 tableta dos veces al día');
+      expect(result.expandedText).toBe('take 1 tablet twice daily');
+    });
+
+    test('should read routes, sites and indications in Spanish', () => {
+      expect(parseSIG('Aplicar 2 gotas en el ojo derecho tres veces al dia')).toMatchObject({
+        dose: 2,
+        frequency: 3,
+        route: 'ophthalmic',
+        site: 'right eye'
+      });
+      expect(parseSIG('Tomar 1 tableta cada 4 a 6 horas si es necesario para el dolor')).toMatchObject({
+        frequency: 6,
+        indication: 'pain'
+      });
+    });
+
+    test('should report English for English SIGs', () => {
+      expect(parseSIG('Take 1 tablet twice daily').language).toBe('en');
+    });
+
+    test('should annotate Spanish phrases by their translation', () => {
+      const spans = parseSIG('Tomar 1 tableta cada 8 horas').annotation;
+
+      expect(spans.find(span => span.text === 'cada 8 horas')).toMatchObject({ type: 'frequency', value: 3 });
+      expect(spans.some(span => span.type === 'unrecognized')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,252 @@
+/**
+ * Unit tests for SIG parsing
+ *
+ * Tests the regex-based parsing strategies, multi-step (tapering) directions,
+ * dose/frequency ranges, as-needed (PRN) directions, and course durations.
+ */
+
+import { parseSIG, hasSIGDuration, getParsingConfidence } from '../sig-parsing.js';
+import { resolveDaysSupplyStep } from '../../services/days-supply.js';
+
+describe('SIG Parsing', () => {
+
+  describe('parseSIG', () => {
+    test('should parse structured SIG', () => {
+      const result = parseSIG('Take 1 tablet twice daily');
+
+      expect(result.parseSuccess).toBe(true);
+      expect(result.dose).toBe(1);
+      expect(result.frequency).toBe(2);
+      expect(result.unit).toBe('tablet');
+    });
+
+    test('should parse abbreviated SIG', () => {
+      const result = parseSIG('1 tab PO BID');
+
+      expect(result.parseSuccess).toBe(true);
+      expect(result.dose).toBe(1);
+      expect(result.frequency).toBe(2);
+    });
+
+    test('should prefer the longest matching frequency', () => {
+      expect(parseSIG('Take 2 tablets by mouth twice daily').frequency).toBe(2);
+    });
+
+    test('should parse "once a day" and "twice a day"', () => {
+      expect(parseSIG('Take 1 tablet by mouth once a day')).toMatchObject({ parseSuccess: true, dose: 1, frequency: 1 });
+      expect(parseSIG('Take 1 tablet by mouth twice a day')).toMatchObject({ parseSuccess: true, dose: 1, frequency: 2 });
+    });
+
+    test('should parse meal and bedtime timing', () => {
+      expect(parseSIG('Inject 22 units subcutaneously at bedtime').frequency).toBe(1);
+      expect(parseSIG('Inject 10 units with meals').frequency).toBe(3);
+    });
+
+    test('should reject empty input', () => {
+      const result = parseSIG('   ');
+
+      expect(result.parseSuccess).toBe(false);
+      expect(result.parseError).toBe('Empty SIG text');
+    });
+  });
+
+  describe('Tapering and multi-step SIGs', () => {
+    test('should return ordered dosing phases for a taper', () => {
+      const result = parseSIG(
+        'Take 4 tabs daily x3 days, then 3 tabs daily x3 days, then 2 tabs daily x3 days, then 1 tab daily x3 days'
+      );
+
+      expect(result.parseSuccess).toBe(true);
+      expect(result.phases).toHaveLength(4);
+      expect(result.phases.map(p => p.dose)).toEqual([4, 3, 2, 1]);
+      expect(result.phases.every(p => p.frequency === 1 && p.durationDays === 3)).toBe(true);
+      expect(result.unit).toBe('tablet');
+    });
+
+    test('should carry unit and frequency over from the previous phase', () => {
+      const result = parseSIG('Take 4 tablets daily x3 days, then 3 daily x3 days, then 2...');
+
+      expect(result.parseSuccess).toBe(true);
+      expect(result.phases[1]).toEqual({ dose: 3, frequency: 1, unit: 'tablet', durationDays: 3 });
+      expect(result.phases[2]).toEqual({ dose: 2, frequency: 1, unit: 'tablet', durationDays: null });
+    });
+
+    test('should parse dose-pack day references', () => {
+      const result = parseSIG('Take 6 tablets on day 1, then 5 tablets on day 2, then 4 tablets on days 3-4');
+
+      expect(result.parseSuccess).toBe(true);
+      expect(result.phases.map(p => p.durationDays)).toEqual([1, 1, 2]);
+      expect(result.phases[0].frequency).toBe(1);
+    });
+
+    test('should require a duration on every phase except the last', () => {
+      const result = parseSIG('Take 2 tablets daily, then 1 tablet daily x5 days');
+
+      expect(result.parseSuccess).toBe(false);
+      expect(result.parseError).toContain('phase 1 has no duration');
+    });
+
+    test('should fail instead of reading "then" text that is not a dosing phase as a single step', () => {
+      const result = parseSIG('Take 1 tablet by mouth daily then repeat');
+
+      expect(result.parseSuccess).toBe(false);
+      expect(result.parseError).toContain('phase 2 ("repeat") could not be parsed');
+    });
+
+    test('should read a phase taken now as a single dose', () => {
+      const result = parseSIG('Take 2 tablets now, then 1 tablet daily for 4 days');
+
+      expect(result.parseSuccess).toBe(true);
+      expect(result.phases).toEqual([
+        { dose: 2, frequency: 1, unit: 'tablet', durationDays: null, oneTime: true },
+        { dose: 1, frequency: 1, unit: 'tablet', durationDays: 4 }
+      ]);
+      expect(result.durationDays).toBeNull();
+      expect(parseSIG('Take 2 tablets daily, then 1 tablet now').parseError).toContain('phase 1 has no duration');
+    });
+
+    test('should reject phases with different units', () => {
+      const result = parseSIG('Take 2 tablets daily x3 days, then 5 ml daily x3 days');
+
+      expect(result.parseSuccess).toBe(false);
+      expect(result.parseError).toContain('different unit');
+    });
+  });
+
+  describe('Dose and frequency ranges', () => {
+    test('should parse dose and interval ranges', () => {
+      const result = parseSIG('Take 1-2 tablets every 4-6 hours as needed');
+
+      expect(result.parseSuccess).toBe(true);
+      expect(result.dose).toBe(2);
+      expect(result.frequency).toBe(6);
+      expect(result.doseRange).toEqual({ min: 1, max: 2 });
+      expect(result.frequencyRange).toEqual({ min: 4, max: 6 });
+    });
+
+    test('should parse spelled-out dose ranges', () => {
+      const result = parseSIG('Take 1 to 2 capsules twice daily');
+
+      expect(result.dose).toBe(2);
+      expect(result.doseRange).toEqual({ min: 1, max: 2 });
+      expect(result.frequencyRange).toBeUndefined();
+    });
+
+    test('should parse ranges in abbreviated SIGs', () => {
+      const result = parseSIG('1-2 tabs po q4-6h');
+
+      expect(result.doseRange).toEqual({ min: 1, max: 2 });
+      expect(result.frequencyRange).toEqual({ min: 4, max: 6 });
+    });
+
+    test('should read numeric daily counts and count ranges', () => {
+      const count = parseSIG('Take 1 tablet by mouth 3 times daily');
+      const range = parseSIG('Take 1 tablet by mouth 2-3 times daily');
+
+      expect(count).toMatchObject({ parseSuccess: true, dose: 1, frequency: 3 });
+      expect(count.frequencyRange).toBeUndefined();
+      expect(parseSIG('Take 2 capsules 4 times a day').frequency).toBe(4);
+      expect(range).toMatchObject({ parseSuccess: true, dose: 1, frequency: 3 });
+      expect(range.frequencyRange).toEqual({ min: 2, max: 3 });
+    });
+
+    test('should not add ranges to single-value SIGs', () => {
+      const result = parseSIG('Take 1 tablet three times daily');
+
+      expect(result.doseRange).toBeUndefined();
+      expect(result.frequencyRange).toBeUndefined();
+    });
+  });
+
+  describe('Fractional doses', () => {
+    test('should read fractions and mixed numbers', () => {
+      expect(parseSIG('Take 1/2 tablet by mouth daily')).toMatchObject({ parseSuccess: true, dose: 0.5, frequency: 1 });
+      expect(parseSIG('Take 1 1/2 tablets by mouth at bedtime')).toMatchObject({ dose: 1.5, unit: 'tablet' });
+      expect(parseSIG('1/2 tab po bid')).toMatchObject({ dose: 0.5, frequency: 2, unit: 'tablet' });
+    });
+
+    test('should read unicode fractions', () => {
+      expect(parseSIG('Take ½ tablet by mouth twice daily')).toMatchObject({ parseSuccess: true, dose: 0.5, frequency: 2 });
+      expect(parseSIG('1½ tab po qd').dose).toBe(1.5);
+    });
+
+    test('should read fractional dose ranges', () => {
+      const result = parseSIG('Take 1/2-1 tablet at bedtime');
+
+      expect(result.dose).toBe(1);
+      expect(result.doseRange).toEqual({ min: 0.5, max: 1 });
+    });
+  });
+
+  describe('As-needed SIGs', () => {
+    test('should parse a PRN SIG with a maximum daily dose', () => {
+      const result = parseSIG('Take 1 tablet as needed for pain, max 6 tablets per day');
+
+      expect(result.parseSuccess).toBe(true);
+      expect(result.asNeeded).toBe(true);
+      expect(result.dose).toBe(1);
+      expect(result.frequency).toBeNull();
+      expect(result.maxDailyDose).toEqual({ amount: 6, unit: 'tablet' });
+    });
+
+    test('should read dose-count caps', () => {
+      const result = parseSIG('Take 1-2 tabs q4-6h prn, not to exceed 4 doses in 24h');
+
+      expect(result.asNeeded).toBe(true);
+      expect(result.frequency).toBe(6);
+      expect(result.maxDailyDose).toEqual({ amount: 4, unit: 'dose' });
+    });
+
+    test('should read the dose of an unscheduled PRN SIG written with another verb', () => {
+      const result = parseSIG('Dissolve 1 tablet under the tongue every 5 minutes as needed for chest pain, max 3 tablets');
+
+      expect(result).toMatchObject({ parseSuccess: true, dose: 1, frequency: null, unit: 'tablet', maxDailyDose: null });
+      expect(getParsingConfidence(result)).toBeLessThan(0.6);
+    });
+
+    test('should keep the interval of a PRN SIG without a cap', () => {
+      const result = parseSIG('Take 1 tablet every 6 hours as needed');
+
+      expect(result.asNeeded).toBe(true);
+      expect(result.frequency).toBe(4);
+      expect(result.maxDailyDose).toBeNull();
+    });
+  });
+
+  describe('Course duration', () => {
+    test('should read the course length written in the SIG', () => {
+      expect(parseSIG('1 tab po bid x 10 days')).toMatchObject({ dose: 1, frequency: 2, durationDays: 10 });
+      expect(parseSIG('Take 1 capsule three times daily for 2 weeks').durationDays).toBe(14);
+      expect(parseSIG('Take 1 tablet daily for 1 month').durationDays).toBe(30);
+      expect(parseSIG('Take 1 tablet daily')).toMatchObject({ durationDays: null, untilGone: false });
+    });
+
+    test('should treat "until gone" as an open-ended course', () => {
+      const result = parseSIG('Take 1 tablet daily until gone');
+
+      expect(result).toMatchObject({ parseSuccess: true, dose: 1, durationDays: null, untilGone: true });
+      expect(hasSIGDuration('Take 1 tablet daily until gone')).toBe(false);
+    });
+
+    test('should add up the phases of a tapering SIG', () => {
+      expect(parseSIG('Take 2 tablets daily for 3 days, then 1 tablet daily for 4 days').durationDays).toBe(7);
+      expect(parseSIG('Take 2 tablets daily for 3 days, then 1 tablet daily').durationDays).toBeNull();
+    });
+
+    test('should use the SIG duration when no days supply is entered', () => {
+      const result = resolveDaysSupplyStep(parseSIG('1 cap tid x 10 days'), undefined);
+
+      expect(result.data).toEqual({ daysSupply: 10, source: 'sig' });
+      expect(result.warnings[0]).toMatchObject({ id: 'days_supply_from_sig', severity: 'info' });
+    });
+
+    test('should flag an entered days supply that disagrees with the SIG', () => {
+      const conflict = resolveDaysSupplyStep(parseSIG('1 cap tid x 10 days'), 30);
+
+      expect(conflict.data).toEqual({ daysSupply: 30, source: 'entered' });
+      expect(conflict.warnings[0]).toMatchObject({ type: 'days_supply_conflict', severity: 'warning' });
+      expect(resolveDaysSupplyStep(parseSIG('1 cap tid x 10 days'), 10).warnings).toEqual([]);
+      expect(resolveDaysSupplyStep(parseSIG('1 cap tid'), 30).warnings).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Unit tests for SIG parser backends
+ *
+ * Tests rule pack validation and parsing, the parser registry, and
+ * provider selection with fallback to the regex parser.
+ */
+
+import { validateRulePack, createRulePackParser, RULE_PACK_PARSER } from '../sig-rule-pack.js';
+import {
+  registerSIGParser,
+  unregisterSIGParser,
+  listSIGParsers,
+  selectSIGParser,
+  parseSIGWithProvider,
+  DEFAULT_SIG_PARSER
+} from '../sig-parsing.js';
+import { loadRulePack } from '../../services/sig-parser-setup.js';
+import { createMockSIGParser, MOCK_SIG_PARSER } from '../../mocks/sig-parser-fixtures.js';
+
+describe('SIG Parser Backends', () => {
+  const pack = loadRulePack().data;
+
+  afterEach(() => {
+    unregisterSIGParser(RULE_PACK_PARSER);
+    unregisterSIGParser(MOCK_SIG_PARSER);
+    selectSIGParser(DEFAULT_SIG_PARSER);
+  });
+
+  describe('rule packs', () => {
+    test('should load and validate the bundled rule pack', () => {
+      expect(pack.name).toBe('quantrx-core');
+      expect(validateRulePack(pack)).toEqual({ isValid: true, errors: [] });
+    });
+
+    test('should reject packs with invalid rules or an unsupported schema version', () => {
+      const badPattern = { ...pack, rules: [{ id: 'bad', pattern: '(unclosed', confidence: 0.5 }] };
+      const future = { ...pack, schemaVersion: 99 };
+
+      expect(validateRulePack(badPattern).errors[0]).toContain('valid regular expression');
+      expect(validateRulePack(future).isValid).toBe(false);
+      expect(createRulePackParser(future).success).toBe(false);
+    });
+
+    test('should parse number words and pack frequency phrases', () => {
+      const { parse, version } = createRulePackParser(pack).data;
+      const result = parse('Take one tablet at night');
+
+      expect(version).toBe('quantrx-core@1.0.0');
+      expect(result).toMatchObject({ dose: 1, frequency: 1, unit: 'tablet', parseSuccess: true, confidence: 0.8 });
+      expect(result.rulePack.ruleId).toBe('verb-word-dose-unit-schedule');
+    });
+
+    test('should parse shorthand without a verb', () => {
+      const { parse } = createRulePackParser(pack).data;
+
+      expect(parse('1 cap qam')).toMatchObject({ dose: 1, frequency: 1, unit: 'capsule' });
+      expect(parse('2 tabs with breakfast and supper')).toMatchObject({ dose: 2, frequency: 2, unit: 'tablet' });
+    });
+
+    test('should fail when no rule matches', () => {
+      const { parse } = createRulePackParser(pack).data;
+
+      expect(parse('see attached instructions').parseSuccess).toBe(false);
+    });
+
+    test('should only match when a rule reads the whole SIG', () => {
+      const { parse } = createRulePackParser(pack).data;
+      const result = parse('Take 1 tablet by mouth every morning x 10 days');
+
+      expect(result).toMatchObject({ dose: 1, frequency: 1, route: 'oral', durationDays: 10, errorProneAbbreviations: [] });
+      expect(result.annotation.filter(span => span.type !== 'text').map(span => span.type))
+        .toEqual(['dose', 'unit', 'route', 'frequency', 'duration']);
+      expect(parse('Take 1 tablet by mouth 3 times daily')).toMatchObject({ dose: 1, frequency: 3 });
+      expect(parse('Take 1 and 1/2 tablets by mouth daily').parseSuccess).toBe(false);
+      expect(parse('Take 1 tablet at night blorp').parseSuccess).toBe(false);
+    });
+
+    test('should leave as-needed, multi-step and non-daily SIGs to the regex parser', () => {
+      const { parse } = createRulePackParser(pack).data;
+
+      expect(parse('Take 1 tablet every 6 hours as needed for pain').parseError).toContain('as-needed');
+      expect(parse('Take 2 tablets daily for 3 days, then 1 tablet daily').parseError).toContain('multi-step');
+      expect(parse('Take 4 tablets once weekly').parseError).toContain('non-daily');
+    });
+  });
+
+  describe('registry', () => {
+    test('should register, list and select backends', () => {
+      expect(registerSIGParser(createRulePackParser(pack).data).success).toBe(true);
+      expect(selectSIGParser(RULE_PACK_PARSER).success).toBe(true);
+
+      const parsers = listSIGParsers();
+      expect(parsers.map(parser => parser.name)).toEqual([DEFAULT_SIG_PARSER, RULE_PACK_PARSER]);
+      expect(parsers.find(parser => parser.active).name).toBe(RULE_PACK_PARSER);
+    });
+
+    test('should reject malformed backends and replacing the regex parser', () => {
+      expect(registerSIGParser({ name: 'broken' }).success).toBe(false);
+      expect(registerSIGParser({ name: DEFAULT_SIG_PARSER, parse: () => null }).success).toBe(false);
+      expect(selectSIGParser('unknown').success).toBe(false);
+    });
+  });
+
+  describe('parseSIGWithProvider', () => {
+    test('should tag regex results with a confidence score', async () => {
+      const result = await parseSIGWithProvider('Take 1 tablet twice daily');
+
+      expect(result).toMatchObject({ dose: 1, frequency: 2, provider: DEFAULT_SIG_PARSER });
+      expect(result.confidence).toBeGreaterThan(0);
+    });
+
+    test('should use the selected backend', async () => {
+      registerSIGParser(createMockSIGParser());
+      selectSIGParser(MOCK_SIG_PARSER);
+
+      const result = await parseSIGWithProvider('Chew 2 tablets after each meal');
+
+      expect(result).toMatchObject({ dose: 2, frequency: 3, provider: MOCK_SIG_PARSER, confidence: 0.9 });
+    });
+
+    test('should fall back to regex when a backend cannot parse the SIG', async () => {
+      registerSIGParser(createMockSIGParser());
+
+      const result = await parseSIGWithProvider('Take 1 tablet twice daily', { provider: MOCK_SIG_PARSER });
+
+      expect(result).toMatchObject({ dose: 1, provider: DEFAULT_SIG_PARSER, fallbackFrom: MOCK_SIG_PARSER });
+    });
+
+    test('should read rule-pack gaps with the regex parser', async () => {
+      registerSIGParser(createRulePackParser(pack).data);
+      selectSIGParser(RULE_PACK_PARSER);
+
+      const prn = await parseSIGWithProvider('Take 1 tablet every 6 hours as needed for pain');
+      const taper = await parseSIGWithProvider('Take 2 tablets daily for 3 days, then 1 tablet daily for 4 days');
+      const weekly = await parseSIGWithProvider('Take 4 tablets once weekly');
+
+      expect(prn).toMatchObject({ asNeeded: true, frequency: 4, indication: 'pain', fallbackFrom: RULE_PACK_PARSER });
+      expect(taper.phases.map(phase => phase.dose)).toEqual([2, 1]);
+      expect(taper.durationDays).toBe(7);
+      expect(weekly.regimen).toMatchObject({ cycleDays: 7, dosingDays: [0] });
+      expect(weekly.provider).toBe(DEFAULT_SIG_PARSER);
+    });
+
+    test('should report backend errors when fallback is disabled', async () => {
+      registerSIGParser({ name: 'offline', parse: async () => { throw new Error('timeout'); } });
+
+      const result = await parseSIGWithProvider('Take 1 tablet daily', { provider: 'offline', fallback: false });
+      unregisterSIGParser('offline');
+
+      expect(result.parseSuccess).toBe(false);
+      expect(result.parseError).toContain('timeout');
+      expect(result.confidence).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * Unit tests for the SIG parse trace utility
+ *
+ * Tests mapping match positions on rewritten SIG text back to the SIG as written.
+ */
+
+import {
+  createMatch,
+  offsetMatches,
+  createTextMap,
+  rewriteTextMap,
+  replaceInTextMap,
+  trimTextMap,
+  mapMatches
+} from '../sig-trace.js';
+
+describe('SIG Trace', () => {
+  test('should map matches through a rewrite', () => {
+    const written = createTextMap('1 tab po bid');
+    const expanded = rewriteTextMap(written, [
+      { start: 2, end: 5, text: 'tablet' },
+      { start: 6, end: 8, text: 'by mouth' }
+    ]);
+
+    expect(expanded.text).toBe('1 tablet by mouth bid');
+    expect(mapMatches([createMatch('unit', 2, 8), createMatch('frequency', 18, 21)], expanded)).toEqual([
+      { type: 'unit', start: 2, end: 5, value: null },
+      { type: 'frequency', start: 9, end: 12, value: null }
+    ]);
+  });
+
+  test('should map matches through removed and trimmed text', () => {
+    const removed = replaceInTextMap(createTextMap(' Take 1 tab prn daily '), /\s*prn/, '');
+    const trimmed = trimTextMap(removed);
+
+    expect(trimmed.text).toBe('Take 1 tab daily');
+    expect(mapMatches([createMatch('frequency', 11, 16)], trimmed)[0]).toMatchObject({ start: 16, end: 21 });
+  });
+
+  test('should drop empty matches and shift slices', () => {
+    expect(mapMatches([createMatch('dose', 3, 3)], createTextMap('abcdef'))).toEqual([]);
+    expect(offsetMatches([createMatch('dose', 0, 1, 2)], 5)).toEqual([{ type: 'dose', start: 5, end: 6, value: 2 }]);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Unit tests for strength-based dose conversion
+ *
+ * Tests conversion of mass doses to tablets and capsules, ingredient
+ * selection for combination products, half-tablet doses and the split checks.
+ */
+
+import {
+  parseIngredientStrengths,
+  canSplitDosageUnit,
+  convertSIGToDosageUnits
+} from '../strength-conversion.js';
+import { parseSIG } from '../sig-parsing.js';
+import { calculateQuantity } from '../quantity.js';
+import { createTabletSplitWarning } from '../../services/calculation-warnings.js';
+
+const TABLET_250 = { strength: '250 MG', dosageForm: 'tablet', drugName: 'amoxicillin 250 MG Oral Tablet' };
+
+describe('Strength Conversion', () => {
+  describe('parseIngredientStrengths', () => {
+    test('should read every ingredient of a combination product', () => {
+      expect(parseIngredientStrengths('acetaminophen 325 MG / hydrocodone bitartrate 5 MG Oral Tablet')).toEqual([
+        { ingredient: 'acetaminophen', amount: 325, unit: 'mg', mg: 325 },
+        { ingredient: 'hydrocodone bitartrate', amount: 5, unit: 'mg', mg: 5 }
+      ]);
+    });
+
+    test('should convert units and skip liquid concentrations', () => {
+      expect(parseIngredientStrengths('125 MCG')[0].mg).toBe(0.125);
+      expect(parseIngredientStrengths('250 MG/5ML')).toEqual([]);
+    });
+  });
+
+  describe('convertSIGToDosageUnits', () => {
+    test('should convert a mass dose to tablets', () => {
+      const result = convertSIGToDosageUnits(parseSIG('Take 500 mg twice daily'), TABLET_250);
+
+      expect(result.data).toMatchObject({ dose: 2, unit: 'tablet', frequency: 2 });
+      expect(result.conversion).toMatchObject({ strength: '250 mg', split: null });
+      expect(calculateQuantity(result.data, 30).quantity).toBe(120);
+    });
+
+    test('should leave count doses and unknown strengths unchanged', () => {
+      const counted = parseSIG('Take 1 tablet twice daily');
+      const noStrength = parseSIG('Take 500 mg twice daily');
+
+      expect(convertSIGToDosageUnits(counted, TABLET_250)).toEqual({ success: true, data: counted, conversion: null });
+      expect(convertSIGToDosageUnits(noStrength, { dosageForm: 'tablet' }).conversion).toBeNull();
+      expect(convertSIGToDosageUnits(noStrength, { strength: '250 MG/5ML', dosageForm: 'suspension' }).conversion).toBeNull();
+    });
+
+    test('should pick the ingredient the dose refers to', () => {
+      const product = {
+        strength: '325 MG',
+        dosageForm: 'tablet',
+        drugName: 'acetaminophen 325 MG / hydrocodone bitartrate 5 MG Oral Tablet'
+      };
+
+      expect(convertSIGToDosageUnits(parseSIG('Take 650 mg every 6 hours'), product).data.dose).toBe(2);
+      expect(convertSIGToDosageUnits(parseSIG('Take 10 mg every 6 hours'), product).conversion).toMatchObject({
+        ingredient: 'hydrocodone bitartrate',
+        to: { dose: 2, unit: 'tablet' }
+      });
+    });
+
+    test('should convert every phase of a taper', () => {
+      const sig = parseSIG('Take 40 mg daily for 5 days, then 20 mg daily for 5 days, then 5 mg daily for 5 days');
+      const result = convertSIGToDosageUnits(sig, { strength: '10 MG', dosageForm: 'tablet' });
+
+      expect(result.data.phases.map(phase => phase.dose)).toEqual([4, 2, 0.5]);
+      expect(result.conversion.split).toEqual({ dose: 5, unit: 'mg', count: 0.5 });
+    });
+
+    test('should reject doses that are not whole or half units', () => {
+      const result = convertSIGToDosageUnits(parseSIG('Take 300 mg daily'), TABLET_250);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('cannot be made from 250 mg tablets');
+    });
+  });
+
+  describe('split tablets', () => {
+    test('should allow half tablets and flag them for a scored-tablet check', () => {
+      const result = convertSIGToDosageUnits(parseSIG('Take 125 mg twice daily'), TABLET_250);
+      const warning = createTabletSplitWarning(result.conversion);
+
+      expect(result.data.dose).toBe(0.5);
+      expect(calculateQuantity(result.data, 30).quantity).toBe(30);
+      expect(warning).toMatchObject({ type: 'tablet_split', severity: 'warning' });
+      expect(warning.message).toContain('Confirm the tablet is scored');
+    });
+
+    test('should lower the split warning to a notice for scored tablets', () => {
+      const result = convertSIGToDosageUnits(parseSIG('Take 125 mg twice daily'), { ...TABLET_250, tabletScored: true });
+
+      expect(createTabletSplitWarning(result.conversion).severity).toBe('info');
+    });
+
+    test('should refuse half doses that cannot be split', () => {
+      const sig = parseSIG('Take 125 mg twice daily');
+
+      expect(canSplitDosageUnit({ dosageForm: 'tablet', drugName: '24 HR metformin 500 MG Extended Release Oral Tablet' })).toBe(false);
+      expect(convertSIGToDosageUnits(sig, { ...TABLET_250, dosageForm: 'capsule' }).success).toBe(false);
+      expect(convertSIGToDosageUnits(sig, { ...TABLET_250, tabletScored: false }).error).toContain('cannot be split');
+    });
+  });
+});
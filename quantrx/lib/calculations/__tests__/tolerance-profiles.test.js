@@ -0,0 +1,126 @@
+/**
+ * Unit tests for NDC matching tolerance profiles
+ *
+ * Tests loading stored profiles, choosing a profile for a calculation, and
+ * matching with a profile's limits.
+ */
+
+import { profileFromRow, buildToleranceProfiles, selectToleranceProfile } from '../tolerance-profiles.js';
+import { selectOptimalNDCs, isWithinTolerance, findBestSingleNDC } from '../ndc-matching.js';
+import { DEFAULT_TOLERANCE_PROFILES } from '../../constants/tolerance.js';
+
+const ndcs = [
+  { ndc: '0009-0054-30', packageSize: 30, dosageForm: 'tablet', status: 'active' },
+  { ndc: '0009-0054-90', packageSize: 90, dosageForm: 'tablet', status: 'active' }
+];
+
+const rows = [
+  {
+    name: 'retail_mail',
+    description: 'Mail order',
+    max_overfill_percentage: '20',
+    max_underfill_percentage: '0',
+    preferred_overfill_percentage: null,
+    roles: ['technician']
+  },
+  { name: 'broken', max_overfill_percentage: 'lots', max_underfill_percentage: 5 }
+];
+
+describe('Tolerance Profiles', () => {
+  describe('buildToleranceProfiles', () => {
+    test('should merge valid stored profiles over the built-in profiles', () => {
+      const profiles = buildToleranceProfiles(rows);
+
+      expect(profiles.retail_mail).toMatchObject({ maxOverfill: 20, maxUnderfill: 0, preferredOverfill: 20 });
+      expect(profiles.broken).toBeUndefined();
+      expect(profiles.standard.maxOverfill).toBe(10);
+      expect(profileFromRow({ name: 'x', max_overfill_percentage: 150, max_underfill_percentage: 0 })).toBeNull();
+    });
+  });
+
+  describe('selectToleranceProfile', () => {
+    const profiles = buildToleranceProfiles(rows);
+
+    test('should prefer the requested profile, then the role profile, then standard', () => {
+      expect(selectToleranceProfile(profiles, { profileName: 'long_term_care', role: 'technician' }).data)
+        .toMatchObject({ name: 'long_term_care', source: 'request', maxOverfill: 3 });
+      expect(selectToleranceProfile(profiles, { role: 'technician' }).data).toMatchObject({ name: 'retail_mail', source: 'role' });
+      expect(selectToleranceProfile(buildToleranceProfiles(), { role: 'pharmacist' }).data)
+        .toMatchObject({ name: 'standard', source: 'default' });
+    });
+
+    test('should use the controlled-substance profile for scheduled drugs', () => {
+      const result = selectToleranceProfile(profiles, { profileName: 'retail_mail', drugName: 'Oxycodone HCl 5 MG Oral Tablet' });
+
+      expect(result.data).toMatchObject({
+        name: 'controlled_substance',
+        source: 'controlled_substance',
+        maxOverfill: 0,
+        requestedProfile: 'retail_mail'
+      });
+      expect(selectToleranceProfile(profiles, { role: 'technician' }).data.requestedProfile).toBeNull();
+    });
+
+    test('should reject unknown profiles', () => {
+      const result = selectToleranceProfile(profiles, { profileName: 'nursing_home' });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Unknown tolerance profile: nursing_home');
+    });
+
+    test('should not accept inherited object properties as profile names', () => {
+      for (const profileName of ['constructor', 'toString', '__proto__']) {
+        expect(selectToleranceProfile(profiles, { profileName }).success).toBe(false);
+      }
+    });
+  });
+
+  describe('matching with a profile', () => {
+    test('should apply the profile limits to tolerance checks', () => {
+      const strict = { maxOverfill: 0, maxUnderfill: 10, preferredOverfill: 0 };
+
+      expect(isWithinTolerance(8)).toBe(true);
+      expect(isWithinTolerance(8, strict)).toBe(false);
+      expect(isWithinTolerance(-8, strict)).toBe(true);
+    });
+
+    test('should only recommend combinations within the profile', () => {
+      const standard = selectOptimalNDCs(55, ndcs);
+      const relaxed = selectOptimalNDCs(55, ndcs, { tolerance: { maxOverfill: 10, maxUnderfill: 5, preferredOverfill: 10 } });
+      const strict = selectOptimalNDCs(55, ndcs, { tolerance: { maxOverfill: 0, maxUnderfill: 0, preferredOverfill: 0 } });
+
+      expect(standard.recommendations[0]).toMatchObject({ totalQuantity: 60, matchQuality: 'moderate_overfill' });
+      expect(relaxed.recommendations[0].matchQuality).toBe('slight_overfill');
+      expect(strict.success).toBe(false);
+      expect(strict.recommendations).toEqual([]);
+    });
+
+    test('should reject underfills beyond the profile limit', () => {
+      const hundreds = [{ ndc: '00143-9835-01', packageSize: 100, dosageForm: 'tablet', status: 'active' }];
+      const longTermCare = selectOptimalNDCs(150, hundreds, { tolerance: DEFAULT_TOLERANCE_PROFILES.long_term_care });
+      const singlePackage = selectOptimalNDCs(105, hundreds, {
+        allowMultiplePackages: false,
+        tolerance: DEFAULT_TOLERANCE_PROFILES.long_term_care
+      });
+
+      expect(longTermCare.success).toBe(false);
+      expect(longTermCare.recommendations).toEqual([]);
+      expect(singlePackage.success).toBe(false);
+      expect(selectOptimalNDCs(102, hundreds).recommendations[0]).toMatchObject({ totalQuantity: 100 });
+    });
+
+    test('should only cap underfill when a profile is given', () => {
+      const standard = DEFAULT_TOLERANCE_PROFILES.standard;
+
+      expect(selectOptimalNDCs(35, ndcs).recommendations[0]).toMatchObject({ totalQuantity: 30 });
+      expect(selectOptimalNDCs(35, ndcs, { tolerance: standard }).success).toBe(false);
+      expect(selectOptimalNDCs(60, ndcs, { tolerance: standard }).alternatives).toEqual([]);
+      expect(selectOptimalNDCs(60, ndcs, { tolerance: standard }).recommendations[0]).toMatchObject({ totalQuantity: 60 });
+    });
+
+    test('should pass the profile to single-NDC matching', () => {
+      expect(findBestSingleNDC(85, ndcs)).toMatchObject({ totalQuantity: 90 });
+      expect(findBestSingleNDC(85, ndcs, { maxOverfill: 5, maxUnderfill: 0, preferredOverfill: 0 })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Unit tests for topical quantity estimation
+ *
+ * Tests topical SIG detection, application site fingertip units, parsing
+ * through parseSIG, and gram estimates with treatment duration.
+ */
+
+import {
+  isTopicalSIG,
+  parseApplicationSite,
+  parseTopicalSIG,
+  calculateTopicalQuantity
+} from '../topical.js';
+import { parseSIG, getParsingConfidence } from '../sig-parsing.js';
+import { STRATEGY_CONFIDENCE } from '../../constants/confidence.js';
+import { calculateQuantity } from '../quantity.js';
+
+describe('Topical Estimation', () => {
+  describe('isTopicalSIG', () => {
+    test('should detect topical directions without a measured dose', () => {
+      expect(isTopicalSIG('Apply to affected area twice daily')).toBe(true);
+      expect(isTopicalSIG('Apply a thin layer to the face at bedtime')).toBe(true);
+      expect(isTopicalSIG('Apply 2 fingertip units to both hands daily')).toBe(true);
+    });
+
+    test('should leave measured doses to the regular parser', () => {
+      expect(isTopicalSIG('Apply 1 patch daily')).toBe(false);
+      expect(isTopicalSIG('apply 2 g to affected area bid')).toBe(false);
+      expect(isTopicalSIG('Take 1 tablet twice daily')).toBe(false);
+    });
+  });
+
+  describe('parseApplicationSite', () => {
+    test('should look up fingertip units for a body region', () => {
+      expect(parseApplicationSite('apply to the face daily')).toMatchObject({ label: 'face and neck', fingertipUnits: 2.5 });
+      expect(parseApplicationSite('apply to one leg daily')).toMatchObject({ label: 'leg', fingertipUnits: 6 });
+    });
+
+    test('should double paired sites', () => {
+      expect(parseApplicationSite('apply to both hands')).toMatchObject({ label: 'both hands', fingertipUnits: 2 });
+      expect(parseApplicationSite('apply to feet')).toMatchObject({ label: 'both feet', fingertipUnits: 4 });
+    });
+
+    test('should add up several sites', () => {
+      expect(parseApplicationSite('apply to face and scalp').fingertipUnits).toBe(5.5);
+    });
+
+    test('should fall back to the affected area default', () => {
+      expect(parseApplicationSite('apply to affected area')).toEqual({
+        label: 'affected area',
+        fingertipUnits: 1,
+        estimated: true
+      });
+    });
+  });
+
+  describe('parseTopicalSIG', () => {
+    test('should parse grams per application, frequency and duration', () => {
+      const result = parseTopicalSIG('Apply a thin layer to both hands twice daily for 14 days');
+
+      expect(result.parseSuccess).toBe(true);
+      expect(result.dose).toBe(1);
+      expect(result.frequency).toBe(2);
+      expect(result.unit).toBe('g');
+      expect(result.durationDays).toBe(14);
+      expect(result.topical.site).toBe('both hands');
+    });
+
+    test('should use explicit fingertip units', () => {
+      const result = parseTopicalSIG('Apply 3 FTU to the back daily');
+
+      expect(result.topical.fingertipUnits).toBe(3);
+      expect(result.dose).toBe(1.5);
+    });
+
+    test('should fail without a frequency', () => {
+      expect(parseTopicalSIG('Apply to affected area').parseSuccess).toBe(false);
+    });
+
+    test('should be used by parseSIG with the calibrated topical confidence', () => {
+      const result = parseSIG('Apply to affected area twice daily as needed for itching');
+
+      expect(result.parseSuccess).toBe(true);
+      expect(result.asNeeded).toBe(true);
+      expect(result.topical.siteEstimated).toBe(true);
+      expect(getParsingConfidence(result)).toBe(STRATEGY_CONFIDENCE.topical);
+    });
+  });
+
+  describe('calculateTopicalQuantity', () => {
+    test('should estimate grams over the days supply', () => {
+      const parsedSIG = parseTopicalSIG('Apply to the face twice daily');
+      const result = calculateTopicalQuantity(parsedSIG, 30);
+
+      expect(result.success).toBe(true);
+      expect(result.quantity).toBe(75);
+      expect(result.unit).toBe('g');
+      expect(result.basis).toBe('topical_estimate');
+      expect(result.calculation).toBe('2.5 FTU (face and neck) × 0.5 g × 2 × 30 = 75 g');
+    });
+
+    test('should limit the estimate to the treatment duration', () => {
+      const parsedSIG = parseTopicalSIG('Apply to both hands twice daily for 14 days');
+      const result = calculateQuantity(parsedSIG, 30);
+
+      expect(result.quantity).toBe(28);
+      expect(result.daysSupply).toBe(14);
+      expect(result.requestedDaysSupply).toBe(30);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Unit tests for dose unit conversion
+ *
+ * Tests strength parsing, mg-to-mL and household measure conversion for
+ * liquids, and rounding to dispensable bottle volumes.
+ */
+
+import {
+  parseStrength,
+  getConcentrationMgPerMl,
+  convertSIGToVolume,
+  roundToDispensableVolume
+} from '../unit-conversion.js';
+
+describe('Unit Conversion', () => {
+
+  describe('parseStrength', () => {
+    test('should parse a liquid concentration', () => {
+      expect(parseStrength('250 MG/5ML')).toEqual({ amount: 250, unit: 'mg', volume: 5, volumeUnit: 'ml' });
+    });
+
+    test('should default the volume to 1 mL for "per mL" strengths', () => {
+      expect(getConcentrationMgPerMl('100 mg/mL')).toBe(100);
+    });
+
+    test('should return no concentration for solid strengths', () => {
+      expect(getConcentrationMgPerMl('10 mg')).toBeNull();
+    });
+  });
+
+  describe('convertSIGToVolume', () => {
+    const suspension = { strength: '250 MG/5ML', dosageForm: 'suspension' };
+
+    test('should convert mg doses using the concentration', () => {
+      const result = convertSIGToVolume({ dose: 250, frequency: 2, unit: 'mg' }, suspension);
+
+      expect(result.success).toBe(true);
+      expect(result.data.dose).toBe(5);
+      expect(result.data.unit).toBe('ml');
+      expect(result.conversion.description).toBe('250 mg = 5 ml (250 MG/5ML = 50 mg/ml)');
+    });
+
+    test('should convert household measures without a strength', () => {
+      const result = convertSIGToVolume({ dose: 2, frequency: 3, unit: 'teaspoon' });
+
+      expect(result.data.dose).toBe(10);
+      expect(result.data.unit).toBe('ml');
+    });
+
+    test('should leave solid doses unchanged', () => {
+      const parsedSIG = { dose: 1, frequency: 2, unit: 'tablet' };
+      const result = convertSIGToVolume(parsedSIG, { strength: '10 mg', dosageForm: 'tablet' });
+
+      expect(result.data).toBe(parsedSIG);
+      expect(result.conversion).toBeNull();
+    });
+
+    test('should fail when a liquid strength has no concentration', () => {
+      const result = convertSIGToVolume({ dose: 250, frequency: 2, unit: 'mg' }, { dosageForm: 'suspension' });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('no concentration');
+    });
+  });
+
+  describe('roundToDispensableVolume', () => {
+    test('should round up to the next bottle size', () => {
+      expect(roundToDispensableVolume(101)).toBe(120);
+      expect(roundToDispensableVolume(100)).toBe(100);
+    });
+
+    test('should round large volumes up to 5 mL', () => {
+      expect(roundToDispensableVolume(601)).toBe(605);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Unit tests for weight- and BSA-based dosing
+ *
+ * Tests parsing of per-kg and per-m² units, BSA calculation, conversion to a
+ * per-dose amount, and the maximum daily dose check.
+ */
+
+import {
+  parseWeightBasedUnit,
+  hasWeightBasedDose,
+  calculateBSA,
+  convertWeightBasedSIG,
+  checkMaxDailyDose
+} from '../weight-dosing.js';
+import { parseSIG } from '../sig-parsing.js';
+import { convertSIGToVolume } from '../unit-conversion.js';
+import { createMaxDailyDoseWarning } from '../../services/calculation-warnings.js';
+
+describe('Weight-Based Dosing', () => {
+  describe('parseWeightBasedUnit', () => {
+    test('should read the basis and whether the amount is per day or per dose', () => {
+      expect(parseWeightBasedUnit('mg/kg/day')).toEqual({ doseUnit: 'mg', basis: 'kg', per: 'day' });
+      expect(parseWeightBasedUnit('mcg/kg/dose')).toEqual({ doseUnit: 'mcg', basis: 'kg', per: 'dose' });
+      expect(parseWeightBasedUnit('mg/kg')).toEqual({ doseUnit: 'mg', basis: 'kg', per: 'dose' });
+      expect(parseWeightBasedUnit('mg/m2/day')).toEqual({ doseUnit: 'mg', basis: 'm2', per: 'day' });
+      expect(parseWeightBasedUnit('mg')).toBeNull();
+    });
+
+    test('should detect weight-based orders in SIG text', () => {
+      expect(hasWeightBasedDose('10 mg/kg/day divided BID')).toBe(true);
+      expect(hasWeightBasedDose('Take 1 tablet twice daily')).toBe(false);
+    });
+  });
+
+  describe('calculateBSA', () => {
+    test('should use the Mosteller formula', () => {
+      expect(calculateBSA(30, 135)).toBe(1.06);
+      expect(calculateBSA(70, 170)).toBe(1.82);
+      expect(calculateBSA(30)).toBeNull();
+    });
+  });
+
+  describe('convertWeightBasedSIG', () => {
+    test('should divide a per-day order into doses', () => {
+      const result = convertWeightBasedSIG(parseSIG('10 mg/kg/day divided BID'), { weightKg: 20 });
+
+      expect(result.data).toMatchObject({ dose: 100, unit: 'mg', frequency: 2 });
+      expect(result.conversion).toMatchObject({ basis: 'kg', dailyDose: 200 });
+    });
+
+    test('should multiply a per-dose order by weight', () => {
+      const result = convertWeightBasedSIG(parseSIG('5 mg/kg/dose po twice daily'), { weightKg: 12.5 });
+
+      expect(result.data.dose).toBe(62.5);
+      expect(result.conversion.dailyDose).toBe(125);
+    });
+
+    test('should use BSA for per-m² orders', () => {
+      const result = convertWeightBasedSIG(parseSIG('100 mg/m2/day divided tid'), { weightKg: 30, heightCm: 135 });
+
+      expect(result.conversion.bsa).toBe(1.06);
+      expect(result.data.dose).toBe(35.33);
+    });
+
+    test('should convert to a volume through the product strength', () => {
+      const weightResult = convertWeightBasedSIG(parseSIG('90 mg/kg/day po divided bid x 10 days'), { weightKg: 15 });
+      const volumeResult = convertSIGToVolume(weightResult.data, { strength: '400 MG/5ML', dosageForm: 'suspension' });
+
+      expect(weightResult.data.dose).toBe(675);
+      expect(volumeResult.data).toMatchObject({ dose: 8.44, unit: 'ml' });
+    });
+
+    test('should require the patient measurements', () => {
+      expect(convertWeightBasedSIG(parseSIG('10 mg/kg/day divided BID')).error).toContain('weight is required');
+      expect(convertWeightBasedSIG(parseSIG('100 mg/m2/day divided tid'), { weightKg: 30 }).error).toContain('weight and height');
+    });
+
+    test('should leave ordinary SIGs unchanged', () => {
+      const parsed = parseSIG('Take 1 tablet twice daily');
+
+      expect(convertWeightBasedSIG(parsed, { weightKg: 20 })).toEqual({ success: true, data: parsed, conversion: null });
+    });
+  });
+
+  describe('checkMaxDailyDose', () => {
+    test('should flag daily doses above the weight-based and absolute maximum', () => {
+      const { conversion } = convertWeightBasedSIG(parseSIG('15 mg/kg every 4 hours'), { weightKg: 80 });
+      const exceeded = checkMaxDailyDose(conversion, 'acetaminophen 160 MG in 5 mL Oral Suspension');
+
+      expect(exceeded.map(limit => limit.limit)).toEqual(['per_kg', 'total']);
+      expect(exceeded[1]).toMatchObject({ maximum: 4000, actual: 7200 });
+      expect(createMaxDailyDoseWarning(exceeded[1])).toMatchObject({ type: 'max_daily_dose_exceeded', severity: 'warning' });
+    });
+
+    test('should pass doses within the maximum and unknown ingredients', () => {
+      const { conversion } = convertWeightBasedSIG(parseSIG('45 mg/kg/day divided bid'), { weightKg: 15 });
+
+      expect(checkMaxDailyDose(conversion, 'amoxicillin 400 MG in 5 mL Oral Suspension')).toEqual([]);
+      expect(checkMaxDailyDose(conversion, 'unknownmycin')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * SIG abbreviation expansion utility
+ *
+ * This module expands Latin and pharmacy shorthand in prescription directions
+ * ("1 tab po qhs") into plain English ("1 tablet by mouth at bedtime") for
+ * display and as a second parsing pass, and finds ISMP error-prone
+ * abbreviations (QD, QOD, U, trailing zeros) that should be clarified with
+ * the prescriber.
+ *
+ * @module lib/calculations/abbreviations
+ */
+
+import { SIG_ABBREVIATIONS, ERROR_PRONE_ABBREVIATIONS } from '../constants/abbreviations.js';
+
+/**
+ * Units that a spelled-out Roman numeral dose may precede ("ii tabs")
+ */
+const UNIT_WORD = '(?:tabs?|tablets?|caps?|capsules?|gtts?|drops?|puffs?|sprays?|supp|suppositor(?:y|ies))';
+
+/**
+ * Abbreviation entries with their compiled patterns
+ */
+const COMPILED_ABBREVIATIONS = SIG_ABBREVIATIONS.map(entry => ({
+  ...entry,
+  regex: compileAbbreviation(entry)
+}));
+
+/**
+ * Expand abbreviations in SIG text to plain English
+ * Overlapping matches go to the entry listed first in SIG_ABBREVIATIONS.
+ * @param {string} text - SIG text
+ * @returns {Object} Expanded text and the expansions made ({ abbreviation, expansion, type, start, end })
+ */
+export function expandSIGAbbreviations(text) {
+  if (!text || typeof text !== 'string') {
+    return { text: text || '', expansions: [] };
+  }
+
+  const expansions = [];
+  for (const { expansion, type, regex } of COMPILED_ABBREVIATIONS) {
+    for (const match of text.matchAll(regex)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (!expansions.some(existing => start < existing.end && existing.start < end)) {
+        expansions.push({ abbreviation: match[0], expansion, type, start, end });
+      }
+    }
+  }
+
+  expansions.sort((a, b) => a.start - b.start);
+
+  let expandedText = '';
+  let position = 0;
+  for (const { expansion, start, end } of expansions) {
+    expandedText += text.slice(position, start) + expansion;
+    position = end;
+  }
+  expandedText += text.slice(position);
+
+  return { text: expandedText, expansions };
+}
+
+/**
+ * Find ISMP error-prone abbreviations and dose designations in SIG text
+ * @param {string} text - SIG text
+ * @returns {Array<Object>} One entry per kind found, with id, the text as written,
+ *   the reason it is error-prone and what to write instead
+ */
+export function findErrorProneAbbreviations(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  return ERROR_PRONE_ABBREVIATIONS
+    .map(({ id, pattern, reason, suggestion }) => {
+      const match = text.match(pattern);
+      return match ? { id, text: match[0], reason, suggestion } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Build the global pattern for an abbreviation entry
+ * Periods are allowed between letters ("b.i.d."), and a trailing period is only
+ * consumed when the letters are also separated by periods.
+ * @param {Object} entry - SIG_ABBREVIATIONS entry
+ * @returns {RegExp} Global pattern
+ */
+function compileAbbreviation({ abbreviation, caseSensitive, afterNumber, beforeUnit, notBefore }) {
+  const words = abbreviation.split(' ');
+  const plain = words.map(escapePattern).join('\\s+');
+  const dotted = words.map(word => word.split('').map(escapePattern).join('\\.')).join('\\.?\\s+');
+  const body = abbreviation.replace(/\s/g, '').length > 1 ? `(?:${dotted}\\.?|${plain})` : plain;
+
+  const source = [
+    afterNumber ? '(?<=\\d\\s*)' : '(?<![\\w.])',
+    body,
+    '(?![\\w])',
+    beforeUnit ? `(?=\\s+${UNIT_WORD}\\b)` : '',
+    notBefore ? `(?!\\s+${notBefore})` : ''
+  ].join('');
+
+  return new RegExp(source, caseSensitive ? 'g' : 'gi');
+}
+
+/**
+ * Escape a literal string for use in a regular expression
+ * @param {string} value - Literal text
+ * @returns {string} Pattern source
+ */
+function escapePattern(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
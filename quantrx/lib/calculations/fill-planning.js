@@ -0,0 +1,135 @@
+/**
+ * Short-supply fill planning
+ *
+ * When no package combination fits the calculated quantity within tolerance,
+ * this module proposes fallback plans instead: a partial fill (dispense the
+ * packages that fit now and owe the remainder), or a days supply adjusted to
+ * the packages that can be dispensed whole.
+ *
+ * @module lib/calculations/fill-planning
+ */
+
+import { solvePackageCombinations } from './package-solver.js';
+import { getRegimenFrequency } from './frequency-parsing.js';
+
+/**
+ * Fallback plan types
+ */
+export const FILL_PLAN_TYPES = {
+  PARTIAL_FILL: 'partial_fill',
+  ADJUSTED_DAYS_SUPPLY: 'adjusted_days_supply'
+};
+
+/**
+ * Propose fallback fills for a quantity no combination fits within tolerance
+ * @param {number} quantity - Calculated quantity
+ * @param {Array<Object>} ndcs - Active NDCs with packageSize
+ * @param {Object} [context] - Prescription context
+ * @param {Object} [context.parsedSIG] - Parsed SIG with its dose in the dispensed unit (after mL or
+ *   strength conversion), used to work out the days a quantity covers
+ * @param {number} [context.daysSupply] - Days supply the quantity was calculated for
+ * @returns {Array<Object>} Plans ({ type, ndcs, packages, totalQuantity, overfill, breakdown,
+ *   owedQuantity, daysSupply, originalDaysSupply, description }); partial fill first, then
+ *   adjusted days supplies below and above the quantity. Adjusted plans need a scheduled SIG.
+ */
+export function planShortSupplyFills(quantity, ndcs, { parsedSIG, daysSupply } = {}) {
+  if (!(quantity > 0) || !Array.isArray(ndcs) || ndcs.length === 0) {
+    return [];
+  }
+
+  const below = findCombinationBelow(quantity, ndcs);
+  const above = findCombinationAbove(quantity, ndcs);
+  const plans = [];
+
+  if (below) {
+    const owedQuantity = roundQuantity(quantity - below.totalQuantity);
+    plans.push({
+      ...below,
+      type: FILL_PLAN_TYPES.PARTIAL_FILL,
+      owedQuantity,
+      daysSupply: daysSupply || null,
+      originalDaysSupply: daysSupply || null,
+      description: `Dispense ${below.totalQuantity} now (${below.breakdown}) and owe the remaining ${owedQuantity}`
+    });
+  }
+
+  for (const combination of [below, above]) {
+    const adjustedDays = combination && getDaysCovered(combination.totalQuantity, parsedSIG);
+    if (adjustedDays && adjustedDays !== daysSupply) {
+      plans.push({
+        ...combination,
+        type: FILL_PLAN_TYPES.ADJUSTED_DAYS_SUPPLY,
+        owedQuantity: 0,
+        daysSupply: adjustedDays,
+        originalDaysSupply: daysSupply || null,
+        description: `Dispense ${combination.totalQuantity} (${combination.breakdown}) as a ${adjustedDays}-day supply` +
+          (daysSupply ? ` instead of ${daysSupply} days` : '')
+      });
+    }
+  }
+
+  return plans;
+}
+
+/**
+ * Find the largest whole-package total that does not exceed a quantity
+ * @param {number} quantity - Calculated quantity
+ * @param {Array<Object>} ndcs - Active NDCs
+ * @returns {Object|null} Combination, or null when every package is larger than the quantity
+ */
+function findCombinationBelow(quantity, ndcs) {
+  const [best] = solvePackageCombinations(quantity, ndcs, { maxOverfill: 0, maxUnderfill: 100, maxResults: 1 });
+  return best || null;
+}
+
+/**
+ * Find the smallest whole-package total that covers a quantity
+ * @param {number} quantity - Calculated quantity
+ * @param {Array<Object>} ndcs - Active NDCs
+ * @returns {Object|null} Combination, or null when the search bound is exceeded
+ */
+function findCombinationAbove(quantity, ndcs) {
+  const largestPackage = Math.max(...ndcs.map(ndc => ndc.packageSize || 0));
+  const [best] = solvePackageCombinations(quantity, ndcs, {
+    maxOverfill: (largestPackage / quantity) * 100,
+    maxUnderfill: 0,
+    maxResults: 1
+  });
+  return best || null;
+}
+
+/**
+ * Work out the whole days a quantity covers
+ * @param {number} quantity - Quantity dispensed
+ * @param {Object} [parsedSIG] - Parsed SIG with a fixed dose and schedule
+ * @returns {number|null} Whole days covered (at least 1), or null when the daily quantity is not known
+ */
+function getDaysCovered(quantity, parsedSIG) {
+  const dailyQuantity = getDailyQuantity(parsedSIG);
+  return dailyQuantity ? Math.max(1, Math.floor(quantity / dailyQuantity + 1e-9)) : null;
+}
+
+/**
+ * Work out the quantity a SIG uses per day
+ * Weekly, interval and cyclical regimens use their average doses per day.
+ * @param {Object} [parsedSIG] - Parsed SIG
+ * @returns {number|null} Quantity per day, or null for as-needed, multi-phase and unscheduled SIGs
+ */
+function getDailyQuantity(parsedSIG) {
+  if (!parsedSIG || parsedSIG.phases || parsedSIG.asNeeded) {
+    return null;
+  }
+
+  const frequency = parsedSIG.regimen ? getRegimenFrequency(parsedSIG.regimen) : parsedSIG.frequency;
+  const dailyQuantity = parsedSIG.dose * frequency;
+  return dailyQuantity > 0 ? dailyQuantity : null;
+}
+
+/**
+ * Round a quantity to 2 decimal places
+ * @param {number} quantity - Quantity
+ * @returns {number} Rounded quantity
+ */
+function roundQuantity(quantity) {
+  return Math.round(quantity * 100) / 100;
+}
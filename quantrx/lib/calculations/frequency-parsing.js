@@ -0,0 +1,259 @@
+/**
+ * SIG frequency parsing utility
+ *
+ * This module converts the frequency portion of prescription directions
+ * ("twice daily", "q6h", "every 4-6 hours") into a number of doses per day,
+ * including the lower and upper bound when a range is written.
+ *
+ * @module lib/calculations/frequency-parsing
+ */
+
+import { FREQUENCY_PATTERNS } from '../constants/dosage.js';
+import { parseRegimen } from './regimen.js';
+
+/**
+ * Daily count pattern ("3 times daily", "1-2 times a day"); the upper bound is optional
+ */
+const DAILY_TIMES_PATTERN = /(\d+)(?:\s*(?:-|to)\s*(\d+))?\s+times?\s+(?:(?:a|per)\s+day|daily)/i;
+
+/**
+ * Frequency range patterns ("every 4-6 hours", "q4-6h", "1-2 times daily")
+ * Interval ranges are inverted: a longer interval means fewer doses per day.
+ */
+const FREQUENCY_RANGE_PATTERNS = [
+  { regex: /(?:every|q)\s*(\d+(?:\.\d+)?)\s*(?:-|to)\s*(\d+(?:\.\d+)?)\s*(?:hours?|hrs?|h)\b/i, interval: true },
+  { regex: DAILY_TIMES_PATTERN, interval: false }
+];
+
+/**
+ * Numeric frequency patterns ("3 times a day", "every 5 hours")
+ */
+const FREQUENCY_NUMBER_PATTERNS = [
+  { regex: /(\d+)\s+times?\s+(?:a|per)\s+day/i, factor: 1 },
+  { regex: /(\d+)\s+times?\s+daily/i, factor: 1 },
+  { regex: /(\d+)\s+times?\s+(?:a|per)\s+week/i, factor: 1/7 },
+  { regex: /(\d+)\s+times?\s+weekly/i, factor: 1/7 },
+  { regex: /every\s+(\d+)\s+hours?/i, factor: 24, interval: true },
+  { regex: /q(\d+)h/i, factor: 24, interval: true } // q4h = every 4 hours
+];
+
+/**
+ * Frequency pattern entries ordered longest first for partial matching
+ */
+const PATTERNS_BY_LENGTH = Object.entries(FREQUENCY_PATTERNS)
+  .sort(([a], [b]) => b.length - a.length);
+
+/**
+ * Parse frequency text to extract times per day
+ * For ranges the upper bound (most doses per day) is returned.
+ * @param {string} frequencyText - Text describing frequency
+ * @returns {number|null} Frequency (times per day) or null if unparseable
+ */
+export function parseFrequencyText(frequencyText) {
+  return matchFrequencyText(frequencyText)?.frequency ?? null;
+}
+
+/**
+ * Parse frequency text and report which part of it the frequency was read from
+ * "Take 1 tablet by mouth 3 times daily" is read from "3 times daily" rather than
+ * "daily" alone, which the parse trace needs to show.
+ * @param {string} frequencyText - Text describing frequency
+ * @returns {Object|null} Frequency (times per day) with the matches ({ start, end }
+ *   positions in frequencyText) it was read from, or null if unparseable
+ */
+export function matchFrequencyText(frequencyText) {
+  if (!frequencyText) return null;
+
+  const lowerText = frequencyText.toLowerCase().trim();
+  const offset = frequencyText.length - frequencyText.trimStart().length;
+  const found = (frequency, ...ranges) => ({
+    frequency,
+    matches: ranges.map(([start, length]) => ({ start: offset + start, end: offset + start + length }))
+  });
+
+  // Weekly, interval and cyclical schedules average their doses over the cycle
+  const regimenMatch = matchFrequencyRegimen(lowerText);
+  if (regimenMatch) {
+    return found(getRegimenFrequency(regimenMatch.regimen), ...regimenMatch.matches);
+  }
+
+  // Ranges and counts are checked first so "1-2 times daily" and "3 times daily" are
+  // not read as "daily"
+  const rangeMatch = matchFrequencyRange(lowerText);
+  if (rangeMatch) {
+    return found(rangeMatch.range.max, [rangeMatch.index, rangeMatch.length]);
+  }
+
+  const countMatch = lowerText.match(DAILY_TIMES_PATTERN);
+  if (countMatch && parseInt(countMatch[1], 10) > 0) {
+    return found(parseInt(countMatch[1], 10), [countMatch.index, countMatch[0].length]);
+  }
+
+  // Direct lookup in frequency patterns
+  if (FREQUENCY_PATTERNS[lowerText]) {
+    return found(FREQUENCY_PATTERNS[lowerText], [0, lowerText.length]);
+  }
+
+  // Try partial matches, longest pattern first so "twice daily" wins over "daily"
+  for (const [pattern, freq] of PATTERNS_BY_LENGTH) {
+    if (lowerText.includes(pattern)) {
+      return found(freq, [lowerText.indexOf(pattern), pattern.length]);
+    }
+    if (pattern.includes(lowerText)) {
+      return found(freq, [0, lowerText.length]);
+    }
+  }
+
+  // Special handling for "as needed" patterns
+  if (lowerText.includes('as needed') || lowerText.includes('prn') ||
+      lowerText.includes('as required')) {
+    return null; // Special case - frequency cannot be determined
+  }
+
+  // Try to extract numbers followed by time indicators
+  for (const { regex, factor, interval } of FREQUENCY_NUMBER_PATTERNS) {
+    const match = lowerText.match(regex);
+    if (match) {
+      const num = parseInt(match[1], 10);
+      const frequency = interval
+        ? factor / num // every 4 hours = 24/4 = 6 times per day
+        : num * factor; // X times per day/week
+      return found(frequency, [match.index, match[0].length]);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse a frequency range such as "every 4-6 hours" or "1-2 times daily"
+ * @param {string} frequencyText - Text describing frequency
+ * @returns {Object|null} Range with min and max times per day, or null if no range is written
+ */
+export function parseFrequencyRange(frequencyText) {
+  return matchFrequencyRange(frequencyText)?.range ?? null;
+}
+
+/**
+ * Find a frequency range and where it is written
+ * @param {string} frequencyText - Text describing frequency
+ * @returns {Object|null} Range ({ min, max }) with the index and length of its text, or null
+ */
+function matchFrequencyRange(frequencyText) {
+  if (!frequencyText) return null;
+
+  for (const { regex, interval } of FREQUENCY_RANGE_PATTERNS) {
+    const match = frequencyText.match(regex);
+    if (!match || match[2] === undefined) continue;
+
+    const low = parseFloat(match[1]);
+    const high = parseFloat(match[2]);
+    if (low <= 0 || high <= 0) continue;
+
+    const bounds = interval ? [24 / high, 24 / low] : [low, high];
+    return {
+      range: {
+        min: roundFrequency(Math.min(...bounds)),
+        max: roundFrequency(Math.max(...bounds))
+      },
+      index: match.index,
+      length: match[0].length
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Parse a schedule that repeats over more than a day ("once weekly on Mondays",
+ * "every other day", "days 1-21 of a 28-day cycle")
+ * A daily frequency written alongside the cycle ("twice daily on days 1-14 of a 21-day
+ * cycle") sets the doses on each dosing day.
+ * @param {string} frequencyText - Text describing frequency
+ * @returns {Object|null} Regimen with cycleDays, dosingDays (0-based offsets within the
+ *   cycle), dosesPerDosingDay and description, or null for daily schedules
+ */
+export function parseFrequencyRegimen(frequencyText) {
+  return matchFrequencyRegimen(frequencyText)?.regimen ?? null;
+}
+
+/**
+ * Find a regimen and the parts of the text it was read from
+ * @param {string} frequencyText - Text describing frequency
+ * @returns {Object|null} Regimen (as parseFrequencyRegimen) with matches ([index, length]
+ *   of the schedule and of any daily frequency), or null for daily schedules
+ */
+function matchFrequencyRegimen(frequencyText) {
+  if (!frequencyText) return null;
+
+  const lowerText = frequencyText.toLowerCase();
+  const regimen = parseRegimen(lowerText);
+  if (!regimen) {
+    return null;
+  }
+
+  // The schedule is blanked out, keeping positions, before looking for a daily frequency
+  const { matchedText, index, ...schedule } = regimen;
+  const remainingText = lowerText.slice(0, index) + ' '.repeat(matchedText.length) + lowerText.slice(index + matchedText.length);
+  const daily = findDosesPerDosingDay(remainingText);
+  const cycle = daily ? null : findScheduleFrequency(remainingText, schedule.dosingDays.length / schedule.cycleDays);
+
+  return {
+    regimen: { ...schedule, dosesPerDosingDay: daily?.frequency ?? 1 },
+    matches: [[index, matchedText.length], ...[daily, cycle].filter(Boolean).map(found => [found.index, found.length])]
+  };
+}
+
+/**
+ * Find a frequency written alongside a regimen that agrees with its schedule
+ * ("once weekly on Mondays"), so it is read as part of the regimen
+ * @param {string} text - Frequency text with the regimen blanked out
+ * @param {number} frequency - Dosing days per day of the schedule
+ * @returns {Object|null} Index and length of the text, or null when none is written
+ */
+function findScheduleFrequency(text, frequency) {
+  for (const [pattern, freq] of PATTERNS_BY_LENGTH) {
+    const match = Math.abs(freq - frequency) < 0.01 && text.match(new RegExp(`\\b${pattern}\\b`));
+    if (match) {
+      return { index: match.index, length: match[0].length };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the average times per day for a regimen
+ * @param {Object} regimen - Regimen from parseFrequencyRegimen
+ * @returns {number} Average doses per day over one cycle
+ */
+export function getRegimenFrequency(regimen) {
+  return roundFrequency((regimen.dosingDays.length * regimen.dosesPerDosingDay) / regimen.cycleDays);
+}
+
+/**
+ * Find a daily frequency written alongside a regimen
+ * Only whole-day frequencies ("daily", "twice daily", "bid") count; anything else is one dose.
+ * @param {string} text - Frequency text with the regimen blanked out
+ * @returns {Object|null} Doses on each dosing day (frequency) with the index and length
+ *   of the text, or null when none is written
+ */
+function findDosesPerDosingDay(text) {
+  for (const [pattern, freq] of PATTERNS_BY_LENGTH) {
+    const match = freq >= 1 && text.match(new RegExp(`\\b${pattern}\\b`));
+    if (match) {
+      return { frequency: freq, index: match.index, length: match[0].length };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Round a times-per-day value for display and calculation
+ * @param {number} frequency - Times per day
+ * @returns {number} Frequency rounded to 2 decimal places
+ */
+function roundFrequency(frequency) {
+  return Math.round(frequency * 100) / 100;
+}
@@ -0,0 +1,123 @@
+/**
+ * Inhaler and nasal spray quantity calculation
+ *
+ * This module converts SIGs written in actuations ("inhale 2 puffs twice
+ * daily", "1 spray in each nostril daily") into the number of metered-dose
+ * inhalers or spray bottles to dispense, using the actuation count from the
+ * FDA package description and the priming actuations wasted per device.
+ *
+ * @module lib/calculations/inhaler
+ */
+
+import { ACTUATION_UNIT_DEVICES, DEFAULT_PRIMING_ACTUATIONS } from '../constants/inhaler.js';
+import { calculateQuantity } from './quantity.js';
+import { createCalculationResult } from './quantity-utils.js';
+
+/**
+ * Both-nostril directions ("in each nostril", "into both nostrils")
+ */
+const BOTH_NOSTRILS_PATTERN = /\b(?:each|both)\s+nostrils?\b/i;
+
+/**
+ * Check whether a SIG unit is counted in actuations
+ * @param {string} unit - Normalized SIG unit
+ * @returns {boolean} True for puffs, sprays and inhalations
+ */
+export function isActuationUnit(unit) {
+  return Boolean(unit) && Boolean(ACTUATION_UNIT_DEVICES[unit.toLowerCase()]);
+}
+
+/**
+ * Count the actuations given per dose for each actuation written in the SIG
+ * @param {string} text - SIG text
+ * @returns {number} 2 when the dose goes into each nostril, otherwise 1
+ */
+export function getActuationMultiplier(text) {
+  return typeof text === 'string' && BOTH_NOSTRILS_PATTERN.test(text) ? 2 : 1;
+}
+
+/**
+ * Pick the actuation count to calculate with from a set of NDC records
+ * @param {Array<Object>} ndcs - NDC records with actuationsPerDevice
+ * @returns {number|null} Most common actuation count (largest on a tie), or null if none is known
+ */
+export function selectActuationsPerDevice(ndcs) {
+  const counts = new Map();
+
+  for (const ndc of ndcs || []) {
+    if (ndc.actuationsPerDevice) {
+      counts.set(ndc.actuationsPerDevice, (counts.get(ndc.actuationsPerDevice) || 0) + 1);
+    }
+  }
+
+  let selected = null;
+  for (const [actuations, count] of counts) {
+    if (selected === null || count > counts.get(selected) || (count === counts.get(selected) && actuations > selected)) {
+      selected = actuations;
+    }
+  }
+
+  return selected;
+}
+
+/**
+ * Calculate the number of inhalers or spray bottles to dispense
+ * @param {Object} parsedSIG - Parsed SIG object with an actuation unit (puffs, sprays, inhalations)
+ * @param {number} daysSupply - Days supply
+ * @param {Object} device - Device details
+ * @param {number} device.actuationsPerDevice - Labeled actuations per inhaler or bottle
+ * @param {number} [device.primingActuations] - Actuations wasted priming each device (overrides the default)
+ * @param {Object} [options] - Options passed to calculateQuantity (e.g., rangeSelection)
+ * @returns {Object} Calculation result with quantity in devices
+ */
+export function calculateInhalerQuantity(parsedSIG, daysSupply, device = {}, options = {}) {
+  if (!isActuationUnit(parsedSIG?.unit)) {
+    return createCalculationResult(null, null, false, 'Inhaler calculation requires a dose in puffs, sprays or inhalations');
+  }
+
+  const { actuationsPerDevice } = device;
+  if (!(actuationsPerDevice > 0)) {
+    return createCalculationResult(null, parsedSIG.unit, false, 'Actuations per device are unknown for this product');
+  }
+
+  const actuationResult = calculateQuantity(parsedSIG, daysSupply, options);
+  if (!actuationResult.success) {
+    return actuationResult;
+  }
+
+  const deviceUnit = ACTUATION_UNIT_DEVICES[parsedSIG.unit.toLowerCase()];
+  const primingActuations = device.primingActuations ?? DEFAULT_PRIMING_ACTUATIONS[deviceUnit];
+  const usableActuations = actuationsPerDevice - primingActuations;
+
+  if (usableActuations <= 0) {
+    return createCalculationResult(null, deviceUnit, false, `Priming uses all ${actuationsPerDevice} actuations in one ${deviceUnit}`);
+  }
+
+  const multiplier = getActuationMultiplier(parsedSIG.originalText);
+  const totalActuations = actuationResult.quantity * multiplier;
+  const devices = Math.ceil(totalActuations / usableActuations);
+  const deviceLabel = devices === 1 ? deviceUnit : `${deviceUnit}s`;
+
+  return createCalculationResult(devices, deviceUnit, true, null, {
+    dose: actuationResult.dose,
+    frequency: actuationResult.frequency,
+    daysSupply,
+    rangeSelection: actuationResult.rangeSelection,
+    basis: actuationResult.basis,
+    prnCeiling: actuationResult.prnCeiling,
+    actuations: {
+      unit: parsedSIG.unit,
+      actuationsPerDevice,
+      primingActuations,
+      usableActuations,
+      multiplier,
+      totalActuations,
+      actuationsRange: actuationResult.quantityRange
+    },
+    calculation: [
+      `${actuationResult.calculation} ${parsedSIG.unit}`,
+      multiplier > 1 && `Each nostril: × ${multiplier} = ${totalActuations} ${parsedSIG.unit}`,
+      `${totalActuations} ÷ (${actuationsPerDevice} actuations − ${primingActuations} priming) per ${deviceUnit} = ${devices} ${deviceLabel}`
+    ].filter(Boolean).join('; ')
+  });
+}
@@ -0,0 +1,185 @@
+/**
+ * Insulin quantity calculation
+ *
+ * This module converts insulin SIGs written in units ("inject 22 units at
+ * bedtime", "2-10 units with meals per sliding scale") into a number of pens
+ * or vials. It accounts for concentration (U-100, U-200, U-500), device
+ * capacity, priming units per injection, and in-use expiry after opening, and
+ * caps the days supply at what the dispensed devices can actually cover.
+ *
+ * @module lib/calculations/insulin
+ */
+
+import { UNITS } from '../constants/dosage.js';
+import {
+  DEFAULT_INSULIN_CONCENTRATION,
+  INSULIN_DEVICES,
+  INSULIN_DEVICE_SPECS,
+  INSULIN_PEN_KEYWORDS
+} from '../constants/insulin.js';
+import { calculateQuantity } from './quantity.js';
+import { createCalculationResult } from './quantity-utils.js';
+
+/**
+ * Concentration patterns: "U-100", "U500", "100 UNT/ML", "100 units/mL"
+ */
+const CONCENTRATION_PATTERNS = [
+  /\bU-?(\d{3})\b/i,
+  /(\d+)\s*(?:units?|unt|iu)\s*\/\s*ml\b/i
+];
+
+/**
+ * Check whether a product is an insulin
+ * @param {Object} product - Product details
+ * @param {string} [product.drugName] - Drug name
+ * @returns {boolean} True if the drug name contains "insulin"
+ */
+export function isInsulinProduct({ drugName } = {}) {
+  return typeof drugName === 'string' && /\binsulin\b/i.test(drugName);
+}
+
+/**
+ * Parse an insulin concentration from a strength or drug name
+ * @param {string} text - Strength or drug name (e.g., "insulin glargine 100 UNT/ML Pen Injector")
+ * @returns {number|null} Concentration in units/mL, or null if none is stated
+ */
+export function parseInsulinConcentration(text) {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+
+  for (const pattern of CONCENTRATION_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      return parseInt(match[1], 10);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Detect the delivery device from a drug name
+ * @param {string} drugName - Drug name
+ * @returns {string|null} 'pen', 'vial', or null if the name does not say
+ */
+export function detectInsulinDevice(drugName) {
+  if (!drugName || typeof drugName !== 'string') {
+    return null;
+  }
+
+  const lowerName = drugName.toLowerCase();
+  if (INSULIN_PEN_KEYWORDS.some(keyword => new RegExp(`\\b${keyword}\\b`).test(lowerName))) {
+    return INSULIN_DEVICES.PEN;
+  }
+  if (/\bvial\b/.test(lowerName)) {
+    return INSULIN_DEVICES.VIAL;
+  }
+
+  return null;
+}
+
+/**
+ * Calculate the number of insulin pens or vials to dispense
+ * @param {Object} parsedSIG - Parsed SIG object with unit "units"
+ * @param {number} daysSupply - Requested days supply
+ * @param {Object} [product] - Product details
+ * @param {string} [product.drugName] - Drug name (used to detect concentration and device)
+ * @param {string} [product.strength] - Strength (e.g., "100 UNT/ML")
+ * @param {string} [product.device] - 'pen' or 'vial' (overrides detection)
+ * @param {number} [product.concentration] - Units/mL (overrides detection)
+ * @param {Object} [options] - Options passed to calculateQuantity (e.g., rangeSelection)
+ * @returns {Object} Calculation result with quantity in devices and the capped days supply
+ */
+export function calculateInsulinQuantity(parsedSIG, daysSupply, product = {}, options = {}) {
+  if (parsedSIG?.unit !== UNITS.UNITS) {
+    return createCalculationResult(null, null, false, 'Insulin calculation requires a dose in units');
+  }
+
+  const unitsResult = calculateQuantity(parsedSIG, daysSupply, options);
+  if (!unitsResult.success) {
+    return unitsResult;
+  }
+
+  const concentration = product.concentration
+    || parseInsulinConcentration(product.strength)
+    || parseInsulinConcentration(product.drugName)
+    || DEFAULT_INSULIN_CONCENTRATION;
+  const device = product.device
+    || detectInsulinDevice(product.drugName)
+    || (INSULIN_DEVICE_SPECS[INSULIN_DEVICES.VIAL][concentration] ? INSULIN_DEVICES.VIAL : INSULIN_DEVICES.PEN);
+  const spec = INSULIN_DEVICE_SPECS[device]?.[concentration];
+
+  if (!spec) {
+    return createCalculationResult(null, device, false, `No ${device} is available for U-${concentration} insulin`);
+  }
+
+  // Every injection from a pen wastes the priming dose
+  const injections = countInjections(unitsResult, daysSupply);
+  const primingUnits = spec.primingUnits * injections;
+  const totalUnits = unitsResult.quantity + primingUnits;
+  const dailyUnits = totalUnits / daysSupply;
+
+  // A device runs out or expires after opening, whichever comes first
+  const unitsPerDevice = concentration * spec.volumeMl;
+  const daysPerDevice = Math.min(unitsPerDevice / dailyUnits, spec.inUseDays);
+  const devices = Math.ceil(daysSupply / daysPerDevice - 1e-9);
+  const cappedDaysSupply = Math.floor(Math.min(
+    (devices * unitsPerDevice) / dailyUnits,
+    devices * spec.inUseDays
+  ));
+
+  const deviceLabel = devices === 1 ? device : `${device}s`;
+
+  return createCalculationResult(devices, device, true, null, {
+    dose: unitsResult.dose,
+    frequency: unitsResult.frequency,
+    daysSupply: cappedDaysSupply,
+    requestedDaysSupply: daysSupply,
+    rangeSelection: unitsResult.rangeSelection,
+    basis: unitsResult.basis,
+    prnCeiling: unitsResult.prnCeiling,
+    insulin: {
+      concentration,
+      device,
+      unitsPerDevice,
+      volumeMl: spec.volumeMl,
+      inUseDays: spec.inUseDays,
+      insulinUnits: unitsResult.quantity,
+      unitsRange: unitsResult.quantityRange,
+      primingUnits,
+      totalUnits,
+      dailyUnits: roundUnits(dailyUnits),
+      daysPerDevice: roundUnits(daysPerDevice)
+    },
+    calculation: [
+      `${unitsResult.calculation} units`,
+      primingUnits > 0 && `Priming: ${spec.primingUnits} × ${injections} injections = ${primingUnits} units`,
+      `${totalUnits} units ÷ ${unitsPerDevice} units per ${device} (U-${concentration}, ${spec.volumeMl} ml, ${spec.inUseDays}-day in-use limit) = ${devices} ${deviceLabel}`,
+      `Days supply: ${cappedDaysSupply}`
+    ].filter(Boolean).join('; ')
+  });
+}
+
+/**
+ * Count injections over the days supply
+ * @param {Object} unitsResult - Units calculation result from calculateQuantity
+ * @param {number} daysSupply - Days supply
+ * @returns {number} Number of injections
+ */
+function countInjections(unitsResult, daysSupply) {
+  if (Array.isArray(unitsResult.phases)) {
+    return unitsResult.phases.reduce((sum, phase) => sum + phase.frequency * phase.days, 0);
+  }
+
+  return Math.ceil(unitsResult.frequency * daysSupply);
+}
+
+/**
+ * Round a units or days value to 1 decimal place
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+function roundUnits(value) {
+  return Math.round(value * 10) / 10;
+}
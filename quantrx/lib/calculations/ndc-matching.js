@@ -8,8 +8,15 @@
  * @module lib/calculations/ndc-matching
  */
 
+import { solvePackageCombinations } from './package-solver.js';
+import { calculateCombinationCost } from './ndc-pricing.js';
+import { planShortSupplyFills } from './fill-planning.js';
+import { isUnitDosePackage, describePackagingConstraint } from './packaging.js';
+import { UNIT_DOSE_PREFERENCE } from '../constants/packaging.js';
+
 /**
- * Tolerance constants for overfill/underfill
+ * Tolerance constants for overfill/underfill (the standard profile)
+ * Other limits come from tolerance profiles, passed as { maxOverfill, maxUnderfill, preferredOverfill }.
  */
 export const TOLERANCE = {
   MAX_OVERFILL_PERCENTAGE: 10,    // Allow up to 10% overfill
@@ -17,6 +24,14 @@ export const TOLERANCE = {
   PREFERRED_OVERFILL_PERCENTAGE: 5, // Prefer solutions with ≤5% overfill
 };
 
+/**
+ * Ways to rank package combinations
+ */
+export const SCORING_MODES = {
+  DEFAULT: 'default', // Least overfill, then fewest packages
+  COST: 'cost'        // Lowest total cost within tolerance
+};
+
 /**
  * Match optimal NDC package(s) to calculated quantity
  * @param {number} quantity - Calculated quantity to dispense
@@ -24,12 +39,27 @@ export const TOLERANCE = {
  * @param {Object} [options] - Matching options
  * @param {number} [options.maxAlternatives] - Maximum number of alternatives to return (default: 5)
  * @param {boolean} [options.allowMultiplePackages] - Allow using multiple packages of same NDC (default: true)
- * @returns {Object} Matching result with primary recommendation and alternatives
+ * @param {string} [options.scoringMode] - Ranking: "default" or "cost" (cheapest priced combination within tolerance)
+ * @param {Object} [options.tolerance] - Tolerance profile limits in percent ({ maxOverfill, maxUnderfill, preferredOverfill }).
+ *   Without a profile, combinations are limited to TOLERANCE overfill only and underfill is not capped.
+ * @param {Object} [options.parsedSIG] - Parsed SIG with its dose in the dispensed unit, used to plan
+ *   adjusted days supplies when nothing fits
+ * @param {number} [options.daysSupply] - Days supply the quantity was calculated for
+ * @param {boolean} [options.preferUnitDose] - Rank all-unit-dose combinations first (institutional plan profiles)
+ * @returns {Object} Matching result with primary recommendation and alternatives; each combination
+ *   carries its cost (null unless every NDC is priced) and savings against the default pick.
+ *   When no combination fits within tolerance, fillPlans holds partial-fill and adjusted
+ *   days supply plans (see planShortSupplyFills).
  */
 export function selectOptimalNDCs(quantity, availableNDCs, options = {}) {
   const {
     maxAlternatives = 5,
-    allowMultiplePackages = true
+    allowMultiplePackages = true,
+    scoringMode = SCORING_MODES.DEFAULT,
+    tolerance: profile,
+    parsedSIG,
+    daysSupply,
+    preferUnitDose = false
   } = options;
 
   // Validate inputs
@@ -41,6 +71,9 @@ export function selectOptimalNDCs(quantity, availableNDCs, options = {}) {
     return createMatchingResult([], [], 'No NDCs available for matching');
   }
 
+  const tolerance = profile || getToleranceConfig();
+  const limits = profile || { ...tolerance, maxUnderfill: Infinity };
+
   try {
     // Filter out inactive NDCs
     const activeNDCs = availableNDCs.filter(ndc => ndc.status === 'active');
@@ -49,22 +82,31 @@ export function selectOptimalNDCs(quantity, availableNDCs, options = {}) {
       return createMatchingResult([], [], 'No active NDCs available');
     }
 
-    // Generate all possible combinations
-    const combinations = generateCombinations(quantity, activeNDCs, allowMultiplePackages);
+    // Generate all possible combinations; fill plans are offered when none is within tolerance
+    const combinations = generateCombinations(quantity, activeNDCs, allowMultiplePackages, limits, {
+      preferLowestCost: scoringMode === SCORING_MODES.COST
+    }).filter(combo => isWithinTolerance(combo.overfill, limits));
 
     if (combinations.length === 0) {
-      return createMatchingResult([], [], 'No suitable NDC combinations found');
+      const fillPlans = planShortSupplyFills(quantity, activeNDCs, { parsedSIG, daysSupply });
+      return createMatchingResult([], [], 'No suitable NDC combinations found', [], fillPlans);
     }
 
     // Score and rank combinations
-    const scoredCombinations = scoreCombinations(quantity, combinations);
+    const scoredCombinations = scoreCombinations(quantity, combinations, tolerance, preferUnitDose);
 
     // Sort by score (best first)
     scoredCombinations.sort((a, b) => a.score - b.score);
 
+    // Price combinations against the default pick, and rank by cost if asked
+    const pricedCombinations = priceCombinations(scoredCombinations);
+    if (scoringMode === SCORING_MODES.COST) {
+      pricedCombinations.sort((a, b) => compareByCost(a, b, tolerance));
+    }
+
     // Extract primary recommendation and alternatives
-    const primary = scoredCombinations[0];
-    const alternatives = scoredCombinations.slice(1, maxAlternatives + 1);
+    const primary = pricedCombinations[0];
+    const alternatives = pricedCombinations.slice(1, maxAlternatives + 1);
 
     // Generate warnings for inactive NDCs
     const warnings = generateInactiveNDCWarnings(availableNDCs);
@@ -86,24 +128,31 @@ export function selectOptimalNDCs(quantity, availableNDCs, options = {}) {
  * @param {number} targetQuantity - Target quantity to achieve
  * @param {Array} ndcs - Available NDC objects
  * @param {boolean} allowMultiple - Allow multiple packages of same NDC
+ * @param {Object} tolerance - Tolerance limits in percent
+ * @param {Object} [options] - Generation options
+ * @param {boolean} [options.preferLowestCost] - Mix the cheapest priced NDC of each package size (cost scoring)
  * @returns {Array} Array of possible combinations
  */
-function generateCombinations(targetQuantity, ndcs, allowMultiple) {
+function generateCombinations(targetQuantity, ndcs, allowMultiple, tolerance, { preferLowestCost = false } = {}) {
   const combinations = [];
 
-  // Sort NDCs by package size (largest first) for greedy approach
+  // Sort NDCs by package size (largest first)
   const sortedNDCs = [...ndcs].sort((a, b) => b.packageSize - a.packageSize);
 
   for (const ndc of sortedNDCs) {
     // Single package combinations
-    const singlePackageCombos = generateSinglePackageCombinations(targetQuantity, ndc, allowMultiple);
+    const singlePackageCombos = generateSinglePackageCombinations(targetQuantity, ndc, allowMultiple, tolerance);
     combinations.push(...singlePackageCombos);
+  }
 
-    // Multi-package combinations (if allowed)
-    if (allowMultiple) {
-      const multiPackageCombos = generateMultiPackageCombinations(targetQuantity, [ndc], sortedNDCs);
-      combinations.push(...multiPackageCombos);
-    }
+  // Mixed-NDC combinations (if allowed), solved exactly over all package sizes
+  if (allowMultiple) {
+    const mixedCombos = solvePackageCombinations(targetQuantity, sortedNDCs, {
+      maxOverfill: tolerance.maxOverfill,
+      maxUnderfill: tolerance.maxUnderfill,
+      preferLowestCost
+    }).filter(combo => combo.ndcs.length > 1);
+    combinations.push(...mixedCombos);
   }
 
   return combinations;
@@ -114,9 +163,10 @@ function generateCombinations(targetQuantity, ndcs, allowMultiple) {
  * @param {number} targetQuantity - Target quantity
  * @param {Object} ndc - NDC object
  * @param {boolean} allowMultiple - Allow multiple packages
+ * @param {Object} tolerance - Tolerance limits in percent
  * @returns {Array} Combinations for this NDC
  */
-function generateSinglePackageCombinations(targetQuantity, ndc, allowMultiple) {
+function generateSinglePackageCombinations(targetQuantity, ndc, allowMultiple, tolerance) {
   const combinations = [];
   const packageSize = ndc.packageSize;
 
@@ -125,13 +175,13 @@ function generateSinglePackageCombinations(targetQuantity, ndc, allowMultiple) {
     const totalQuantity = packageSize;
     const overfill = ((totalQuantity - targetQuantity) / targetQuantity) * 100;
 
-    if (Math.abs(overfill) <= TOLERANCE.MAX_OVERFILL_PERCENTAGE) {
+    if (isWithinTolerance(overfill, tolerance)) {
       combinations.push({
         ndcs: [ndc],
         packages: [1],
         totalQuantity,
         overfill,
-        breakdown: `1 × ${packageSize}-count package = ${totalQuantity} units`
+        breakdown: `1 × ${packageSize}-count package = ${totalQuantity} units${describePackagingConstraint([ndc])}`
       });
     }
     return combinations;
@@ -144,14 +194,14 @@ function generateSinglePackageCombinations(targetQuantity, ndc, allowMultiple) {
     const totalQuantity = numPackages * packageSize;
     const overfill = ((totalQuantity - targetQuantity) / targetQuantity) * 100;
 
-    // Accept if within tolerance
-    if (overfill <= TOLERANCE.MAX_OVERFILL_PERCENTAGE) {
+    // Accept if within tolerance (underfill included)
+    if (isWithinTolerance(overfill, tolerance)) {
       combinations.push({
         ndcs: [ndc],
         packages: [numPackages],
         totalQuantity,
         overfill,
-        breakdown: `${numPackages} × ${packageSize}-count ${ndc.dosageForm}(s) = ${totalQuantity} units`
+        breakdown: `${numPackages} × ${packageSize}-count ${ndc.dosageForm}(s) = ${totalQuantity} units${describePackagingConstraint([ndc])}`
       });
     }
   }
@@ -159,59 +209,15 @@ function generateSinglePackageCombinations(targetQuantity, ndc, allowMultiple) {
   return combinations;
 }
 
-/**
- * Generate combinations using multiple different NDCs
- * @param {number} targetQuantity - Target quantity
- * @param {Array} selectedNDCs - Already selected NDCs
- * @param {Array} availableNDCs - All available NDCs
- * @returns {Array} Multi-NDC combinations
- */
-function generateMultiPackageCombinations(targetQuantity, selectedNDCs, availableNDCs) {
-  const combinations = [];
-  const remainingQuantity = targetQuantity - selectedNDCs.reduce((sum, ndc, index) => {
-    return sum + (ndc.packageSize * 1); // Assume 1 package each for simplicity
-  }, 0);
-
-  if (remainingQuantity <= 0) {
-    return combinations;
-  }
-
-  // Try adding one more NDC
-  for (const ndc of availableNDCs) {
-    if (selectedNDCs.includes(ndc)) continue; // Don't use same NDC twice in multi-NDC combo
-
-    const packageSize = ndc.packageSize;
-
-    // Only add if it helps get closer to target
-    if (packageSize <= remainingQuantity * 1.5) { // Allow 50% overfill
-      const newSelectedNDCs = [...selectedNDCs, ndc];
-      const newTotalQuantity = newSelectedNDCs.reduce((sum, n) => sum + n.packageSize, 0);
-      const overfill = ((newTotalQuantity - targetQuantity) / targetQuantity) * 100;
-
-      if (overfill <= TOLERANCE.MAX_OVERFILL_PERCENTAGE) {
-        combinations.push({
-          ndcs: newSelectedNDCs,
-          packages: new Array(newSelectedNDCs.length).fill(1),
-          totalQuantity: newTotalQuantity,
-          overfill,
-          breakdown: newSelectedNDCs.map((n, i) =>
-            `1 × ${n.packageSize}-count ${n.dosageForm}`
-          ).join(' + ') + ` = ${newTotalQuantity} units`
-        });
-      }
-    }
-  }
-
-  return combinations;
-}
-
 /**
  * Score combinations by preference
  * @param {number} targetQuantity - Target quantity
  * @param {Array} combinations - Array of combinations to score
+ * @param {Object} tolerance - Tolerance limits in percent
+ * @param {boolean} [preferUnitDose] - Give all-unit-dose combinations a bonus
  * @returns {Array} Scored combinations
  */
-function scoreCombinations(targetQuantity, combinations) {
+function scoreCombinations(targetQuantity, combinations, tolerance, preferUnitDose = false) {
   return combinations.map(combo => {
     let score = 0;
 
@@ -238,29 +244,73 @@ function scoreCombinations(targetQuantity, combinations) {
     const avgPackageSize = combo.totalQuantity / totalPackages;
     score -= avgPackageSize * 0.001; // Small bonus for larger packages
 
+    // Prefer unit-dose packaging for institutional plan profiles
+    if (preferUnitDose && combo.ndcs.every(isUnitDosePackage)) {
+      score -= UNIT_DOSE_PREFERENCE;
+    }
+
     return {
       ...combo,
       score: Math.round(score * 100) / 100, // Round to 2 decimal places
-      matchQuality: getMatchQuality(combo.overfill)
+      matchQuality: getMatchQuality(combo.overfill, tolerance)
     };
   });
 }
 
+/**
+ * Add each combination's cost and its savings against the default pick
+ * @param {Array} combinations - Scored combinations, default pick first
+ * @returns {Array} Combinations with cost and savings (null when either cost is unknown)
+ */
+function priceCombinations(combinations) {
+  const costs = combinations.map(calculateCombinationCost);
+  const defaultCost = costs[0];
+
+  return combinations.map((combo, index) => ({
+    ...combo,
+    cost: costs[index],
+    savings: costs[index] !== null && defaultCost !== null
+      ? Math.round((defaultCost - costs[index]) * 100) / 100
+      : null
+  }));
+}
+
+/**
+ * Order combinations for cost scoring
+ * Priced combinations within tolerance come first, cheapest first; the rest keep their score order.
+ * @param {Object} a - Combination
+ * @param {Object} b - Combination
+ * @param {Object} tolerance - Tolerance limits in percent
+ * @returns {number} Sort order
+ */
+function compareByCost(a, b, tolerance) {
+  const eligible = combo => combo.cost !== null && isWithinTolerance(combo.overfill, tolerance);
+  const eligibleA = eligible(a);
+  const eligibleB = eligible(b);
+
+  if (eligibleA !== eligibleB) {
+    return eligibleA ? -1 : 1;
+  }
+
+  return (eligibleA ? a.cost - b.cost : 0) || a.score - b.score;
+}
+
 /**
  * Get match quality description
  * @param {number} overfill - Overfill percentage
+ * @param {Object} [tolerance] - Tolerance limits in percent
  * @returns {string} Quality description
  */
-function getMatchQuality(overfill) {
+function getMatchQuality(overfill, tolerance = getToleranceConfig()) {
   const absOverfill = Math.abs(overfill);
 
   if (absOverfill === 0) return 'exact';
   if (overfill > 0) {
-    if (absOverfill <= TOLERANCE.PREFERRED_OVERFILL_PERCENTAGE) return 'slight_overfill';
-    if (absOverfill <= TOLERANCE.MAX_OVERFILL_PERCENTAGE) return 'moderate_overfill';
+    if (absOverfill <= tolerance.preferredOverfill) return 'slight_overfill';
+    if (absOverfill <= tolerance.maxOverfill) return 'moderate_overfill';
     return 'excessive_overfill';
   } else {
-    if (absOverfill <= TOLERANCE.MAX_UNDERFILL_PERCENTAGE) return 'slight_underfill';
+    if (absOverfill <= tolerance.maxUnderfill) return 'slight_underfill';
     return 'significant_underfill';
   }
 }
@@ -297,12 +347,14 @@ function generateInactiveNDCWarnings(allNDCs) {
  * @param {Array} alternatives - Alternative options
  * @param {string|null} error - Error message if matching failed
  * @param {Array} [warnings] - Warning objects
+ * @param {Array} [fillPlans] - Fallback plans when nothing fits within tolerance
  * @returns {Object} Matching result
  */
-function createMatchingResult(recommendations, alternatives, error, warnings = []) {
+function createMatchingResult(recommendations, alternatives, error, warnings = [], fillPlans = []) {
   return {
     recommendations,
     alternatives,
+    fillPlans,
     error,
     warnings,
     success: !error && recommendations.length > 0
@@ -313,9 +365,10 @@ function createMatchingResult(recommendations, alternatives, error, warnings = [
  * Find best single NDC match (simplified version for basic use)
  * @param {number} quantity - Target quantity
  * @param {Array} ndcs - Available NDCs
+ * @param {Object} [tolerance] - Tolerance limits in percent (defaults to TOLERANCE)
  * @returns {Object|null} Best match or null
  */
-export function findBestSingleNDC(quantity, ndcs) {
+export function findBestSingleNDC(quantity, ndcs, tolerance = getToleranceConfig()) {
   if (!Array.isArray(ndcs) || ndcs.length === 0) {
     return null;
   }
@@ -334,13 +387,13 @@ export function findBestSingleNDC(quantity, ndcs) {
     const overfill = ((totalQuantity - quantity) / quantity) * 100;
 
     // Accept if within tolerance and better than current best
-    if (overfill <= TOLERANCE.MAX_OVERFILL_PERCENTAGE && overfill < bestOverfill) {
+    if (overfill <= tolerance.maxOverfill && overfill < bestOverfill) {
       bestMatch = {
         ndc,
         packages: packagesNeeded,
         totalQuantity,
         overfill,
-        breakdown: `${packagesNeeded} × ${packageSize}-count package(s) = ${totalQuantity} units`
+        breakdown: `${packagesNeeded} × ${packageSize}-count package(s) = ${totalQuantity} units${describePackagingConstraint([ndc])}`
       };
       bestOverfill = overfill;
     }
@@ -363,11 +416,12 @@ export function calculateOverfillPercentage(actualQuantity, targetQuantity) {
 /**
  * Check if overfill is within acceptable tolerance
  * @param {number} overfillPercentage - Overfill percentage
+ * @param {Object} [tolerance] - Tolerance limits in percent (defaults to TOLERANCE)
  * @returns {boolean} True if within tolerance
  */
-export function isWithinTolerance(overfillPercentage) {
-  return overfillPercentage >= -TOLERANCE.MAX_UNDERFILL_PERCENTAGE &&
-         overfillPercentage <= TOLERANCE.MAX_OVERFILL_PERCENTAGE;
+export function isWithinTolerance(overfillPercentage, tolerance = getToleranceConfig()) {
+  return overfillPercentage >= -tolerance.maxUnderfill &&
+         overfillPercentage <= tolerance.maxOverfill;
 }
 
 /**
@@ -0,0 +1,197 @@
+/**
+ * NDC pricing
+ *
+ * Pricing sources look up a package cost for an NDC. The first source reads
+ * a locally imported CSV of acquisition costs and AWP per package; other
+ * sources only need a name and a getPrice function. Priced NDCs let the
+ * matcher total the cost of each package combination.
+ *
+ * @module lib/calculations/ndc-pricing
+ */
+
+/**
+ * Price bases a CSV price file can supply
+ */
+export const PRICE_BASES = {
+  ACQUISITION: 'acquisition',
+  AWP: 'awp'
+};
+
+/**
+ * CSV column holding the package price for each basis
+ */
+const PRICE_COLUMNS = {
+  [PRICE_BASES.ACQUISITION]: 'acquisition_cost',
+  [PRICE_BASES.AWP]: 'awp'
+};
+
+/**
+ * Segment lengths of the 11-digit 5-4-2 NDC that hyphenated NDCs are padded to
+ */
+const NDC_11_SEGMENT_LENGTHS = [5, 4, 2];
+
+/**
+ * Normalize an NDC to 11 digits (5-4-2) so the FDA's 10-digit package NDCs match price files
+ * Hyphenated 10-digit NDCs (4-4-2, 5-3-2, 5-4-1) get a leading zero in the short segment.
+ * Unhyphenated NDCs are kept as digits, since a plain 10-digit NDC does not say which
+ * segment is short.
+ * @param {string} ndc - NDC in any format
+ * @returns {string} 11-digit NDC, or the digits of an NDC that cannot be padded
+ */
+export function normalizeNDCKey(ndc) {
+  const text = String(ndc || '').trim();
+  const segments = text.split('-');
+  const paddable = segments.length === NDC_11_SEGMENT_LENGTHS.length &&
+    segments.every((segment, index) => /^\d+$/.test(segment) && segment.length <= NDC_11_SEGMENT_LENGTHS[index]) &&
+    segments.join('').length >= 10;
+
+  return paddable
+    ? segments.map((segment, index) => segment.padStart(NDC_11_SEGMENT_LENGTHS[index], '0')).join('')
+    : text.replace(/\D/g, '');
+}
+
+/**
+ * Parse a CSV price file
+ * The header must include an "ndc" column and at least one price column ("acquisition_cost", "awp").
+ * Prices are per package, in dollars; blank prices are allowed.
+ * @param {string} text - CSV file contents
+ * @returns {Object} Result with success and data (price rows keyed by normalized NDC) and
+ *   errors for rows that were skipped, or success false with an error
+ */
+export function parsePriceCSV(text) {
+  const lines = String(text || '').split(/\r?\n/).filter(line => line.trim());
+  if (lines.length === 0) {
+    return { success: false, error: 'Price file is empty' };
+  }
+
+  const header = splitCSVLine(lines[0]).map(column => column.toLowerCase());
+  const ndcIndex = header.indexOf('ndc');
+  const priceColumns = Object.values(PRICE_COLUMNS).filter(column => header.includes(column));
+  if (ndcIndex === -1 || priceColumns.length === 0) {
+    return {
+      success: false,
+      error: `Price file header must include "ndc" and one of: ${Object.values(PRICE_COLUMNS).join(', ')}`
+    };
+  }
+
+  const prices = new Map();
+  const errors = [];
+
+  lines.slice(1).forEach((line, index) => {
+    const fields = splitCSVLine(line);
+    const key = normalizeNDCKey(fields[ndcIndex]);
+    const row = Object.fromEntries(priceColumns.map(column => [column, parsePrice(fields[header.indexOf(column)])]));
+
+    if (!key) {
+      errors.push(`Line ${index + 2}: missing NDC`);
+    } else if (Object.values(row).some(price => Number.isNaN(price))) {
+      errors.push(`Line ${index + 2}: invalid price for NDC ${fields[ndcIndex]}`);
+    } else {
+      prices.set(key, row);
+    }
+  });
+
+  return { success: true, data: prices, errors };
+}
+
+/**
+ * Create a pricing source from parsed CSV prices
+ * @param {Map<string, Object>} prices - Price rows from parsePriceCSV
+ * @param {Object} [options] - Source options
+ * @param {string} [options.basis] - Price basis: "acquisition" (default) or "awp"
+ * @returns {Object} Pricing source with name, basis and getPrice(ndc) returning the package price or null
+ */
+export function createCSVPricingSource(prices, { basis = PRICE_BASES.ACQUISITION } = {}) {
+  const column = PRICE_COLUMNS[basis] || PRICE_COLUMNS[PRICE_BASES.ACQUISITION];
+
+  return {
+    name: 'csv',
+    basis,
+    getPrice: (ndc) => prices.get(normalizeNDCKey(ndc))?.[column] ?? null
+  };
+}
+
+/**
+ * Attach package prices from a pricing source to NDC records
+ * NDCs the source does not price keep their existing cost.
+ * @param {Array<Object>} ndcs - NDC records
+ * @param {Object|null} source - Pricing source
+ * @returns {Array<Object>} NDC records with cost (package price or null) and costSource
+ */
+export function applyPricing(ndcs, source) {
+  if (!source || !Array.isArray(ndcs)) {
+    return ndcs;
+  }
+
+  return ndcs.map(ndc => {
+    const price = source.getPrice(ndc.ndc);
+    return price === null ? ndc : { ...ndc, cost: price, costSource: `${source.name}:${source.basis}` };
+  });
+}
+
+/**
+ * Total the cost of a package combination
+ * @param {Object} combination - Combination with ndcs and packages per NDC
+ * @returns {number|null} Total cost in dollars, or null when any NDC is unpriced
+ */
+export function calculateCombinationCost(combination) {
+  const { ndcs = [], packages = [] } = combination || {};
+  if (ndcs.length === 0 || ndcs.some(ndc => typeof ndc.cost !== 'number')) {
+    return null;
+  }
+
+  return roundCurrency(ndcs.reduce((sum, ndc, index) => sum + ndc.cost * (packages[index] || 0), 0));
+}
+
+/**
+ * Split a CSV line into trimmed fields, honouring double-quoted fields
+ * @param {string} line - CSV line
+ * @returns {Array<string>} Fields
+ */
+function splitCSVLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"' && quoted && line[i + 1] === '"') {
+      field += '"';
+      i++;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+
+  return fields;
+}
+
+/**
+ * Parse a price field, allowing a leading "$" and thousands separators
+ * @param {string} [value] - Price field
+ * @returns {number|null} Price, null when blank, or NaN when invalid
+ */
+function parsePrice(value) {
+  const cleaned = (value || '').replace(/[$,\s]/g, '');
+  if (!cleaned) {
+    return null;
+  }
+
+  const price = Number(cleaned);
+  return price >= 0 ? price : NaN;
+}
+
+/**
+ * Round a dollar amount to cents
+ * @param {number} amount - Amount in dollars
+ * @returns {number} Rounded amount
+ */
+function roundCurrency(amount) {
+  return Math.round(amount * 100) / 100;
+}
@@ -0,0 +1,130 @@
+/**
+ * Ophthalmic and otic drop calculation
+ *
+ * This module converts drop SIGs ("1 gtt OU BID", "4 drops in the right ear
+ * twice daily") into a dispensed volume: drops per day are doubled for both
+ * eyes or ears, converted to mL with a drops-per-mL factor for the product,
+ * and later fitted to the bottle sizes in the NDC list.
+ *
+ * @module lib/calculations/ophthalmic
+ */
+
+import { UNITS } from '../constants/dosage.js';
+import { DEFAULT_DROPS_PER_ML, DROPS_PER_ML_BY_INGREDIENT, DROP_SITES } from '../constants/ophthalmic.js';
+import { calculateQuantity } from './quantity.js';
+import { createCalculationResult } from './quantity-utils.js';
+
+/**
+ * Check whether a SIG unit is drops
+ * @param {string} unit - Normalized SIG unit
+ * @returns {boolean} True for "drop" and "drops"
+ */
+export function isDropUnit(unit) {
+  return unit === UNITS.DROP || unit === UNITS.DROPS;
+}
+
+/**
+ * Determine which eyes or ears receive each dose
+ * @param {string} text - SIG text
+ * @returns {Object} Site with label (null when not stated) and multiplier (2 for both eyes/ears)
+ */
+export function parseDropSite(text) {
+  const site = typeof text === 'string' && DROP_SITES.find(({ pattern }) => pattern.test(text));
+
+  return site
+    ? { label: site.label, multiplier: site.multiplier }
+    : { label: null, multiplier: 1 };
+}
+
+/**
+ * Get the drops-per-mL factor for a product
+ * @param {Object} [product] - Product details
+ * @param {string} [product.drugName] - Drug name, matched against known ingredients
+ * @param {number} [product.dropsPerMl] - Factor entered for this product (overrides the tables)
+ * @returns {Object} Factor with dropsPerMl and source ('product', 'ingredient' or 'default')
+ */
+export function getDropsPerMl({ drugName, dropsPerMl } = {}) {
+  if (dropsPerMl > 0) {
+    return { dropsPerMl, source: 'product' };
+  }
+
+  const lowerName = typeof drugName === 'string' ? drugName.toLowerCase() : '';
+  const ingredient = Object.keys(DROPS_PER_ML_BY_INGREDIENT).find(name => lowerName.includes(name));
+  if (ingredient) {
+    return { dropsPerMl: DROPS_PER_ML_BY_INGREDIENT[ingredient], source: 'ingredient' };
+  }
+
+  return { dropsPerMl: DEFAULT_DROPS_PER_ML, source: 'default' };
+}
+
+/**
+ * Calculate the volume of an eye or ear drop product to dispense
+ * @param {Object} parsedSIG - Parsed SIG object with unit "drop" or "drops"
+ * @param {number} daysSupply - Days supply
+ * @param {Object} [product] - Product details passed to getDropsPerMl
+ * @param {Object} [options] - Options passed to calculateQuantity (e.g., rangeSelection)
+ * @returns {Object} Calculation result in mL with drop details
+ */
+export function calculateDropQuantity(parsedSIG, daysSupply, product = {}, options = {}) {
+  if (!isDropUnit(parsedSIG?.unit)) {
+    return createCalculationResult(null, null, false, 'Drop calculation requires a dose in drops');
+  }
+
+  const dropResult = calculateQuantity(parsedSIG, daysSupply, options);
+  if (!dropResult.success) {
+    return dropResult;
+  }
+
+  const site = parseDropSite(parsedSIG.originalText);
+  const { dropsPerMl, source } = getDropsPerMl(product);
+  const totalDrops = dropResult.quantity * site.multiplier;
+  const volumeMl = Math.ceil((totalDrops / dropsPerMl) * 10 - 1e-9) / 10;
+
+  return createCalculationResult(volumeMl, UNITS.ML, true, null, {
+    dose: dropResult.dose,
+    frequency: dropResult.frequency,
+    daysSupply,
+    rangeSelection: dropResult.rangeSelection,
+    basis: dropResult.basis,
+    prnCeiling: dropResult.prnCeiling,
+    drops: {
+      site: site.label,
+      multiplier: site.multiplier,
+      totalDrops,
+      dropsPerMl,
+      dropsPerMlSource: source,
+      dropsRange: dropResult.quantityRange
+    },
+    calculation: [
+      `${dropResult.calculation} drops`,
+      site.multiplier > 1 && `${site.label}: × ${site.multiplier} = ${totalDrops} drops`,
+      `${totalDrops} drops ÷ ${dropsPerMl} drops/ml = ${volumeMl} ml`
+    ].filter(Boolean).join('; ')
+  });
+}
+
+/**
+ * Fit a volume to the bottle sizes available in the NDC list
+ * Picks the single bottle size that covers the volume with the least total volume,
+ * preferring fewer, larger bottles on a tie.
+ * @param {number} volumeMl - Volume needed (mL)
+ * @param {Array<number>} bottleSizes - Available bottle sizes (mL)
+ * @returns {Object|null} Selection with bottleSize, bottles and totalMl, or null if no sizes are known
+ */
+export function selectBottleSize(volumeMl, bottleSizes) {
+  const sizes = [...new Set((bottleSizes || []).filter(size => size > 0))];
+  if (sizes.length === 0) {
+    return null;
+  }
+
+  return sizes
+    .map(bottleSize => {
+      const bottles = Math.max(1, Math.ceil(volumeMl / bottleSize - 1e-9));
+      return { bottleSize, bottles, totalMl: Math.round(bottles * bottleSize * 100) / 100 };
+    })
+    .reduce((best, option) => {
+      if (option.totalMl < best.totalMl) return option;
+      if (option.totalMl === best.totalMl && option.bottles < best.bottles) return option;
+      return best;
+    });
+}
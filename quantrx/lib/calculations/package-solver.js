@@ -0,0 +1,252 @@
+/**
+ * Package combination solver
+ *
+ * Finds the combinations of package sizes that come closest to a target
+ * quantity. This is a bounded coin-change problem: a dynamic program over
+ * every total up to the overfill limit records the fewest packages that reach
+ * each total, so mixed combinations such as 1 × 90 + 2 × 30 for 150 are found
+ * even when no single package size divides the quantity. Unbreakable packages
+ * (kits, dose packs, devices) are solved on their own, in whole multiples.
+ *
+ * @module lib/calculations/package-solver
+ */
+
+import { isUnbreakablePackage, describePackagingConstraint } from './packaging.js';
+
+/**
+ * Largest number of totals the solver will search (after scaling fractional package sizes)
+ */
+export const MAX_SOLVER_TOTAL = 200000;
+
+/**
+ * Most distinct package sizes the solver considers (largest first)
+ */
+const MAX_PACKAGE_SIZES = 30;
+
+/**
+ * Find the minimum-waste, minimum-package combinations for a quantity
+ * Every total within tolerance is reached with the fewest packages possible; among equal
+ * package counts, fewer distinct NDCs win. NDCs sharing a package size are interchangeable,
+ * so only one NDC of each size is used: the first, or the cheapest priced one when
+ * preferLowestCost is set. Unbreakable packages are never mixed with other package sizes.
+ * @param {number} targetQuantity - Quantity to dispense
+ * @param {Array<Object>} ndcs - Active NDCs with packageSize
+ * @param {Object} [options] - Solver options
+ * @param {number} [options.maxOverfill] - Largest overfill accepted, in percent (default 0)
+ * @param {number} [options.maxUnderfill] - Largest underfill accepted, in percent (default 0)
+ * @param {number} [options.maxResults] - Most combinations to return (default 10)
+ * @param {boolean} [options.preferLowestCost] - Use the cheapest priced NDC of each size (default false)
+ * @returns {Array<Object>} Combinations ({ ndcs, packages, totalQuantity, overfill, breakdown }),
+ *   closest to the target first; overfill is preferred to underfill of the same size
+ */
+export function solvePackageCombinations(targetQuantity, ndcs, options = {}) {
+  const { maxOverfill = 0, maxUnderfill = 0, maxResults = 10, preferLowestCost = false } = options;
+
+  if (!(targetQuantity > 0) || !Array.isArray(ndcs)) {
+    return [];
+  }
+
+  return groupCombinableNDCs(ndcs)
+    .flatMap(group => solveGroup(targetQuantity, getDistinctPackageSizes(group, preferLowestCost), maxOverfill, maxUnderfill))
+    .sort((a, b) => compareCombinations(a, b, targetQuantity))
+    .slice(0, maxResults);
+}
+
+/**
+ * Split NDCs into groups whose packages may be combined
+ * Breakable NDCs form one group; unbreakable NDCs form one group per package size.
+ * @param {Array<Object>} ndcs - NDCs with packageSize
+ * @returns {Array<Array<Object>>} Groups of combinable NDCs
+ */
+function groupCombinableNDCs(ndcs) {
+  const breakable = ndcs.filter(ndc => !isUnbreakablePackage(ndc));
+  const unbreakableBySize = new Map();
+
+  for (const ndc of ndcs.filter(isUnbreakablePackage)) {
+    unbreakableBySize.set(ndc.packageSize, [...(unbreakableBySize.get(ndc.packageSize) || []), ndc]);
+  }
+
+  return [breakable, ...unbreakableBySize.values()].filter(group => group.length > 0);
+}
+
+/**
+ * Find every combination within tolerance for one group of combinable NDCs
+ * @param {number} targetQuantity - Quantity to dispense
+ * @param {Array<Object>} sizes - Combinable NDCs, one per package size (largest first)
+ * @param {number} maxOverfill - Largest overfill accepted, in percent
+ * @param {number} maxUnderfill - Largest underfill accepted, in percent
+ * @returns {Array<Object>} Combinations, unsorted
+ */
+function solveGroup(targetQuantity, sizes, maxOverfill, maxUnderfill) {
+  if (sizes.length === 0) {
+    return [];
+  }
+
+  const scale = 10 ** Math.max(...sizes.map(({ packageSize }) => countDecimals(packageSize)));
+  const units = sizes.map(({ packageSize }) => Math.round(packageSize * scale));
+  const target = targetQuantity * scale;
+  const maxTotal = Math.floor(target * (1 + maxOverfill / 100) + 1e-9);
+  const minTotal = Math.max(1, Math.ceil(target * (1 - maxUnderfill / 100) - 1e-9));
+
+  if (maxTotal > MAX_SOLVER_TOTAL || minTotal > maxTotal) {
+    return [];
+  }
+
+  const table = buildPackageTable(units, maxTotal);
+  const combinations = [];
+
+  for (let total = minTotal; total <= maxTotal; total++) {
+    if (table.packages[total] !== Infinity) {
+      combinations.push(createCombination(readCounts(table, units, total), sizes, targetQuantity));
+    }
+  }
+
+  return combinations;
+}
+
+/**
+ * Fill the fewest-packages table for every total up to a limit
+ * @param {Array<number>} units - Package sizes in scaled integer units
+ * @param {number} maxTotal - Largest total to fill
+ * @returns {Object} Table with packages (fewest per total), distinct (package sizes used),
+ *   used (bitmask of package sizes) and last (index of the size added last) per total
+ */
+function buildPackageTable(units, maxTotal) {
+  const packages = new Array(maxTotal + 1).fill(Infinity);
+  const distinct = new Array(maxTotal + 1).fill(0);
+  const used = new Array(maxTotal + 1).fill(0);
+  const last = new Array(maxTotal + 1).fill(-1);
+  packages[0] = 0;
+
+  for (let total = 1; total <= maxTotal; total++) {
+    units.forEach((size, index) => {
+      const from = total - size;
+      if (from < 0 || packages[from] === Infinity) {
+        return;
+      }
+
+      const bit = 1 << index;
+      const count = packages[from] + 1;
+      const sizesUsed = distinct[from] + (used[from] & bit ? 0 : 1);
+
+      if (count < packages[total] || (count === packages[total] && sizesUsed < distinct[total])) {
+        packages[total] = count;
+        distinct[total] = sizesUsed;
+        used[total] = used[from] | bit;
+        last[total] = index;
+      }
+    });
+  }
+
+  return { packages, distinct, used, last };
+}
+
+/**
+ * Walk the table back from a total to the package count of each size
+ * @param {Object} table - Table from buildPackageTable
+ * @param {Array<number>} units - Package sizes in scaled integer units
+ * @param {number} total - Total to read
+ * @returns {Array<number>} Packages of each size
+ */
+function readCounts(table, units, total) {
+  const counts = new Array(units.length).fill(0);
+
+  for (let remaining = total; remaining > 0; remaining -= units[table.last[remaining]]) {
+    counts[table.last[remaining]] += 1;
+  }
+
+  return counts;
+}
+
+/**
+ * Build a combination from package counts
+ * @param {Array<number>} counts - Packages of each size
+ * @param {Array<Object>} sizes - NDC for each package size
+ * @param {number} targetQuantity - Quantity to dispense
+ * @returns {Object} Combination
+ */
+function createCombination(counts, sizes, targetQuantity) {
+  const parts = sizes
+    .map((ndc, index) => ({ ndc, count: counts[index] }))
+    .filter(({ count }) => count > 0);
+  const totalQuantity = roundQuantity(parts.reduce((sum, { ndc, count }) => sum + ndc.packageSize * count, 0));
+
+  return {
+    ndcs: parts.map(({ ndc }) => ndc),
+    packages: parts.map(({ count }) => count),
+    totalQuantity,
+    overfill: ((totalQuantity - targetQuantity) / targetQuantity) * 100,
+    breakdown: parts.map(({ ndc, count }) => `${count} × ${ndc.packageSize}-count ${ndc.dosageForm}`).join(' + ') +
+      ` = ${totalQuantity} units${describePackagingConstraint(parts.map(({ ndc }) => ndc))}`
+  };
+}
+
+/**
+ * Order combinations by waste, then package count, then distinct NDCs
+ * @param {Object} a - Combination
+ * @param {Object} b - Combination
+ * @param {number} targetQuantity - Quantity to dispense
+ * @returns {number} Sort order
+ */
+function compareCombinations(a, b, targetQuantity) {
+  const wasteA = Math.abs(a.totalQuantity - targetQuantity);
+  const wasteB = Math.abs(b.totalQuantity - targetQuantity);
+  const totalPackages = combo => combo.packages.reduce((sum, count) => sum + count, 0);
+
+  return (wasteA - wasteB) ||
+    (b.totalQuantity - a.totalQuantity) ||
+    (totalPackages(a) - totalPackages(b)) ||
+    (a.ndcs.length - b.ndcs.length);
+}
+
+/**
+ * Keep one NDC of each package size, largest sizes first
+ * @param {Array<Object>} ndcs - NDCs with packageSize
+ * @param {boolean} [preferLowestCost=false] - Keep the cheapest priced NDC of each size
+ *   instead of the first
+ * @returns {Array<Object>} One NDC per distinct package size
+ */
+function getDistinctPackageSizes(ndcs, preferLowestCost = false) {
+  const bySize = new Map();
+
+  for (const ndc of ndcs) {
+    if (!(ndc?.packageSize > 0)) continue;
+
+    const kept = bySize.get(ndc.packageSize);
+    if (!kept || (preferLowestCost && packageCost(ndc) < packageCost(kept))) {
+      bySize.set(ndc.packageSize, ndc);
+    }
+  }
+
+  return [...bySize.values()]
+    .sort((a, b) => b.packageSize - a.packageSize)
+    .slice(0, MAX_PACKAGE_SIZES);
+}
+
+/**
+ * Get the package price of an NDC for cost comparisons
+ * @param {Object} ndc - NDC with an optional cost
+ * @returns {number} Package price, or Infinity when unpriced
+ */
+function packageCost(ndc) {
+  return typeof ndc.cost === 'number' ? ndc.cost : Infinity;
+}
+
+/**
+ * Count the decimal places of a package size (at most 2)
+ * @param {number} value - Package size
+ * @returns {number} Decimal places
+ */
+function countDecimals(value) {
+  const decimals = (String(value).split('.')[1] || '').length;
+  return Math.min(decimals, 2);
+}
+
+/**
+ * Round a total quantity to 2 decimal places
+ * @param {number} quantity - Quantity
+ * @returns {number} Rounded quantity
+ */
+function roundQuantity(quantity) {
+  return Math.round(quantity * 100) / 100;
+}
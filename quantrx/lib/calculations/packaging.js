@@ -0,0 +1,69 @@
+/**
+ * Package type awareness
+ *
+ * Classifies NDC packages from their FDA package description. Kits, dose
+ * packs and devices are unbreakable: they are dispensed whole and never
+ * combined with other package sizes. Unit-dose packages can be combined, and
+ * institutional plan profiles rank them first.
+ *
+ * @module lib/calculations/packaging
+ */
+
+import {
+  PACKAGING_TYPES,
+  PACKAGING_PATTERNS,
+  UNBREAKABLE_PACKAGING_TYPES,
+  PACKAGING_LABELS
+} from '../constants/packaging.js';
+import { PLAN_PROFILES } from '../constants/rounding.js';
+
+/**
+ * Derive the packaging type from an FDA package description
+ * @param {string} [description] - Package description (e.g., "10 BLISTER PACK in 1 CARTON > 10 TABLET in 1 BLISTER PACK")
+ * @returns {string} Packaging type (see PACKAGING_TYPES); "bulk" when nothing more specific matches
+ */
+export function classifyPackaging(description) {
+  const match = PACKAGING_PATTERNS.find(({ pattern }) => pattern.test(description || ''));
+  return match ? match.type : PACKAGING_TYPES.BULK;
+}
+
+/**
+ * Check whether an NDC's package must be dispensed whole and uncombined
+ * @param {Object} ndc - NDC record
+ * @returns {boolean} True for kits, dose packs and devices
+ */
+export function isUnbreakablePackage(ndc) {
+  return UNBREAKABLE_PACKAGING_TYPES.includes(ndc?.packagingType);
+}
+
+/**
+ * Check whether an NDC is packaged as unit-dose
+ * @param {Object} ndc - NDC record
+ * @returns {boolean} True for unit-dose packages
+ */
+export function isUnitDosePackage(ndc) {
+  return ndc?.packagingType === PACKAGING_TYPES.UNIT_DOSE;
+}
+
+/**
+ * Check whether a plan profile ranks unit-dose packages first
+ * @param {string} [planProfile] - Plan profile name
+ * @returns {boolean} True for institutional profiles
+ */
+export function prefersUnitDose(planProfile) {
+  return Boolean(PLAN_PROFILES[planProfile]?.prefersUnitDose);
+}
+
+/**
+ * Explain the packaging constraint behind a combination, for its breakdown text
+ * @param {Array<Object>} ndcs - NDCs in the combination
+ * @returns {string} Explanation in parentheses with a leading space, or an empty string for bulk packages
+ */
+export function describePackagingConstraint(ndcs) {
+  const unbreakable = (ndcs || []).find(isUnbreakablePackage);
+  if (unbreakable) {
+    return ` (${PACKAGING_LABELS[unbreakable.packagingType]}: dispensed whole, not combined with other packages)`;
+  }
+
+  return ndcs?.length > 0 && ndcs.every(isUnitDosePackage) ? ` (${PACKAGING_LABELS[PACKAGING_TYPES.UNIT_DOSE]})` : '';
+}
@@ -0,0 +1,217 @@
+/**
+ * PRN ("as needed") SIG utilities
+ *
+ * This module detects as-needed directions, extracts stated maximum daily dose
+ * caps ("max 6 tablets per day", "not to exceed 4 doses in 24h"), and derives
+ * the worst-case daily use that a PRN quantity is calculated from.
+ *
+ * @module lib/calculations/prn
+ */
+
+import { normalizeUnit } from '../constants/dosage.js';
+import { roundQuantity, createCalculationResult } from './quantity-utils.js';
+import { SIG_SPAN_TYPES } from './sig-annotation.js';
+import {
+  createMatch,
+  createTextMap,
+  rewriteTextMap,
+  replaceInTextMap,
+  trimTextMap,
+  mapMatches
+} from './sig-trace.js';
+
+/**
+ * As-needed phrases ("as needed for pain", "prn", "when needed")
+ */
+const AS_NEEDED_PATTERN = /\b(?:as\s+needed|prn|as\s+required|when\s+needed|if\s+needed)\b/i;
+
+/**
+ * Maximum daily dose caps: "max 6 tablets per day", "maximum of 8 tabs in 24 hours",
+ * "not to exceed 4 doses in 24h", "do not exceed 6 per day", "no more than 3 capsules daily"
+ */
+const MAX_DAILY_DOSE_PATTERN = new RegExp(
+  '[,;(]?\\s*\\b(?:max(?:imum)?(?:\\s+of)?|not\\s+to\\s+exceed|do\\s+not\\s+exceed|no\\s+more\\s+than)\\s+' +
+  '(\\d+(?:\\.\\d+)?)\\s*(?:(?!(?:per|in|a|an|every|each|day|daily)\\b)([a-z]+)\\s*)?' +
+  '(?:(?:per|in|a|an|every|each|\\/)\\s*)?(?:24\\s*(?:hours?|hrs?|h)|day|daily)\\b\\)?',
+  'i'
+);
+
+/**
+ * Words that count doses rather than units ("4 doses in 24h")
+ */
+const DOSE_COUNT_WORDS = ['dose', 'doses', 'time', 'times'];
+
+/**
+ * Check whether SIG text is written as needed
+ * @param {string} text - SIG text
+ * @returns {boolean} True if the text contains an as-needed phrase
+ */
+export function isAsNeeded(text) {
+  return typeof text === 'string' && AS_NEEDED_PATTERN.test(text);
+}
+
+/**
+ * Parse a maximum daily dose cap from SIG text
+ * @param {string} text - SIG text
+ * @returns {Object|null} Cap with amount and unit ('dose' when doses are counted,
+ *   null when no unit is written), plus the matched text, or null if no cap is stated
+ */
+export function parseMaxDailyDose(text) {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+
+  const match = text.match(MAX_DAILY_DOSE_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const [matchedText, amountStr, unitStr] = match;
+  const amount = parseFloat(amountStr);
+  if (!(amount > 0)) {
+    return null;
+  }
+
+  let unit = null;
+  if (unitStr) {
+    const lowerUnit = unitStr.toLowerCase();
+    unit = DOSE_COUNT_WORDS.includes(lowerUnit) ? 'dose' : (normalizeUnit(lowerUnit) || lowerUnit);
+  }
+
+  return { amount, unit, matchedText, index: match.index };
+}
+
+/**
+ * Remove PRN wording and dose caps from SIG text so the dose and schedule can be parsed
+ * @param {string} text - SIG text
+ * @returns {Object} Object with remaining text (and its text map back to the SIG), asNeeded
+ *   flag, maxDailyDose ({amount, unit} or null) and the parse trace matches of what was removed
+ */
+export function extractPRNDetails(text) {
+  const cap = parseMaxDailyDose(text);
+  let remaining = createTextMap(text);
+  const matches = [];
+
+  if (cap) {
+    remaining = rewriteTextMap(remaining, [{ start: cap.index, end: cap.index + cap.matchedText.length, text: '' }]);
+
+    // The cap is traced without the punctuation around it (", max 6 per day", "(max 6 per day)")
+    const capStart = cap.index + cap.matchedText.search(/\w/);
+    const capEnd = cap.index + cap.matchedText.replace(/\W+$/, '').length;
+    matches.push(createMatch(SIG_SPAN_TYPES.MAX_DOSE, capStart, capEnd, { amount: cap.amount, unit: cap.unit }));
+  }
+
+  const asNeededMatch = remaining.text.match(AS_NEEDED_PATTERN);
+  if (asNeededMatch) {
+    matches.push(...mapMatches([
+      createMatch(SIG_SPAN_TYPES.FREQUENCY, asNeededMatch.index, asNeededMatch.index + asNeededMatch[0].length, 'as needed')
+    ], remaining));
+  }
+
+  remaining = replaceInTextMap(remaining, AS_NEEDED_PATTERN, ' ');
+  remaining = replaceInTextMap(remaining, /\s{2,}/g, ' ');
+  remaining = trimTextMap(replaceInTextMap(remaining, /[,;.\s]+$/, ''));
+
+  return {
+    text: remaining.text,
+    textMap: remaining,
+    asNeeded: Boolean(asNeededMatch),
+    maxDailyDose: cap ? { amount: cap.amount, unit: cap.unit } : null,
+    matches
+  };
+}
+
+/**
+ * Determine the worst-case daily use for a PRN SIG
+ * Uses the stated maximum daily dose and the dosing interval, whichever is lower.
+ * A cap written in a different unit than the SIG (e.g., mg for tablets) is ignored.
+ * @param {Object} parsedSIG - Parsed SIG object with asNeeded/maxDailyDose
+ * @returns {Object|null} Ceiling with perDay (units per day) and source
+ *   ('max_daily_dose' or 'interval'), or null if neither is available
+ */
+export function calculatePRNDailyCeiling(parsedSIG) {
+  const { dose, frequency, unit, maxDailyDose } = parsedSIG;
+  const ceilings = [];
+
+  if (maxDailyDose) {
+    if (maxDailyDose.unit === 'dose') {
+      ceilings.push({ perDay: maxDailyDose.amount * dose, source: 'max_daily_dose' });
+    } else if (!maxDailyDose.unit || maxDailyDose.unit === unit) {
+      ceilings.push({ perDay: maxDailyDose.amount, source: 'max_daily_dose' });
+    }
+  }
+
+  if (frequency) {
+    ceilings.push({ perDay: dose * frequency, source: 'interval' });
+  }
+
+  if (ceilings.length === 0) {
+    return null;
+  }
+
+  return ceilings.reduce((lowest, ceiling) => (ceiling.perDay < lowest.perDay ? ceiling : lowest));
+}
+
+/**
+ * Calculate the worst-case quantity for an as-needed SIG
+ * Uses the lower of the stated maximum daily dose and the dosing interval. Ranged SIGs
+ * ("1-2 tablets every 4-6 hours as needed") get a ceiling for each end of the range and
+ * dispense the selected one.
+ * @param {Object} parsedSIG - Parsed SIG object with asNeeded and optional maxDailyDose,
+ *   doseRange and frequencyRange
+ * @param {number} daysSupply - Days supply
+ * @param {string} [rangeSelection='max'] - Which end of a dose/frequency range to dispense ('min' or 'max')
+ * @returns {Object} Calculation result with basis 'prn_ceiling' and the ceiling used, plus
+ *   quantityRange and rangeSelection for ranged SIGs
+ */
+export function calculatePRNQuantity(parsedSIG, daysSupply, rangeSelection = 'max') {
+  const { dose, frequency, unit, doseRange, frequencyRange } = parsedSIG;
+  const isRanged = Boolean(doseRange || frequencyRange);
+  const bounds = {
+    min: { dose: doseRange?.min ?? dose, frequency: frequencyRange?.min ?? frequency },
+    max: { dose: doseRange?.max ?? dose, frequency: frequencyRange?.max ?? frequency }
+  };
+  const selected = isRanged ? bounds[rangeSelection] : { dose, frequency };
+  const ceiling = calculatePRNDailyCeiling({ ...parsedSIG, ...selected });
+
+  if (!ceiling) {
+    return createCalculationResult(
+      null,
+      unit,
+      false,
+      'Cannot calculate quantity for "as needed" prescriptions without a maximum daily dose or dosing interval. Please enter quantity manually.'
+    );
+  }
+
+  const roundedQuantity = roundQuantity(ceiling.perDay * daysSupply, unit);
+  const sourceLabel = ceiling.source === 'max_daily_dose' ? 'max daily dose' : 'dosing interval';
+  let calculation = `PRN ceiling (${sourceLabel}): ${ceiling.perDay} ${unit}/day × ${daysSupply} = ${roundedQuantity}`;
+  let rangeDetails = {};
+
+  if (isRanged) {
+    const minCeiling = calculatePRNDailyCeiling({ ...parsedSIG, ...bounds.min });
+    const maxCeiling = calculatePRNDailyCeiling({ ...parsedSIG, ...bounds.max });
+    const quantityRange = {
+      min: roundQuantity(minCeiling.perDay * daysSupply, unit),
+      max: roundQuantity(maxCeiling.perDay * daysSupply, unit)
+    };
+
+    rangeDetails = { quantityRange, rangeSelection };
+    calculation = [
+      `Min: PRN ceiling ${minCeiling.perDay} ${unit}/day × ${daysSupply} = ${quantityRange.min}`,
+      `Max: PRN ceiling ${maxCeiling.perDay} ${unit}/day × ${daysSupply} = ${quantityRange.max}`,
+      `Using ${rangeSelection} (${sourceLabel}) = ${roundedQuantity}`
+    ].join('; ');
+  }
+
+  return createCalculationResult(roundedQuantity, unit, true, null, {
+    dose: selected.dose,
+    frequency: ceiling.perDay / selected.dose,
+    daysSupply,
+    basis: 'prn_ceiling',
+    prnCeiling: ceiling,
+    exactQuantity: ceiling.perDay * daysSupply,
+    ...rangeDetails,
+    calculation
+  });
+}
@@ -0,0 +1,60 @@
+/**
+ * Shared quantity calculation helpers
+ *
+ * Rounding and result construction used by the quantity calculator and the
+ * specialised calculators (PRN, tapers, ranges) so every path returns the
+ * same result shape.
+ *
+ * @module lib/calculations/quantity-utils
+ */
+
+import { isCountBasedUnit, isVolumeBasedUnit } from '../constants/dosage.js';
+
+/**
+ * Round quantity to appropriate precision based on unit type
+ * @param {number} quantity - Raw calculated quantity
+ * @param {string} unit - Unit of measurement
+ * @returns {number} Rounded quantity
+ */
+export function roundQuantity(quantity, unit) {
+  // For count-based units (tablets, capsules), round up to next whole number
+  if (isCountBasedUnit(unit)) {
+    return Math.ceil(quantity);
+  }
+
+  // For volume/weight units, round to appropriate decimal places
+  if (isVolumeBasedUnit(unit)) {
+    // For very small quantities, keep more precision
+    if (quantity < 1) {
+      return Math.round(quantity * 100) / 100; // 2 decimal places
+    }
+    // For larger quantities, round to 1 decimal place
+    if (quantity < 10) {
+      return Math.round(quantity * 10) / 10;
+    }
+    // For large quantities, round to whole numbers
+    return Math.round(quantity);
+  }
+
+  // For other units (special units like insulin), round up
+  return Math.ceil(quantity);
+}
+
+/**
+ * Create a standardized calculation result object
+ * @param {number|null} quantity - Calculated quantity
+ * @param {string|null} unit - Unit of measurement
+ * @param {boolean} success - Whether calculation succeeded
+ * @param {string|null} error - Error message if calculation failed
+ * @param {Object} [metadata] - Additional calculation metadata
+ * @returns {Object} Calculation result object
+ */
+export function createCalculationResult(quantity, unit, success, error, metadata = {}) {
+  return {
+    quantity,
+    unit,
+    success,
+    error,
+    ...metadata
+  };
+}
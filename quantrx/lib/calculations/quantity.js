@@ -8,14 +8,28 @@
  */
 
 import { isCountBasedUnit, isVolumeBasedUnit } from '../constants/dosage.js';
+import { roundQuantity, createCalculationResult } from './quantity-utils.js';
+import { calculatePRNQuantity } from './prn.js';
+import { calculateTopicalQuantity } from './topical.js';
+import { calculateRegimenQuantity } from './regimen.js';
+
+/**
+ * Range selections a pharmacist can choose for ranged SIGs ("1-2 tablets")
+ * Max is the default so the dispensed quantity covers the highest directed use.
+ */
+export const RANGE_SELECTIONS = ['min', 'max'];
+
+const DEFAULT_RANGE_SELECTION = 'max';
 
 /**
  * Calculate total quantity to dispense based on SIG and days supply
  * @param {Object} parsedSIG - Parsed SIG object from sig-parsing.js
  * @param {number} daysSupply - Number of days the prescription should last
+ * @param {Object} [options] - Calculation options
+ * @param {string} [options.rangeSelection='max'] - Which end of a dose/frequency range to dispense ('min' or 'max')
  * @returns {Object} Calculation result with quantity, unit, and metadata
  */
-export function calculateQuantity(parsedSIG, daysSupply) {
+export function calculateQuantity(parsedSIG, daysSupply, options = {}) {
   // Validate inputs
   const validation = validateCalculationInputs(parsedSIG, daysSupply);
   if (!validation.isValid) {
@@ -23,6 +37,25 @@ export function calculateQuantity(parsedSIG, daysSupply) {
   }
 
   try {
+    // Tapers and other multi-step directions are summed phase by phase
+    if (hasDosingPhases(parsedSIG)) {
+      return calculatePhasedQuantity(parsedSIG, daysSupply);
+    }
+
+    // Topical SIGs are estimated in grams from the application site and treatment duration
+    if (parsedSIG.topical) {
+      return calculateTopicalQuantity(parsedSIG, daysSupply);
+    }
+
+    // As-needed SIGs are dispensed for the worst case allowed by the cap or interval
+    if (parsedSIG.asNeeded) {
+      const rangeSelection = options.rangeSelection ?? DEFAULT_RANGE_SELECTION;
+      if (hasDoseOrFrequencyRange(parsedSIG) && !RANGE_SELECTIONS.includes(rangeSelection)) {
+        return createInvalidRangeSelectionResult(rangeSelection, parsedSIG.unit);
+      }
+      return calculatePRNQuantity(parsedSIG, daysSupply, rangeSelection);
+    }
+
     const { dose, frequency, unit } = parsedSIG;
 
     // Handle special cases
@@ -45,6 +78,16 @@ export function calculateQuantity(parsedSIG, daysSupply) {
       );
     }
 
+    // Weekly, interval and cyclical regimens count whole doses over the days supply
+    if (parsedSIG.regimen) {
+      return calculateRegimenQuantity(parsedSIG, daysSupply, options.rangeSelection);
+    }
+
+    // Ranged SIGs ("1-2 tablets every 4-6 hours") produce a min and max quantity
+    if (hasDoseOrFrequencyRange(parsedSIG)) {
+      return calculateRangedQuantity(parsedSIG, daysSupply, options.rangeSelection);
+    }
+
     // Core calculation: dose × frequency × days supply
     const totalQuantity = dose * frequency * daysSupply;
 
@@ -55,6 +98,7 @@ export function calculateQuantity(parsedSIG, daysSupply) {
       dose,
       frequency,
       daysSupply,
+      exactQuantity: totalQuantity,
       calculation: `${dose} × ${frequency} × ${daysSupply} = ${roundedQuantity}`
     });
 
@@ -68,6 +112,132 @@ export function calculateQuantity(parsedSIG, daysSupply) {
   }
 }
 
+/**
+ * Check whether a parsed SIG describes multiple dosing phases (e.g., a taper)
+ * @param {Object} parsedSIG - Parsed SIG object
+ * @returns {boolean} True if the SIG has more than one dosing phase
+ */
+function hasDosingPhases(parsedSIG) {
+  return Array.isArray(parsedSIG.phases) && parsedSIG.phases.length > 1;
+}
+
+/**
+ * Calculate total quantity for a multi-phase SIG by summing dose × frequency × duration per phase
+ * A final phase without a duration runs for the remainder of the days supply, and a
+ * one-time phase ("now") is a single dose taken on its first day.
+ * @param {Object} parsedSIG - Parsed SIG object with phases array
+ * @param {number} daysSupply - Days supply
+ * @returns {Object} Calculation result with per-phase breakdown
+ */
+function calculatePhasedQuantity(parsedSIG, daysSupply) {
+  const { unit, phases } = parsedSIG;
+  const phaseResults = [];
+  let elapsedDays = 0;
+  let totalQuantity = 0;
+
+  for (let i = 0; i < phases.length; i++) {
+    const { dose, frequency, durationDays, oneTime } = phases[i];
+    const days = oneTime ? 1 : durationDays ?? daysSupply - elapsedDays;
+
+    if (!frequency || days <= 0) {
+      return createCalculationResult(
+        null,
+        unit,
+        false,
+        `Cannot calculate quantity for dosing phase ${i + 1}: frequency and duration are required`
+      );
+    }
+
+    const phaseQuantity = dose * frequency * days;
+    phaseResults.push({ phase: i + 1, dose, frequency, days, quantity: phaseQuantity });
+
+    elapsedDays += days;
+    totalQuantity += phaseQuantity;
+  }
+
+  const roundedQuantity = roundQuantity(totalQuantity, unit);
+  const phaseBreakdown = phaseResults
+    .map(p => `Phase ${p.phase}: ${p.dose} × ${p.frequency} × ${p.days} = ${p.quantity}`)
+    .join('; ');
+
+  return createCalculationResult(roundedQuantity, unit, true, null, {
+    dose: phases[0].dose,
+    frequency: phases[0].frequency,
+    daysSupply,
+    phases: phaseResults,
+    totalDays: elapsedDays,
+    exactQuantity: totalQuantity,
+    calculation: `${phaseBreakdown}; Total = ${roundedQuantity}`
+  });
+}
+
+/**
+ * Check whether a parsed SIG has a dose or frequency range
+ * @param {Object} parsedSIG - Parsed SIG object
+ * @returns {boolean} True if a dose range or frequency range was parsed
+ */
+function hasDoseOrFrequencyRange(parsedSIG) {
+  return Boolean(parsedSIG.doseRange || parsedSIG.frequencyRange);
+}
+
+/**
+ * Create the failed result for a range selection other than 'min' or 'max'
+ * @param {string} rangeSelection - Requested range selection
+ * @param {string} unit - Unit of the parsed SIG
+ * @returns {Object} Failed calculation result
+ */
+function createInvalidRangeSelectionResult(rangeSelection, unit) {
+  return createCalculationResult(
+    null,
+    unit,
+    false,
+    `Invalid range selection: ${rangeSelection}. Expected one of: ${RANGE_SELECTIONS.join(', ')}`
+  );
+}
+
+/**
+ * Calculate minimum and maximum quantities for a ranged SIG
+ * The selected end of the range becomes the dispensed quantity.
+ * @param {Object} parsedSIG - Parsed SIG object with doseRange and/or frequencyRange
+ * @param {number} daysSupply - Days supply
+ * @param {string} [rangeSelection='max'] - 'min' or 'max'
+ * @returns {Object} Calculation result with quantityRange and rangeSelection
+ */
+function calculateRangedQuantity(parsedSIG, daysSupply, rangeSelection = DEFAULT_RANGE_SELECTION) {
+  const { dose, frequency, unit, doseRange, frequencyRange } = parsedSIG;
+
+  if (!RANGE_SELECTIONS.includes(rangeSelection)) {
+    return createInvalidRangeSelectionResult(rangeSelection, unit);
+  }
+
+  const bounds = {
+    min: { dose: doseRange?.min ?? dose, frequency: frequencyRange?.min ?? frequency },
+    max: { dose: doseRange?.max ?? dose, frequency: frequencyRange?.max ?? frequency }
+  };
+
+  const quantityRange = {
+    min: roundQuantity(bounds.min.dose * bounds.min.frequency * daysSupply, unit),
+    max: roundQuantity(bounds.max.dose * bounds.max.frequency * daysSupply, unit)
+  };
+
+  const selected = bounds[rangeSelection];
+  const quantity = quantityRange[rangeSelection];
+
+  return createCalculationResult(quantity, unit, true, null, {
+    dose: selected.dose,
+    frequency: selected.frequency,
+    daysSupply,
+    exactQuantity: selected.dose * selected.frequency * daysSupply,
+    quantityRange,
+    rangeSelection,
+    calculation: [
+      `Min: ${bounds.min.dose} × ${bounds.min.frequency} × ${daysSupply} = ${quantityRange.min}`,
+      `Max: ${bounds.max.dose} × ${bounds.max.frequency} × ${daysSupply} = ${quantityRange.max}`,
+      `Using ${rangeSelection} = ${quantity}`
+    ].join('; ')
+  });
+}
+
 /**
  * Validate inputs for quantity calculation
  * @param {Object} parsedSIG - Parsed SIG object
@@ -106,72 +276,25 @@ function validateCalculationInputs(parsedSIG, daysSupply) {
   return { isValid: true };
 }
 
-/**
- * Round quantity to appropriate precision based on unit type
- * @param {number} quantity - Raw calculated quantity
- * @param {string} unit - Unit of measurement
- * @returns {number} Rounded quantity
- */
-function roundQuantity(quantity, unit) {
-  // For count-based units (tablets, capsules), round up to next whole number
-  if (isCountBasedUnit(unit)) {
-    return Math.ceil(quantity);
-  }
-
-  // For volume/weight units, round to appropriate decimal places
-  if (isVolumeBasedUnit(unit)) {
-    // For very small quantities, keep more precision
-    if (quantity < 1) {
-      return Math.round(quantity * 100) / 100; // 2 decimal places
-    }
-    // For larger quantities, round to 1 decimal place
-    if (quantity < 10) {
-      return Math.round(quantity * 10) / 10;
-    }
-    // For large quantities, round to whole numbers
-    return Math.round(quantity);
-  }
-
-  // For other units (special units like insulin), round up
-  return Math.ceil(quantity);
-}
-
-/**
- * Create a standardized calculation result object
- * @param {number|null} quantity - Calculated quantity
- * @param {string|null} unit - Unit of measurement
- * @param {boolean} success - Whether calculation succeeded
- * @param {string|null} error - Error message if calculation failed
- * @param {Object} [metadata] - Additional calculation metadata
- * @returns {Object} Calculation result object
- */
-function createCalculationResult(quantity, unit, success, error, metadata = {}) {
-  return {
-    quantity,
-    unit,
-    success,
-    error,
-    ...metadata
-  };
-}
-
 /**
  * Calculate quantity with manual override option
  * @param {Object} parsedSIG - Parsed SIG object
  * @param {number} daysSupply - Days supply
- * @param {Object} [overrides] - Manual overrides for dose, frequency, or unit
+ * @param {Object} [overrides] - Manual overrides for dose, frequency, unit, or rangeSelection
  * @returns {Object} Calculation result
  */
 export function calculateQuantityWithOverrides(parsedSIG, daysSupply, overrides = {}) {
   // Start with parsed SIG values
-  let { dose, frequency, unit } = parsedSIG;
+  let { dose, frequency, unit, doseRange, frequencyRange } = parsedSIG;
 
-  // Apply overrides
+  // Apply overrides (an overridden value replaces any parsed range)
   if (overrides.dose !== undefined) {
     dose = overrides.dose;
+    doseRange = undefined;
   }
   if (overrides.frequency !== undefined) {
     frequency = overrides.frequency;
+    frequencyRange = undefined;
   }
   if (overrides.unit !== undefined) {
     unit = overrides.unit;
@@ -182,11 +305,15 @@ export function calculateQuantityWithOverrides(parsedSIG, daysSupply, overrides
     ...parsedSIG,
     dose,
     frequency,
-    unit
+    unit,
+    doseRange,
+    frequencyRange
   };
 
   // Calculate with modified values
-  const result = calculateQuantity(modifiedSIG, daysSupply);
+  const result = calculateQuantity(modifiedSIG, daysSupply, {
+    rangeSelection: overrides.rangeSelection
+  });
 
   // Add override information to result
   if (Object.keys(overrides).length > 0) {
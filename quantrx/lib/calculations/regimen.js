@@ -0,0 +1,237 @@
+/**
+ * Dosing regimen utilities
+ *
+ * Some schedules repeat over a cycle longer than a day: "once weekly on
+ * Mondays", "every other day", "every 28 days", "days 1-21 of a 28-day cycle".
+ * This module represents them exactly, as a cycle length and the days within
+ * the cycle that have doses, so quantities count whole doses instead of
+ * multiplying a fractional daily rate (1/7 ≈ 0.14).
+ *
+ * @module lib/calculations/regimen
+ */
+
+import { roundQuantity, createCalculationResult } from './quantity-utils.js';
+
+/**
+ * Days of the week in calendar order
+ */
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+/**
+ * Weekday names and abbreviations ("mon", "tues", "thursdays")
+ */
+const WEEKDAY_WORD = '(?:mon|tue|tues|wed|wednes|thu|thur|thurs|fri|sat|satur|sun)(?:days?)?';
+
+/**
+ * Days per cycle unit in "every N days/weeks/months"
+ */
+const DAYS_PER_CYCLE_UNIT = {
+  day: 1,
+  week: 7,
+  month: 30
+};
+
+/**
+ * Numbers written as words in weekly schedules
+ */
+const TIMES_WORDS = {
+  once: 1,
+  twice: 2,
+  'three times': 3,
+  'four times': 4,
+  'five times': 5,
+  'six times': 6
+};
+
+/**
+ * Regimen parsers, tried in order
+ * Each returns { cycleDays, dosingDays, description } from a regex match.
+ */
+const REGIMEN_PATTERNS = [
+  {
+    // "on days 1-21 of a 28-day cycle", "days 1 to 14 of each 21 day cycle"
+    regex: /(?:\bon\s+)?\bdays?\s+(\d+)\s*(?:-|to|through)\s*(\d+)\s+(?:of\s+(?:a|each|every|the)\s+)?(\d+)[-\s]days?\s+cycles?\b/i,
+    build: ([, first, last, cycle]) => {
+      const cycleDays = parseInt(cycle, 10);
+      const start = parseInt(first, 10);
+      const end = Math.min(parseInt(last, 10), cycleDays);
+      return {
+        cycleDays,
+        dosingDays: range(start - 1, end - 1),
+        description: `days ${start}-${end} of a ${cycleDays}-day cycle`
+      };
+    }
+  },
+  {
+    // "21 days on, 7 days off", "3 weeks on and 1 week off"
+    regex: /\b(\d+)\s+(days?|weeks?)\s+on[,;\s]+(?:and\s+|then\s+)?(\d+)\s+(days?|weeks?)\s+off\b/i,
+    build: ([, onAmount, onUnit, offAmount, offUnit]) => {
+      const onDays = parseInt(onAmount, 10) * daysPerUnit(onUnit);
+      const offDays = parseInt(offAmount, 10) * daysPerUnit(offUnit);
+      return {
+        cycleDays: onDays + offDays,
+        dosingDays: range(0, onDays - 1),
+        description: `${onDays} days on, ${offDays} days off`
+      };
+    }
+  },
+  {
+    // "once weekly on Mondays", "every Monday and Thursday", "on Mon, Wed, Fri"
+    regex: new RegExp(`\\b(?:on|every)\\s+(${WEEKDAY_WORD}(?:\\s*(?:,|and|&|\\/)\\s*(?:and\\s+)?${WEEKDAY_WORD})*)\\b`, 'i'),
+    build: ([, dayList]) => {
+      const days = [...new Set(dayList.toLowerCase().match(new RegExp(WEEKDAY_WORD, 'g')).map(toWeekdayIndex))]
+        .sort((a, b) => a - b);
+      return {
+        cycleDays: 7,
+        dosingDays: days.map(day => day - days[0]),
+        description: `weekly on ${days.map(day => capitalize(WEEKDAYS[day])).join(', ')}`
+      };
+    }
+  },
+  {
+    // "every other day", "qod", "every 48 hours"
+    regex: /\b(?:every\s+other\s+day|qod|q\.o\.d\.?|alternate\s+days|every\s+48\s+hours)\b/i,
+    build: () => ({ cycleDays: 2, dosingDays: [0], description: 'every other day' })
+  },
+  {
+    // "every 28 days", "every 2 weeks", "every 3 months", "q14 days"
+    regex: /\b(?:every|q)\s*(\d+)\s*(days?|weeks?|wks?|months?)\b/i,
+    build: ([, amount, unit]) => {
+      const cycleDays = parseInt(amount, 10) * daysPerUnit(unit);
+      return { cycleDays, dosingDays: [0], description: `every ${cycleDays} days` };
+    }
+  },
+  {
+    // "once weekly", "twice a week", "3 times per week", "weekly"
+    regex: /\b(?:(once|twice|three times|four times|five times|six times|(\d+)\s+times?)\s+(?:a\s+|per\s+|every\s+)?week(?:ly)?|(?:once\s+)?weekly|every\s+week)\b/i,
+    build: ([, timesWord, timesNumber]) => {
+      const times = timesNumber ? parseInt(timesNumber, 10) : (TIMES_WORDS[timesWord?.toLowerCase()] || 1);
+      return {
+        cycleDays: 7,
+        dosingDays: spreadDoses(times, 7),
+        description: times === 1 ? 'once weekly' : `${times} times weekly`
+      };
+    }
+  },
+  {
+    // "once monthly", "once a month", "every month", "monthly"
+    regex: /\b(?:once\s+(?:a\s+|per\s+|every\s+)?month(?:ly)?|monthly|every\s+month)\b/i,
+    build: () => ({ cycleDays: DAYS_PER_CYCLE_UNIT.month, dosingDays: [0], description: 'once monthly' })
+  }
+];
+
+/**
+ * Parse a repeating schedule from frequency text
+ * Dosing days are 0-based offsets from the first dose within each cycle.
+ * @param {string} text - Frequency or SIG text
+ * @returns {Object|null} Regimen with cycleDays, dosingDays, description and the
+ *   matchedText and index it was parsed from, or null for plain daily schedules
+ */
+export function parseRegimen(text) {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+
+  for (const { regex, build } of REGIMEN_PATTERNS) {
+    const match = text.match(regex);
+    if (!match) continue;
+
+    const regimen = build(match);
+    if (regimen.cycleDays > 1 && regimen.dosingDays.length > 0) {
+      return { ...regimen, matchedText: match[0], index: match.index };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Count the doses a regimen gives over a number of days, starting on the first dosing day
+ * @param {Object} regimen - Regimen with cycleDays, dosingDays and dosesPerDosingDay
+ * @param {number} days - Days supply
+ * @returns {number} Whole doses given in the period
+ */
+export function countRegimenDoses(regimen, days) {
+  const { cycleDays, dosingDays, dosesPerDosingDay = 1 } = regimen;
+  const fullCycles = Math.floor(days / cycleDays);
+  const remainingDays = days - fullCycles * cycleDays;
+  const partialDosingDays = dosingDays.filter(offset => offset < remainingDays).length;
+
+  return (fullCycles * dosingDays.length + partialDosingDays) * dosesPerDosingDay;
+}
+
+/**
+ * Calculate quantity for a SIG with a weekly, interval or cyclical regimen
+ * @param {Object} parsedSIG - Parsed SIG object with regimen
+ * @param {number} daysSupply - Days supply
+ * @param {string} [rangeSelection='max'] - Which end of a dose range to dispense
+ * @returns {Object} Calculation result counting whole doses
+ */
+export function calculateRegimenQuantity(parsedSIG, daysSupply, rangeSelection = 'max') {
+  const { regimen, unit, doseRange } = parsedSIG;
+  const dose = doseRange && rangeSelection === 'min' ? doseRange.min : parsedSIG.dose;
+  const doses = countRegimenDoses(regimen, daysSupply);
+  const roundedQuantity = roundQuantity(dose * doses, unit);
+
+  return createCalculationResult(roundedQuantity, unit, true, null, {
+    dose,
+    frequency: parsedSIG.frequency,
+    daysSupply,
+    regimen,
+    doseCount: doses,
+    exactQuantity: dose * doses,
+    ...(doseRange && { rangeSelection }),
+    calculation: `${dose} × ${doses} doses (${regimen.description} over ${daysSupply} days) = ${roundedQuantity}`
+  });
+}
+
+/**
+ * Build a list of consecutive day offsets
+ * @param {number} start - First offset
+ * @param {number} end - Last offset (inclusive)
+ * @returns {Array<number>} Offsets from start to end
+ */
+function range(start, end) {
+  return Array.from({ length: Math.max(end - start + 1, 0) }, (_, i) => start + i);
+}
+
+/**
+ * Spread a number of doses evenly over a cycle ("twice weekly" → days 0 and 4)
+ * @param {number} times - Doses per cycle
+ * @param {number} cycleDays - Cycle length in days
+ * @returns {Array<number>} Dosing day offsets
+ */
+function spreadDoses(times, cycleDays) {
+  const count = Math.min(times, cycleDays);
+  return range(0, count - 1).map(i => Math.floor((i * cycleDays) / count));
+}
+
+/**
+ * Get the days in a cycle unit
+ * @param {string} unit - "day(s)", "week(s)", "wk(s)" or "month(s)"
+ * @returns {number} Days per unit
+ */
+function daysPerUnit(unit) {
+  const lowerUnit = unit.toLowerCase();
+  if (lowerUnit.startsWith('w')) return DAYS_PER_CYCLE_UNIT.week;
+  if (lowerUnit.startsWith('m')) return DAYS_PER_CYCLE_UNIT.month;
+  return DAYS_PER_CYCLE_UNIT.day;
+}
+
+/**
+ * Convert a weekday word to its index in WEEKDAYS
+ * @param {string} word - Weekday name or abbreviation
+ * @returns {number} 0 for Monday through 6 for Sunday
+ */
+function toWeekdayIndex(word) {
+  return WEEKDAYS.findIndex(day => day.startsWith(word.slice(0, 3)));
+}
+
+/**
+ * Capitalize a word
+ * @param {string} word - Word
+ * @returns {string} Word with a capital first letter
+ */
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
@@ -0,0 +1,154 @@
+/**
+ * Quantity rounding policy engine
+ *
+ * Calculators round a quantity to whole units or sensible volume precision.
+ * This module applies the dispensing rule on top of that: whole packages,
+ * blister-card multiples, the next 5 mL, or, for controlled substances, never
+ * more than the days supply. The policy is chosen per dosage form and can be
+ * overridden by a plan profile or named explicitly for a calculation.
+ *
+ * @module lib/calculations/rounding-policy
+ */
+
+import {
+  ROUNDING_TYPES,
+  ROUNDING_POLICIES,
+  DEFAULT_ROUNDING_BY_DOSAGE_FORM,
+  DEFAULT_ROUNDING_POLICY,
+  PLAN_PROFILES,
+  DEFAULT_PLAN_PROFILE,
+  CONTROLLED_SUBSTANCE_POLICY,
+  CONTROLLED_SUBSTANCE_INGREDIENTS
+} from '../constants/rounding.js';
+import { UNITS } from '../constants/dosage.js';
+
+/**
+ * Check whether a drug is a controlled substance
+ * @param {string} [drugName] - Drug name, matched against known ingredients
+ * @returns {boolean} True for scheduled ingredients
+ */
+export function isControlledSubstance(drugName) {
+  const lowerName = (drugName || '').toLowerCase();
+  return CONTROLLED_SUBSTANCE_INGREDIENTS.some(ingredient => lowerName.includes(ingredient));
+}
+
+/**
+ * Choose the rounding policy for a calculation
+ * Controlled substances always use the no-overfill policy; otherwise an explicitly named
+ * policy wins, then the plan profile's policy for the dosage form, then the dosage form default.
+ * @param {Object} context - Calculation context
+ * @param {string} [context.dosageForm] - Dosage form from normalization
+ * @param {string} [context.unit] - Unit of the calculated quantity (used when the dosage form is unknown)
+ * @param {string} [context.drugName] - Drug name, checked for controlled substances
+ * @param {string} [context.planProfile] - Plan profile name (defaults to "standard")
+ * @param {string} [context.policy] - Policy name chosen for this calculation
+ * @returns {Object} Result with success and data (policy with name and source: "controlled_substance",
+ *   "request", "plan_profile" or "dosage_form"), or success false with an error
+ */
+export function resolveRoundingPolicy({ dosageForm, unit, drugName, planProfile = DEFAULT_PLAN_PROFILE, policy } = {}) {
+  const profile = PLAN_PROFILES[planProfile];
+  if (!profile) {
+    return { success: false, error: `Unknown plan profile: ${planProfile}. Expected one of: ${Object.keys(PLAN_PROFILES).join(', ')}` };
+  }
+  if (policy && !ROUNDING_POLICIES[policy]) {
+    return { success: false, error: `Unknown rounding policy: ${policy}. Expected one of: ${Object.keys(ROUNDING_POLICIES).join(', ')}` };
+  }
+
+  const form = dosageForm?.toLowerCase() || ([UNITS.TABLET, UNITS.CAPSULE].includes(unit) ? unit : null);
+  const [name, source] = isControlledSubstance(drugName) ? [CONTROLLED_SUBSTANCE_POLICY, 'controlled_substance']
+    : policy ? [policy, 'request']
+    : profile.policies[form] ? [profile.policies[form], 'plan_profile']
+    : [DEFAULT_ROUNDING_BY_DOSAGE_FORM[form] || DEFAULT_ROUNDING_POLICY, 'dosage_form'];
+
+  return {
+    success: true,
+    data: { name, ...ROUNDING_POLICIES[name], source, planProfile, dosageForm: form }
+  };
+}
+
+/**
+ * Round a calculated quantity with a policy
+ * @param {Object} quantityData - Quantity calculation result (quantity, unit, exactQuantity, calculation)
+ * @param {Object} policy - Policy from resolveRoundingPolicy
+ * @param {Array<Object>} [packages] - Active NDCs, used for whole-package rounding
+ * @returns {Object} Quantity data with the rounded quantity, the policy applied (roundingPolicy) and
+ *   the rounding step added to the calculation breakdown
+ */
+export function applyRoundingPolicy(quantityData, policy, packages = []) {
+  const calculatedQuantity = quantityData.quantity;
+  const { quantity, basis } = roundWithPolicy(quantityData, policy, packages);
+  const changed = quantity !== calculatedQuantity;
+
+  return {
+    ...quantityData,
+    quantity,
+    roundingPolicy: {
+      name: policy.name,
+      type: policy.type,
+      description: policy.description,
+      source: policy.source,
+      planProfile: policy.planProfile,
+      calculatedQuantity,
+      quantity,
+      basis
+    },
+    calculation: changed
+      ? `${quantityData.calculation}; Rounding policy ${policy.name}${basis ? ` (${basis})` : ''} = ${quantity}`
+      : quantityData.calculation
+  };
+}
+
+/**
+ * Compute the quantity a policy rounds to
+ * @param {Object} quantityData - Quantity calculation result
+ * @param {Object} policy - Rounding policy
+ * @param {Array<Object>} packages - Active NDCs
+ * @returns {Object} Rounded quantity and the basis it was rounded to (e.g., "30 per package"), or null basis
+ */
+function roundWithPolicy(quantityData, policy, packages) {
+  const { quantity, unit } = quantityData;
+  const roundUpTo = (step) => Math.ceil(quantity / step - 1e-9) * step;
+
+  switch (policy.type) {
+    case ROUNDING_TYPES.WHOLE_UNIT:
+      return { quantity: Math.ceil(quantity - 1e-9), basis: null };
+
+    case ROUNDING_TYPES.VOLUME_INCREMENT:
+      return unit === UNITS.ML
+        ? { quantity: roundUpTo(policy.increment), basis: `${policy.increment} ml increments` }
+        : { quantity, basis: null };
+
+    case ROUNDING_TYPES.PACKAGE_MULTIPLE:
+      return { quantity: roundUpTo(policy.multiple), basis: `${policy.multiple} per card` };
+
+    case ROUNDING_TYPES.WHOLE_PACKAGE: {
+      const packageSize = getSmallestPackageSize(packages, unit);
+      return packageSize
+        ? { quantity: roundUpTo(packageSize), basis: `${packageSize} per package` }
+        : { quantity, basis: null };
+    }
+
+    case ROUNDING_TYPES.NO_OVERFILL: {
+      const exactQuantity = quantityData.exactQuantity ?? quantity;
+      return { quantity: Math.max(Math.floor(exactQuantity + 1e-9), Math.min(quantity, 1)), basis: 'no more than the days supply' };
+    }
+
+    default:
+      return { quantity, basis: null };
+  }
+}
+
+/**
+ * Find the smallest package that holds the quantity's unit
+ * Count packages have no packageUnit; volume and weight packages carry it ("ml", "g").
+ * @param {Array<Object>} packages - Active NDCs
+ * @param {string} unit - Unit of the calculated quantity
+ * @returns {number|null} Smallest package size, or null when no package fits the unit
+ */
+function getSmallestPackageSize(packages, unit) {
+  const sizes = (packages || [])
+    .filter(ndc => ndc.packageSize > 0 && (ndc.packageUnit ? ndc.packageUnit === unit : ![UNITS.ML, UNITS.G].includes(unit)))
+    .map(ndc => ndc.packageSize);
+
+  return sizes.length > 0 ? Math.min(...sizes) : null;
+}
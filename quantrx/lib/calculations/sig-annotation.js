@@ -0,0 +1,146 @@
+/**
+ * SIG span annotation utility
+ *
+ * This module turns the trace of a parse (the parts of the SIG each parser
+ * read, see sig-trace) into labelled spans covering the whole SIG text: dose,
+ * unit, route, frequency, duration, indication and the rest. Words the parse
+ * did not read are flagged as unrecognized, so the form can highlight the SIG
+ * as it is typed and show which part of a misread or failed SIG needs fixing.
+ *
+ * @module lib/calculations/sig-annotation
+ */
+
+/**
+ * Span types returned by annotateSIG
+ * TEXT covers whitespace, punctuation and connecting words ("take", "by", "and").
+ */
+export const SIG_SPAN_TYPES = {
+  DOSE: 'dose',
+  UNIT: 'unit',
+  ROUTE: 'route',
+  FREQUENCY: 'frequency',
+  DURATION: 'duration',
+  INDICATION: 'indication',
+  TIMING: 'timing',
+  MAX_DOSE: 'max_dose',
+  UNRECOGNIZED: 'unrecognized',
+  TEXT: 'text'
+};
+
+/**
+ * Connecting words and verbs that carry no dosing information
+ */
+const FILLER_WORDS = new Set([
+  'take', 'takes', 'give', 'use', 'apply', 'chew', 'swallow', 'dissolve', 'inhale', 'instill',
+  'inject', 'insert', 'place', 'spray', 'rub', 'and', 'or', 'a', 'an', 'the', 'of', 'with',
+  'then', 'followed', 'by', 'for', 'to', 'in', 'into', 'on', 'at', 'up', 'max', 'maximum', 'not',
+  'exceed', 'no', 'more', 'than', 'per', 'each', 'may', 'repeat', 'thin', 'layer', 'film',
+  'amount', 'small', 'sparingly', 'gently', 'well', 'water', 'food'
+]);
+
+/**
+ * Annotate SIG text with labelled spans from the matches a parse read
+ * The spans cover the whole text in order, so they can be rendered inline. Matches
+ * listed first win where two overlap.
+ * @param {string} sigText - Prescription directions text, as written
+ * @param {Array<Object>} [matches] - Parse trace matches ({ type, start, end, value })
+ *   with positions in sigText
+ * @returns {Object} Annotation with spans ({ type, text, start, end, value }) and
+ *   the list of unrecognized words
+ */
+export function annotateSIG(sigText, matches = []) {
+  if (!sigText || typeof sigText !== 'string') {
+    return { spans: [], unrecognized: [] };
+  }
+
+  const claimed = [];
+  for (const { type, start, end, value } of matches) {
+    const text = sigText.slice(start, end);
+    const leading = text.length - text.trimStart().length;
+    const trimmed = text.trim();
+    if (trimmed) {
+      claimSpan(claimed, { type, text: trimmed, start: start + leading, end: start + leading + trimmed.length, value });
+    }
+  }
+
+  const spans = fillGaps(sigText, claimed.sort((a, b) => a.start - b.start));
+
+  return {
+    spans,
+    unrecognized: spans.filter(span => span.type === SIG_SPAN_TYPES.UNRECOGNIZED).map(span => span.text)
+  };
+}
+
+/**
+ * Trace the connecting words in text as plain text
+ * Used for translated SIGs, where "tomar" reads as "take" only after translation.
+ * @param {string} text - SIG text, in English
+ * @returns {Array<Object>} Plain text matches for the connecting words
+ */
+export function traceFillerWords(text) {
+  return [...text.matchAll(/[\p{L}']+/gu)]
+    .filter(match => FILLER_WORDS.has(match[0].toLowerCase()))
+    .map(match => ({ type: SIG_SPAN_TYPES.TEXT, start: match.index, end: match.index + match[0].length, value: null }));
+}
+
+/**
+ * Add a span unless it overlaps one that is already claimed
+ * @param {Array<Object>} claimed - Spans claimed so far (mutated)
+ * @param {Object} span - Candidate span
+ * @returns {void}
+ */
+function claimSpan(claimed, span) {
+  const overlaps = claimed.some(existing => span.start < existing.end && existing.start < span.end);
+  if (!overlaps) {
+    claimed.push(span);
+  }
+}
+
+/**
+ * Fill the text between claimed spans with filler and unrecognized word spans
+ * @param {string} text - SIG text
+ * @param {Array<Object>} claimed - Claimed spans, sorted by start
+ * @returns {Array<Object>} Spans covering the whole text
+ */
+function fillGaps(text, claimed) {
+  const spans = [];
+  let position = 0;
+
+  for (const span of [...claimed, { start: text.length, end: text.length }]) {
+    const gap = text.slice(position, span.start);
+    for (const match of gap.matchAll(/[\p{L}\d_'/%.-]*[\p{L}\d_]|[^\p{L}\d_]+/gu)) {
+      const isWord = /[\p{L}\d]/u.test(match[0]) && !FILLER_WORDS.has(match[0].toLowerCase());
+      pushSpan(spans, {
+        type: isWord ? SIG_SPAN_TYPES.UNRECOGNIZED : SIG_SPAN_TYPES.TEXT,
+        text: match[0],
+        start: position + match.index,
+        end: position + match.index + match[0].length,
+        value: null
+      });
+    }
+
+    if (span.type) {
+      spans.push(span);
+    }
+    position = span.end;
+  }
+
+  return spans;
+}
+
+/**
+ * Append a span, merging it into the previous one when both are plain text
+ * @param {Array<Object>} spans - Spans so far (mutated)
+ * @param {Object} span - Span to append
+ * @returns {void}
+ */
+function pushSpan(spans, span) {
+  const previous = spans[spans.length - 1];
+  if (previous && previous.type === SIG_SPAN_TYPES.TEXT && span.type === SIG_SPAN_TYPES.TEXT) {
+    previous.text += span.text;
+    previous.end = span.end;
+    return;
+  }
+
+  spans.push(span);
+}
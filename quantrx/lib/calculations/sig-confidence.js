@@ -0,0 +1,166 @@
+/**
+ * SIG parse confidence model
+ *
+ * This module scores how far a parsed SIG can be trusted. The score starts
+ * from the corpus-calibrated accuracy of the strategy that matched, is scaled
+ * by how much of the SIG text the parse actually read (its annotation), and is
+ * lowered when the parse skipped a number, the strategies disagree on the
+ * reading or the SIG had to be translated. Once the drug is
+ * known, agreement between the SIG unit and the drug's dosage form adjusts it.
+ *
+ * @module lib/calculations/sig-confidence
+ */
+
+import { normalizeDosageForm } from '../constants/dosage.js';
+import {
+  STRATEGY_CONFIDENCE,
+  UNKNOWN_STRATEGY_CONFIDENCE,
+  COVERAGE_WEIGHT,
+  UNREAD_NUMBER_PENALTY,
+  AMBIGUITY_PENALTY,
+  TRANSLATION_PENALTY,
+  DOSAGE_FORM_AGREEMENT_BONUS,
+  DOSAGE_FORM_MISMATCH_PENALTY,
+  MAX_PARSE_CONFIDENCE,
+  UNIT_DOSAGE_FORMS
+} from '../constants/confidence.js';
+import { SIG_LANGUAGES } from '../constants/locale.js';
+import { SIG_SPAN_TYPES } from './sig-annotation.js';
+import { runAllParsingStrategies } from './sig-strategies.js';
+
+/**
+ * Words the parse skipped that hold a number ("3", "1/2", "½", "three")
+ */
+const NUMBER_WORD_PATTERN = /[\d½¼¾⅓⅔⅛]|^(?:one|two|three|four|five|six|seven|eight|nine|ten|half)$/i;
+
+/**
+ * Score a parsed SIG
+ * @param {Object} parsedSIG - Parse result from parseSIG
+ * @returns {Object} Confidence from 0 to 1 and the factors behind it ({ strategy,
+ *   strategyConfidence, coverage, unreadNumbers, ambiguous, translated })
+ */
+export function scoreParseConfidence(parsedSIG) {
+  if (!parsedSIG || !parsedSIG.parseSuccess) {
+    return { confidence: 0, factors: null };
+  }
+
+  const strategy = parsedSIG.strategy || null;
+  const strategyConfidence = STRATEGY_CONFIDENCE[strategy] ?? UNKNOWN_STRATEGY_CONFIDENCE;
+  const coverage = getTextCoverage(parsedSIG.annotation);
+  const unreadNumbers = hasUnreadNumbers(parsedSIG.annotation);
+  const ambiguous = isAmbiguous(parsedSIG);
+  const translated = parsedSIG.language === SIG_LANGUAGES.SPANISH;
+
+  const confidence = strategyConfidence * (1 - COVERAGE_WEIGHT * (1 - (coverage ?? 1))) -
+    (unreadNumbers ? UNREAD_NUMBER_PENALTY : 0) -
+    (ambiguous ? AMBIGUITY_PENALTY : 0) -
+    (translated ? TRANSLATION_PENALTY : 0);
+
+  return {
+    confidence: clamp(confidence),
+    factors: { strategy, strategyConfidence, coverage, unreadNumbers, ambiguous, translated }
+  };
+}
+
+/**
+ * Get the confidence score of a parsed SIG
+ * @param {Object} parsedSIG - Parse result from parseSIG
+ * @returns {number} Confidence score 0-1
+ */
+export function getParsingConfidence(parsedSIG) {
+  return scoreParseConfidence(parsedSIG).confidence;
+}
+
+/**
+ * Check whether a SIG unit can be dispensed as a dosage form
+ * @param {string|null} unit - Unit from the parsed SIG
+ * @param {string|null} dosageForm - Dosage form of the drug (e.g., "tablet", "Oral Solution")
+ * @returns {boolean|null} True or false, or null when either side is unknown
+ */
+export function checkDosageFormAgreement(unit, dosageForm) {
+  const forms = UNIT_DOSAGE_FORMS[unit?.toLowerCase()];
+  if (!forms || !dosageForm) {
+    return null;
+  }
+
+  const normalizedForm = normalizeDosageForm(dosageForm) || dosageForm.toLowerCase();
+  return forms.some(form => normalizedForm === form || normalizedForm.includes(form));
+}
+
+/**
+ * Adjust a parsed SIG's confidence for agreement with the drug's dosage form
+ * SIGs without a confidence score are returned unchanged.
+ * @param {Object} parsedSIG - Parse result with confidence
+ * @param {string|null} dosageForm - Dosage form of the drug
+ * @returns {Object} Parse result with the adjusted confidence and
+ *   confidenceFactors.dosageFormAgreement (true, false or null)
+ */
+export function applyDosageFormAgreement(parsedSIG, dosageForm) {
+  if (typeof parsedSIG?.confidence !== 'number') {
+    return parsedSIG;
+  }
+
+  const agreement = checkDosageFormAgreement(parsedSIG.unit, dosageForm);
+  const adjustment = agreement === true ? DOSAGE_FORM_AGREEMENT_BONUS : agreement === false ? -DOSAGE_FORM_MISMATCH_PENALTY : 0;
+
+  return {
+    ...parsedSIG,
+    confidence: parsedSIG.confidence > 0 ? clamp(parsedSIG.confidence + adjustment) : 0,
+    confidenceFactors: { ...parsedSIG.confidenceFactors, dosageFormAgreement: agreement }
+  };
+}
+
+/**
+ * Share of the SIG's word characters that the parser recognized
+ * @param {Array<Object>} [annotation] - Annotation spans from parseSIG
+ * @returns {number|null} Coverage from 0 to 1, or null without an annotation
+ */
+function getTextCoverage(annotation) {
+  if (!annotation?.length) {
+    return null;
+  }
+
+  const length = (spans) => spans.reduce((total, span) => total + span.text.replace(/[^\p{L}\d]/gu, '').length, 0);
+  const total = length(annotation);
+  const unrecognized = length(annotation.filter(span => span.type === SIG_SPAN_TYPES.UNRECOGNIZED));
+
+  return total > 0 ? Math.round((1 - unrecognized / total) * 100) / 100 : null;
+}
+
+/**
+ * Check whether the parse skipped a number written in the SIG
+ * @param {Array<Object>} [annotation] - Annotation spans from parseSIG
+ * @returns {boolean} True when an unrecognized word holds a number
+ */
+function hasUnreadNumbers(annotation = []) {
+  return annotation.some(span => span.type === SIG_SPAN_TYPES.UNRECOGNIZED && NUMBER_WORD_PATTERN.test(span.text));
+}
+
+/**
+ * Check whether another strategy reads the SIG differently from the one that matched
+ * Only single-step SIGs read by the regex strategies are compared.
+ * @param {Object} parsedSIG - Parse result from parseSIG
+ * @returns {boolean} True when a strategy reads a different dose, frequency or unit
+ */
+function isAmbiguous(parsedSIG) {
+  if (!STRATEGY_CONFIDENCE[parsedSIG.strategy] || parsedSIG.phases || parsedSIG.topical || parsedSIG.asNeeded) {
+    return false;
+  }
+
+  const text = parsedSIG.language === SIG_LANGUAGES.SPANISH ? parsedSIG.expandedText : parsedSIG.originalText;
+
+  return runAllParsingStrategies(text || '').some(reading =>
+    reading.dose !== parsedSIG.dose ||
+    reading.unit !== parsedSIG.unit ||
+    (!parsedSIG.regimen && Math.abs((reading.frequency ?? 0) - (parsedSIG.frequency ?? 0)) > 0.01)
+  );
+}
+
+/**
+ * Clamp a confidence to the range the built-in parser reports and round it to two decimals
+ * @param {number} value - Raw confidence
+ * @returns {number} Confidence from 0 to MAX_PARSE_CONFIDENCE
+ */
+function clamp(value) {
+  return Math.round(Math.min(Math.max(value, 0), MAX_PARSE_CONFIDENCE) * 100) / 100;
+}
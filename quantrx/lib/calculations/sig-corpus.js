@@ -0,0 +1,250 @@
+/**
+ * SIG corpus evaluation utility
+ *
+ * This module scores parseSIG against a golden corpus of SIGs with the dose,
+ * frequency, unit and course duration a pharmacist would read from them. It
+ * reports accuracy overall, per parsing strategy and per corpus category, and
+ * compares a run with a stored baseline so parsing regressions are caught.
+ * Accuracy is also reported per confidence band, to check that the parse
+ * confidence model stays calibrated, and each strategy's starting confidence
+ * is calibrated from its accuracy.
+ *
+ * @module lib/calculations/sig-corpus
+ */
+
+import { parseSIG } from './sig-parsing.js';
+import { getParsingConfidence } from './sig-confidence.js';
+import {
+  STRATEGY_CONFIDENCE,
+  UNKNOWN_STRATEGY_CONFIDENCE,
+  CALIBRATION_PRIOR_CASES
+} from '../constants/confidence.js';
+
+/**
+ * Largest difference at which two numbers count as equal (frequencies such as
+ * weekly doses are rounded to two decimals)
+ */
+const NUMBER_TOLERANCE = 0.01;
+
+/**
+ * Lower bounds of the confidence bands used for the calibration report
+ */
+const CONFIDENCE_BANDS = [0.9, 0.8, 0.7, 0.6, 0.4, 0];
+
+/**
+ * Strategy name recorded for SIGs the parser could not read
+ */
+export const UNPARSED_STRATEGY = 'unparsed';
+
+/**
+ * Score one corpus case
+ * Only the fields listed in the case's expected object are compared.
+ * @param {Object} testCase - Corpus case ({ id, category, sig, expected })
+ * @param {Function} [parse] - Parser to score (defaults to parseSIG)
+ * @returns {Object} Case result with strategy, confidence, passed and the mismatched
+ *   fields ({ field, expected, actual })
+ */
+export function evaluateSIGCase(testCase, parse = parseSIG) {
+  const { id, category, sig, expected } = testCase;
+  const result = parse(sig);
+
+  const mismatches = Object.entries(expected)
+    .filter(([field, value]) => !fieldMatches(value, result[field]))
+    .map(([field, value]) => ({ field, expected: value, actual: result[field] ?? null }));
+
+  return {
+    id,
+    category,
+    sig,
+    strategy: result.parseSuccess ? result.strategy || 'unknown' : UNPARSED_STRATEGY,
+    confidence: typeof result.confidence === 'number' ? result.confidence : getParsingConfidence(result),
+    passed: mismatches.length === 0,
+    mismatches
+  };
+}
+
+/**
+ * Score every case in a corpus
+ * @param {Array<Object>} cases - Corpus cases
+ * @param {Function} [parse] - Parser to score (defaults to parseSIG)
+ * @returns {Object} Report with total, passed and accuracy overall, byStrategy and
+ *   byCategory, accuracy per confidence band (calibration), and the per-case results
+ */
+export function evaluateSIGCorpus(cases, parse = parseSIG) {
+  const results = cases.map(testCase => evaluateSIGCase(testCase, parse));
+
+  return {
+    ...summarize(results),
+    byStrategy: groupSummaries(results, 'strategy'),
+    byCategory: groupSummaries(results, 'category'),
+    calibration: calibrate(results),
+    results
+  };
+}
+
+/**
+ * Build the baseline stored for a corpus run
+ * @param {Object} report - Report from evaluateSIGCorpus
+ * @returns {Object} Baseline with the accuracy figures and the ids of failing cases
+ */
+export function createCorpusBaseline(report) {
+  return {
+    total: report.total,
+    passed: report.passed,
+    accuracy: report.accuracy,
+    byStrategy: report.byStrategy,
+    byCategory: report.byCategory,
+    failing: report.results.filter(result => !result.passed).map(result => result.id).sort()
+  };
+}
+
+/**
+ * Compare a corpus run with the stored baseline
+ * A run has regressed when overall accuracy or the accuracy of any category drops.
+ * Strategy figures are reported but not judged, since an improvement can move cases
+ * from one strategy to another.
+ * @param {Object} report - Report from evaluateSIGCorpus
+ * @param {Object} baseline - Baseline from createCorpusBaseline
+ * @returns {Object} Comparison with accuracy deltas, the cases that started or stopped
+ *   failing, and whether the run regressed
+ */
+export function compareToBaseline(report, baseline) {
+  const baselineFailing = new Set(baseline.failing || []);
+  const failing = report.results.filter(result => !result.passed).map(result => result.id);
+
+  const strategies = compareGroups(report.byStrategy, baseline.byStrategy);
+  const categories = compareGroups(report.byCategory, baseline.byCategory);
+
+  return {
+    accuracy: report.accuracy,
+    baselineAccuracy: baseline.accuracy,
+    accuracyDelta: round(report.accuracy - baseline.accuracy),
+    strategies,
+    categories,
+    newlyFailing: failing.filter(id => !baselineFailing.has(id)),
+    newlyPassing: [...baselineFailing].filter(id => !failing.includes(id)),
+    regressed: report.accuracy < baseline.accuracy ||
+      categories.some(group => group.delta !== null && group.delta < 0)
+  };
+}
+
+/**
+ * Calibrate each strategy's starting confidence from its corpus accuracy
+ * Accuracy is smoothed toward UNKNOWN_STRATEGY_CONFIDENCE, counted as
+ * CALIBRATION_PRIOR_CASES cases, so strategies with few or no corpus cases are
+ * not trusted on the strength of a handful of passes.
+ * @param {Object} byStrategy - Summaries keyed by strategy, from a report or baseline
+ * @returns {Object} Starting confidence keyed by strategy (the STRATEGY_CONFIDENCE keys)
+ */
+export function calibrateStrategyConfidence(byStrategy) {
+  return Object.fromEntries(Object.keys(STRATEGY_CONFIDENCE).map(strategy => {
+    const { total = 0, passed = 0 } = byStrategy?.[strategy] || {};
+    const confidence = (passed + CALIBRATION_PRIOR_CASES * UNKNOWN_STRATEGY_CONFIDENCE) / (total + CALIBRATION_PRIOR_CASES);
+
+    return [strategy, Math.round(confidence * 100) / 100];
+  }));
+}
+
+/**
+ * Check whether a parsed value matches the expected value
+ * @param {*} expected - Expected value from the corpus
+ * @param {*} actual - Value from the parse result
+ * @returns {boolean} True when they match
+ */
+function fieldMatches(expected, actual) {
+  if (expected === null) {
+    return actual === null || actual === undefined;
+  }
+
+  if (typeof expected === 'number') {
+    return typeof actual === 'number' && Math.abs(expected - actual) <= NUMBER_TOLERANCE;
+  }
+
+  if (typeof expected === 'string') {
+    return typeof actual === 'string' && expected.toLowerCase() === actual.toLowerCase();
+  }
+
+  return expected === actual;
+}
+
+/**
+ * Count passed cases and accuracy for a list of case results
+ * @param {Array<Object>} results - Case results
+ * @returns {Object} Summary with total, passed and accuracy (0-1)
+ */
+function summarize(results) {
+  const passed = results.filter(result => result.passed).length;
+
+  return {
+    total: results.length,
+    passed,
+    accuracy: results.length > 0 ? round(passed / results.length) : 0
+  };
+}
+
+/**
+ * Summarize case results grouped by a field
+ * @param {Array<Object>} results - Case results
+ * @param {string} field - Field to group by ('strategy' or 'category')
+ * @returns {Object} Summaries keyed by group name, in name order
+ */
+function groupSummaries(results, field) {
+  const names = [...new Set(results.map(result => result[field]))].sort();
+
+  return Object.fromEntries(
+    names.map(name => [name, summarize(results.filter(result => result[field] === name))])
+  );
+}
+
+/**
+ * Summarize parsed cases by confidence band
+ * A calibrated model has accuracy at or above the lower bound of each band.
+ * @param {Array<Object>} results - Case results
+ * @returns {Array<Object>} One entry per non-empty band, highest first ({ min, max, total,
+ *   passed, accuracy, meanConfidence })
+ */
+function calibrate(results) {
+  const parsed = results.filter(result => result.strategy !== UNPARSED_STRATEGY);
+
+  return CONFIDENCE_BANDS
+    .map((min, index) => {
+      const max = index === 0 ? 1 : CONFIDENCE_BANDS[index - 1];
+      const band = parsed.filter(result => result.confidence >= min && (index === 0 || result.confidence < max));
+      const meanConfidence = band.reduce((total, result) => total + result.confidence, 0) / (band.length || 1);
+
+      return { min, max, ...summarize(band), meanConfidence: round(meanConfidence) };
+    })
+    .filter(band => band.total > 0);
+}
+
+/**
+ * Compare grouped accuracy figures with the baseline
+ * @param {Object} current - Summaries from this run, keyed by group name
+ * @param {Object} [previous] - Summaries from the baseline, keyed by group name
+ * @returns {Array<Object>} One entry per group ({ name, accuracy, baselineAccuracy, delta });
+ *   figures missing on either side are null
+ */
+function compareGroups(current, previous = {}) {
+  const names = [...new Set([...Object.keys(current), ...Object.keys(previous)])].sort();
+
+  return names.map(name => {
+    const accuracy = current[name]?.accuracy ?? null;
+    const baselineAccuracy = previous[name]?.accuracy ?? null;
+
+    return {
+      name,
+      accuracy,
+      baselineAccuracy,
+      delta: accuracy !== null && baselineAccuracy !== null ? round(accuracy - baselineAccuracy) : null
+    };
+  });
+}
+
+/**
+ * Round an accuracy figure to four decimals
+ * @param {number} value - Value to round
+ * @returns {number} Rounded value
+ */
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
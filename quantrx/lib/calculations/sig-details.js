@@ -0,0 +1,126 @@
+/**
+ * SIG route, site, timing and indication extraction
+ *
+ * This module captures the parts of prescription directions that do not
+ * change the quantity but matter for dispensing: the route ("PO", "SQ"),
+ * the application site ("in left eye"), dose timing ("at bedtime") and the
+ * indication ("for pain"). The route is cross-checked against the route of
+ * the selected NDC.
+ *
+ * @module lib/calculations/sig-details
+ */
+
+import {
+  SIG_ROUTE_PATTERNS,
+  SIG_SITE_PATTERNS,
+  SIG_TIMING_PATTERNS,
+  SIG_INDICATION_PATTERN,
+  FDA_ROUTE_NAMES,
+  COMPATIBLE_ROUTES
+} from '../constants/route.js';
+import { SIG_SPAN_TYPES } from './sig-annotation.js';
+import { createMatch } from './sig-trace.js';
+
+/**
+ * Extract route, site, timing and indication from SIG text
+ * A stated route wins; otherwise the route implied by the site is used ("in left eye" is ophthalmic).
+ * @param {string} text - SIG text
+ * @returns {Object} Details with route, site, timing and indication (each null when not written)
+ */
+export function extractSIGDetails(text) {
+  if (!text || typeof text !== 'string') {
+    return { route: null, site: null, timing: null, indication: null };
+  }
+
+  const site = SIG_SITE_PATTERNS.find(({ pattern }) => pattern.test(text)) || null;
+
+  return {
+    route: parseRouteText(text) || site?.route || null,
+    site: site?.site || null,
+    timing: SIG_TIMING_PATTERNS.find(({ pattern }) => pattern.test(text))?.timing || null,
+    indication: parseIndication(text)
+  };
+}
+
+/**
+ * Trace the text extractSIGDetails reads the route, site, timing and indication from
+ * @param {string} text - SIG text
+ * @returns {Array<Object>} Parse trace matches (sites are traced as route)
+ */
+export function traceSIGDetails(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  const route = SIG_ROUTE_PATTERNS.find(({ pattern }) => pattern.test(text));
+  const site = SIG_SITE_PATTERNS.find(({ pattern }) => pattern.test(text));
+  const timing = SIG_TIMING_PATTERNS.find(({ pattern }) => pattern.test(text));
+  const indication = text.match(SIG_INDICATION_PATTERN);
+
+  return [
+    route && traceMatch(SIG_SPAN_TYPES.ROUTE, text.match(route.pattern), route.route),
+    site && traceMatch(SIG_SPAN_TYPES.ROUTE, text.match(site.pattern), site.site),
+    timing && traceMatch(SIG_SPAN_TYPES.TIMING, text.match(timing.pattern), timing.timing),
+    indication && traceMatch(SIG_SPAN_TYPES.INDICATION, indication, indication[1].toLowerCase())
+  ].filter(Boolean);
+}
+
+/**
+ * Find the route written in SIG text or a single SIG token
+ * @param {string} text - SIG text or token (e.g., "po", "by mouth")
+ * @returns {string|null} Canonical route (see ROUTES) or null
+ */
+export function parseRouteText(text) {
+  if (!text) return null;
+
+  return SIG_ROUTE_PATTERNS.find(({ pattern }) => pattern.test(text))?.route || null;
+}
+
+/**
+ * Map FDA route names to canonical routes
+ * @param {Array<string>|string} fdaRoutes - Route names from an FDA NDC record (e.g., ["ORAL"])
+ * @returns {Array<string>} Canonical routes (unknown names are lowercased)
+ */
+export function normalizeFDARoutes(fdaRoutes) {
+  const names = Array.isArray(fdaRoutes) ? fdaRoutes : [fdaRoutes];
+
+  return names
+    .filter(name => typeof name === 'string' && name.trim())
+    .map(name => FDA_ROUTE_NAMES[name.trim().toUpperCase()] || name.trim().toLowerCase());
+}
+
+/**
+ * Check whether a SIG route matches an NDC's labeled routes
+ * @param {string|null} sigRoute - Canonical route from the SIG
+ * @param {Array<string>} [ndcRoutes] - Canonical routes of the NDC
+ * @returns {boolean|null} True or false, or null when either side is unknown
+ */
+export function isRouteCompatible(sigRoute, ndcRoutes) {
+  if (!sigRoute || !ndcRoutes || ndcRoutes.length === 0) {
+    return null;
+  }
+
+  const accepted = [sigRoute, ...(COMPATIBLE_ROUTES[sigRoute] || [])];
+  return ndcRoutes.some(route => accepted.includes(route));
+}
+
+/**
+ * Read the indication from SIG text ("as needed for pain" → "pain")
+ * @param {string} text - SIG text
+ * @returns {string|null} Indication or null
+ */
+function parseIndication(text) {
+  const match = text.match(SIG_INDICATION_PATTERN);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Create a parse trace match from a regex match
+ * @param {string} type - Span type
+ * @param {Array} match - Regex match
+ * @param {*} value - Value read from the match
+ * @returns {Object} Parse trace match
+ */
+function traceMatch(type, match, value) {
+  return createMatch(type, match.index, match.index + match[0].length, value);
+}
@@ -0,0 +1,166 @@
+/**
+ * SIG duration extraction utility
+ *
+ * This module extracts course durations written inside prescription directions
+ * (e.g., "x3 days", "for 1 week", "until gone") so that multi-step SIGs such as
+ * tapers can assign a length to each dosing phase, and so a SIG's course can
+ * stand in for (or be checked against) the entered days supply.
+ *
+ * @module lib/calculations/sig-duration
+ */
+
+import { SIG_SPAN_TYPES } from './sig-annotation.js';
+import {
+  createMatch,
+  createTextMap,
+  rewriteTextMap,
+  replaceInTextMap,
+  trimTextMap
+} from './sig-trace.js';
+
+/**
+ * Duration patterns and the number of days represented by one unit
+ */
+const DURATION_PATTERN = /(?:\bx\s*|\bfor\s+)(\d+(?:\.\d+)?)\s*(days?|d|weeks?|wks?|w|months?|mos?)\b/i;
+
+// Open-ended courses: "until gone", "until finished", "until all taken"
+const UNTIL_GONE_PATTERN = /\buntil\s+(?:gone|finished|completed|all\s+(?:taken|gone))\b/i;
+
+// Dose-pack style day references: "on day 1", "on days 2-3"
+const DAY_RANGE_PATTERN = /\bon\s+days?\s+(\d+)(?:\s*(?:-|to|through)\s*(\d+))?\b/i;
+
+const DAYS_PER_DURATION_UNIT = {
+  day: 1,
+  days: 1,
+  d: 1,
+  week: 7,
+  weeks: 7,
+  wk: 7,
+  wks: 7,
+  w: 7,
+  month: 30,
+  months: 30,
+  mo: 30,
+  mos: 30
+};
+
+/**
+ * Parse a duration from SIG text
+ * @param {string} text - SIG text (or a single phase of a SIG)
+ * @returns {Object|null} Duration with days and matched text, or null if none found
+ *   ("until gone" has days null and untilGone true)
+ */
+export function parseDurationText(text) {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+
+  const match = text.match(DURATION_PATTERN);
+  if (match) {
+    const [matchedText, amountStr, unitStr] = match;
+
+    return {
+      days: parseFloat(amountStr) * DAYS_PER_DURATION_UNIT[unitStr.toLowerCase()],
+      matchedText,
+      index: match.index,
+      isDayRange: false
+    };
+  }
+
+  const dayMatch = text.match(DAY_RANGE_PATTERN);
+  if (dayMatch) {
+    const [matchedText, startStr, endStr] = dayMatch;
+    const startDay = parseInt(startStr, 10);
+    const endDay = endStr ? parseInt(endStr, 10) : startDay;
+
+    return {
+      days: Math.max(endDay - startDay + 1, 1),
+      matchedText,
+      index: dayMatch.index,
+      isDayRange: true
+    };
+  }
+
+  const untilGoneMatch = text.match(UNTIL_GONE_PATTERN);
+  if (untilGoneMatch) {
+    return {
+      days: null,
+      matchedText: untilGoneMatch[0],
+      index: untilGoneMatch.index,
+      isDayRange: false,
+      untilGone: true
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Find the length of the whole course a SIG describes
+ * Multi-step SIGs last as long as their phases when every phase has a duration.
+ * Dose-pack day references ("on day 1") describe a phase, not the course.
+ * @param {string} text - SIG text
+ * @param {Array<Object>} [phases] - Dosing phases of a multi-step SIG
+ * @returns {Object} Course with durationDays (null if not stated) and untilGone
+ */
+export function parseCourseDuration(text, phases) {
+  if (phases?.length) {
+    const complete = phases.every(phase => phase.durationDays);
+    return {
+      durationDays: complete ? phases.reduce((total, phase) => total + phase.durationDays, 0) : null,
+      untilGone: false
+    };
+  }
+
+  const duration = parseDurationText(text);
+  if (!duration || duration.isDayRange) {
+    return { durationDays: null, untilGone: false };
+  }
+
+  return { durationDays: duration.days, untilGone: Boolean(duration.untilGone) };
+}
+
+/**
+ * Trace the text a single-step SIG's course length is read from
+ * Multi-step SIGs trace the duration of each phase instead.
+ * @param {string} text - SIG text
+ * @returns {Array<Object>} Parse trace match of the course duration, if one is written
+ */
+export function traceCourseDuration(text) {
+  const duration = parseDurationText(text);
+  if (!duration || duration.isDayRange) {
+    return [];
+  }
+
+  return [createMatch(SIG_SPAN_TYPES.DURATION, duration.index, duration.index + duration.matchedText.length, duration.days)];
+}
+
+/**
+ * Remove a duration from SIG text so the remaining text can be parsed for dose and frequency
+ * @param {string} text - SIG text
+ * @returns {Object} Object with remaining text (and its text map back to the SIG), duration in
+ *   days (null if none), whether the duration came from a dose-pack day reference ("on day 1"),
+ *   and the parse trace matches of the duration
+ */
+export function extractDuration(text) {
+  const duration = parseDurationText(text);
+
+  if (!duration) {
+    return { text, textMap: createTextMap(text), durationDays: null, isDayRange: false, matches: [] };
+  }
+
+  const end = duration.index + duration.matchedText.length;
+  const remaining = trimTextMap(replaceInTextMap(
+    rewriteTextMap(createTextMap(text), [{ start: duration.index, end, text: '' }]),
+    /\s{2,}/g,
+    ' '
+  ));
+
+  return {
+    text: remaining.text,
+    textMap: remaining,
+    durationDays: duration.days,
+    isDayRange: duration.isDayRange,
+    matches: [createMatch(SIG_SPAN_TYPES.DURATION, duration.index, end, duration.days)]
+  };
+}
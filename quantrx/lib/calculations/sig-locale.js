@@ -0,0 +1,111 @@
+/**
+ * SIG language detection and translation utility
+ *
+ * This module detects Spanish SIG text ("tomar 1 tableta dos veces al día")
+ * and translates its doses, units, frequencies, routes and durations into the
+ * English the parsing strategies read ("take 1 tablet twice daily"), keeping
+ * the position of each translated phrase for span annotation.
+ *
+ * @module lib/calculations/sig-locale
+ */
+
+import { SIG_LANGUAGES, SPANISH_NUMBER_WORDS, SPANISH_SIG_TERMS } from '../constants/locale.js';
+
+/**
+ * Accented forms each plain letter in a term also matches
+ */
+const ACCENTED_LETTERS = {
+  a: '[aá]',
+  e: '[eé]',
+  i: '[ií]',
+  o: '[oó]',
+  u: '[uúü]',
+  n: '[nñ]'
+};
+
+/**
+ * Pattern for the {n} slot: a number or a Spanish number word
+ */
+const NUMBER_SLOT = `(\\d+(?:\\.\\d+)?|${Object.keys(SPANISH_NUMBER_WORDS).join('|')})`;
+
+/**
+ * Spanish terms with their compiled patterns; number words are matched last as doses
+ */
+const COMPILED_TERMS = [
+  ...SPANISH_SIG_TERMS,
+  ...Object.entries(SPANISH_NUMBER_WORDS).map(([word, value]) => ({ term: word, english: value, type: 'dose' }))
+].map(entry => ({ ...entry, regex: compileTerm(entry.term) }));
+
+/**
+ * Detect the language SIG text is written in
+ * @param {string} text - SIG text
+ * @returns {string} Language code (see SIG_LANGUAGES)
+ */
+export function detectSIGLanguage(text) {
+  return translateSpanishSIG(text).translations.length > 0 ? SIG_LANGUAGES.SPANISH : SIG_LANGUAGES.ENGLISH;
+}
+
+/**
+ * Translate Spanish SIG vocabulary into English
+ * Words outside the vocabulary (drug names, digits) are kept as written. English text
+ * comes back unchanged with no translations.
+ * @param {string} text - SIG text
+ * @returns {Object} Translated text and the translations made ({ term, english, type, start, end })
+ */
+export function translateSpanishSIG(text) {
+  if (!text || typeof text !== 'string') {
+    return { text: text || '', translations: [] };
+  }
+
+  const translations = [];
+  for (const { english, type, regex } of COMPILED_TERMS) {
+    for (const match of text.matchAll(regex)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (!translations.some(existing => start < existing.end && existing.start < end)) {
+        const translated = english.replace(/\$(\d)/g, (_, group) => toNumber(match[Number(group)]));
+        translations.push({ term: match[0], english: translated, type, start, end });
+      }
+    }
+  }
+
+  translations.sort((a, b) => a.start - b.start);
+
+  let translatedText = '';
+  let position = 0;
+  for (const { english, start, end } of translations) {
+    translatedText += text.slice(position, start) + english;
+    position = end;
+  }
+  translatedText += text.slice(position);
+
+  return { text: translatedText, translations };
+}
+
+/**
+ * Build the global pattern for a Spanish term
+ * Vowels match with or without accents, spaces match any whitespace, and {n} matches
+ * a number. Letter boundaries are Unicode-aware so "día" is a whole word.
+ * @param {string} term - Term from SPANISH_SIG_TERMS
+ * @returns {RegExp} Global, case-insensitive pattern
+ */
+function compileTerm(term) {
+  const body = term
+    .split('{n}')
+    .map(part => part
+      .split('')
+      .map(char => ACCENTED_LETTERS[char] || (char === ' ' ? '\\s+' : char))
+      .join(''))
+    .join(NUMBER_SLOT);
+
+  return new RegExp(`(?<![\\p{L}\\d])${body}(?![\\p{L}\\d])`, 'giu');
+}
+
+/**
+ * Convert a matched number or Spanish number word to digits
+ * @param {string} value - Matched number ("8" or "ocho")
+ * @returns {string} Number as digits
+ */
+function toNumber(value) {
+  return SPANISH_NUMBER_WORDS[value.toLowerCase()] || value;
+}
@@ -12,15 +12,51 @@ import {
   normalizeUnit,
   normalizeDosageForm,
   parseFrequency,
-  FREQUENCY_PATTERNS,
   UNIT_ABBREVIATIONS,
   DOSAGE_ABBREVIATIONS
 } from '../constants/dosage.js';
+import { extractDuration, parseCourseDuration, traceCourseDuration } from './sig-duration.js';
+import { matchFrequencyText, parseFrequencyRegimen, getRegimenFrequency } from './frequency-parsing.js';
+import { extractPRNDetails } from './prn.js';
+import { isTopicalSIG, parseTopicalSIG } from './topical.js';
+import { annotateSIG, traceFillerWords, SIG_SPAN_TYPES } from './sig-annotation.js';
+import { extractSIGDetails, traceSIGDetails } from './sig-details.js';
+import { expandSIGAbbreviations, findErrorProneAbbreviations } from './abbreviations.js';
+import { detectSIGLanguage, translateSpanishSIG } from './sig-locale.js';
+import { SIG_LANGUAGES } from '../constants/locale.js';
+import {
+  DOSE_PATTERN,
+  runParsingStrategies,
+  parseDoseValue,
+  createParseResult,
+  traceFrequency
+} from './sig-strategies.js';
+import {
+  createMatch,
+  createTextMap,
+  rewriteTextMap,
+  replaceInTextMap,
+  sliceTextMap,
+  trimTextMap,
+  mapMatches
+} from './sig-trace.js';
+import { scoreParseConfidence } from './sig-confidence.js';
+
+export { getParsingConfidence } from './sig-confidence.js';
+
+/**
+ * Words that mark a dosing phase as a single dose ("Take 2 tablets now, then 1 tablet daily")
+ */
+const ONE_TIME_PHASE_PATTERN = /\b(now|today|immediately|at once)$/id;
 
 /**
  * Parse SIG text to extract dose, frequency, and unit information
+ * Spanish SIGs are translated to English before parsing, and the detected language is
+ * returned. The result carries route, site, timing and indication details, the course
+ * duration ("x 10 days", "until gone"), the SIG in plain English (expandedText), any ISMP
+ * error-prone abbreviations, and a span annotation showing which parts of the text were understood.
  * @param {string} sigText - Prescription directions text
- * @returns {Object} Parsed SIG object with dose, frequency, unit, and metadata
+ * @returns {Object} Parsed SIG object with dose, frequency, unit, annotation and metadata
  */
 export function parseSIG(sigText) {
   if (!sigText || typeof sigText !== 'string') {
@@ -33,20 +69,78 @@ export function parseSIG(sigText) {
     return createParseResult(null, null, null, false, 'Empty SIG text');
   }
 
+  const language = detectSIGLanguage(trimmedText);
+  const writtenMap = createTextMap(trimmedText);
+  const englishMap = language === SIG_LANGUAGES.SPANISH
+    ? rewriteTextMap(writtenMap, translateSpanishSIG(trimmedText).translations.map(({ start, end, english }) => ({ start, end, text: english })))
+    : writtenMap;
+  const englishText = englishMap.text;
+  const expanded = expandSIGAbbreviations(englishText);
+  let result = parseTrimmedSIG(englishText);
+  let parsedMap = englishMap;
+
+  // Shorthand the strategies do not read ("1 cap qam") gets a second pass in plain English
+  if (!result.parseSuccess && expanded.text !== englishText) {
+    const expandedResult = parseTrimmedSIG(expanded.text);
+    if (expandedResult.parseSuccess) {
+      result = expandedResult;
+      parsedMap = rewriteTextMap(englishMap, expanded.expansions.map(({ start, end, expansion }) => ({ start, end, text: expansion })));
+    }
+  }
+
+  // The annotation shows what the parse read, mapped back to the SIG as written
+  const { matches = [], ...parsed } = result;
+  const trace = [
+    ...mapMatches(matches, parsedMap),
+    ...mapMatches([
+      ...(parsed.phases ? [] : traceCourseDuration(englishText)),
+      ...traceSIGDetails(englishText),
+      ...traceFillerWords(englishText)
+    ], englishMap)
+  ];
+
+  // A route captured by a strategy ("1 tab PO BID") takes precedence over the text-wide search
+  return {
+    ...extractSIGDetails(englishText),
+    ...parseCourseDuration(englishText, parsed.phases),
+    ...parsed,
+    originalText: trimmedText,
+    language,
+    expandedText: expanded.text,
+    errorProneAbbreviations: findErrorProneAbbreviations(trimmedText),
+    annotation: annotateSIG(trimmedText, trace).spans
+  };
+}
+
+/**
+ * Parse non-empty, trimmed SIG text
+ * @param {string} trimmedText - Prescription directions text
+ * @returns {Object} Parsed SIG object, with the parse trace matches (positions in
+ *   trimmedText) when parsing succeeded
+ */
+function parseTrimmedSIG(trimmedText) {
   try {
-    // Try different parsing strategies in order of specificity
-    const strategies = [
-      parseStructuredSIG,    // "Take 1 tablet twice daily"
-      parseAbbreviatedSIG,   // "1 tab PO BID"
-      parseSimpleSIG,        // "1 tablet daily"
-      parseComplexSIG        // Fallback for complex patterns
-    ];
-
-    for (const strategy of strategies) {
-      const result = strategy(trimmedText);
-      if (result.parseSuccess) {
-        return result;
-      }
+    // Multi-step directions (tapers, dose packs) are parsed phase by phase. One read as a
+    // single step would run its first dose for the whole course, so they fail instead.
+    const phaseTexts = splitSIGPhases(trimmedText);
+    if (phaseTexts.length > 1) {
+      return parseMultiPhaseSIG(trimmedText, phaseTexts);
+    }
+
+    // Creams and ointments without a measured dose are estimated from the application site
+    if (isTopicalSIG(trimmedText)) {
+      return parseTopicalSIG(trimmedText);
+    }
+
+    // As-needed directions and dose caps are split off before the dose and schedule are parsed
+    const prn = extractPRNDetails(trimmedText);
+    if (prn.asNeeded || prn.maxDailyDose) {
+      return parsePRNSIG(trimmedText, prn);
+    }
+
+    const result = runParsingStrategies(trimmedText);
+    if (result.parseSuccess) {
+      return attachRegimen(result, trimmedText);
     }
 
     // If no strategy succeeded, return failure result
@@ -58,223 +152,182 @@ export function parseSIG(sigText) {
 }
 
 /**
- * Parse structured SIG text like "Take 1 tablet twice daily"
- * @param {string} text - SIG text to parse
- * @returns {Object} Parse result
+ * Attach the repeating schedule to a parse result for weekly, interval and cyclical SIGs
+ * @param {Object} result - Successful parse result
+ * @param {string} text - Full SIG text
+ * @returns {Object} Parse result with regimen and its average frequency, or the result unchanged
  */
-function parseStructuredSIG(text) {
-  // Pattern: "Take X unit(s) Y" where Y is frequency
-  const pattern = /^take\s+(\d+(?:\.\d+)?)\s+(\w+)\s+(.+)$/i;
-
-  const match = text.match(pattern);
-  if (!match) {
-    return createParseResult(null, null, null, false, 'No structured pattern match');
-  }
-
-  const [, doseStr, unitStr, frequencyStr] = match;
-  const dose = parseFloat(doseStr);
-  const unit = normalizeUnit(unitStr) || unitStr.toLowerCase();
-  const frequency = parseFrequencyText(frequencyStr.trim());
-
-  if (!frequency) {
-    return createParseResult(dose, null, unit, false, 'Unable to parse frequency from structured text');
+function attachRegimen(result, text) {
+  const regimen = parseFrequencyRegimen(text);
+  if (!regimen) {
+    return result;
   }
 
-  return createParseResult(dose, frequency, unit, true, null, text);
+  return { ...result, frequency: getRegimenFrequency(regimen), regimen };
 }
 
 /**
- * Parse abbreviated SIG text like "1 tab PO BID"
- * @param {string} text - SIG text to parse
- * @returns {Object} Parse result
+ * Parse an as-needed SIG like "Take 1 tablet every 6 hours as needed, max 4 tablets per day"
+ * A PRN SIG may have no schedule at all ("Take 1 tablet as needed for pain"), in which case
+ * frequency is null and the quantity is derived from the maximum daily dose.
+ * @param {string} text - Full SIG text
+ * @param {Object} prn - PRN details from extractPRNDetails
+ * @returns {Object} Parse result with asNeeded and maxDailyDose
  */
-function parseAbbreviatedSIG(text) {
-  // Split by spaces and look for patterns
-  const parts = text.toLowerCase().split(/\s+/);
-
-  if (parts.length < 3) {
-    return createParseResult(null, null, null, false, 'Abbreviated text too short');
+function parsePRNSIG(text, prn) {
+  const prnDetails = { asNeeded: prn.asNeeded, maxDailyDose: prn.maxDailyDose };
+
+  const result = runParsingStrategies(prn.text);
+  if (result.parseSuccess) {
+    return {
+      ...result,
+      originalText: text,
+      ...prnDetails,
+      strategy: 'prn',
+      matches: [...prn.matches, ...mapMatches(result.matches, prn.textMap)]
+    };
   }
 
-  // Look for dose (first numeric part)
-  let dose = null;
-  let doseIndex = -1;
-
-  for (let i = 0; i < parts.length; i++) {
-    const num = parseFloat(parts[i]);
-    if (!isNaN(num) && num > 0) {
-      dose = num;
-      doseIndex = i;
-      break;
-    }
+  // No schedule: only the dose and unit are required ("Dissolve 1 tablet under the tongue")
+  const match = prn.text.match(new RegExp(`^(?:(?:take|give|use|chew|dissolve|place)\\s+)?${DOSE_PATTERN}\\s+(\\w+)`, 'id'));
+  const unit = match && normalizeUnit(match[3]);
+  if (!unit) {
+    return createParseResult(null, null, null, false, 'Unable to parse dose from as-needed SIG text', text);
   }
 
-  if (dose === null) {
-    return createParseResult(null, null, null, false, 'No dose found in abbreviated text');
-  }
-
-  // Look for unit after dose
-  let unit = null;
-  if (doseIndex + 1 < parts.length) {
-    const potentialUnit = parts[doseIndex + 1];
-    unit = normalizeUnit(potentialUnit) || potentialUnit;
-
-    // Skip route indicators like "po", "oral"
-    if (unit === 'po' || unit === 'oral' || unit === 'im' || unit === 'iv') {
-      if (doseIndex + 2 < parts.length) {
-        unit = normalizeUnit(parts[doseIndex + 2]) || parts[doseIndex + 2];
-      }
-    }
-  }
-
-  // Look for frequency (usually at the end)
-  const remainingParts = parts.slice(doseIndex + (unit ? 2 : 1));
-  const frequencyStr = remainingParts.join(' ');
-  const frequency = parseFrequencyText(frequencyStr);
-
-  if (!frequency) {
-    return createParseResult(dose, null, unit, false, 'Unable to parse frequency from abbreviated text');
-  }
-
-  return createParseResult(dose, frequency, unit, true, null, text);
+  const { dose, doseRange } = parseDoseValue(match[1], match[2]);
+  const [, doseIndices, doseMaxIndices, unitIndices] = match.indices;
+  return createParseResult(dose, null, unit, true, null, text, {
+    ...(doseRange && { doseRange }),
+    ...prnDetails,
+    strategy: 'prn',
+    matches: [
+      ...prn.matches,
+      ...mapMatches([
+        createMatch(SIG_SPAN_TYPES.DOSE, doseIndices[0], (doseMaxIndices ?? doseIndices)[1], dose),
+        createMatch(SIG_SPAN_TYPES.UNIT, unitIndices[0], unitIndices[1], unit)
+      ], prn.textMap)
+    ]
+  });
 }
 
 /**
- * Parse simple SIG text like "1 tablet daily"
- * @param {string} text - SIG text to parse
- * @returns {Object} Parse result
+ * Split SIG text into dosing phases on "then" / "followed by"
+ * @param {string} text - SIG text
+ * @returns {Array<Object>} Text maps of the phases (a single entry for single-step directions)
  */
-function parseSimpleSIG(text) {
-  // Pattern: "X unit Y" where Y is frequency
-  const pattern = /^(\d+(?:\.\d+)?)\s+(\w+)\s+(.+)$/i;
-
-  const match = text.match(pattern);
-  if (!match) {
-    return createParseResult(null, null, null, false, 'No simple pattern match');
-  }
-
-  const [, doseStr, unitStr, frequencyStr] = match;
-  const dose = parseFloat(doseStr);
-  const unit = normalizeUnit(unitStr) || unitStr.toLowerCase();
-  const frequency = parseFrequencyText(frequencyStr.trim());
-
-  if (!frequency) {
-    return createParseResult(dose, null, unit, false, 'Unable to parse frequency from simple text');
+function splitSIGPhases(text) {
+  const textMap = createTextMap(text);
+  const separators = [...text.matchAll(/\s*[,;]?\s*\b(?:then|followed by)\b\s*/gi)];
+  const phases = [];
+  let position = 0;
+
+  for (const separator of [...separators, { index: text.length, 0: '' }]) {
+    const phase = trimTextMap(replaceInTextMap(sliceTextMap(textMap, position, separator.index), /[,;.\s]+$/, ''));
+    if (phase.text.length > 0) {
+      phases.push(phase);
+    }
+    position = separator.index + separator[0].length;
   }
 
-  return createParseResult(dose, frequency, unit, true, null, text);
+  return phases;
 }
 
 /**
- * Parse complex SIG text (fallback for patterns that don't match above)
- * @param {string} text - SIG text to parse
- * @returns {Object} Parse result
+ * Parse multi-step SIG text like "Take 4 tabs daily x3 days, then 3 tabs daily x3 days"
+ * Later phases may omit the unit or frequency, which are carried over from the previous phase.
+ * @param {string} text - Full SIG text
+ * @param {Array<Object>} phaseTexts - Text maps of the SIG split into phases
+ * @returns {Object} Parse result with an ordered list of dosing phases, or a failed result
+ *   when a part does not parse as a dosing phase
  */
-function parseComplexSIG(text) {
-  // Try to extract numbers and frequency words
-  const numberMatch = text.match(/(\d+(?:\.\d+)?)/);
-  if (!numberMatch) {
-    return createParseResult(null, null, null, false, 'No numbers found in complex text');
-  }
+function parseMultiPhaseSIG(text, phaseTexts) {
+  const phases = [];
+  const matches = [];
 
-  const dose = parseFloat(numberMatch[1]);
+  for (let i = 0; i < phaseTexts.length; i++) {
+    const previousPhase = phases[i - 1] || null;
+    const parsedPhase = parsePhase(phaseTexts[i].text, previousPhase);
 
-  // Look for frequency indicators
-  const frequency = parseFrequencyText(text);
+    if (!parsedPhase) {
+      return createParseResult(null, null, null, false, `Dosing phase ${i + 1} ("${phaseTexts[i].text}") could not be parsed`, text);
+    }
 
-  // Try to infer unit from common words
-  let unit = null;
-  const lowerText = text.toLowerCase();
+    const { matches: phaseMatches, ...phase } = parsedPhase;
+    if (previousPhase && phase.unit !== previousPhase.unit) {
+      return createParseResult(null, null, null, false, `Dosing phase ${i + 1} uses a different unit (${phase.unit}) than phase ${i} (${previousPhase.unit})`, text);
+    }
 
-  // Check for tablet/capsule indicators
-  if (lowerText.includes('tablet') || lowerText.includes('tab')) {
-    unit = 'tablet';
-  } else if (lowerText.includes('capsule') || lowerText.includes('cap')) {
-    unit = 'capsule';
-  } else if (lowerText.includes('ml') || lowerText.includes('milliliter')) {
-    unit = 'ml';
-  } else if (lowerText.includes('mg') || lowerText.includes('milligram')) {
-    unit = 'mg';
+    phases.push(phase);
+    matches.push(...mapMatches(phaseMatches, phaseTexts[i]));
   }
 
-  if (!frequency || !unit) {
-    return createParseResult(dose, frequency, unit, false, 'Incomplete parsing in complex text');
+  // Every phase except the last needs an explicit duration to know when the next one starts
+  const missingDuration = phases.slice(0, -1).findIndex(phase => phase.durationDays === null && !phase.oneTime);
+  if (missingDuration !== -1) {
+    return createParseResult(null, null, null, false, `Dosing phase ${missingDuration + 1} has no duration`, text);
   }
 
-  return createParseResult(dose, frequency, unit, true, null, text);
+  const [firstPhase] = phases;
+  return createParseResult(firstPhase.dose, firstPhase.frequency, firstPhase.unit, true, null, text, { phases, strategy: 'multi_step', matches });
 }
 
 /**
- * Parse frequency text to extract times per day
- * @param {string} frequencyText - Text describing frequency
- * @returns {number|null} Frequency (times per day) or null if unparseable
+ * Parse a single dosing phase of a multi-step SIG
+ * A phase taken once ("Take 2 tablets now") is one dose on the first day of the phase.
+ * @param {string} phaseText - Text for one phase (e.g., "3 tabs daily x3 days")
+ * @param {Object|null} previousPhase - Previously parsed phase to inherit unit/frequency from (null for the first phase)
+ * @returns {Object|null} Phase with dose, frequency, unit, durationDays and oneTime, plus the
+ *   parse trace matches (positions in phaseText), or null if unparseable
  */
-function parseFrequencyText(frequencyText) {
-  if (!frequencyText) return null;
-
-  const lowerText = frequencyText.toLowerCase().trim();
-
-  // Direct lookup in frequency patterns
-  if (FREQUENCY_PATTERNS[lowerText]) {
-    return FREQUENCY_PATTERNS[lowerText];
-  }
-
-  // Try partial matches
-  for (const [pattern, freq] of Object.entries(FREQUENCY_PATTERNS)) {
-    if (lowerText.includes(pattern) || pattern.includes(lowerText)) {
-      return freq;
-    }
+function parsePhase(phaseText, previousPhase) {
+  const { text, textMap, durationDays, isDayRange, matches: durationMatches } = extractDuration(phaseText);
+  const oneTime = durationDays === null ? text.match(ONE_TIME_PHASE_PATTERN) : null;
+
+  const result = oneTime ? null : runParsingStrategies(text);
+  if (result?.parseSuccess) {
+    return {
+      dose: result.dose,
+      frequency: result.frequency,
+      unit: result.unit,
+      durationDays,
+      matches: [...mapMatches(result.matches, textMap), ...durationMatches]
+    };
   }
 
-  // Special handling for "as needed" patterns
-  if (lowerText.includes('as needed') || lowerText.includes('prn') ||
-      lowerText.includes('as required')) {
-    return null; // Special case - frequency cannot be determined
+  // Fall back to "3 daily" / "2 tabs" / "6 tablets on day 1" style phases
+  const match = text.match(/^(?:take\s+)?(\d+(?:\.\d+)?)\s*(\S+)?\s*(.*)$/id);
+  if (!match) {
+    return null;
   }
 
-  // Try to extract numbers followed by time indicators
-  const timePatterns = [
-    { regex: /(\d+)\s+times?\s+(?:a|per)\s+day/i, factor: 1 },
-    { regex: /(\d+)\s+times?\s+ daily/i, factor: 1 },
-    { regex: /(\d+)\s+times?\s+(?:a|per)\s+week/i, factor: 1/7 },
-    { regex: /(\d+)\s+times?\s+weekly/i, factor: 1/7 },
-    { regex: /every\s+(\d+)\s+hours?/i, factor: 24 },
-    { regex: /q(\d+)h/i, factor: 24 } // q4h = every 4 hours
-  ];
+  const [, doseStr, firstWord = ''] = match;
+  const [, doseIndices, unitIndices, restIndices] = match.indices;
+  const unit = normalizeUnit(firstWord) || previousPhase?.unit;
+  const frequencyStart = normalizeUnit(firstWord) || !unitIndices ? restIndices[0] : unitIndices[0];
+  const frequencyMatch = oneTime ? null : matchFrequencyText(text.slice(frequencyStart));
+  // A dose-pack day reference without a frequency means the whole dose is taken that day
+  const frequency = oneTime ? 1 : frequencyMatch?.frequency || previousPhase?.frequency || (isDayRange ? 1 : null);
 
-  for (const { regex, factor } of timePatterns) {
-    const match = frequencyText.match(regex);
-    if (match) {
-      const num = parseInt(match[1], 10);
-      if (regex.source.includes('hours')) {
-        return factor / num; // every 4 hours = 24/4 = 6 times per day
-      } else {
-        return num * factor; // X times per day/week
-      }
-    }
+  if (!unit || !frequency) {
+    return null;
   }
 
-  return null;
-}
-
-/**
- * Create a standardized parse result object
- * @param {number|null} dose - Parsed dose
- * @param {number|null} frequency - Parsed frequency (times per day)
- * @param {string|null} unit - Parsed unit
- * @param {boolean} parseSuccess - Whether parsing succeeded
- * @param {string|null} parseError - Error message if parsing failed
- * @param {string} [originalText] - Original SIG text
- * @returns {Object} Standardized parse result
- */
-function createParseResult(dose, frequency, unit, parseSuccess, parseError, originalText = null) {
   return {
-    dose,
+    dose: parseFloat(doseStr),
     frequency,
     unit,
-    originalText,
-    parseSuccess,
-    parseError
+    durationDays,
+    ...(oneTime && { oneTime: true }),
+    matches: [
+      ...mapMatches([
+        createMatch(SIG_SPAN_TYPES.DOSE, doseIndices[0], doseIndices[1], parseFloat(doseStr)),
+        ...(normalizeUnit(firstWord) ? [createMatch(SIG_SPAN_TYPES.UNIT, unitIndices[0], unitIndices[1], unit)] : []),
+        ...(frequencyMatch ? traceFrequency(frequencyMatch, frequencyStart) : []),
+        ...(oneTime ? [createMatch(SIG_SPAN_TYPES.FREQUENCY, oneTime.indices[1][0], oneTime.indices[1][1], 1)] : [])
+      ], textMap),
+      ...durationMatches
+    ]
   };
 }
 
@@ -309,46 +362,150 @@ export function validateParsedSIG(parsedSIG) {
 }
 
 /**
- * Get parsing confidence score (for future AI integration)
- * @param {Object} parsedSIG - Parsed SIG object
- * @returns {number} Confidence score 0-1
+ * Name of the built-in regex parser backend
+ */
+export const DEFAULT_SIG_PARSER = 'regex';
+
+/**
+ * Registered SIG parser backends by name
+ * A backend is { name, description?, version?, parse(sigText) } where parse returns (or resolves to)
+ * a parse result like parseSIG's, optionally with a confidence score.
+ */
+const sigParsers = new Map([
+  [DEFAULT_SIG_PARSER, { name: DEFAULT_SIG_PARSER, description: 'Built-in regex strategies', parse: parseSIG }]
+]);
+
+/**
+ * Backend used when a parse does not name one
+ */
+let activeSIGParser = DEFAULT_SIG_PARSER;
+
+/**
+ * Register a SIG parser backend, replacing any backend with the same name
+ * @param {Object} provider - Parser backend
+ * @param {string} provider.name - Unique backend name
+ * @param {Function} provider.parse - (sigText) => parse result or Promise of one
+ * @param {string} [provider.description] - Human-readable description
+ * @param {string} [provider.version] - Backend or rule pack version
+ * @returns {Object} Result with success, or an error when the backend is malformed
  */
-export function getParsingConfidence(parsedSIG) {
-  if (!parsedSIG || !parsedSIG.parseSuccess) {
-    return 0;
+export function registerSIGParser(provider) {
+  if (!provider || typeof provider.name !== 'string' || typeof provider.parse !== 'function') {
+    return { success: false, error: 'A SIG parser needs a name and a parse function' };
   }
 
-  let confidence = 0.5; // Base confidence for successful regex parsing
+  if (provider.name === DEFAULT_SIG_PARSER) {
+    return { success: false, error: `The "${DEFAULT_SIG_PARSER}" parser is built in and cannot be replaced` };
+  }
+
+  sigParsers.set(provider.name, provider);
+  return { success: true };
+}
 
-  // Higher confidence for structured parsing
-  if (parsedSIG.originalText && parsedSIG.originalText.toLowerCase().includes('take')) {
-    confidence += 0.2;
+/**
+ * Remove a registered SIG parser backend
+ * The active backend falls back to regex if it is removed.
+ * @param {string} name - Backend name
+ * @returns {boolean} True if a backend was removed
+ */
+export function unregisterSIGParser(name) {
+  if (name === DEFAULT_SIG_PARSER || !sigParsers.delete(name)) {
+    return false;
   }
 
-  // Higher confidence for standard units
-  if (parsedSIG.unit && normalizeUnit(parsedSIG.unit)) {
-    confidence += 0.1;
+  if (activeSIGParser === name) {
+    activeSIGParser = DEFAULT_SIG_PARSER;
   }
+  return true;
+}
 
-  // Higher confidence for standard frequencies
-  if (parsedSIG.frequency && Object.values(FREQUENCY_PATTERNS).includes(parsedSIG.frequency)) {
-    confidence += 0.1;
+/**
+ * List the registered SIG parser backends
+ * @returns {Array<Object>} Backends with name, description, version and whether each is active
+ */
+export function listSIGParsers() {
+  return [...sigParsers.values()].map(({ name, description, version }) => ({
+    name,
+    description: description || null,
+    version: version || null,
+    active: name === activeSIGParser
+  }));
+}
+
+/**
+ * Select the backend used when a parse does not name one
+ * @param {string} name - Registered backend name
+ * @returns {Object} Result with success, or an error for unknown backends
+ */
+export function selectSIGParser(name) {
+  if (!sigParsers.has(name)) {
+    return { success: false, error: `Unknown SIG parser: ${name}` };
   }
 
-  // Cap at 0.9 for regex parsing (leave room for AI confidence)
-  return Math.min(confidence, 0.9);
+  activeSIGParser = name;
+  return { success: true };
 }
 
 /**
- * Extension point for Phase 2 AI integration
- * This function can be replaced with AI-powered parsing
+ * Parse SIG text with a registered backend
+ * Every result carries a confidence score and the name of the backend that produced it.
+ * When a non-regex backend cannot parse the text, the regex parser is tried unless
+ * fallback is disabled.
+ * @param {string} sigText - Prescription directions text
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.provider] - Backend name (defaults to the selected backend)
+ * @param {boolean} [options.fallback=true] - Fall back to regex parsing on failure
+ * @returns {Promise<Object>} Parse result with confidence and provider
+ */
+export async function parseSIGWithProvider(sigText, options = {}) {
+  const { provider: name = activeSIGParser, fallback = true } = options;
+  const provider = sigParsers.get(name);
+
+  let result;
+  if (!provider) {
+    result = createParseResult(null, null, null, false, `Unknown SIG parser: ${name}`, sigText);
+  } else {
+    try {
+      result = await provider.parse(sigText);
+    } catch (error) {
+      result = createParseResult(null, null, null, false, `SIG parser "${name}" failed: ${error.message}`, sigText);
+    }
+  }
+
+  if (!result.parseSuccess && fallback && name !== DEFAULT_SIG_PARSER) {
+    const regexResult = parseSIG(sigText);
+    if (regexResult.parseSuccess) {
+      return { ...withConfidence(regexResult), provider: DEFAULT_SIG_PARSER, fallbackFrom: name };
+    }
+  }
+
+  return { ...withConfidence(result), provider: name };
+}
+
+/**
+ * Attach a confidence score to a parse result
+ * Scores reported by a backend are kept; otherwise the result is scored with the
+ * confidence model and the factors behind the score are attached as confidenceFactors.
+ * @param {Object} result - Parse result
+ * @returns {Object} Parse result with confidence
+ */
+function withConfidence(result) {
+  if (typeof result.confidence === 'number') {
+    return result;
+  }
+
+  const { confidence, factors } = scoreParseConfidence(result);
+  return { ...result, confidence, confidenceFactors: factors };
+}
+
+/**
+ * Parse SIG text with the selected backend
+ * Kept for existing callers; an AI backend is registered with registerSIGParser like any other.
  * @param {string} sigText - SIG text to parse
- * @returns {Promise<Object>} Parse result (currently falls back to regex)
+ * @returns {Promise<Object>} Parse result with confidence and provider
  */
 export async function parseSIGWithAI(sigText) {
-  // TODO: Phase 2 - Integrate with OpenAI or similar for complex SIG parsing
-  // For now, fall back to regex parsing
-  return parseSIG(sigText);
+  return parseSIGWithProvider(sigText);
 }
 
 /**
@@ -365,6 +522,22 @@ export function getSIGExamples() {
     '1 tab PO BID',
     '2 caps TID',
     'Take 1 tablet every morning',
-    'Take 2 tablets twice weekly'
+    'Take 2 tablets twice weekly',
+    'Take 4 tablets daily x3 days, then 3 tablets daily x3 days, then 2 tablets daily x3 days',
+    'Take 1-2 tablets every 4-6 hours as needed',
+    'Take 1 tablet as needed for pain, max 6 tablets per day',
+    'Inject 22 units subcutaneously at bedtime',
+    'Apply a thin layer to affected area twice daily for 14 days',
+    'Take 4 tablets once weekly on Mondays',
+    'Take 1 tablet daily on days 1-21 of a 28-day cycle'
   ];
 }
+
+/**
+ * Check whether SIG text states a course duration that can stand in for days supply
+ * @param {string} sigText - Prescription directions text
+ * @returns {boolean} True when the SIG gives its course length in days ("x 10 days")
+ */
+export function hasSIGDuration(sigText) {
+  return parseSIG(sigText).durationDays > 0;
+}
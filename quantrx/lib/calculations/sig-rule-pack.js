@@ -0,0 +1,232 @@
+/**
+ * Rule-pack SIG parser backend
+ *
+ * Builds a SIG parser backend from a versioned rule pack: an ordered list of
+ * regex rules with named groups, plus unit synonyms, number words and
+ * frequency phrases. Rules are data, so the pack can be extended without code
+ * changes; register the backend with registerSIGParser.
+ *
+ * A rule only counts when it reads the whole SIG: words the rule, the route,
+ * timing, indication and course duration do not account for send the SIG to
+ * the next rule. As-needed, multi-step, non-daily and Spanish SIGs are left to
+ * the regex parser, which reads their caps, phases and regimens.
+ *
+ * @module lib/calculations/sig-rule-pack
+ */
+
+import { SIGRulePackSchema } from '../../schemas/sig-rule-pack.js';
+import { normalizeUnit } from '../constants/dosage.js';
+import { SIG_LANGUAGES } from '../constants/locale.js';
+import { matchFrequencyText, parseFrequencyRegimen } from './frequency-parsing.js';
+import { parseDoseValue, createParseResult } from './sig-strategies.js';
+import { isAsNeeded } from './prn.js';
+import { annotateSIG, traceFillerWords, SIG_SPAN_TYPES } from './sig-annotation.js';
+import { extractSIGDetails, traceSIGDetails } from './sig-details.js';
+import { parseCourseDuration, traceCourseDuration } from './sig-duration.js';
+import { expandSIGAbbreviations, findErrorProneAbbreviations } from './abbreviations.js';
+import { detectSIGLanguage } from './sig-locale.js';
+import { createMatch } from './sig-trace.js';
+
+/**
+ * Backend name used when registering a rule pack
+ */
+export const RULE_PACK_PARSER = 'rule-pack';
+
+/**
+ * Validate a rule pack
+ * @param {Object} pack - Rule pack data
+ * @returns {Object} Result with isValid and a list of error messages
+ */
+export function validateRulePack(pack) {
+  const result = SIGRulePackSchema.safeParse(pack);
+
+  return {
+    isValid: result.success,
+    errors: result.success
+      ? []
+      : result.error.issues.map(issue => `${issue.path.join('.') || 'pack'}: ${issue.message}`)
+  };
+}
+
+/**
+ * Create a SIG parser backend from a rule pack
+ * @param {Object} pack - Rule pack data (see schemas/sig-rule-pack)
+ * @returns {Object} Result with success and data (the backend), or an error listing validation problems
+ */
+export function createRulePackParser(pack) {
+  const validation = validateRulePack(pack);
+  if (!validation.isValid) {
+    return { success: false, error: `Invalid rule pack: ${validation.errors.join('; ')}` };
+  }
+
+  // Match indices ('d') locate what each rule read, for the annotation
+  const rules = pack.rules.map(rule => ({ ...rule, regex: new RegExp(rule.pattern, withIndices(rule.flags || 'i')) }));
+  const frequencyPhrases = Object.entries(pack.frequencies || {})
+    .map(([phrase, frequency]) => [phrase.toLowerCase(), frequency])
+    .sort(([a], [b]) => b.length - a.length);
+
+  return {
+    success: true,
+    data: {
+      name: RULE_PACK_PARSER,
+      description: pack.description || `Rule pack ${pack.name}`,
+      version: `${pack.name}@${pack.version}`,
+      parse: (sigText) => parseWithRules(sigText, { pack, rules, frequencyPhrases })
+    }
+  };
+}
+
+/**
+ * Add the match indices flag to a rule's regex flags
+ * @param {string} flags - Regex flags from the rule
+ * @returns {string} Flags including 'd'
+ */
+function withIndices(flags) {
+  return flags.includes('d') ? flags : `${flags}d`;
+}
+
+/**
+ * Parse SIG text with the first rule that reads the whole SIG
+ * @param {string} sigText - Prescription directions text
+ * @param {Object} compiled - Rule pack with compiled rules and sorted frequency phrases
+ * @returns {Object} Parse result with confidence, the rule that matched, and the route,
+ *   course duration, annotation and other details parseSIG reports
+ */
+function parseWithRules(sigText, { pack, rules, frequencyPhrases }) {
+  const text = typeof sigText === 'string' ? sigText.trim() : '';
+  if (!text) {
+    return createParseResult(null, null, null, false, 'Invalid input: SIG text must be a non-empty string');
+  }
+
+  const unsupported = findUnsupportedWording(text);
+  if (unsupported) {
+    return createParseResult(null, null, null, false, `${pack.name}@${pack.version} does not read ${unsupported}`, text);
+  }
+
+  // Route, timing, indication and course duration are read the same way for every rule
+  const detailMatches = [...traceCourseDuration(text), ...traceSIGDetails(text), ...traceFillerWords(text)];
+
+  for (const rule of rules) {
+    const match = text.match(rule.regex);
+    if (!match?.groups) continue;
+
+    const { groups, indices } = match;
+    const doseValue = readDose(groups, pack.numbers);
+    const unit = rule.unit || readUnit(groups.unit, pack.units);
+    const frequencyMatch = rule.frequency ? null : readFrequency(groups.frequency, frequencyPhrases);
+    const frequency = rule.frequency || frequencyMatch?.frequency;
+    if (!doseValue || !unit || !frequency) continue;
+
+    const matches = [
+      ...traceGroups(indices.groups, doseValue, unit),
+      ...(frequencyMatch?.matches || []).map(({ start, end }) => createMatch(
+        SIG_SPAN_TYPES.FREQUENCY, indices.groups.frequency[0] + start, indices.groups.frequency[0] + end, frequency
+      ))
+    ];
+    const annotation = annotateSIG(text, [...matches, ...detailMatches]);
+    if (annotation.unrecognized.length > 0) continue;
+
+    return createParseResult(doseValue.dose, frequency, unit, true, null, text, {
+      ...(doseValue.doseRange && { doseRange: doseValue.doseRange }),
+      ...extractSIGDetails(text),
+      ...parseCourseDuration(text),
+      language: SIG_LANGUAGES.ENGLISH,
+      expandedText: expandSIGAbbreviations(text).text,
+      errorProneAbbreviations: findErrorProneAbbreviations(text),
+      annotation: annotation.spans,
+      confidence: rule.confidence,
+      rulePack: { name: pack.name, version: pack.version, ruleId: rule.id }
+    });
+  }
+
+  return createParseResult(null, null, null, false, `No rule in ${pack.name}@${pack.version} matched`, text);
+}
+
+/**
+ * Find wording the rule pack leaves to the regex parser
+ * @param {string} text - SIG text
+ * @returns {string|null} Description of the wording, or null when the rule pack can read the SIG
+ */
+function findUnsupportedWording(text) {
+  if (detectSIGLanguage(text) !== SIG_LANGUAGES.ENGLISH) return 'non-English SIGs';
+  if (isAsNeeded(text)) return 'as-needed SIGs';
+  if (/\bthen\b/i.test(text)) return 'multi-step SIGs';
+  if (parseFrequencyRegimen(text)) return 'non-daily schedules';
+  return null;
+}
+
+/**
+ * Trace the dose and unit groups of a rule match
+ * @param {Object} groupIndices - Match indices of the named groups
+ * @param {Object} doseValue - Dose read from the match
+ * @param {string} unit - Unit read from the match
+ * @returns {Array<Object>} Parse trace matches
+ */
+function traceGroups(groupIndices, doseValue, unit) {
+  const doseStart = (groupIndices.dose || groupIndices.doseWord)?.[0];
+  const doseEnd = (groupIndices.doseMax || groupIndices.dose || groupIndices.doseWord)?.[1];
+
+  return [
+    doseStart !== undefined && createMatch(SIG_SPAN_TYPES.DOSE, doseStart, doseEnd, doseValue.dose),
+    groupIndices.unit && createMatch(SIG_SPAN_TYPES.UNIT, groupIndices.unit[0], groupIndices.unit[1], unit)
+  ].filter(Boolean);
+}
+
+/**
+ * Read the dose from a rule match (digits, or a number word from the pack)
+ * @param {Object} groups - Named groups from the rule match
+ * @param {Object} [numbers] - Number words from the pack ("one": 1, "half": 0.5)
+ * @returns {Object|null} Dose and doseRange, or null if no dose was captured
+ */
+function readDose(groups, numbers = {}) {
+  if (groups.dose) {
+    return parseDoseValue(groups.dose, groups.doseMax);
+  }
+
+  const wordValue = groups.doseWord && numbers[groups.doseWord.toLowerCase()];
+  return wordValue ? { dose: wordValue, doseRange: null } : null;
+}
+
+/**
+ * Read the unit from a rule match, applying the pack's synonyms first
+ * @param {string} [unitText] - Captured unit
+ * @param {Object} [units] - Unit synonyms from the pack
+ * @returns {string|null} Normalized unit, or null if the unit is not recognised
+ */
+function readUnit(unitText, units = {}) {
+  if (!unitText) return null;
+
+  const lowerUnit = unitText.toLowerCase();
+  const mapped = units[lowerUnit] || lowerUnit;
+  return normalizeUnit(mapped) || (units[lowerUnit] ? mapped : null);
+}
+
+/**
+ * Read the frequency from a rule match, preferring the pack's phrases over the built-in table
+ * @param {string} [frequencyText] - Captured frequency text
+ * @param {Array<Array>} frequencyPhrases - Pack phrases as [phrase, timesPerDay], longest first
+ * @returns {Object|null} Times per day (frequency) and the matches ([{ start, end }] in
+ *   frequencyText) it was read from, or null if unrecognised
+ */
+function readFrequency(frequencyText, frequencyPhrases) {
+  if (!frequencyText) return null;
+
+  const lowerText = frequencyText.toLowerCase();
+  for (const [phrase, frequency] of frequencyPhrases) {
+    const match = lowerText.match(new RegExp(`\\b${escapePattern(phrase)}\\b`));
+    if (match) {
+      return { frequency, matches: [{ start: match.index, end: match.index + phrase.length }] };
+    }
+  }
+
+  return matchFrequencyText(lowerText);
+}
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} Escaped pattern
+ */
+function escapePattern(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
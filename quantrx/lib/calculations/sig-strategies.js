@@ -0,0 +1,417 @@
+/**
+ * SIG regex parsing strategies
+ *
+ * This module holds the regex-based strategies that parseSIG tries in order of
+ * specificity, plus the shared helpers for dose values and parse results.
+ * Successful results list the matches (dose, unit, route, frequency) they were
+ * read from, for the parse trace.
+ *
+ * @module lib/calculations/sig-strategies
+ */
+
+import { normalizeUnit } from '../constants/dosage.js';
+import { matchFrequencyText, parseFrequencyRange } from './frequency-parsing.js';
+import { parseRouteText } from './sig-details.js';
+import { SIG_SPAN_TYPES } from './sig-annotation.js';
+import {
+  createMatch,
+  createTextMap,
+  sliceTextMap,
+  replaceInTextMap,
+  mapMatches
+} from './sig-trace.js';
+
+/**
+ * Unicode vulgar fractions written in doses ("½ tablet") and their values
+ */
+const UNICODE_FRACTIONS = { '½': 0.5, '¼': 0.25, '¾': 0.75, '⅓': 1 / 3, '⅔': 2 / 3 };
+
+/**
+ * Dose number source: a mixed number ("1 1/2"), a fraction ("1/2", "½", "1½") or a decimal
+ */
+const DOSE_NUMBER_PATTERN = `(?:\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d*[${Object.keys(UNICODE_FRACTIONS).join('')}]|\\d+(?:\\.\\d+)?)`;
+
+/**
+ * Dose pattern source: a number optionally followed by an upper bound ("1-2", "1 to 2")
+ */
+export const DOSE_PATTERN = `(${DOSE_NUMBER_PATTERN})(?:\\s*(?:-|to)\\s*(${DOSE_NUMBER_PATTERN}))?`;
+
+/**
+ * A dose range written as one word ("1-2", "1/2-1")
+ */
+const DOSE_TOKEN_RANGE_PATTERN = new RegExp(`^(${DOSE_NUMBER_PATTERN})-(${DOSE_NUMBER_PATTERN})$`);
+
+/**
+ * Words the complex strategy reads a unit from, in order of preference
+ */
+const COMPLEX_UNIT_WORDS = [
+  { word: 'tablet', unit: 'tablet' },
+  { word: 'tab', unit: 'tablet' },
+  { word: 'capsule', unit: 'capsule' },
+  { word: 'cap', unit: 'capsule' },
+  { word: 'ml', unit: 'ml' },
+  { word: 'milliliter', unit: 'ml' },
+  { word: 'mg', unit: 'mg' },
+  { word: 'milligram', unit: 'mg' }
+];
+
+/**
+ * Parsing strategies in order of specificity
+ */
+const STRATEGIES = [
+  ['structured', parseStructuredSIG],    // "Take 1 tablet twice daily"
+  ['abbreviated', parseAbbreviatedSIG],  // "1 tab PO BID"
+  ['simple', parseSimpleSIG],            // "1 tablet daily"
+  ['complex', parseComplexSIG]           // Fallback for complex patterns
+];
+
+/**
+ * Run the parsing strategies in order of specificity
+ * @param {string} text - SIG text to parse
+ * @returns {Object} First successful parse result with the name of the strategy that
+ *   produced it, or the last failure
+ */
+export function runParsingStrategies(text) {
+  let result = null;
+  for (const [name, strategy] of STRATEGIES) {
+    result = strategy(text);
+    if (result.parseSuccess) {
+      return { ...result, strategy: name };
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Run every parsing strategy, not just the first that succeeds
+ * Used to tell whether the strategies agree on how to read a SIG.
+ * @param {string} text - SIG text to parse
+ * @returns {Array<Object>} Successful parse results, each with its strategy name
+ */
+export function runAllParsingStrategies(text) {
+  return STRATEGIES
+    .map(([name, strategy]) => ({ ...strategy(text), strategy: name }))
+    .filter(result => result.parseSuccess);
+}
+
+/**
+ * Parse structured SIG text like "Take 1 tablet twice daily"
+ * @param {string} text - SIG text to parse
+ * @returns {Object} Parse result
+ */
+function parseStructuredSIG(text) {
+  // Pattern: "Take X unit(s) Y" where Y is frequency
+  const pattern = new RegExp(`^take\\s+${DOSE_PATTERN}\\s+(\\w+)\\s+(.+)$`, 'id');
+
+  const match = text.match(pattern);
+  if (!match) {
+    return createParseResult(null, null, null, false, 'No structured pattern match');
+  }
+
+  const [, doseStr, doseMaxStr, unitStr, frequencyStr] = match;
+  const { dose, doseRange } = parseDoseValue(doseStr, doseMaxStr);
+  const unit = normalizeUnit(unitStr) || unitStr.toLowerCase();
+  const frequencyMatch = matchFrequencyText(frequencyStr);
+
+  if (!frequencyMatch) {
+    return createParseResult(dose, null, unit, false, 'Unable to parse frequency from structured text');
+  }
+
+  return createParseResult(dose, frequencyMatch.frequency, unit, true, null, text, {
+    ...buildRangeDetails(doseRange, frequencyStr),
+    matches: [
+      ...traceDoseAndUnit(match.indices, dose, unit),
+      ...traceFrequency(frequencyMatch, match.indices[4][0])
+    ]
+  });
+}
+
+/**
+ * Parse abbreviated SIG text like "1 tab PO BID"
+ * @param {string} text - SIG text to parse
+ * @returns {Object} Parse result
+ */
+function parseAbbreviatedSIG(text) {
+  // Split by spaces and look for patterns
+  const words = [...text.matchAll(/\S+/g)];
+  const parts = words.map(word => word[0].toLowerCase());
+
+  if (parts.length < 3) {
+    return createParseResult(null, null, null, false, 'Abbreviated text too short');
+  }
+
+  // Look for dose (first numeric part, optionally a "1-2" or "1 to 2" range)
+  let dose = null;
+  let doseRange = null;
+  let doseStart = -1;
+  let doseIndex = -1;
+
+  for (let i = 0; i < parts.length; i++) {
+    // Mixed numbers span two parts ("1 1/2 tab")
+    const isMixedNumber = /^\d+$/.test(parts[i]) && /^\d+\/\d+$/.test(parts[i + 1] ?? '');
+    const doseText = isMixedNumber ? `${parts[i]} ${parts[i + 1]}` : parts[i];
+    const doseEnd = isMixedNumber ? i + 1 : i;
+    const num = parseDoseNumber(doseText);
+    if (!isNaN(num) && num > 0) {
+      const rangeMatch = doseText.match(DOSE_TOKEN_RANGE_PATTERN);
+      const hasSpelledRange = parts[doseEnd + 1] === 'to' && !isNaN(parseDoseNumber(parts[doseEnd + 2] ?? ''));
+
+      ({ dose, doseRange } = rangeMatch
+        ? parseDoseValue(rangeMatch[1], rangeMatch[2])
+        : parseDoseValue(doseText, hasSpelledRange ? parts[doseEnd + 2] : undefined));
+      doseStart = i;
+      doseIndex = hasSpelledRange ? doseEnd + 2 : doseEnd;
+      break;
+    }
+  }
+
+  if (dose === null) {
+    return createParseResult(null, null, null, false, 'No dose found in abbreviated text');
+  }
+
+  // Look for unit after dose
+  let unit = null;
+  let unitIndex = -1;
+  let route = null;
+  if (doseIndex + 1 < parts.length) {
+    const potentialUnit = parts[doseIndex + 1];
+    unit = normalizeUnit(potentialUnit) || potentialUnit;
+    unitIndex = doseIndex + 1;
+
+    // Route tokens like "po", "sq" or "im" sit between the dose and the schedule ("1 PO BID")
+    route = normalizeUnit(potentialUnit) ? null : parseRouteText(potentialUnit);
+    if (route && doseIndex + 2 < parts.length) {
+      unit = normalizeUnit(parts[doseIndex + 2]) || parts[doseIndex + 2];
+      unitIndex = doseIndex + 2;
+    }
+  }
+
+  // Look for frequency (usually at the end), read from the remaining words joined by single spaces
+  const frequencyStart = doseIndex + (unit ? 2 : 1);
+  const remaining = frequencyStart < words.length
+    ? replaceInTextMap(sliceTextMap(createTextMap(text), words[frequencyStart].index, text.length), /\s+/g, ' ')
+    : createTextMap('');
+  const frequencyStr = remaining.text.toLowerCase();
+  const frequencyMatch = matchFrequencyText(frequencyStr);
+
+  if (!frequencyMatch) {
+    return createParseResult(dose, null, unit, false, 'Unable to parse frequency from abbreviated text');
+  }
+
+  const wordMatch = (type, first, last, value) =>
+    createMatch(type, words[first].index, words[last].index + words[last][0].length, value);
+
+  return createParseResult(dose, frequencyMatch.frequency, unit, true, null, text, {
+    ...buildRangeDetails(doseRange, frequencyStr),
+    ...(route && { route }),
+    matches: [
+      wordMatch(SIG_SPAN_TYPES.DOSE, doseStart, doseIndex, dose),
+      ...(route ? [wordMatch(SIG_SPAN_TYPES.ROUTE, doseIndex + 1, doseIndex + 1, route)] : []),
+      ...(normalizeUnit(unit) && unitIndex !== -1 ? [wordMatch(SIG_SPAN_TYPES.UNIT, unitIndex, unitIndex, unit)] : []),
+      ...mapMatches(traceFrequency(frequencyMatch), remaining)
+    ]
+  });
+}
+
+/**
+ * Parse simple SIG text like "1 tablet daily"
+ * @param {string} text - SIG text to parse
+ * @returns {Object} Parse result
+ */
+function parseSimpleSIG(text) {
+  // Pattern: "X unit Y" where Y is frequency
+  const pattern = new RegExp(`^${DOSE_PATTERN}\\s+(\\w+)\\s+(.+)$`, 'id');
+
+  const match = text.match(pattern);
+  if (!match) {
+    return createParseResult(null, null, null, false, 'No simple pattern match');
+  }
+
+  const [, doseStr, doseMaxStr, unitStr, frequencyStr] = match;
+  const { dose, doseRange } = parseDoseValue(doseStr, doseMaxStr);
+  const unit = normalizeUnit(unitStr) || unitStr.toLowerCase();
+  const frequencyMatch = matchFrequencyText(frequencyStr);
+
+  if (!frequencyMatch) {
+    return createParseResult(dose, null, unit, false, 'Unable to parse frequency from simple text');
+  }
+
+  return createParseResult(dose, frequencyMatch.frequency, unit, true, null, text, {
+    ...buildRangeDetails(doseRange, frequencyStr),
+    matches: [
+      ...traceDoseAndUnit(match.indices, dose, unit),
+      ...traceFrequency(frequencyMatch, match.indices[4][0])
+    ]
+  });
+}
+
+/**
+ * Parse complex SIG text (fallback for patterns that don't match above)
+ * @param {string} text - SIG text to parse
+ * @returns {Object} Parse result
+ */
+function parseComplexSIG(text) {
+  // Try to extract numbers and frequency words
+  const numberMatch = text.match(new RegExp(DOSE_PATTERN, 'd'));
+  if (!numberMatch) {
+    return createParseResult(null, null, null, false, 'No numbers found in complex text');
+  }
+
+  const { dose, doseRange } = parseDoseValue(numberMatch[1], numberMatch[2]);
+
+  // Look for frequency indicators
+  const frequencyMatch = matchFrequencyText(text);
+  const frequency = frequencyMatch?.frequency ?? null;
+
+  // Try to infer unit from common words
+  const unitWord = COMPLEX_UNIT_WORDS.find(({ word }) => text.toLowerCase().includes(word));
+  const unit = unitWord?.unit ?? null;
+
+  if (!frequency || !unit) {
+    return createParseResult(dose, frequency, unit, false, 'Incomplete parsing in complex text');
+  }
+
+  const [doseStart, doseEnd] = [numberMatch.indices[1][0], (numberMatch.indices[2] ?? numberMatch.indices[1])[1]];
+  const [unitStart, unitEnd] = findWordAround(text, text.toLowerCase().indexOf(unitWord.word), unitWord.word.length);
+
+  return createParseResult(dose, frequency, unit, true, null, text, {
+    ...buildRangeDetails(doseRange, text),
+    matches: [
+      createMatch(SIG_SPAN_TYPES.DOSE, doseStart, doseEnd, dose),
+      createMatch(SIG_SPAN_TYPES.UNIT, unitStart, unitEnd, unit),
+      ...traceFrequency(frequencyMatch)
+    ]
+  });
+}
+
+/**
+ * Trace the dose and unit read by a strategy pattern
+ * Words that are not a known unit are read as the unit but left out of the trace, so
+ * the annotation shows them as unrecognized.
+ * @param {Array<Array<number>>} indices - Match indices whose first three groups are the
+ *   dose, the upper bound of a dose range and the unit
+ * @param {number} dose - Dose read
+ * @param {string} unit - Unit read
+ * @returns {Array<Object>} Dose and unit matches
+ */
+function traceDoseAndUnit(indices, dose, unit) {
+  const [, doseIndices, doseMaxIndices, unitIndices] = indices;
+
+  return [
+    createMatch(SIG_SPAN_TYPES.DOSE, doseIndices[0], (doseMaxIndices ?? doseIndices)[1], dose),
+    ...(normalizeUnit(unit) ? [createMatch(SIG_SPAN_TYPES.UNIT, unitIndices[0], unitIndices[1], unit)] : [])
+  ];
+}
+
+/**
+ * Trace the text a frequency was read from
+ * @param {Object} frequencyMatch - Result of matchFrequencyText
+ * @param {number} [offset=0] - Position of the frequency text in the parsed text
+ * @returns {Array<Object>} Frequency matches
+ */
+export function traceFrequency(frequencyMatch, offset = 0) {
+  return frequencyMatch.matches.map(({ start, end }) =>
+    createMatch(SIG_SPAN_TYPES.FREQUENCY, start + offset, end + offset, frequencyMatch.frequency));
+}
+
+/**
+ * Widen a match inside a word to the whole word ("tab" in "tablets")
+ * @param {string} text - Text
+ * @param {number} index - Start of the match
+ * @param {number} length - Length of the match
+ * @returns {Array<number>} [start, end) of the word
+ */
+function findWordAround(text, index, length) {
+  let start = index;
+  let end = index + length;
+  while (start > 0 && /[a-z]/i.test(text[start - 1])) start--;
+  while (end < text.length && /[a-z]/i.test(text[end])) end++;
+  return [start, end];
+}
+
+/**
+ * Parse a dose value that may be written as a range ("1-2 tablets")
+ * Each bound may be a decimal, a fraction or a mixed number. The upper bound is used as
+ * the dose so downstream calculations are worst-case.
+ * @param {string} doseStr - Dose (or lower bound of the range)
+ * @param {string} [doseMaxStr] - Upper bound of the range, if written
+ * @returns {Object} Object with dose and doseRange (null when no range is written)
+ */
+export function parseDoseValue(doseStr, doseMaxStr) {
+  const min = parseDoseNumber(doseStr);
+  const max = doseMaxStr !== undefined ? parseDoseNumber(doseMaxStr) : NaN;
+
+  if (isNaN(max) || max <= min) {
+    return { dose: min, doseRange: null };
+  }
+
+  return { dose: max, doseRange: { min, max } };
+}
+
+/**
+ * Read a single dose number written as a decimal, a fraction ("1/2", "½") or a
+ * mixed number ("1 1/2", "1½")
+ * @param {string} text - Dose number text
+ * @returns {number} Dose value, or NaN if the text is not a number
+ */
+function parseDoseNumber(text) {
+  const trimmed = String(text).trim();
+  const unicodeFraction = UNICODE_FRACTIONS[trimmed.slice(-1)];
+  if (unicodeFraction !== undefined) {
+    return (parseInt(trimmed, 10) || 0) + unicodeFraction;
+  }
+
+  const fractionMatch = trimmed.match(/^(?:(\d+)\s+)?(\d+)\/(\d+)$/);
+  if (fractionMatch) {
+    const [, whole, numerator, denominator] = fractionMatch;
+    return Number(denominator) > 0
+      ? (Number(whole) || 0) + Number(numerator) / Number(denominator)
+      : NaN;
+  }
+
+  return parseFloat(trimmed);
+}
+
+/**
+ * Build dose/frequency range details for a parse result
+ * @param {Object|null} doseRange - Parsed dose range
+ * @param {string} frequencyText - Frequency portion of the SIG
+ * @returns {Object} Details containing doseRange and/or frequencyRange when present
+ */
+function buildRangeDetails(doseRange, frequencyText) {
+  const details = {};
+  const frequencyRange = parseFrequencyRange(frequencyText);
+
+  if (doseRange) {
+    details.doseRange = doseRange;
+  }
+  if (frequencyRange) {
+    details.frequencyRange = frequencyRange;
+  }
+
+  return details;
+}
+
+/**
+ * Create a standardized parse result object
+ * @param {number|null} dose - Parsed dose
+ * @param {number|null} frequency - Parsed frequency (times per day)
+ * @param {string|null} unit - Parsed unit
+ * @param {boolean} parseSuccess - Whether parsing succeeded
+ * @param {string|null} parseError - Error message if parsing failed
+ * @param {string} [originalText] - Original SIG text
+ * @param {Object} [details] - Additional parse details (e.g., dosing phases)
+ * @returns {Object} Standardized parse result
+ */
+export function createParseResult(dose, frequency, unit, parseSuccess, parseError, originalText = null, details = {}) {
+  return {
+    dose,
+    frequency,
+    unit,
+    originalText,
+    parseSuccess,
+    parseError,
+    ...details
+  };
+}
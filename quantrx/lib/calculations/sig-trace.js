@@ -0,0 +1,144 @@
+/**
+ * SIG parse trace utility
+ *
+ * Parsers record the parts of the SIG they actually read as matches
+ * ({ type, start, end, value }), so the annotation and the confidence score
+ * reflect the parse rather than which words are in the vocabulary. SIG text
+ * is often rewritten before a parser sees it (translated, abbreviations
+ * expanded, PRN wording or a duration removed, split into phases); a text map
+ * keeps the position every character came from so matches can be mapped back
+ * to the SIG as written.
+ *
+ * @module lib/calculations/sig-trace
+ */
+
+/**
+ * Create a match for a part of the text a parser read
+ * @param {string} type - Span type (see SIG_SPAN_TYPES)
+ * @param {number} start - Start position in the parsed text
+ * @param {number} end - End position in the parsed text (exclusive)
+ * @param {*} [value=null] - What the parser read from the text
+ * @returns {Object} Match with type, start, end and value
+ */
+export function createMatch(type, start, end, value = null) {
+  return { type, start, end, value };
+}
+
+/**
+ * Shift matches by a fixed offset (for text parsed as a slice of a longer text)
+ * @param {Array<Object>} matches - Matches
+ * @param {number} offset - Position of the slice in the longer text
+ * @returns {Array<Object>} Shifted copies of the matches
+ */
+export function offsetMatches(matches, offset) {
+  return matches.map(match => ({ ...match, start: match.start + offset, end: match.end + offset }));
+}
+
+/**
+ * Create a text map for text that has not been rewritten
+ * @param {string} text - Text
+ * @returns {Object} Text map with text and, for every character, the [start, end) range it came from
+ */
+export function createTextMap(text) {
+  return { text, sources: Array.from({ length: text.length }, (_, index) => [index, index + 1]) };
+}
+
+/**
+ * Rewrite ranges of mapped text, keeping track of where each character came from
+ * Replacement text maps to the whole range it replaced.
+ * @param {Object} textMap - Text map from createTextMap
+ * @param {Array<Object>} edits - Non-overlapping edits ({ start, end, text }) sorted by start
+ * @returns {Object} Text map of the rewritten text
+ */
+export function rewriteTextMap(textMap, edits) {
+  let text = '';
+  const sources = [];
+  let position = 0;
+
+  for (const { start, end, text: replacement } of edits) {
+    text += textMap.text.slice(position, start);
+    sources.push(...textMap.sources.slice(position, start));
+
+    const source = getSourceRange(textMap, start, end);
+    text += replacement;
+    sources.push(...Array.from({ length: replacement.length }, () => source));
+    position = end;
+  }
+
+  text += textMap.text.slice(position);
+  sources.push(...textMap.sources.slice(position));
+
+  return { text, sources };
+}
+
+/**
+ * Replace pattern matches in mapped text, like String.prototype.replace with a literal replacement
+ * @param {Object} textMap - Text map
+ * @param {RegExp} pattern - Pattern; global patterns replace every match, others the first
+ * @param {string} replacement - Literal replacement text
+ * @returns {Object} Text map of the rewritten text
+ */
+export function replaceInTextMap(textMap, pattern, replacement) {
+  const matches = pattern.global
+    ? [...textMap.text.matchAll(pattern)]
+    : [textMap.text.match(pattern)].filter(Boolean);
+
+  return rewriteTextMap(textMap, matches.map(match => ({
+    start: match.index,
+    end: match.index + match[0].length,
+    text: replacement
+  })));
+}
+
+/**
+ * Take part of mapped text
+ * @param {Object} textMap - Text map
+ * @param {number} start - Start position
+ * @param {number} end - End position (exclusive)
+ * @returns {Object} Text map of the slice
+ */
+export function sliceTextMap(textMap, start, end) {
+  return { text: textMap.text.slice(start, end), sources: textMap.sources.slice(start, end) };
+}
+
+/**
+ * Trim whitespace from both ends of mapped text
+ * @param {Object} textMap - Text map
+ * @returns {Object} Text map of the trimmed text
+ */
+export function trimTextMap(textMap) {
+  const start = textMap.text.length - textMap.text.trimStart().length;
+  return sliceTextMap(textMap, start, Math.max(textMap.text.trimEnd().length, start));
+}
+
+/**
+ * Map matches on rewritten text back to the text it was rewritten from
+ * @param {Array<Object>} matches - Matches with positions in textMap.text
+ * @param {Object} textMap - Text map the matches were made on
+ * @returns {Array<Object>} Matches with positions in the original text
+ */
+export function mapMatches(matches, textMap) {
+  return matches
+    .filter(match => match.end > match.start)
+    .map(match => {
+      const [start, end] = getSourceRange(textMap, match.start, match.end);
+      return { ...match, start, end };
+    });
+}
+
+/**
+ * Get the original range a range of mapped text came from
+ * An empty range maps to an empty range at the position of the next character.
+ * @param {Object} textMap - Text map
+ * @param {number} start - Start position in the mapped text
+ * @param {number} end - End position in the mapped text (exclusive)
+ * @returns {Array<number>} [start, end) in the original text
+ */
+function getSourceRange({ sources }, start, end) {
+  if (end > start) {
+    return [sources[start][0], sources[end - 1][1]];
+  }
+
+  const position = sources[start]?.[0] ?? sources[sources.length - 1]?.[1] ?? 0;
+  return [position, position];
+}
@@ -0,0 +1,232 @@
+/**
+ * Strength-based dose conversion for solid dosage forms
+ *
+ * This module converts SIG doses written as a mass ("Take 500 mg") into
+ * tablets or capsules using the product strength, so a 500 mg dose of a
+ * 250 mg tablet is dispensed as 2 tablets per dose. Combination products are
+ * converted with the ingredient the dose refers to, and doses that need half
+ * tablets are allowed only for tablets that can be split.
+ *
+ * @module lib/calculations/strength-conversion
+ */
+
+import { DOSAGE_FORMS, UNITS, UNIT_CONVERSIONS } from '../constants/dosage.js';
+
+/**
+ * Ingredient strength pattern: "Acetaminophen 325 MG", "250 mg", "0.125 MG"
+ * Strengths followed by a volume ("250 MG/5ML") are liquid concentrations and are skipped.
+ */
+const INGREDIENT_STRENGTH_PATTERN = /([a-z][a-z\s-]*?)?\s*(\d+(?:\.\d+)?)\s*(mg|mcg|g)\b(?!\s*(?:\/|per)\s*\d*\s*m?l\b)/gi;
+
+/**
+ * Mass units and their value in mg
+ */
+const MG_PER_MASS_UNIT = {
+  [UNITS.MG]: 1,
+  [UNITS.G]: UNIT_CONVERSIONS.g_to_mg,
+  [UNITS.MCG]: 1 / UNIT_CONVERSIONS.mg_to_mcg
+};
+
+/**
+ * Dosage forms whose doses can be converted to a count, and the unit they are counted in
+ */
+const SOLID_DOSAGE_UNITS = {
+  [DOSAGE_FORMS.TABLET]: UNITS.TABLET,
+  [DOSAGE_FORMS.PILL]: UNITS.TABLET,
+  [DOSAGE_FORMS.CAPSULE]: UNITS.CAPSULE
+};
+
+/**
+ * Product name markers for tablets that must not be split
+ */
+const UNSPLITTABLE_MARKERS = ['extended release', 'delayed release', 'enteric', 'disintegrating', ' er ', ' xr ', ' xl ', ' sr ', ' dr '];
+
+/**
+ * Largest difference at which a dose counts as a whole or half number of units
+ */
+const COUNT_TOLERANCE = 0.001;
+
+/**
+ * Parse every ingredient strength in a strength or drug name
+ * @param {string} text - Strength or drug name (e.g., "acetaminophen 325 MG / hydrocodone bitartrate 5 MG Oral Tablet")
+ * @returns {Array<Object>} Ingredient strengths ({ ingredient, amount, unit, mg }); ingredient is null when not named
+ */
+export function parseIngredientStrengths(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  return [...text.matchAll(INGREDIENT_STRENGTH_PATTERN)].map(([, ingredient, amountStr, unitStr]) => {
+    const unit = unitStr.toLowerCase();
+    const amount = parseFloat(amountStr);
+
+    return {
+      ingredient: ingredient?.trim().toLowerCase() || null,
+      amount,
+      unit,
+      mg: amount * MG_PER_MASS_UNIT[unit]
+    };
+  });
+}
+
+/**
+ * Get the unit a solid dosage form is counted in
+ * @param {string} dosageForm - Dosage form from normalization
+ * @returns {string|null} "tablet" or "capsule", or null for other forms
+ */
+export function getSolidDosageUnit(dosageForm) {
+  return SOLID_DOSAGE_UNITS[dosageForm?.toLowerCase()] || null;
+}
+
+/**
+ * Check whether a product's tablets may be split into halves
+ * Capsules and modified-release or orally disintegrating tablets cannot be split.
+ * @param {Object} product - Product details
+ * @param {string} [product.dosageForm] - Dosage form from normalization
+ * @param {string} [product.drugName] - Drug name from normalization
+ * @returns {boolean} True when splitting is allowed
+ */
+export function canSplitDosageUnit({ dosageForm, drugName } = {}) {
+  if (getSolidDosageUnit(dosageForm) !== UNITS.TABLET) {
+    return false;
+  }
+
+  const name = ` ${(drugName || '').toLowerCase()} `;
+  return !UNSPLITTABLE_MARKERS.some(marker => name.includes(marker));
+}
+
+/**
+ * Convert a parsed SIG for a tablet or capsule product so every dose is a count of units
+ * Doses not written as a mass, or products without a parseable strength, are returned unchanged.
+ * @param {Object} parsedSIG - Parsed SIG object
+ * @param {Object} product - Product details
+ * @param {string} [product.strength] - Strength text from normalization (e.g., "250 MG")
+ * @param {string} [product.drugName] - Drug name, used to find every ingredient of a combination product
+ * @param {string} [product.dosageForm] - Dosage form from normalization
+ * @param {boolean} [product.tabletScored] - Whether the tablet is scored (unknown when omitted)
+ * @returns {Object} Result with success, data (converted parsed SIG) and conversion details
+ *   (null when no conversion was needed; conversion.split holds the first dose that needs
+ *   half tablets), or success false with an error
+ */
+export function convertSIGToDosageUnits(parsedSIG, product = {}) {
+  const massUnit = parsedSIG?.unit?.toLowerCase();
+  const dosageUnit = getSolidDosageUnit(product.dosageForm);
+
+  if (!MG_PER_MASS_UNIT[massUnit] || !dosageUnit) {
+    return { success: true, data: parsedSIG, conversion: null };
+  }
+
+  const doseMg = (dose) => dose * MG_PER_MASS_UNIT[massUnit];
+  const doses = [parsedSIG.dose, ...(parsedSIG.phases || []).map(phase => phase.dose)];
+  const ingredient = selectIngredient(parsedSIG, product, doses.map(doseMg));
+  if (!ingredient) {
+    return { success: true, data: parsedSIG, conversion: null };
+  }
+
+  const toCount = (dose) => Math.round((doseMg(dose) / ingredient.mg) * 1000) / 1000;
+  const counts = doses.map(toCount);
+  const unmakeable = doses.find((dose, index) => !isWholeOrHalf(counts[index]) || counts[index] === 0);
+  if (unmakeable !== undefined) {
+    return {
+      success: false,
+      error: `A ${unmakeable} ${massUnit} dose cannot be made from ${formatStrength(ingredient)} ${dosageUnit}s. Check the strength or enter the quantity manually.`
+    };
+  }
+
+  const splitIndex = counts.findIndex(count => !isWhole(count));
+  const split = splitIndex === -1 ? null : { dose: doses[splitIndex], unit: parsedSIG.unit, count: counts[splitIndex] };
+  if (split && (!canSplitDosageUnit(product) || product.tabletScored === false)) {
+    return {
+      success: false,
+      error: `A ${split.dose} ${massUnit} dose needs half ${dosageUnit}s, but ${formatStrength(ingredient)} ${dosageUnit}s of this product cannot be split. Choose a different strength or enter the quantity manually.`
+    };
+  }
+
+  const converted = { ...parsedSIG, dose: toCount(parsedSIG.dose), unit: dosageUnit };
+  if (parsedSIG.doseRange) {
+    converted.doseRange = { min: toCount(parsedSIG.doseRange.min), max: toCount(parsedSIG.doseRange.max) };
+  }
+  if (parsedSIG.phases) {
+    converted.phases = parsedSIG.phases.map(phase => ({ ...phase, dose: toCount(phase.dose), unit: dosageUnit }));
+  }
+  if (parsedSIG.maxDailyDose?.unit?.toLowerCase() === massUnit) {
+    converted.maxDailyDose = { amount: toCount(parsedSIG.maxDailyDose.amount), unit: dosageUnit };
+  }
+
+  return {
+    success: true,
+    data: converted,
+    conversion: {
+      from: { dose: parsedSIG.dose, unit: parsedSIG.unit },
+      to: { dose: converted.dose, unit: dosageUnit },
+      strength: formatStrength(ingredient),
+      ingredient: ingredient.ingredient,
+      split,
+      scored: product.tabletScored ?? null,
+      description: `${parsedSIG.dose} ${parsedSIG.unit} = ${formatCount(converted.dose, dosageUnit)} (${formatStrength(ingredient)} per ${dosageUnit})`
+    }
+  };
+}
+
+/**
+ * Choose the ingredient strength a mass dose refers to
+ * An ingredient named in the SIG wins; otherwise the first ingredient that every dose
+ * can be made from in whole units, then in half units.
+ * @param {Object} parsedSIG - Parsed SIG object
+ * @param {Object} product - Product details with strength and drugName
+ * @param {Array<number>} dosesMg - Every dose in the SIG, in mg
+ * @returns {Object|null} Ingredient strength, or null when the product strength is unknown
+ */
+function selectIngredient(parsedSIG, product, dosesMg) {
+  const fromName = parseIngredientStrengths(product.drugName);
+  const ingredients = fromName.length > 1 ? fromName : parseIngredientStrengths(product.strength);
+  if (ingredients.length <= 1) {
+    return ingredients[0] || fromName[0] || null;
+  }
+
+  const sig = (parsedSIG.originalText || '').toLowerCase();
+  const named = ingredients.find(({ ingredient }) => ingredient && sig.includes(ingredient.split(/\s+/)[0]));
+  if (named) {
+    return named;
+  }
+
+  const fits = (check) => ingredients.find(({ mg }) => dosesMg.every(dose => check(dose / mg)));
+  return fits(isWhole) || fits(isWholeOrHalf) || ingredients[0];
+}
+
+/**
+ * Check whether a count is a whole number
+ * @param {number} count - Units per dose
+ * @returns {boolean} True for whole numbers
+ */
+function isWhole(count) {
+  return Math.abs(count - Math.round(count)) < COUNT_TOLERANCE;
+}
+
+/**
+ * Check whether a count is a whole or half number
+ * @param {number} count - Units per dose
+ * @returns {boolean} True for whole and half numbers
+ */
+function isWholeOrHalf(count) {
+  return isWhole(count * 2);
+}
+
+/**
+ * Format a count of dosage units for messages
+ * @param {number} count - Units per dose
+ * @param {string} unit - "tablet" or "capsule"
+ * @returns {string} Count with the unit (e.g., "0.5 tablet", "2 tablets")
+ */
+function formatCount(count, unit) {
+  return `${count} ${unit}${count > 1 ? 's' : ''}`;
+}
+
+/**
+ * Format an ingredient strength for messages
+ * @param {Object} ingredient - Ingredient strength
+ * @returns {string} Strength text (e.g., "250 mg")
+ */
+function formatStrength(ingredient) {
+  return `${ingredient.amount} ${ingredient.unit}`;
+}
@@ -0,0 +1,96 @@
+/**
+ * NDC matching tolerance profiles
+ *
+ * A tolerance profile sets how far a package combination may overfill or
+ * underfill the calculated quantity. Profiles are named and stored server-side;
+ * this module turns stored rows into profiles and picks the profile for a
+ * calculation from the request, the drug and the user's role.
+ *
+ * @module lib/calculations/tolerance-profiles
+ */
+
+import {
+  DEFAULT_TOLERANCE_PROFILES,
+  DEFAULT_TOLERANCE_PROFILE,
+  CONTROLLED_SUBSTANCE_TOLERANCE_PROFILE
+} from '../constants/tolerance.js';
+import { isControlledSubstance } from './rounding-policy.js';
+
+/**
+ * Convert a tolerance_profiles row to a profile
+ * @param {Object} row - Database row (name, description, max_overfill_percentage,
+ *   max_underfill_percentage, preferred_overfill_percentage, roles)
+ * @returns {Object|null} Profile keyed like getToleranceConfig, or null when the limits are invalid
+ */
+export function profileFromRow(row) {
+  const profile = {
+    description: row?.description || '',
+    maxOverfill: Number(row?.max_overfill_percentage),
+    maxUnderfill: Number(row?.max_underfill_percentage),
+    preferredOverfill: Number(row?.preferred_overfill_percentage ?? row?.max_overfill_percentage),
+    roles: Array.isArray(row?.roles) ? row.roles : []
+  };
+
+  const limits = [profile.maxOverfill, profile.maxUnderfill, profile.preferredOverfill];
+  if (!row?.name || limits.some(limit => !Number.isFinite(limit) || limit < 0 || limit > 100)) {
+    return null;
+  }
+
+  return profile;
+}
+
+/**
+ * Merge stored profiles over the built-in profiles
+ * Rows with invalid limits are skipped.
+ * @param {Array<Object>} [rows] - tolerance_profiles rows
+ * @returns {Object} Profiles keyed by name
+ */
+export function buildToleranceProfiles(rows = []) {
+  const profiles = { ...DEFAULT_TOLERANCE_PROFILES };
+
+  for (const row of rows || []) {
+    const profile = profileFromRow(row);
+    if (profile) {
+      profiles[row.name] = profile;
+    }
+  }
+
+  return profiles;
+}
+
+/**
+ * Choose the tolerance profile for a calculation
+ * Controlled substances use the controlled-substance profile; otherwise a requested profile
+ * wins, then the profile assigned to the user's role, then the standard profile.
+ * @param {Object} profiles - Profiles keyed by name (see buildToleranceProfiles)
+ * @param {Object} [context] - Calculation context
+ * @param {string} [context.profileName] - Profile requested for this calculation
+ * @param {string} [context.role] - User role
+ * @param {string} [context.drugName] - Drug name, checked for controlled substances
+ * @returns {Object} Result with success and data (profile with name, source: "controlled_substance",
+ *   "request", "role" or "default", and requestedProfile: the requested name or null), or success false with an error
+ */
+export function selectToleranceProfile(profiles, { profileName, role, drugName } = {}) {
+  if (profileName && !Object.hasOwn(profiles, profileName)) {
+    return {
+      success: false,
+      error: `Unknown tolerance profile: ${profileName}. Expected one of: ${Object.keys(profiles).join(', ')}`
+    };
+  }
+
+  const roleProfile = role && Object.keys(profiles).find(name => profiles[name].roles?.includes(role));
+  const [name, source] = isControlledSubstance(drugName) && Object.hasOwn(profiles, CONTROLLED_SUBSTANCE_TOLERANCE_PROFILE)
+    ? [CONTROLLED_SUBSTANCE_TOLERANCE_PROFILE, 'controlled_substance']
+    : profileName ? [profileName, 'request']
+    : roleProfile ? [roleProfile, 'role']
+    : [DEFAULT_TOLERANCE_PROFILE, 'default'];
+
+  const { description, maxOverfill, maxUnderfill, preferredOverfill } = Object.hasOwn(profiles, name)
+    ? profiles[name]
+    : DEFAULT_TOLERANCE_PROFILES[DEFAULT_TOLERANCE_PROFILE];
+
+  return {
+    success: true,
+    data: { name, description, maxOverfill, maxUnderfill, preferredOverfill, source, requestedProfile: profileName || null }
+  };
+}
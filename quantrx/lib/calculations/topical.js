@@ -0,0 +1,188 @@
+/**
+ * Topical quantity estimation
+ *
+ * Creams, ointments, gels and lotions are usually prescribed without a
+ * measurable dose ("apply to affected area twice daily"). This module
+ * estimates grams per application from fingertip units (FTU) for the
+ * application site, then multiplies by frequency and treatment duration.
+ * The result is an estimate and is flagged as such.
+ *
+ * @module lib/calculations/topical
+ */
+
+import { UNITS, normalizeUnit } from '../constants/dosage.js';
+import {
+  GRAMS_PER_FINGERTIP_UNIT,
+  BODY_REGIONS,
+  WHOLE_BODY,
+  DEFAULT_AFFECTED_AREA_FINGERTIP_UNITS
+} from '../constants/topical.js';
+import { extractDuration } from './sig-duration.js';
+import { matchFrequencyText } from './frequency-parsing.js';
+import { extractPRNDetails } from './prn.js';
+import { createParseResult, traceFrequency } from './sig-strategies.js';
+import { SIG_SPAN_TYPES } from './sig-annotation.js';
+import { createMatch, mapMatches } from './sig-trace.js';
+import { createCalculationResult } from './quantity-utils.js';
+
+/**
+ * Topical directions: "apply", "rub in", "a thin layer", "affected area"
+ */
+const TOPICAL_DIRECTION_PATTERN = /\b(?:apply|rub|massage|spread|thin\s+(?:layer|film)|affected\s+(?:area|skin))\b/i;
+
+/**
+ * Explicit fingertip-unit doses: "2 fingertip units", "1 FTU"
+ */
+const FINGERTIP_UNIT_PATTERN = /(\d+(?:\.\d+)?)\s*(?:fingertip\s+units?|ftus?)\b/i;
+
+/**
+ * Check whether SIG text is a topical direction that needs a site-based estimate
+ * Directions with a measurable dose ("apply 2 g", "apply 1 patch") are parsed normally.
+ * @param {string} text - SIG text
+ * @returns {boolean} True for fingertip-unit doses and topical directions without a measured dose
+ */
+export function isTopicalSIG(text) {
+  if (!text || typeof text !== 'string') {
+    return false;
+  }
+
+  if (FINGERTIP_UNIT_PATTERN.test(text)) {
+    return true;
+  }
+
+  return TOPICAL_DIRECTION_PATTERN.test(text) && !hasMeasuredDose(text);
+}
+
+/**
+ * Determine the application site and the fingertip units it needs
+ * Paired sites count twice when written in the plural or with "both" ("both hands").
+ * @param {string} text - SIG text
+ * @returns {Object} Site with label, fingertipUnits, and estimated (true when the site
+ *   was not stated and the affected-area default was used)
+ */
+export function parseApplicationSite(text) {
+  if (WHOLE_BODY.pattern.test(text)) {
+    return { label: WHOLE_BODY.label, fingertipUnits: WHOLE_BODY.fingertipUnits, estimated: false };
+  }
+
+  const sites = [];
+  for (const region of Object.values(BODY_REGIONS)) {
+    const match = text.match(region.pattern);
+    if (!match) {
+      continue;
+    }
+
+    const bothSides = region.paired && (/\bboth\b/i.test(text) || /(?:s|feet)$/i.test(match[0]));
+    sites.push({
+      label: bothSides ? `both ${region.pluralLabel}` : region.label,
+      fingertipUnits: region.fingertipUnits * (bothSides ? 2 : 1)
+    });
+  }
+
+  if (sites.length === 0) {
+    return { label: 'affected area', fingertipUnits: DEFAULT_AFFECTED_AREA_FINGERTIP_UNITS, estimated: true };
+  }
+
+  return {
+    label: sites.map(site => site.label).join(', '),
+    fingertipUnits: sites.reduce((sum, site) => sum + site.fingertipUnits, 0),
+    estimated: false
+  };
+}
+
+/**
+ * Parse a topical SIG into grams per application
+ * @param {string} text - SIG text (e.g., "Apply a thin layer to both hands twice daily for 14 days")
+ * @returns {Object} Parse result with dose in grams, plus topical site details and durationDays
+ */
+export function parseTopicalSIG(text) {
+  const prn = extractPRNDetails(text);
+  const schedule = extractDuration(prn.text);
+  const scheduleText = schedule.text;
+  const frequencyMatch = matchFrequencyText(scheduleText);
+
+  if (!frequencyMatch) {
+    return createParseResult(null, null, null, false, 'Unable to determine how often to apply the topical product', text);
+  }
+
+  const site = parseApplicationSite(scheduleText);
+  const fingertipMatch = scheduleText.match(FINGERTIP_UNIT_PATTERN);
+  const fingertipUnits = fingertipMatch ? parseFloat(fingertipMatch[1]) : site.fingertipUnits;
+  const grams = fingertipUnits * GRAMS_PER_FINGERTIP_UNIT;
+
+  const scheduleMatches = [
+    ...traceFrequency(frequencyMatch),
+    ...traceApplicationSite(scheduleText),
+    ...(fingertipMatch
+      ? [createMatch(SIG_SPAN_TYPES.DOSE, fingertipMatch.index, fingertipMatch.index + fingertipMatch[0].length, fingertipUnits)]
+      : [])
+  ];
+
+  return createParseResult(grams, frequencyMatch.frequency, UNITS.G, true, null, text, {
+    strategy: 'topical',
+    durationDays: schedule.durationDays,
+    ...(prn.asNeeded && { asNeeded: true }),
+    topical: {
+      site: site.label,
+      fingertipUnits,
+      gramsPerApplication: grams,
+      siteEstimated: site.estimated && !fingertipMatch
+    },
+    matches: [
+      ...prn.matches,
+      ...mapMatches([...mapMatches(scheduleMatches, schedule.textMap), ...schedule.matches], prn.textMap)
+    ]
+  });
+}
+
+/**
+ * Calculate grams of a topical product for the treatment duration
+ * A duration in the SIG ("for 14 days") shortens the days supply; as-needed directions use
+ * the stated frequency as the ceiling.
+ * @param {Object} parsedSIG - Parsed SIG from parseTopicalSIG
+ * @param {number} daysSupply - Requested days supply
+ * @returns {Object} Calculation result in grams with basis 'topical_estimate'
+ */
+export function calculateTopicalQuantity(parsedSIG, daysSupply) {
+  const { dose, frequency, durationDays, topical } = parsedSIG;
+  const days = durationDays ? Math.min(durationDays, daysSupply) : daysSupply;
+  const grams = Math.ceil(dose * frequency * days - 1e-9);
+
+  return createCalculationResult(grams, UNITS.G, true, null, {
+    dose,
+    frequency,
+    daysSupply: days,
+    requestedDaysSupply: daysSupply,
+    basis: 'topical_estimate',
+    topical,
+    calculation: `${topical.fingertipUnits} FTU (${topical.site}) × ${GRAMS_PER_FINGERTIP_UNIT} g × ${frequency} × ${days} = ${grams} g`
+  });
+}
+
+/**
+ * Check whether SIG text states a dose in a recognised unit ("2 g", "1 patch")
+ * @param {string} text - SIG text
+ * @returns {boolean} True if any number is followed by a known unit
+ */
+function hasMeasuredDose(text) {
+  return [...text.matchAll(/(\d+(?:\.\d+)?)\s*([a-z]+)/gi)].some(match => normalizeUnit(match[2]));
+}
+
+/**
+ * Trace the application sites parseApplicationSite reads (as route)
+ * @param {string} text - SIG text
+ * @returns {Array<Object>} Parse trace matches of the sites
+ */
+function traceApplicationSite(text) {
+  const regions = WHOLE_BODY.pattern.test(text) ? [WHOLE_BODY] : Object.values(BODY_REGIONS);
+
+  const sites = regions
+    .map(region => ({ region, match: text.match(region.pattern) }))
+    .filter(({ match }) => match);
+  const both = sites.some(({ region }) => region.paired) && text.match(/\bboth\b/i);
+
+  return [
+    ...sites.map(({ region, match }) => createMatch(SIG_SPAN_TYPES.ROUTE, match.index, match.index + match[0].length, region.label)),
+    ...(both ? [createMatch(SIG_SPAN_TYPES.ROUTE, both.index, both.index + both[0].length, 'both')] : [])
+  ];
+}
@@ -0,0 +1,219 @@
+/**
+ * Dose unit conversion utilities
+ *
+ * This module converts SIG doses for liquids into mL so calculated quantities
+ * can be matched against FDA package sizes: household measures ("1 teaspoon")
+ * are converted directly, and mass doses ("250 mg") use the product
+ * concentration ("250 mg/5 mL"). It also rounds volumes up to dispensable
+ * bottle sizes.
+ *
+ * @module lib/calculations/unit-conversion
+ */
+
+import {
+  DOSAGE_FORMS,
+  HOUSEHOLD_MEASURES,
+  UNITS,
+  UNIT_CONVERSIONS,
+  normalizeUnit
+} from '../constants/dosage.js';
+
+/**
+ * Strength pattern: "250 MG/5ML", "250 mg/5 mL", "100 mg/mL", "10 mg"
+ */
+const STRENGTH_PATTERN = /(\d+(?:\.\d+)?)\s*(mg|g|mcg)\b(?:\s*(?:\/|per)\s*(\d+(?:\.\d+)?)?\s*(ml|l)\b)?/i;
+
+/**
+ * Mass units and their value in mg
+ */
+const MG_PER_MASS_UNIT = {
+  [UNITS.MG]: 1,
+  [UNITS.G]: UNIT_CONVERSIONS.g_to_mg,
+  [UNITS.MCG]: 1 / UNIT_CONVERSIONS.mg_to_mcg
+};
+
+/**
+ * Dosage forms dispensed by volume
+ */
+const LIQUID_DOSAGE_FORMS = [
+  DOSAGE_FORMS.SOLUTION,
+  DOSAGE_FORMS.SUSPENSION,
+  DOSAGE_FORMS.SYRUP,
+  DOSAGE_FORMS.ELIXIR,
+  DOSAGE_FORMS.TINCTURE
+];
+
+/**
+ * Common oral liquid bottle sizes in mL, smallest first
+ */
+const DISPENSABLE_VOLUMES = [5, 10, 15, 20, 30, 50, 60, 75, 80, 100, 120, 150, 200, 240, 250, 300, 473, 480, 500];
+
+/**
+ * Volumes above the largest bottle size are rounded up to this increment (mL)
+ */
+const BULK_VOLUME_INCREMENT = 5;
+
+/**
+ * Parse a drug strength into an amount and, for liquids, the volume it is in
+ * @param {string} strength - Strength text (e.g., "250 MG/5ML")
+ * @returns {Object|null} Strength with amount, unit, volume and volumeUnit
+ *   (volume fields are null for solid strengths), or null if unparseable
+ */
+export function parseStrength(strength) {
+  if (!strength || typeof strength !== 'string') {
+    return null;
+  }
+
+  const match = strength.match(STRENGTH_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const [, amountStr, unitStr, volumeStr, volumeUnitStr] = match;
+  const volumeUnit = volumeUnitStr ? normalizeUnit(volumeUnitStr) : null;
+
+  return {
+    amount: parseFloat(amountStr),
+    unit: normalizeUnit(unitStr),
+    volume: volumeUnit ? parseFloat(volumeStr || '1') : null,
+    volumeUnit
+  };
+}
+
+/**
+ * Get a liquid concentration in mg per mL
+ * @param {Object|string} strength - Parsed strength or strength text
+ * @returns {number|null} Concentration in mg/mL, or null for non-liquid strengths
+ */
+export function getConcentrationMgPerMl(strength) {
+  const parsed = typeof strength === 'string' ? parseStrength(strength) : strength;
+
+  if (!parsed || !parsed.volume || !MG_PER_MASS_UNIT[parsed.unit]) {
+    return null;
+  }
+
+  const volumeMl = parsed.volumeUnit === UNITS.L ? parsed.volume * UNIT_CONVERSIONS.l_to_ml : parsed.volume;
+  return (parsed.amount * MG_PER_MASS_UNIT[parsed.unit]) / volumeMl;
+}
+
+/**
+ * Check whether a dosage form is dispensed by volume
+ * @param {string} dosageForm - Dosage form
+ * @returns {boolean} True for solutions, suspensions, syrups, elixirs and tinctures
+ */
+export function isLiquidDosageForm(dosageForm) {
+  return Boolean(dosageForm) && LIQUID_DOSAGE_FORMS.includes(dosageForm.toLowerCase());
+}
+
+/**
+ * Convert a single dose amount to mL
+ * @param {number} dose - Dose amount
+ * @param {string} unit - Dose unit (household measure or mass unit)
+ * @param {number|null} mgPerMl - Liquid concentration (required for mass units)
+ * @returns {number|null} Dose in mL, or null if the unit cannot be converted
+ */
+export function convertDoseToMl(dose, unit, mgPerMl) {
+  const lowerUnit = unit?.toLowerCase();
+
+  if (lowerUnit === UNITS.ML) {
+    return dose;
+  }
+
+  if (HOUSEHOLD_MEASURES[lowerUnit]) {
+    return dose * HOUSEHOLD_MEASURES[lowerUnit];
+  }
+
+  if (MG_PER_MASS_UNIT[lowerUnit] && mgPerMl) {
+    return roundVolume((dose * MG_PER_MASS_UNIT[lowerUnit]) / mgPerMl);
+  }
+
+  return null;
+}
+
+/**
+ * Convert a parsed SIG for a liquid product so every dose is in mL
+ * Doses in mL, or in units that are not household measures or mass, are returned unchanged.
+ * @param {Object} parsedSIG - Parsed SIG object
+ * @param {Object} product - Product details
+ * @param {string} [product.strength] - Strength text from normalization (e.g., "250 MG/5ML")
+ * @param {string} [product.dosageForm] - Dosage form from normalization
+ * @returns {Object} Result with success, data (converted parsed SIG) and conversion details
+ *   (null when no conversion was needed), or success false with an error
+ */
+export function convertSIGToVolume(parsedSIG, { strength, dosageForm } = {}) {
+  const unit = parsedSIG?.unit?.toLowerCase();
+  const isHousehold = Boolean(HOUSEHOLD_MEASURES[unit]);
+  const isMassForLiquid = Boolean(MG_PER_MASS_UNIT[unit]) && isLiquidDosageForm(dosageForm);
+
+  if (!isHousehold && !isMassForLiquid) {
+    return { success: true, data: parsedSIG, conversion: null };
+  }
+
+  const mgPerMl = isMassForLiquid ? getConcentrationMgPerMl(strength) : null;
+  if (isMassForLiquid && !mgPerMl) {
+    return {
+      success: false,
+      error: `Cannot convert ${parsedSIG.unit} to mL: no concentration found in strength "${strength || 'unknown'}"`
+    };
+  }
+
+  const toMl = (dose) => convertDoseToMl(dose, unit, mgPerMl);
+  const converted = {
+    ...parsedSIG,
+    dose: toMl(parsedSIG.dose),
+    unit: UNITS.ML
+  };
+
+  if (parsedSIG.doseRange) {
+    converted.doseRange = { min: toMl(parsedSIG.doseRange.min), max: toMl(parsedSIG.doseRange.max) };
+  }
+  if (parsedSIG.phases) {
+    converted.phases = parsedSIG.phases.map(phase => ({ ...phase, dose: toMl(phase.dose), unit: UNITS.ML }));
+  }
+  if (parsedSIG.maxDailyDose?.unit?.toLowerCase() === unit) {
+    converted.maxDailyDose = { amount: toMl(parsedSIG.maxDailyDose.amount), unit: UNITS.ML };
+  }
+
+  const basis = isHousehold
+    ? `${HOUSEHOLD_MEASURES[unit]} ml per ${unit}`
+    : `${strength} = ${roundVolume(mgPerMl)} mg/ml`;
+
+  return {
+    success: true,
+    data: converted,
+    conversion: {
+      from: { dose: parsedSIG.dose, unit: parsedSIG.unit },
+      to: { dose: converted.dose, unit: UNITS.ML },
+      mgPerMl,
+      description: `${parsedSIG.dose} ${parsedSIG.unit} = ${converted.dose} ml (${basis})`
+    }
+  };
+}
+
+/**
+ * Round a volume up to a dispensable bottle size
+ * @param {number} volumeMl - Volume in mL
+ * @returns {number} Smallest standard bottle size that holds the volume, or the volume
+ *   rounded up to the next 5 mL when larger than every standard size
+ */
+export function roundToDispensableVolume(volumeMl) {
+  if (typeof volumeMl !== 'number' || volumeMl <= 0) {
+    return volumeMl;
+  }
+
+  const bottle = DISPENSABLE_VOLUMES.find(size => size >= volumeMl);
+  if (bottle) {
+    return bottle;
+  }
+
+  return Math.ceil(volumeMl / BULK_VOLUME_INCREMENT) * BULK_VOLUME_INCREMENT;
+}
+
+/**
+ * Round a converted volume to 2 decimal places
+ * @param {number} volume - Volume in mL
+ * @returns {number} Rounded volume
+ */
+function roundVolume(volume) {
+  return Math.round(volume * 100) / 100;
+}
@@ -0,0 +1,198 @@
+/**
+ * Weight- and body-surface-area-based dosing utilities
+ *
+ * This module converts pediatric orders written per kilogram or per square
+ * metre ("10 mg/kg/day divided BID", "5 mg/kg/dose", "100 mg/m2/day") into a
+ * per-dose amount for the patient, so the usual strength and volume
+ * conversions can turn it into tablets or mL. It also checks the resulting
+ * daily dose against the maximum for the ingredient.
+ *
+ * @module lib/calculations/weight-dosing
+ */
+
+import { UNITS, UNIT_CONVERSIONS } from '../constants/dosage.js';
+import { MAX_DAILY_DOSES } from '../constants/pediatric.js';
+
+/**
+ * Weight-based unit pattern: "mg/kg", "mg/kg/day", "mcg/kg/dose", "mg/m2/day", "units/kg"
+ */
+const WEIGHT_BASED_UNIT_PATTERN = /^(mg|mcg|g|units?)\s*\/\s*(kg|m2|m²)(?:\s*\/\s*(day|d|dose))?$/i;
+
+/**
+ * Weight-based order anywhere in SIG text
+ */
+const WEIGHT_BASED_TEXT_PATTERN = /\d\s*(?:mg|mcg|g|units?)\s*\/\s*(?:kg|m2|m²)\b/i;
+
+/**
+ * Mass units and their value in mg
+ */
+const MG_PER_MASS_UNIT = {
+  [UNITS.MG]: 1,
+  [UNITS.G]: UNIT_CONVERSIONS.g_to_mg,
+  [UNITS.MCG]: 1 / UNIT_CONVERSIONS.mg_to_mcg
+};
+
+/**
+ * Dosing bases
+ */
+export const DOSING_BASES = {
+  WEIGHT: 'kg',
+  BSA: 'm2'
+};
+
+/**
+ * Parse a weight- or BSA-based dose unit
+ * @param {string} unit - Unit from the parsed SIG (e.g., "mg/kg/day")
+ * @returns {Object|null} Unit with doseUnit ("mg"), basis ("kg" or "m2") and per ("day" or "dose"),
+ *   or null for ordinary units
+ */
+export function parseWeightBasedUnit(unit) {
+  const match = typeof unit === 'string' && unit.trim().match(WEIGHT_BASED_UNIT_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const [, doseUnit, basis, per] = match;
+  const lowerUnit = doseUnit.toLowerCase();
+
+  return {
+    doseUnit: lowerUnit.startsWith('unit') ? UNITS.UNITS : lowerUnit,
+    basis: basis.toLowerCase() === DOSING_BASES.WEIGHT ? DOSING_BASES.WEIGHT : DOSING_BASES.BSA,
+    per: per && per.toLowerCase() !== 'dose' ? 'day' : 'dose'
+  };
+}
+
+/**
+ * Check whether SIG text contains a weight- or BSA-based order
+ * @param {string} sigText - SIG text
+ * @returns {boolean} True for orders like "10 mg/kg/day" or "100 mg/m2"
+ */
+export function hasWeightBasedDose(sigText) {
+  return typeof sigText === 'string' && WEIGHT_BASED_TEXT_PATTERN.test(sigText);
+}
+
+/**
+ * Calculate body surface area with the Mosteller formula
+ * @param {number} weightKg - Patient weight in kg
+ * @param {number} heightCm - Patient height in cm
+ * @returns {number|null} BSA in m² rounded to 2 decimals, or null without both measurements
+ */
+export function calculateBSA(weightKg, heightCm) {
+  if (!(weightKg > 0) || !(heightCm > 0)) {
+    return null;
+  }
+
+  return Math.round(Math.sqrt((weightKg * heightCm) / 3600) * 100) / 100;
+}
+
+/**
+ * Convert a weight- or BSA-based parsed SIG to a per-dose amount for the patient
+ * Per-day orders are divided by the doses per day. SIGs in ordinary units are returned unchanged.
+ * @param {Object} parsedSIG - Parsed SIG object
+ * @param {Object} patient - Patient measurements
+ * @param {number} [patient.weightKg] - Weight in kg
+ * @param {number} [patient.heightCm] - Height in cm (needed for mg/m² orders)
+ * @returns {Object} Result with success, data (converted parsed SIG) and conversion details
+ *   (null when no conversion was needed), or success false with an error
+ */
+export function convertWeightBasedSIG(parsedSIG, { weightKg, heightCm } = {}) {
+  const weightUnit = parseWeightBasedUnit(parsedSIG?.unit);
+  if (!weightUnit) {
+    return { success: true, data: parsedSIG, conversion: null };
+  }
+
+  const bsa = calculateBSA(weightKg, heightCm);
+  const measure = weightUnit.basis === DOSING_BASES.WEIGHT ? weightKg : bsa;
+  if (!(measure > 0)) {
+    return {
+      success: false,
+      error: weightUnit.basis === DOSING_BASES.WEIGHT
+        ? `Patient weight is required to calculate a ${parsedSIG.unit} dose`
+        : `Patient weight and height are required to calculate a ${parsedSIG.unit} dose`
+    };
+  }
+
+  const frequencies = [parsedSIG.frequency, ...(parsedSIG.phases || []).map(phase => phase.frequency)];
+  if (weightUnit.per === 'day' && frequencies.some(frequency => !(frequency > 0))) {
+    return {
+      success: false,
+      error: `A ${parsedSIG.unit} dose needs a schedule to be divided into doses (e.g., "divided BID")`
+    };
+  }
+
+  const toDose = (amount, frequency) => roundDose((amount * measure) / (weightUnit.per === 'day' ? frequency : 1));
+  const converted = {
+    ...parsedSIG,
+    dose: toDose(parsedSIG.dose, parsedSIG.frequency),
+    unit: weightUnit.doseUnit
+  };
+
+  if (parsedSIG.doseRange) {
+    converted.doseRange = {
+      min: toDose(parsedSIG.doseRange.min, parsedSIG.frequency),
+      max: toDose(parsedSIG.doseRange.max, parsedSIG.frequency)
+    };
+  }
+  if (parsedSIG.phases) {
+    converted.phases = parsedSIG.phases.map(phase => ({
+      ...phase,
+      dose: toDose(phase.dose, phase.frequency),
+      unit: weightUnit.doseUnit
+    }));
+  }
+
+  const dailyDose = roundDose(converted.dose * converted.frequency);
+  const measureText = weightUnit.basis === DOSING_BASES.WEIGHT ? `${weightKg} kg` : `${bsa} m²`;
+
+  return {
+    success: true,
+    data: converted,
+    conversion: {
+      from: { dose: parsedSIG.dose, unit: parsedSIG.unit },
+      to: { dose: converted.dose, unit: weightUnit.doseUnit },
+      basis: weightUnit.basis,
+      weightKg: weightKg || null,
+      bsa,
+      dailyDose,
+      description: `${parsedSIG.dose} ${parsedSIG.unit} × ${measureText}${weightUnit.per === 'day' ? ` ÷ ${parsedSIG.frequency} doses per day` : ''} = ${converted.dose} ${weightUnit.doseUnit} per dose`
+    }
+  };
+}
+
+/**
+ * Check a converted daily dose against the maximum for the ingredient
+ * @param {Object} conversion - Conversion details from convertWeightBasedSIG
+ * @param {string} [drugName] - Drug name, matched against known ingredients
+ * @returns {Array<Object>} Exceeded limits ({ ingredient, limit, maximum, actual, unit }),
+ *   where limit is "per_kg" (mg/kg/day) or "total" (mg/day); empty when within limits or unknown
+ */
+export function checkMaxDailyDose(conversion, drugName) {
+  const lowerName = (drugName || '').toLowerCase();
+  const ingredient = Object.keys(MAX_DAILY_DOSES).find(name => lowerName.includes(name));
+  const mgPerUnit = MG_PER_MASS_UNIT[conversion?.to?.unit];
+  if (!ingredient || !mgPerUnit) {
+    return [];
+  }
+
+  const { perKg, total } = MAX_DAILY_DOSES[ingredient];
+  const dailyMg = roundDose(conversion.dailyDose * mgPerUnit);
+  const exceeded = [];
+
+  if (conversion.weightKg && dailyMg / conversion.weightKg > perKg) {
+    exceeded.push({ ingredient, limit: 'per_kg', maximum: perKg, actual: roundDose(dailyMg / conversion.weightKg), unit: 'mg/kg/day' });
+  }
+  if (dailyMg > total) {
+    exceeded.push({ ingredient, limit: 'total', maximum: total, actual: dailyMg, unit: 'mg/day' });
+  }
+
+  return exceeded;
+}
+
+/**
+ * Round a dose to 2 decimal places
+ * @param {number} dose - Dose amount
+ * @returns {number} Rounded dose
+ */
+function roundDose(dose) {
+  return Math.round(dose * 100) / 100;
+}
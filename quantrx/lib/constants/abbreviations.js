@@ -0,0 +1,183 @@
+/**
+ * SIG abbreviation constants
+ *
+ * Latin and pharmacy shorthand seen in prescription directions, the plain
+ * English each expands to, and the ISMP "do not use" / error-prone
+ * abbreviations that should be clarified with the prescriber.
+ *
+ * @module lib/constants/abbreviations
+ */
+
+/**
+ * Words that follow "as" in ordinary phrases, written in both cases for all-caps SIGs
+ */
+const AS_PHRASE_WORDS = '(?:needed|directed|required|necessary|NEEDED|DIRECTED|REQUIRED|NECESSARY)';
+
+/**
+ * SIG abbreviations and their plain-English expansions
+ * Periods are optional when matching ("q.d." and "qd" are the same entry). type is the
+ * annotation span type the abbreviation stands for. caseSensitive entries are only
+ * matched as written ("AS" but not "as"); afterNumber entries only after a number ("10 U"),
+ * beforeUnit entries only before a unit ("ii tabs"), and notBefore entries not before
+ * the words given ("AS NEEDED" is not the left ear).
+ */
+export const SIG_ABBREVIATIONS = [
+  // Frequency and timing
+  { abbreviation: 'qd', expansion: 'once daily', type: 'frequency' },
+  { abbreviation: 'qod', expansion: 'every other day', type: 'frequency' },
+  { abbreviation: 'bid', expansion: 'twice daily', type: 'frequency' },
+  { abbreviation: 'tid', expansion: 'three times daily', type: 'frequency' },
+  { abbreviation: 'qid', expansion: 'four times daily', type: 'frequency' },
+  { abbreviation: 'qhs', expansion: 'at bedtime', type: 'frequency' },
+  { abbreviation: 'hs', expansion: 'at bedtime', type: 'frequency' },
+  { abbreviation: 'qam', expansion: 'every morning', type: 'frequency' },
+  { abbreviation: 'qpm', expansion: 'every evening', type: 'frequency' },
+  { abbreviation: 'qh', expansion: 'every hour', type: 'frequency' },
+  { abbreviation: 'qwk', expansion: 'once weekly', type: 'frequency' },
+  { abbreviation: 'biw', expansion: 'twice weekly', type: 'frequency' },
+  { abbreviation: 'tiw', expansion: 'three times weekly', type: 'frequency' },
+  { abbreviation: 'ac', expansion: 'before meals', type: 'frequency' },
+  { abbreviation: 'pc', expansion: 'after meals', type: 'frequency' },
+  { abbreviation: 'prn', expansion: 'as needed', type: 'frequency' },
+  { abbreviation: 'stat', expansion: 'immediately', type: 'frequency' },
+  { abbreviation: 'ut dict', expansion: 'as directed', type: 'text' },
+  { abbreviation: 'ud', expansion: 'as directed', type: 'text' },
+
+  // Route and site
+  { abbreviation: 'po', expansion: 'by mouth', type: 'route' },
+  { abbreviation: 'sl', expansion: 'under the tongue', type: 'route' },
+  { abbreviation: 'subq', expansion: 'subcutaneously', type: 'route' },
+  { abbreviation: 'sq', expansion: 'subcutaneously', type: 'route' },
+  { abbreviation: 'sc', expansion: 'subcutaneously', type: 'route' },
+  { abbreviation: 'im', expansion: 'into the muscle', type: 'route' },
+  { abbreviation: 'iv', expansion: 'intravenously', type: 'route' },
+  { abbreviation: 'pr', expansion: 'rectally', type: 'route' },
+  { abbreviation: 'pv', expansion: 'vaginally', type: 'route' },
+  { abbreviation: 'inh', expansion: 'by inhalation', type: 'route' },
+  { abbreviation: 'ou', expansion: 'in both eyes', type: 'route' },
+  { abbreviation: 'od', expansion: 'in the right eye', type: 'route' },
+  { abbreviation: 'os', expansion: 'in the left eye', type: 'route' },
+  { abbreviation: 'au', expansion: 'in both ears', type: 'route' },
+  { abbreviation: 'ad', expansion: 'in the right ear', type: 'route' },
+  { abbreviation: 'AS', expansion: 'in the left ear', type: 'route', caseSensitive: true, notBefore: AS_PHRASE_WORDS },
+
+  // Units, dosage forms and amounts
+  { abbreviation: 'tab', expansion: 'tablet', type: 'unit' },
+  { abbreviation: 'tabs', expansion: 'tablets', type: 'unit' },
+  { abbreviation: 'cap', expansion: 'capsule', type: 'unit' },
+  { abbreviation: 'caps', expansion: 'capsules', type: 'unit' },
+  { abbreviation: 'gtt', expansion: 'drop', type: 'unit' },
+  { abbreviation: 'gtts', expansion: 'drops', type: 'unit' },
+  { abbreviation: 'supp', expansion: 'suppository', type: 'unit' },
+  { abbreviation: 'cc', expansion: 'mL', type: 'unit' },
+  { abbreviation: 'u', expansion: 'units', type: 'unit', afterNumber: true },
+  { abbreviation: 'iu', expansion: 'units', type: 'unit', afterNumber: true },
+  { abbreviation: 'µg', expansion: 'mcg', type: 'unit' },
+  { abbreviation: 'ss', expansion: 'one-half', type: 'dose' },
+  { abbreviation: 'i', expansion: '1', type: 'dose', beforeUnit: true },
+  { abbreviation: 'ii', expansion: '2', type: 'dose', beforeUnit: true },
+  { abbreviation: 'iii', expansion: '3', type: 'dose', beforeUnit: true }
+];
+
+/**
+ * ISMP "do not use" and error-prone abbreviations and dose designations
+ * Each entry gives the risk and the wording to use instead.
+ */
+export const ERROR_PRONE_ABBREVIATIONS = [
+  {
+    id: 'qd',
+    pattern: /(?<![\w.])q\.?d\.?(?![\w])/i,
+    reason: 'mistaken for QID (four times daily)',
+    suggestion: 'daily'
+  },
+  {
+    id: 'qod',
+    pattern: /(?<![\w.])q\.?o\.?d\.?(?![\w])/i,
+    reason: 'mistaken for QD (daily) or QID (four times daily)',
+    suggestion: 'every other day'
+  },
+  {
+    id: 'u',
+    pattern: /(?<=\d\s*)[Uu](?![\w])/,
+    reason: 'mistaken for 0, 4 or cc, causing a tenfold or greater overdose',
+    suggestion: 'units'
+  },
+  {
+    id: 'iu',
+    pattern: /(?<=\d\s*)IU(?![\w])/i,
+    reason: 'mistaken for IV (intravenous) or 10',
+    suggestion: 'units'
+  },
+  {
+    id: 'trailing_zero',
+    pattern: /(?<![\d.])\d+\.0+(?![\d.])/,
+    reason: 'the decimal point can be missed, causing a tenfold overdose',
+    suggestion: 'the whole number without ".0" (e.g., "1 mg")'
+  },
+  {
+    id: 'leading_decimal',
+    pattern: /(?<![\w.])\.\d+/,
+    reason: 'the decimal point can be missed, causing a tenfold overdose',
+    suggestion: 'a leading zero (e.g., "0.5 mg")'
+  },
+  {
+    id: 'ms',
+    pattern: /\b(?:MS|MSO4|MgSO4)\b/,
+    reason: 'morphine sulfate and magnesium sulfate are confused for one another',
+    suggestion: 'the full drug name'
+  },
+  {
+    id: 'sc',
+    pattern: /(?<![\w.])(?:s\.?c\.?|s\.?q\.?|sub\s*q)(?![\w])/i,
+    reason: 'SC is mistaken for SL (sublingual) and SQ for "5 every"',
+    suggestion: 'subcutaneously'
+  },
+  {
+    id: 'cc',
+    pattern: /(?<=\d\s*)cc(?![\w])/i,
+    reason: 'mistaken for U (units) when poorly written',
+    suggestion: 'mL'
+  },
+  {
+    id: 'hs',
+    pattern: /(?<![\w.])q?\.?h\.?s\.?(?![\w])/i,
+    reason: 'HS is mistaken for half-strength, and qhs for every hour',
+    suggestion: 'at bedtime'
+  },
+  {
+    id: 'ss',
+    pattern: /(?<![\w.])ss(?![\w])/i,
+    reason: 'mistaken for 55 or the number 1/2 misread',
+    suggestion: 'one-half or 1/2'
+  },
+  {
+    id: 'eye_abbreviation',
+    pattern: /(?<![\w.])O\.?[DSU]\.?(?![\w])/i,
+    reason: 'OD, OS and OU are mistaken for each other and for AD, AS and AU (OD also for "once daily")',
+    suggestion: 'right eye, left eye or both eyes'
+  },
+  {
+    id: 'ear_abbreviation',
+    pattern: new RegExp(`(?<![\\w.])A\\.?[DSU]\\.?(?![\\w])(?!\\s+${AS_PHRASE_WORDS})`),
+    reason: 'AD, AS and AU are mistaken for each other and for OD, OS and OU',
+    suggestion: 'right ear, left ear or both ears'
+  },
+  {
+    id: 'weekly_abbreviation',
+    pattern: /\b(?:tiw|biw)\b/i,
+    reason: 'TIW and BIW are mistaken for three (or two) times a day',
+    suggestion: '3 times weekly or 2 times weekly'
+  },
+  {
+    id: 'mcg_symbol',
+    pattern: /µg/,
+    reason: 'µg is mistaken for mg, causing a thousandfold overdose',
+    suggestion: 'mcg'
+  },
+  {
+    id: 'dc',
+    pattern: /\bD\/C\b/i,
+    reason: 'D/C can mean discharge or discontinue',
+    suggestion: 'discharge or discontinue'
+  }
+];
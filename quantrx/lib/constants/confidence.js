@@ -0,0 +1,99 @@
+/**
+ * SIG parse confidence constants
+ *
+ * Starting confidence for each parsing strategy, the adjustments applied for
+ * unread text, ambiguity and dosage-form agreement, and the confidence below
+ * which a pharmacist must review the parsed SIG.
+ *
+ * @module lib/constants/confidence
+ */
+
+/**
+ * Starting confidence when the strategy is not known, and the confidence a
+ * strategy's calibration starts from before the corpus has any cases for it
+ */
+export const UNKNOWN_STRATEGY_CONFIDENCE = 0.6;
+
+/**
+ * Number of corpus cases the unknown-strategy confidence counts as when calibrating
+ * A strategy with few corpus cases stays close to UNKNOWN_STRATEGY_CONFIDENCE.
+ */
+export const CALIBRATION_PRIOR_CASES = 4;
+
+/**
+ * Starting confidence for each parsing strategy
+ * Calibrated from each strategy's accuracy in the golden SIG corpus baseline
+ * (lib/calculations/__tests__/fixtures/sig-corpus-baseline.json) by
+ * calibrateStrategyConfidence. The corpus test fails when these drift from the
+ * baseline; `npm run test:sig-corpus` prints the calibrated values.
+ */
+export const STRATEGY_CONFIDENCE = {
+  structured: 0.99,
+  abbreviated: 0.99,
+  simple: 0.6,
+  prn: 0.95,
+  multi_step: 0.9,
+  complex: 0.6,
+  topical: 0.92
+};
+
+/**
+ * Share of the starting confidence that depends on how much of the SIG was read
+ * A SIG with every word unrecognized keeps 1 - COVERAGE_WEIGHT of its starting confidence.
+ */
+export const COVERAGE_WEIGHT = 0.4;
+
+/**
+ * Deduction when the parse skipped a number in the SIG ("Take 1 tablet 3 times daily"
+ * read as once daily), which almost always means the dose or frequency was misread
+ */
+export const UNREAD_NUMBER_PENALTY = 0.3;
+
+/**
+ * Deduction when the strategies read the SIG differently (different dose, frequency or unit)
+ */
+export const AMBIGUITY_PENALTY = 0.15;
+
+/**
+ * Deduction when the SIG was translated from another language before parsing
+ */
+export const TRANSLATION_PENALTY = 0.05;
+
+/**
+ * Adjustments when the SIG unit agrees or disagrees with the drug's dosage form
+ */
+export const DOSAGE_FORM_AGREEMENT_BONUS = 0.05;
+export const DOSAGE_FORM_MISMATCH_PENALTY = 0.25;
+
+/**
+ * Highest confidence the built-in parser reports
+ */
+export const MAX_PARSE_CONFIDENCE = 0.95;
+
+/**
+ * Confidence below which the parsed SIG must be reviewed by a pharmacist
+ * Overridden by SIG_REVIEW_CONFIDENCE_THRESHOLD or the reviewThreshold calculation option.
+ */
+export const DEFAULT_REVIEW_CONFIDENCE_THRESHOLD = 0.6;
+
+/**
+ * Dosage forms each SIG unit can be dispensed as
+ */
+export const UNIT_DOSAGE_FORMS = {
+  tablet: ['tablet', 'pill'],
+  capsule: ['capsule'],
+  ml: ['solution', 'suspension', 'syrup', 'elixir', 'tincture', 'injection', 'drops', 'solution_ophthalmic'],
+  drop: ['solution', 'suspension', 'drops', 'solution_ophthalmic'],
+  drops: ['solution', 'suspension', 'drops', 'solution_ophthalmic'],
+  g: ['cream', 'ointment', 'gel', 'lotion', 'powder'],
+  puff: ['aerosol', 'inhaler', 'powder'],
+  puffs: ['aerosol', 'inhaler', 'powder'],
+  inhalation: ['aerosol', 'inhaler', 'powder', 'nebulizer'],
+  inhalations: ['aerosol', 'inhaler', 'powder', 'nebulizer'],
+  spray: ['aerosol', 'solution', 'suspension'],
+  sprays: ['aerosol', 'solution', 'suspension'],
+  units: ['injection', 'vial', 'syringe', 'solution', 'suspension'],
+  patch: ['patch'],
+  suppository: ['suppository'],
+  lozenge: ['lozenge']
+};
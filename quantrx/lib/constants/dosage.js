@@ -142,6 +142,12 @@ export const UNITS = {
   G: 'g',
   L: 'l',
 
+  // Devices (insulin pens and vials, inhalers, spray bottles)
+  PEN: 'pen',
+  VIAL: 'vial',
+  INHALER: 'inhaler',
+  BOTTLE: 'bottle',
+
   // Special units
   UNITS: 'units', // For insulin
   IU: 'IU',      // International Units
@@ -186,6 +192,8 @@ export const UNIT_ABBREVIATIONS = {
 
   // Volume/Weight
   ml: UNITS.ML,
+  milliliter: UNITS.ML,
+  milliliters: UNITS.ML,
   mg: UNITS.MG,
   g: UNITS.G,
   l: UNITS.L,
@@ -198,21 +206,57 @@ export const UNIT_ABBREVIATIONS = {
   milliequivalent: UNITS.MEQ,
   milliequivalents: UNITS.MEQ,
 
+  // Devices
+  pen: UNITS.PEN,
+  pens: UNITS.PEN,
+  vial: UNITS.VIAL,
+  vials: UNITS.VIAL,
+  inhaler: UNITS.INHALER,
+  inhalers: UNITS.INHALER,
+  bottle: UNITS.BOTTLE,
+  bottles: UNITS.BOTTLE,
+
   // Special
   unit: UNITS.UNITS,
   units: UNITS.UNITS,
+  unt: UNITS.UNITS,
   iu: UNITS.IU,
   'iu': UNITS.IU,
 
   // Application
   drop: UNITS.DROP,
   drops: UNITS.DROPS,
+  gtt: UNITS.DROP,
+  gtts: UNITS.DROPS,
   puff: UNITS.PUFF,
   puffs: UNITS.PUFFS,
   spray: UNITS.SPRAY,
   sprays: UNITS.SPRAYS,
   inhalation: UNITS.INHALATION,
-  inhalations: UNITS.INHALATIONS
+  inhalations: UNITS.INHALATIONS,
+  actuation: UNITS.PUFF,
+  actuations: UNITS.PUFFS
+};
+
+/**
+ * Household measures and their volume in mL
+ * A dropperful is taken as 1 mL, the usual calibrated dropper volume.
+ */
+export const HOUSEHOLD_MEASURES = {
+  teaspoon: 5,
+  teaspoons: 5,
+  teaspoonful: 5,
+  teaspoonfuls: 5,
+  tsp: 5,
+  tablespoon: 15,
+  tablespoons: 15,
+  tablespoonful: 15,
+  tablespoonfuls: 15,
+  tbsp: 15,
+  dropperful: 1,
+  dropperfuls: 1,
+  dropper: 1,
+  droppers: 1
 };
 
 /**
@@ -222,6 +266,7 @@ export const UNIT_ABBREVIATIONS = {
 export const FREQUENCY_PATTERNS = {
   // Daily frequencies
   'once daily': 1,
+  'once a day': 1,
   'daily': 1,
   'every day': 1,
   'qd': 1,          // quaque die
@@ -229,6 +274,8 @@ export const FREQUENCY_PATTERNS = {
   'twice daily': 2,
   'bid': 2,         // bis in die
   'two times daily': 2,
+  'twice a day': 2,
+  'two times a day': 2,
 
   'three times daily': 3,
   'tid': 3,         // ter in die
@@ -244,6 +291,18 @@ export const FREQUENCY_PATTERNS = {
   'six times daily': 6,
   'six times a day': 6,
 
+  // Meal and bedtime timing
+  'at bedtime': 1,
+  'nightly': 1,
+  'qhs': 1,         // quaque hora somni
+  'every morning': 1,
+  'every evening': 1,
+  'with meals': 3,
+  'before meals': 3,
+  'after meals': 3,
+  'with each meal': 3,
+  'before each meal': 3,
+
   // Hourly frequencies
   'every hour': 24,
   'hourly': 24,
@@ -398,7 +457,11 @@ export function isCountBasedUnit(unit) {
     UNITS.PILL,
     UNITS.PATCH,
     UNITS.SUPPOSITORY,
-    UNITS.LOZENGE
+    UNITS.LOZENGE,
+    UNITS.PEN,
+    UNITS.VIAL,
+    UNITS.INHALER,
+    UNITS.BOTTLE
   ];
 
   return countUnits.includes(unit.toLowerCase());
@@ -0,0 +1,45 @@
+/**
+ * Inhaler and nasal spray constants
+ *
+ * Actuation units and device priming used to convert puffs and sprays into
+ * metered-dose inhalers or spray bottles. Priming counts reflect typical
+ * labeling for a new device; individual products can override them.
+ *
+ * @module lib/constants/inhaler
+ */
+
+import { UNITS } from './dosage.js';
+
+/**
+ * Actuation-based devices
+ */
+export const ACTUATION_DEVICES = {
+  INHALER: UNITS.INHALER,
+  BOTTLE: UNITS.BOTTLE
+};
+
+/**
+ * SIG units counted in actuations, mapped to the device they come from
+ */
+export const ACTUATION_UNIT_DEVICES = {
+  [UNITS.PUFF]: ACTUATION_DEVICES.INHALER,
+  [UNITS.PUFFS]: ACTUATION_DEVICES.INHALER,
+  [UNITS.INHALATION]: ACTUATION_DEVICES.INHALER,
+  [UNITS.INHALATIONS]: ACTUATION_DEVICES.INHALER,
+  [UNITS.SPRAY]: ACTUATION_DEVICES.BOTTLE,
+  [UNITS.SPRAYS]: ACTUATION_DEVICES.BOTTLE
+};
+
+/**
+ * Actuations wasted priming a new device before first use
+ */
+export const DEFAULT_PRIMING_ACTUATIONS = {
+  [ACTUATION_DEVICES.INHALER]: 4,
+  [ACTUATION_DEVICES.BOTTLE]: 6
+};
+
+/**
+ * Package description pattern for the actuation count
+ * ("> 200 ACTUATION", "> 120 SPRAY, METERED", "> 120 AEROSOL, METERED in 1 CANISTER")
+ */
+export const ACTUATION_COUNT_PATTERN = /(\d+)\s*(?:ACTUATIONS?|SPRAYS?|PUFFS?|INHALATIONS?|DOSES?|AEROSOL,\s*METERED)\b/i;
@@ -0,0 +1,56 @@
+/**
+ * Insulin product constants
+ *
+ * Concentrations and device specifications used to convert insulin doses
+ * (units) into pens or vials. Values reflect the common US presentations;
+ * individual products can override them.
+ *
+ * @module lib/constants/insulin
+ */
+
+/**
+ * Insulin concentrations in units per mL
+ */
+export const INSULIN_CONCENTRATIONS = {
+  'U-100': 100,
+  'U-200': 200,
+  'U-300': 300,
+  'U-500': 500
+};
+
+/**
+ * Default concentration when none is stated (U-100)
+ */
+export const DEFAULT_INSULIN_CONCENTRATION = INSULIN_CONCENTRATIONS['U-100'];
+
+/**
+ * Insulin delivery devices
+ */
+export const INSULIN_DEVICES = {
+  PEN: 'pen',
+  VIAL: 'vial'
+};
+
+/**
+ * Device specifications by device and concentration (units/mL)
+ * - volumeMl: fill volume of one pen or vial
+ * - primingUnits: units wasted priming before each injection (pens only)
+ * - inUseDays: days a device may be used after it is opened
+ */
+export const INSULIN_DEVICE_SPECS = {
+  [INSULIN_DEVICES.PEN]: {
+    100: { volumeMl: 3, primingUnits: 2, inUseDays: 28 },
+    200: { volumeMl: 3, primingUnits: 2, inUseDays: 28 },
+    300: { volumeMl: 1.5, primingUnits: 3, inUseDays: 56 },
+    500: { volumeMl: 3, primingUnits: 5, inUseDays: 28 }
+  },
+  [INSULIN_DEVICES.VIAL]: {
+    100: { volumeMl: 10, primingUnits: 0, inUseDays: 28 },
+    500: { volumeMl: 20, primingUnits: 0, inUseDays: 40 }
+  }
+};
+
+/**
+ * Pen name fragments used in RxNorm and FDA product names
+ */
+export const INSULIN_PEN_KEYWORDS = ['pen', 'kwikpen', 'flexpen', 'flextouch', 'solostar', 'tempo'];
@@ -0,0 +1,186 @@
+/**
+ * SIG language constants
+ *
+ * Languages SIG text is parsed in, and the Spanish vocabulary for doses,
+ * units, frequencies, routes and durations with the English each stands for.
+ *
+ * @module lib/constants/locale
+ */
+
+/**
+ * Languages a SIG can be written in (ISO 639-1 codes)
+ */
+export const SIG_LANGUAGES = {
+  ENGLISH: 'en',
+  SPANISH: 'es'
+};
+
+/**
+ * Spanish number words and the value each stands for
+ * Used for doses ("dos tabletas") and for the {n} slot in SPANISH_SIG_TERMS. "Once" (11)
+ * is left out because it is also the English word.
+ */
+export const SPANISH_NUMBER_WORDS = {
+  un: '1',
+  una: '1',
+  uno: '1',
+  dos: '2',
+  tres: '3',
+  cuatro: '4',
+  cinco: '5',
+  seis: '6',
+  siete: '7',
+  ocho: '8',
+  nueve: '9',
+  diez: '10',
+  doce: '12',
+  media: '0.5',
+  medio: '0.5'
+};
+
+/**
+ * Spanish SIG phrases and their English equivalents
+ * Terms are written without accents and match with or without them ("dia" matches "día").
+ * {n} matches a number or a Spanish number word, and $1, $2 in the English are replaced by
+ * the numbers matched. Overlapping matches go to the entry listed first, so phrases are
+ * listed before the words they contain. type is the annotation span type of the phrase.
+ */
+export const SPANISH_SIG_TERMS = [
+  // Frequency and timing
+  { term: 'una vez al dia', english: 'once daily', type: 'frequency' },
+  { term: 'una vez diaria', english: 'once daily', type: 'frequency' },
+  { term: 'dos veces al dia', english: 'twice daily', type: 'frequency' },
+  { term: 'tres veces al dia', english: 'three times daily', type: 'frequency' },
+  { term: 'cuatro veces al dia', english: 'four times daily', type: 'frequency' },
+  { term: 'cinco veces al dia', english: 'five times daily', type: 'frequency' },
+  { term: 'seis veces al dia', english: 'six times daily', type: 'frequency' },
+  { term: 'cada {n} a {n} horas', english: 'every $1 to $2 hours', type: 'frequency' },
+  { term: 'cada {n} horas', english: 'every $1 hours', type: 'frequency' },
+  { term: 'cada hora', english: 'every hour', type: 'frequency' },
+  { term: 'cada {n} dias', english: 'every $1 days', type: 'frequency' },
+  { term: 'cada {n} semanas', english: 'every $1 weeks', type: 'frequency' },
+  // "Cada tercer día" is the usual Mexican wording for every other day
+  { term: 'cada tercer dia', english: 'every other day', type: 'frequency' },
+  { term: 'en dias alternos', english: 'every other day', type: 'frequency' },
+  { term: 'un dia si y un dia no', english: 'every other day', type: 'frequency' },
+  { term: 'una vez a la semana', english: 'once weekly', type: 'frequency' },
+  { term: 'una vez por semana', english: 'once weekly', type: 'frequency' },
+  { term: 'cada semana', english: 'once weekly', type: 'frequency' },
+  { term: 'semanalmente', english: 'once weekly', type: 'frequency' },
+  { term: 'todos los dias', english: 'daily', type: 'frequency' },
+  { term: 'cada dia', english: 'daily', type: 'frequency' },
+  { term: 'diariamente', english: 'daily', type: 'frequency' },
+  { term: 'diaria', english: 'daily', type: 'frequency' },
+  { term: 'diario', english: 'daily', type: 'frequency' },
+  { term: 'al dia', english: 'daily', type: 'frequency' },
+  { term: 'al acostarse', english: 'at bedtime', type: 'frequency' },
+  { term: 'antes de dormir', english: 'at bedtime', type: 'frequency' },
+  { term: 'cada noche', english: 'nightly', type: 'frequency' },
+  { term: 'por la noche', english: 'nightly', type: 'frequency' },
+  { term: 'en la noche', english: 'nightly', type: 'frequency' },
+  { term: 'cada manana', english: 'every morning', type: 'frequency' },
+  { term: 'por la manana', english: 'every morning', type: 'frequency' },
+  { term: 'en la manana', english: 'every morning', type: 'frequency' },
+  { term: 'con las comidas', english: 'with meals', type: 'frequency' },
+  { term: 'con cada comida', english: 'with each meal', type: 'frequency' },
+  { term: 'antes de las comidas', english: 'before meals', type: 'frequency' },
+  { term: 'despues de las comidas', english: 'after meals', type: 'frequency' },
+  { term: 'segun sea necesario', english: 'as needed', type: 'frequency' },
+  { term: 'cuando sea necesario', english: 'as needed', type: 'frequency' },
+  { term: 'si es necesario', english: 'as needed', type: 'frequency' },
+  { term: 'en caso necesario', english: 'as needed', type: 'frequency' },
+  { term: 'por razon necesaria', english: 'as needed', type: 'frequency' },
+
+  // Duration
+  { term: 'por {n} dias', english: 'for $1 days', type: 'duration' },
+  { term: 'durante {n} dias', english: 'for $1 days', type: 'duration' },
+  { term: 'por {n} semanas', english: 'for $1 weeks', type: 'duration' },
+  { term: 'durante {n} semanas', english: 'for $1 weeks', type: 'duration' },
+  { term: 'por {n} meses', english: 'for $1 months', type: 'duration' },
+  { term: 'durante {n} meses', english: 'for $1 months', type: 'duration' },
+
+  // Route and site
+  { term: 'por via oral', english: 'by mouth', type: 'route' },
+  { term: 'via oral', english: 'by mouth', type: 'route' },
+  { term: 'por boca', english: 'by mouth', type: 'route' },
+  { term: 'debajo de la lengua', english: 'under the tongue', type: 'route' },
+  { term: 'por via subcutanea', english: 'subcutaneously', type: 'route' },
+  { term: 'via subcutanea', english: 'subcutaneously', type: 'route' },
+  { term: 'por via intramuscular', english: 'into the muscle', type: 'route' },
+  { term: 'por via rectal', english: 'rectally', type: 'route' },
+  { term: 'por via vaginal', english: 'vaginally', type: 'route' },
+  { term: 'en el ojo derecho', english: 'in the right eye', type: 'route' },
+  { term: 'en el ojo izquierdo', english: 'in the left eye', type: 'route' },
+  { term: 'en ambos ojos', english: 'in both eyes', type: 'route' },
+  { term: 'en cada ojo', english: 'in each eye', type: 'route' },
+  { term: 'en el oido derecho', english: 'in the right ear', type: 'route' },
+  { term: 'en el oido izquierdo', english: 'in the left ear', type: 'route' },
+  { term: 'en ambos oidos', english: 'in both ears', type: 'route' },
+  { term: 'en cada oido', english: 'in each ear', type: 'route' },
+  { term: 'en cada fosa nasal', english: 'in each nostril', type: 'route' },
+  { term: 'en la zona afectada', english: 'to the affected area', type: 'route' },
+  { term: 'en el area afectada', english: 'to the affected area', type: 'route' },
+  { term: 'sobre la piel', english: 'to the skin', type: 'route' },
+
+  // Indication
+  { term: 'para el dolor', english: 'for pain', type: 'indication' },
+  { term: 'para la fiebre', english: 'for fever', type: 'indication' },
+  { term: 'para la tos', english: 'for cough', type: 'indication' },
+  { term: 'para dormir', english: 'for sleep', type: 'indication' },
+  { term: 'para la ansiedad', english: 'for anxiety', type: 'indication' },
+
+  // Dosage forms and units
+  { term: 'tabletas', english: 'tablets', type: 'unit' },
+  { term: 'tableta', english: 'tablet', type: 'unit' },
+  { term: 'pastillas', english: 'tablets', type: 'unit' },
+  { term: 'pastilla', english: 'tablet', type: 'unit' },
+  { term: 'comprimidos', english: 'tablets', type: 'unit' },
+  { term: 'comprimido', english: 'tablet', type: 'unit' },
+  { term: 'capsulas', english: 'capsules', type: 'unit' },
+  { term: 'capsula', english: 'capsule', type: 'unit' },
+  { term: 'gotas', english: 'drops', type: 'unit' },
+  { term: 'gota', english: 'drop', type: 'unit' },
+  { term: 'inhalaciones', english: 'puffs', type: 'unit' },
+  { term: 'inhalacion', english: 'puff', type: 'unit' },
+  { term: 'disparos', english: 'puffs', type: 'unit' },
+  { term: 'disparo', english: 'puff', type: 'unit' },
+  { term: 'atomizaciones', english: 'sprays', type: 'unit' },
+  { term: 'atomizacion', english: 'spray', type: 'unit' },
+  { term: 'aplicaciones', english: 'applications', type: 'unit' },
+  { term: 'aplicacion', english: 'application', type: 'unit' },
+  { term: 'unidades', english: 'units', type: 'unit' },
+  { term: 'unidad', english: 'unit', type: 'unit' },
+  { term: 'cucharaditas', english: 'teaspoons', type: 'unit' },
+  { term: 'cucharadita', english: 'teaspoon', type: 'unit' },
+  { term: 'cucharadas', english: 'tablespoons', type: 'unit' },
+  { term: 'cucharada', english: 'tablespoon', type: 'unit' },
+  { term: 'supositorios', english: 'suppositories', type: 'unit' },
+  { term: 'supositorio', english: 'suppository', type: 'unit' },
+  { term: 'parches', english: 'patches', type: 'unit' },
+  { term: 'parche', english: 'patch', type: 'unit' },
+  { term: 'mililitros', english: 'mL', type: 'unit' },
+
+  // Instructions
+  { term: 'tomar', english: 'take', type: 'text' },
+  { term: 'tome', english: 'take', type: 'text' },
+  { term: 'tomese', english: 'take', type: 'text' },
+  { term: 'aplicar', english: 'apply', type: 'text' },
+  { term: 'aplique', english: 'apply', type: 'text' },
+  { term: 'inyectar', english: 'inject', type: 'text' },
+  { term: 'inyecte', english: 'inject', type: 'text' },
+  { term: 'inhalar', english: 'inhale', type: 'text' },
+  { term: 'instilar', english: 'instill', type: 'text' },
+  { term: 'instile', english: 'instill', type: 'text' },
+  { term: 'ponga', english: 'instill', type: 'text' },
+  { term: 'poner', english: 'instill', type: 'text' },
+  { term: 'disolver', english: 'dissolve', type: 'text' },
+  { term: 'disuelva', english: 'dissolve', type: 'text' },
+  { term: 'masticar', english: 'chew', type: 'text' },
+  { term: 'mastique', english: 'chew', type: 'text' },
+  { term: 'segun indicaciones', english: 'as directed', type: 'text' },
+  { term: 'como se indica', english: 'as directed', type: 'text' },
+  { term: 'con comida', english: 'with food', type: 'text' },
+  { term: 'con alimentos', english: 'with food', type: 'text' },
+  { term: 'para', english: 'for', type: 'text' },
+  { term: 'y', english: 'and', type: 'text' }
+];
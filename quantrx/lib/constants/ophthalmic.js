@@ -0,0 +1,44 @@
+/**
+ * Ophthalmic and otic drop constants
+ *
+ * Drops-per-mL factors and eye/ear site abbreviations used to convert drop
+ * SIGs into a dispensed volume. Drop size varies with the bottle tip and the
+ * solution, so products with a known factor override the default.
+ *
+ * @module lib/constants/ophthalmic
+ */
+
+/**
+ * Drops per mL assumed when the product has no known factor
+ */
+export const DEFAULT_DROPS_PER_ML = 20;
+
+/**
+ * Drops per mL for products whose labeled drop count differs from the default,
+ * keyed by ingredient name fragment
+ */
+export const DROPS_PER_ML_BY_INGREDIENT = {
+  latanoprost: 32,
+  travoprost: 32,
+  bimatoprost: 32,
+  timolol: 30,
+  brimonidine: 28,
+  dorzolamide: 25,
+  ofloxacin: 25,
+  ciprofloxacin: 25
+};
+
+/**
+ * Eye and ear sites: abbreviation or wording, label, and how many eyes/ears receive each dose.
+ * "AS" (left ear) is only matched in capitals, and not before NEEDED, so it is not confused with "as needed".
+ */
+export const DROP_SITES = [
+  { pattern: /\bOU\b|\b(?:each|both)\s+eyes?\b/i, label: 'both eyes', multiplier: 2 },
+  { pattern: /\bAU\b|\b(?:each|both)\s+ears?\b/i, label: 'both ears', multiplier: 2 },
+  { pattern: /\bOD\b|\bright\s+eye\b/i, label: 'right eye', multiplier: 1 },
+  { pattern: /\bOS\b|\bleft\s+eye\b/i, label: 'left eye', multiplier: 1 },
+  { pattern: /\bAD\b|\bright\s+ear\b/i, label: 'right ear', multiplier: 1 },
+  { pattern: /\bAS\b(?!\s+(?:NEEDED|DIRECTED|REQUIRED))|\b[Ll]eft\s+ear\b/, label: 'left ear', multiplier: 1 },
+  { pattern: /\b(?:affected\s+)?eyes?\b/i, label: 'eye', multiplier: 1 },
+  { pattern: /\b(?:affected\s+)?ears?\b/i, label: 'ear', multiplier: 1 }
+];
@@ -0,0 +1,59 @@
+/**
+ * Packaging type constants
+ *
+ * Packaging types derived from the FDA package description, the patterns
+ * that recognise them, and which types must be dispensed as whole, uncombined
+ * packages (kits, dose packs and devices such as inhalers and pens).
+ *
+ * @module lib/constants/packaging
+ */
+
+/**
+ * Packaging types
+ */
+export const PACKAGING_TYPES = {
+  BULK: 'bulk',
+  UNIT_DOSE: 'unit_dose',
+  KIT: 'kit',
+  DOSE_PACK: 'dose_pack',
+  DEVICE: 'device'
+};
+
+/**
+ * Patterns matched against the FDA package description, first match wins
+ * Dose packs are checked before unit-dose because they are usually blister packs too.
+ * Devices are single-unit delivery devices only; cartons of prefilled syringes or
+ * cartridges stay bulk so they can be combined with other carton sizes.
+ */
+export const PACKAGING_PATTERNS = [
+  { type: PACKAGING_TYPES.KIT, pattern: /\bKIT\b/i },
+  { type: PACKAGING_TYPES.DOSE_PACK, pattern: /\bDOSE\s*-?\s*PA(?:C)?K\b/i },
+  { type: PACKAGING_TYPES.DEVICE, pattern: /\b(?:INHALER|PEN|INJECTOR|AUTO-INJECTOR)\b/i },
+  { type: PACKAGING_TYPES.UNIT_DOSE, pattern: /\bUNIT[- ]DOSE\b|\bBLISTER PACK\b|\bCUP\b|\bPOUCH\b/i }
+];
+
+/**
+ * Packaging types that are dispensed whole and never combined with other package sizes
+ */
+export const UNBREAKABLE_PACKAGING_TYPES = [
+  PACKAGING_TYPES.KIT,
+  PACKAGING_TYPES.DOSE_PACK,
+  PACKAGING_TYPES.DEVICE
+];
+
+/**
+ * Names used for each packaging type in breakdown text
+ */
+export const PACKAGING_LABELS = {
+  [PACKAGING_TYPES.BULK]: 'bulk',
+  [PACKAGING_TYPES.UNIT_DOSE]: 'unit-dose',
+  [PACKAGING_TYPES.KIT]: 'kit',
+  [PACKAGING_TYPES.DOSE_PACK]: 'dose pack',
+  [PACKAGING_TYPES.DEVICE]: 'device'
+};
+
+/**
+ * Score bonus (in overfill percentage points) for all-unit-dose combinations
+ * when the plan profile prefers unit-dose packaging
+ */
+export const UNIT_DOSE_PREFERENCE = 5;
@@ -0,0 +1,35 @@
+/**
+ * Pediatric dosing constants
+ *
+ * Patient measurement limits and the maximum daily doses checked when a
+ * weight- or body-surface-area-based order is converted to a per-dose amount.
+ *
+ * @module lib/constants/pediatric
+ */
+
+/**
+ * Accepted range for patient weight in kg
+ */
+export const PATIENT_WEIGHT_RANGE_KG = { min: 0.3, max: 300 };
+
+/**
+ * Accepted range for patient height in cm
+ */
+export const PATIENT_HEIGHT_RANGE_CM = { min: 20, max: 250 };
+
+/**
+ * Maximum daily doses in mg, keyed by ingredient name fragment
+ * perKg is the weight-based ceiling (mg/kg/day) and total the absolute ceiling (mg/day),
+ * which also caps older children whose weight-based dose would exceed the adult dose.
+ */
+export const MAX_DAILY_DOSES = {
+  amoxicillin: { perKg: 90, total: 4000 },
+  acetaminophen: { perKg: 75, total: 4000 },
+  ibuprofen: { perKg: 40, total: 2400 },
+  cephalexin: { perKg: 100, total: 4000 },
+  azithromycin: { perKg: 10, total: 500 },
+  cefdinir: { perKg: 14, total: 600 },
+  clindamycin: { perKg: 40, total: 1800 },
+  prednisolone: { perKg: 2, total: 60 },
+  sulfamethoxazole: { perKg: 40, total: 1600 }
+};
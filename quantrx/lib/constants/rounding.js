@@ -0,0 +1,102 @@
+/**
+ * Quantity rounding policy constants
+ *
+ * Named rounding policies, the policy used for each dosage form, the plan
+ * profiles that override those defaults, and the controlled-substance
+ * ingredients whose quantity may never exceed the days supply.
+ *
+ * @module lib/constants/rounding
+ */
+
+/**
+ * Ways a policy can round a calculated quantity
+ */
+export const ROUNDING_TYPES = {
+  NONE: 'none',
+  WHOLE_UNIT: 'whole_unit',
+  VOLUME_INCREMENT: 'volume_increment',
+  WHOLE_PACKAGE: 'whole_package',
+  PACKAGE_MULTIPLE: 'package_multiple',
+  NO_OVERFILL: 'no_overfill'
+};
+
+/**
+ * Named rounding policies
+ * volume_increment policies round up to the next increment (mL); package_multiple policies
+ * round up to whole cards of the given count.
+ */
+export const ROUNDING_POLICIES = {
+  none: { type: ROUNDING_TYPES.NONE, description: 'Keep the calculated quantity' },
+  whole_unit: { type: ROUNDING_TYPES.WHOLE_UNIT, description: 'Round up to a whole tablet, capsule or unit' },
+  nearest_5_ml: { type: ROUNDING_TYPES.VOLUME_INCREMENT, increment: 5, description: 'Round up to the next 5 mL' },
+  whole_package: { type: ROUNDING_TYPES.WHOLE_PACKAGE, description: 'Round up to whole packages of the smallest package size' },
+  blister_card_28: { type: ROUNDING_TYPES.PACKAGE_MULTIPLE, multiple: 28, description: 'Round up to whole 28-count blister cards' },
+  blister_card_30: { type: ROUNDING_TYPES.PACKAGE_MULTIPLE, multiple: 30, description: 'Round up to whole 30-count blister cards' },
+  no_overfill: { type: ROUNDING_TYPES.NO_OVERFILL, description: 'Round down so the quantity never exceeds the days supply' }
+};
+
+/**
+ * Policy used for each dosage form when the plan profile does not set one
+ */
+export const DEFAULT_ROUNDING_BY_DOSAGE_FORM = {
+  tablet: 'whole_unit',
+  capsule: 'whole_unit',
+  solution: 'none',
+  suspension: 'none',
+  syrup: 'none',
+  elixir: 'none',
+  cream: 'whole_package',
+  ointment: 'whole_package',
+  gel: 'whole_package',
+  inhaler: 'whole_package',
+  injection: 'whole_package'
+};
+
+/**
+ * Policy used when the dosage form has no default
+ */
+export const DEFAULT_ROUNDING_POLICY = 'none';
+
+/**
+ * Plan profiles and the policies they set per dosage form
+ * Institutional profiles set prefersUnitDose so matching ranks unit-dose packages first.
+ */
+export const PLAN_PROFILES = {
+  standard: {
+    description: 'Dosage form defaults',
+    policies: {}
+  },
+  long_term_care: {
+    description: 'Solids dispensed in 30-count blister cards',
+    policies: { tablet: 'blister_card_30', capsule: 'blister_card_30' },
+    prefersUnitDose: true
+  },
+  mail_order: {
+    description: 'Solids and liquids dispensed in whole manufacturer packages',
+    policies: { tablet: 'whole_package', capsule: 'whole_package', solution: 'whole_package', suspension: 'whole_package' }
+  },
+  medicaid: {
+    description: 'Liquids rounded to the next 5 mL',
+    policies: { solution: 'nearest_5_ml', suspension: 'nearest_5_ml', syrup: 'nearest_5_ml', elixir: 'nearest_5_ml' }
+  }
+};
+
+/**
+ * Plan profile used when none is given
+ */
+export const DEFAULT_PLAN_PROFILE = 'standard';
+
+/**
+ * Policy that always applies to controlled substances
+ */
+export const CONTROLLED_SUBSTANCE_POLICY = 'no_overfill';
+
+/**
+ * Controlled-substance ingredients (DEA schedules II-V), matched against the drug name
+ */
+export const CONTROLLED_SUBSTANCE_INGREDIENTS = [
+  'alprazolam', 'amphetamine', 'buprenorphine', 'carisoprodol', 'clonazepam', 'codeine',
+  'diazepam', 'fentanyl', 'hydrocodone', 'hydromorphone', 'lisdexamfetamine', 'lorazepam',
+  'methadone', 'methylphenidate', 'morphine', 'oxycodone', 'oxymorphone', 'phenobarbital',
+  'pregabalin', 'tapentadol', 'temazepam', 'testosterone', 'tramadol', 'zolpidem'
+];
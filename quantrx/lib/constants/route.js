@@ -0,0 +1,125 @@
+/**
+ * Route, site and timing constants
+ *
+ * Routes of administration and how they are written in SIG text and in FDA
+ * NDC records, plus the application sites and dose timings captured from
+ * SIGs. Used to cross-check a SIG against the route of the selected NDC.
+ *
+ * @module lib/constants/route
+ */
+
+/**
+ * Canonical routes of administration
+ */
+export const ROUTES = {
+  ORAL: 'oral',
+  SUBLINGUAL: 'sublingual',
+  BUCCAL: 'buccal',
+  TOPICAL: 'topical',
+  TRANSDERMAL: 'transdermal',
+  OPHTHALMIC: 'ophthalmic',
+  OTIC: 'otic',
+  NASAL: 'nasal',
+  INHALATION: 'inhalation',
+  SUBCUTANEOUS: 'subcutaneous',
+  INTRAMUSCULAR: 'intramuscular',
+  INTRAVENOUS: 'intravenous',
+  RECTAL: 'rectal',
+  VAGINAL: 'vaginal'
+};
+
+/**
+ * Route wording in SIG text, checked in order
+ * Standalone abbreviations (PO, SQ, IM) are matched as whole words.
+ */
+export const SIG_ROUTE_PATTERNS = [
+  { route: ROUTES.SUBLINGUAL, pattern: /\b(?:sl|sublingual(?:ly)?|under\s+(?:the\s+)?tongue)\b/i },
+  { route: ROUTES.BUCCAL, pattern: /\bbuccal(?:ly)?\b|\bbetween\s+(?:the\s+)?(?:cheek|gum)/i },
+  { route: ROUTES.ORAL, pattern: /\b(?:po|p\.o\.|by\s+mouth|orally|oral)\b/i },
+  { route: ROUTES.SUBCUTANEOUS, pattern: /\b(?:sc|sq|subq|sub-q|subcut|subcutaneous(?:ly)?|under\s+the\s+skin)\b/i },
+  { route: ROUTES.INTRAMUSCULAR, pattern: /\b(?:im|intramuscular(?:ly)?|into\s+(?:the\s+)?muscle)\b/i },
+  { route: ROUTES.INTRAVENOUS, pattern: /\b(?:iv|intravenous(?:ly)?)\b/i },
+  { route: ROUTES.NASAL, pattern: /\b(?:nasal(?:ly)?|intranasal(?:ly)?|nostrils?)\b/i },
+  { route: ROUTES.INHALATION, pattern: /\b(?:inhale|inhalations?|inh|puffs?|via\s+nebulizer|nebulize)\b/i },
+  { route: ROUTES.OPHTHALMIC, pattern: /\b(?:ophth|ophthalmic|OU|OD|OS|eyes?)\b/i },
+  { route: ROUTES.OTIC, pattern: /\b(?:otic|ears?)\b|\b(?:AU|AD)\b|\bAS\b(?!\s+(?:NEEDED|DIRECTED|REQUIRED))/ },
+  { route: ROUTES.RECTAL, pattern: /\b(?:pr|rectal(?:ly)?|per\s+rectum|into\s+(?:the\s+)?rectum)\b/i },
+  { route: ROUTES.VAGINAL, pattern: /\b(?:pv|vaginal(?:ly)?|per\s+vagina|into\s+(?:the\s+)?vagina)\b/i },
+  { route: ROUTES.TRANSDERMAL, pattern: /\btransdermal(?:ly)?\b|\bapply\s+(?:one\s+|1\s+)?patch/i },
+  { route: ROUTES.TOPICAL, pattern: /\b(?:topical(?:ly)?|top|to\s+(?:the\s+)?(?:affected\s+)?(?:area|skin|scalp|lesions?))\b/i }
+];
+
+/**
+ * Application sites in SIG text, with the route each implies
+ * "AS" (left ear) is only matched in capitals, and not before NEEDED, so it is not confused with "as needed".
+ */
+export const SIG_SITE_PATTERNS = [
+  { site: 'both eyes', route: ROUTES.OPHTHALMIC, pattern: /\bOU\b|\b(?:each|both)\s+eyes?\b/i },
+  { site: 'right eye', route: ROUTES.OPHTHALMIC, pattern: /\bOD\b|\bright\s+eye\b/i },
+  { site: 'left eye', route: ROUTES.OPHTHALMIC, pattern: /\bOS\b|\bleft\s+eye\b/i },
+  { site: 'eye', route: ROUTES.OPHTHALMIC, pattern: /\b(?:affected\s+)?eyes?\b/i },
+  { site: 'both ears', route: ROUTES.OTIC, pattern: /\bAU\b|\b(?:each|both)\s+ears?\b/i },
+  { site: 'right ear', route: ROUTES.OTIC, pattern: /\bAD\b|\bright\s+ear\b/i },
+  { site: 'left ear', route: ROUTES.OTIC, pattern: /\bAS\b(?!\s+(?:NEEDED|DIRECTED|REQUIRED))|\b[Ll]eft\s+ear\b/ },
+  { site: 'ear', route: ROUTES.OTIC, pattern: /\b(?:affected\s+)?ears?\b/i },
+  { site: 'each nostril', route: ROUTES.NASAL, pattern: /\b(?:each|both)\s+nostrils?\b/i },
+  { site: 'nostril', route: ROUTES.NASAL, pattern: /\bnostrils?\b/i },
+  { site: 'affected area', route: ROUTES.TOPICAL, pattern: /\baffected\s+(?:area|skin|site)s?\b/i },
+  { site: 'scalp', route: ROUTES.TOPICAL, pattern: /\bscalp\b/i },
+  { site: 'abdomen', route: null, pattern: /\babdomen\b/i },
+  { site: 'thigh', route: null, pattern: /\bthighs?\b/i },
+  { site: 'upper arm', route: null, pattern: /\bupper\s+arms?\b/i }
+];
+
+/**
+ * Dose timing wording in SIG text, checked in order
+ */
+export const SIG_TIMING_PATTERNS = [
+  { timing: 'at bedtime', pattern: /\b(?:at\s+bedtime|before\s+bed(?:time)?|qhs|hs|at\s+night|nightly)\b/i },
+  { timing: 'before meals', pattern: /\b(?:before\s+(?:each\s+)?meals?|ac)\b/i },
+  { timing: 'after meals', pattern: /\b(?:after\s+(?:each\s+)?meals?|pc)\b/i },
+  { timing: 'with meals', pattern: /\bwith\s+(?:each\s+)?meals?\b/i },
+  { timing: 'with food', pattern: /\bwith\s+(?:food|a\s+meal|milk)\b/i },
+  { timing: 'on an empty stomach', pattern: /\bon\s+an?\s+empty\s+stomach\b/i },
+  { timing: 'in the morning', pattern: /\b(?:in\s+the\s+morning|every\s+morning|qam|upon\s+waking|with\s+breakfast)\b/i },
+  { timing: 'in the evening', pattern: /\b(?:in\s+the\s+evening|every\s+evening|qpm|with\s+(?:dinner|supper))\b/i }
+];
+
+/**
+ * Indication wording ("for pain", "as needed for sleep")
+ * The indication ends at punctuation or at the next clause.
+ */
+export const SIG_INDICATION_PATTERN = /\bfor\s+(?!\d|one\b|two\b|three\b|a\s+(?:day|week|month)\b)([a-z][a-z'-]*(?:\s+(?!(?:then|and|as|if|when|with|at|in|on|by|max|maximum|not|may|every|daily|twice|once|x|for|until|up)\b)[a-z][a-z'-]*)*)/i;
+
+/**
+ * FDA route names (from the NDC directory) and the canonical route each maps to
+ */
+export const FDA_ROUTE_NAMES = {
+  'ORAL': ROUTES.ORAL,
+  'SUBLINGUAL': ROUTES.SUBLINGUAL,
+  'BUCCAL': ROUTES.BUCCAL,
+  'TOPICAL': ROUTES.TOPICAL,
+  'CUTANEOUS': ROUTES.TOPICAL,
+  'TRANSDERMAL': ROUTES.TRANSDERMAL,
+  'OPHTHALMIC': ROUTES.OPHTHALMIC,
+  'AURICULAR (OTIC)': ROUTES.OTIC,
+  'NASAL': ROUTES.NASAL,
+  'RESPIRATORY (INHALATION)': ROUTES.INHALATION,
+  'SUBCUTANEOUS': ROUTES.SUBCUTANEOUS,
+  'INTRAMUSCULAR': ROUTES.INTRAMUSCULAR,
+  'INTRAVENOUS': ROUTES.INTRAVENOUS,
+  'RECTAL': ROUTES.RECTAL,
+  'VAGINAL': ROUTES.VAGINAL
+};
+
+/**
+ * Routes that can stand in for each other when checking a SIG against an NDC
+ * (a sublingual tablet may be written "by mouth"; a patch may be written "apply to skin")
+ */
+export const COMPATIBLE_ROUTES = {
+  [ROUTES.ORAL]: [ROUTES.SUBLINGUAL, ROUTES.BUCCAL],
+  [ROUTES.SUBLINGUAL]: [ROUTES.ORAL],
+  [ROUTES.BUCCAL]: [ROUTES.ORAL],
+  [ROUTES.TOPICAL]: [ROUTES.TRANSDERMAL],
+  [ROUTES.TRANSDERMAL]: [ROUTES.TOPICAL]
+};
@@ -0,0 +1,51 @@
+/**
+ * NDC matching tolerance profile constants
+ *
+ * Built-in tolerance profiles for package matching. Profiles stored in the
+ * tolerance_profiles table take precedence; these are used when the table is
+ * unavailable and as the seed rows in lib/database-schema.sql.
+ *
+ * @module lib/constants/tolerance
+ */
+
+/**
+ * Built-in tolerance profiles (percentages of the calculated quantity)
+ */
+export const DEFAULT_TOLERANCE_PROFILES = {
+  standard: {
+    description: 'Retail dispensing: up to 10% overfill or 5% underfill',
+    maxOverfill: 10,
+    maxUnderfill: 5,
+    preferredOverfill: 5,
+    roles: []
+  },
+  long_term_care: {
+    description: 'Long-term care: cards and packages close to the calculated quantity',
+    maxOverfill: 3,
+    maxUnderfill: 0,
+    preferredOverfill: 1,
+    roles: []
+  },
+  controlled_substance: {
+    description: 'Controlled substances: never more than calculated, up to 10% underfill',
+    maxOverfill: 0,
+    maxUnderfill: 10,
+    preferredOverfill: 0,
+    roles: []
+  }
+};
+
+/**
+ * Profile used when no profile is requested or assigned to the user's role
+ */
+export const DEFAULT_TOLERANCE_PROFILE = 'standard';
+
+/**
+ * Profile applied to controlled substances
+ */
+export const CONTROLLED_SUBSTANCE_TOLERANCE_PROFILE = 'controlled_substance';
+
+/**
+ * Valid profile name: lowercase letters, digits and underscores
+ */
+export const TOLERANCE_PROFILE_NAME_PATTERN = /^[a-z0-9_]{1,50}$/;
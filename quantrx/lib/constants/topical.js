@@ -0,0 +1,42 @@
+/**
+ * Topical product constants
+ *
+ * Fingertip-unit (FTU) amounts used to estimate cream, ointment, gel and
+ * lotion quantities from the application site. Amounts follow the adult FTU
+ * tables (Long & Finlay); one FTU is about 0.5 g.
+ *
+ * @module lib/constants/topical
+ */
+
+/**
+ * Grams of cream or ointment in one fingertip unit (adult)
+ */
+export const GRAMS_PER_FINGERTIP_UNIT = 0.5;
+
+/**
+ * Body regions with the fingertip units needed for one application
+ * - pattern: SIG wording for the region
+ * - fingertipUnits: FTUs for one side of the body (doubled for "both" or plural sites)
+ * - paired: whether the region comes in pairs (hands, arms, legs, feet), with pluralLabel
+ */
+export const BODY_REGIONS = {
+  face: { label: 'face and neck', pattern: /\b(?:face|neck)\b/i, fingertipUnits: 2.5, paired: false },
+  scalp: { label: 'scalp', pattern: /\bscalp\b/i, fingertipUnits: 3, paired: false },
+  hand: { label: 'hand', pluralLabel: 'hands', pattern: /\bhands?\b/i, fingertipUnits: 1, paired: true },
+  arm: { label: 'arm', pluralLabel: 'arms', pattern: /\barms?\b/i, fingertipUnits: 3, paired: true },
+  foot: { label: 'foot', pluralLabel: 'feet', pattern: /\b(?:foot|feet)\b/i, fingertipUnits: 2, paired: true },
+  leg: { label: 'leg', pluralLabel: 'legs', pattern: /\blegs?\b/i, fingertipUnits: 6, paired: true },
+  trunkFront: { label: 'chest and abdomen', pattern: /\b(?:chest|abdomen|stomach|trunk)\b/i, fingertipUnits: 7, paired: false },
+  trunkBack: { label: 'back and buttocks', pattern: /\b(?:back|buttocks)\b/i, fingertipUnits: 7, paired: false },
+  groin: { label: 'groin', pattern: /\b(?:groin|genitals?|perianal)\b/i, fingertipUnits: 0.5, paired: false }
+};
+
+/**
+ * Whole-body application, used instead of the individual regions
+ */
+export const WHOLE_BODY = { label: 'whole body', pattern: /\b(?:whole|entire)\s+body\b/i, fingertipUnits: 40 };
+
+/**
+ * Fingertip units assumed when only "the affected area" is given
+ */
+export const DEFAULT_AFFECTED_AREA_FINGERTIP_UNITS = 1;
@@ -107,6 +107,7 @@ CREATE TABLE calculations (
   recommended_ndc JSONB, -- Recommended NDC package details
   alternatives JSONB, -- Alternative NDC options (array of packages)
   warnings JSONB, -- Warning messages and issues
+  tolerance_profile JSONB, -- Matching tolerance profile used (name, limits and how it was chosen)
   status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'verified')),
   verified_by UUID REFERENCES users(id), -- User who verified (pharmacist/admin)
   verified_at TIMESTAMP WITH TIME ZONE, -- When verification occurred
@@ -123,6 +124,7 @@ ALTER TABLE calculations ADD COLUMN IF NOT EXISTS warnings JSONB;
 ALTER TABLE calculations ADD COLUMN IF NOT EXISTS verified_by UUID REFERENCES users(id);
 ALTER TABLE calculations ADD COLUMN IF NOT EXISTS verified_at TIMESTAMP WITH TIME ZONE;
 ALTER TABLE calculations ALTER COLUMN sig SET NOT NULL;
+ALTER TABLE calculations ADD COLUMN IF NOT EXISTS tolerance_profile JSONB;
 */
 
 -- Create indexes for calculations table (Phase 1 additions)
@@ -185,6 +187,46 @@ CREATE TRIGGER update_calculations_updated_at
   BEFORE UPDATE ON calculations
   FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+/* ========================================
+   TOLERANCE PROFILES TABLE
+   ======================================== */
+
+-- Named overfill/underfill limits for NDC matching, chosen per calculation
+-- or assigned to user roles. Built-in defaults live in lib/constants/tolerance.js
+-- and are used when this table cannot be read.
+CREATE TABLE tolerance_profiles (
+  name TEXT PRIMARY KEY CHECK (name ~ '^[a-z0-9_]{1,50}$'),
+  description TEXT,
+  max_overfill_percentage NUMERIC NOT NULL CHECK (max_overfill_percentage BETWEEN 0 AND 100),
+  max_underfill_percentage NUMERIC NOT NULL CHECK (max_underfill_percentage BETWEEN 0 AND 100),
+  preferred_overfill_percentage NUMERIC CHECK (preferred_overfill_percentage BETWEEN 0 AND 100),
+  roles TEXT[] NOT NULL DEFAULT '{}', -- User roles that use this profile by default
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT TIMEZONE('utc'::text, NOW()) NOT NULL
+);
+
+-- Seed the built-in profiles
+INSERT INTO tolerance_profiles (name, description, max_overfill_percentage, max_underfill_percentage, preferred_overfill_percentage, roles) VALUES
+  ('standard', 'Retail dispensing: up to 10% overfill or 5% underfill', 10, 5, 5, '{}'),
+  ('long_term_care', 'Long-term care: cards and packages close to the calculated quantity', 3, 0, 1, '{}'),
+  ('controlled_substance', 'Controlled substances: never more than calculated, up to 10% underfill', 0, 10, 0, '{}');
+
+-- Enable Row Level Security on tolerance_profiles table
+ALTER TABLE tolerance_profiles ENABLE ROW LEVEL SECURITY;
+
+-- Authenticated users can read profiles; the server reads them with the service role
+CREATE POLICY "Users can view tolerance profiles" ON tolerance_profiles
+  FOR SELECT USING (current_setting('request.jwt.claims', true)::json->>'sub' IS NOT NULL);
+
+-- Only admins can change profiles
+CREATE POLICY "Admins can manage tolerance profiles" ON tolerance_profiles
+  FOR ALL USING (is_admin()) WITH CHECK (is_admin());
+
+-- Create trigger to automatically update updated_at for tolerance_profiles
+CREATE TRIGGER update_tolerance_profiles_updated_at
+  BEFORE UPDATE ON tolerance_profiles
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 /* ========================================
    AUDIT LOGS TABLE (PHASE 1)
    ======================================== */
@@ -246,7 +288,9 @@ PHASE 1 DATABASE MIGRATION:
 For existing databases (from Phase 0):
 1. Run the ALTER TABLE commands in the calculations table section
 2. Run the audit_logs table creation commands
-3. The users table remains unchanged
+3. Run the tolerance_profiles table creation commands and the
+   tolerance_profile ALTER TABLE command for calculations
+4. The users table remains unchanged
 
 For new databases:
 1. Go to your Supabase project dashboard
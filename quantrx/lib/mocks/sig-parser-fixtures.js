@@ -0,0 +1,81 @@
+/**
+ * Mock SIG parser backend fixtures
+ *
+ * Canned responses for a remote (AI-style) SIG parser so the provider
+ * interface can be developed and tested offline. Responses use the same
+ * parse result shape as parseSIG plus a confidence score.
+ *
+ * @module lib/mocks/sig-parser-fixtures
+ */
+
+/**
+ * Backend name used when registering the mock parser
+ */
+export const MOCK_SIG_PARSER = 'mock';
+
+/**
+ * Canned parse results keyed by lowercase SIG text
+ */
+export const SIG_PARSER_FIXTURES = {
+  'take one tablet by mouth every morning with food': {
+    dose: 1,
+    frequency: 1,
+    unit: 'tablet',
+    confidence: 0.95
+  },
+  'take 1 capsule by mouth morning and night': {
+    dose: 1,
+    frequency: 2,
+    unit: 'capsule',
+    confidence: 0.93
+  },
+  'chew 2 tablets after each meal': {
+    dose: 2,
+    frequency: 3,
+    unit: 'tablet',
+    confidence: 0.9
+  }
+};
+
+/**
+ * Create a mock SIG parser backend
+ * Unknown SIGs return a parse failure, like a remote parser that could not interpret the text.
+ * @param {Object} [fixtures] - Canned results keyed by lowercase SIG text
+ * @param {Object} [options] - Mock options
+ * @param {number} [options.delayMs=0] - Simulated response time
+ * @returns {Object} Backend with name, description and async parse
+ */
+export function createMockSIGParser(fixtures = SIG_PARSER_FIXTURES, { delayMs = 0 } = {}) {
+  return {
+    name: MOCK_SIG_PARSER,
+    description: 'Offline mock of a remote SIG parser',
+    version: 'mock',
+    parse: async (sigText) => {
+      if (delayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+
+      const text = typeof sigText === 'string' ? sigText.trim() : '';
+      const fixture = fixtures[text.toLowerCase()];
+
+      if (!fixture) {
+        return {
+          dose: null,
+          frequency: null,
+          unit: null,
+          originalText: text,
+          parseSuccess: false,
+          parseError: 'Mock parser has no response for this SIG',
+          confidence: 0
+        };
+      }
+
+      return {
+        ...fixture,
+        originalText: text,
+        parseSuccess: true,
+        parseError: null
+      };
+    }
+  };
+}
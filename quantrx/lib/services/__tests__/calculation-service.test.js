@@ -18,6 +18,7 @@ import {
 jest.mock('../../api/rxnorm.js');
 jest.mock('../../api/fda.js');
 jest.mock('../../calculations/sig-parsing.js');
+jest.mock('../sig-parser-setup.js');
 jest.mock('../../calculations/quantity.js');
 jest.mock('../../calculations/ndc-matching.js');
 jest.mock('../../utils/logger.js');
@@ -25,7 +26,7 @@ jest.mock('../../utils/performance.js');
 
 import { searchDrugByName } from '../../api/rxnorm.js';
 import { getNDCsByRxCUI } from '../../api/fda.js';
-import { parseSIG } from '../../calculations/sig-parsing.js';
+import { parseSIGWithProvider } from '../../calculations/sig-parsing.js';
 import { calculateQuantity } from '../../calculations/quantity.js';
 import { selectOptimalNDCs } from '../../calculations/ndc-matching.js';
 import { logCalculationStart, logCalculationCompleted } from '../../utils/logger.js';
@@ -87,7 +88,7 @@ describe('Calculation Service', () => {
     logCalculationStart.mockReturnValue('test-request-id');
     trackCalculation.mockReturnValue(jest.fn());
     searchDrugByName.mockResolvedValue(mockDrugData);
-    parseSIG.mockReturnValue(mockParsedSIG);
+    parseSIGWithProvider.mockResolvedValue(mockParsedSIG);
     calculateQuantity.mockReturnValue(mockQuantityResult);
     getNDCsByRxCUI.mockResolvedValue(mockNDCData);
     selectOptimalNDCs.mockReturnValue(mockMatchingResult);
@@ -111,8 +112,8 @@ describe('Calculation Service', () => {
       expect(result.warnings).toEqual([]);
 
       expect(searchDrugByName).toHaveBeenCalledWith('lisinopril', { userId: null });
-      expect(parseSIG).toHaveBeenCalledWith('Take 1 tablet twice daily');
-      expect(calculateQuantity).toHaveBeenCalledWith(mockParsedSIG, 30);
+      expect(parseSIGWithProvider).toHaveBeenCalledWith('Take 1 tablet twice daily');
+      expect(calculateQuantity).toHaveBeenCalledWith(mockParsedSIG, 30, { rangeSelection: undefined });
       expect(getNDCsByRxCUI).toHaveBeenCalledWith('29046', { userId: null });
       expect(selectOptimalNDCs).toHaveBeenCalledWith(60, expect.any(Array), { maxAlternatives: 5 });
 
@@ -159,7 +160,7 @@ describe('Calculation Service', () => {
     });
 
     test('should handle SIG parsing failure', async () => {
-      parseSIG.mockReturnValue({
+      parseSIGWithProvider.mockResolvedValue({
         parseSuccess: false,
         parseError: 'Unable to parse'
       });
@@ -277,7 +278,7 @@ describe('Calculation Service', () => {
     });
 
     test('should handle parsing failure', async () => {
-      parseSIG.mockReturnValue({
+      parseSIGWithProvider.mockResolvedValue({
         parseSuccess: false,
         parseError: 'Unable to parse'
       });
@@ -290,7 +291,7 @@ describe('Calculation Service', () => {
     });
 
     test('should handle parsing errors', async () => {
-      parseSIG.mockImplementation(() => {
+      parseSIGWithProvider.mockImplementation(() => {
         throw new Error('Parse exception');
       });
 
@@ -0,0 +1,114 @@
+/**
+ * Integration tests for runCalculation
+ *
+ * Runs the full calculation pipeline with the RxNorm and FDA clients and the
+ * audit log replaced by fixtures, so warnings raised by individual steps can
+ * be checked against the overall result status.
+ */
+
+import { jest } from '@jest/globals';
+
+const ACETAMINOPHEN_NDCS = {
+  active: [{
+    ndc: '50580-0170-04',
+    manufacturer: 'McNeil',
+    packageSize: 120,
+    packageUnit: 'ml',
+    packagingType: 'bulk',
+    dosageForm: 'suspension',
+    routes: ['oral'],
+    strength: '160 mg/5 ml',
+    status: 'active',
+    cost: null
+  }],
+  inactive: [],
+  total: 1
+};
+
+const LISINOPRIL_NDCS = {
+  active: [{
+    ndc: '0093-1111-01',
+    manufacturer: 'Teva',
+    packageSize: 30,
+    packageUnit: null,
+    packagingType: 'bulk',
+    dosageForm: 'tablet',
+    routes: ['oral'],
+    strength: '10 mg',
+    status: 'active',
+    cost: null
+  }],
+  inactive: [],
+  total: 1
+};
+
+jest.unstable_mockModule('../../api/rxnorm.js', () => ({
+  searchDrugByName: jest.fn(async () => ({ rxcui: '313782', name: 'acetaminophen 160 MG/5ML Oral Suspension', synonym: 'Tylenol' }))
+}));
+jest.unstable_mockModule('../../api/fda.js', () => ({
+  getNDCsByRxCUI: jest.fn(async () => ACETAMINOPHEN_NDCS)
+}));
+jest.unstable_mockModule('../../utils/audit.js', () => ({
+  logCalculationCreated: jest.fn(async () => null),
+  logApiCall: jest.fn(async () => null)
+}));
+
+process.env.USE_MOCK_APIS = 'true';
+
+const { runCalculation } = await import('../calculation-service.js');
+const { searchDrugByName } = await import('../../api/rxnorm.js');
+const { getNDCsByRxCUI } = await import('../../api/fda.js');
+
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+describe('runCalculation', () => {
+  test('should still succeed when the maximum daily dose is exceeded', async () => {
+    const result = await runCalculation({
+      drugName: 'acetaminophen 160 mg/5 ml suspension',
+      sig: 'Take 15 mg/kg by mouth every 6 hours',
+      daysSupply: 5,
+      weightKg: 80
+    });
+
+    const warning = result.warnings.find(w => w.type === 'max_daily_dose_exceeded');
+    expect(warning).toMatchObject({ severity: 'warning' });
+    expect(result.success).toBe(true);
+    expect(result.status).toBe('partial');
+    expect(result.calculation.calculatedQuantity).toBeGreaterThan(0);
+  });
+
+  test('should skip quantity rounding when no quantity could be calculated', async () => {
+    searchDrugByName.mockResolvedValueOnce({ rxcui: '314076', name: 'lisinopril 10 MG Oral Tablet', synonym: 'Zestril' });
+    getNDCsByRxCUI.mockResolvedValueOnce(LISINOPRIL_NDCS);
+
+    const result = await runCalculation({ drugName: 'lisinopril 10 mg tablet', sig: 'Take 1 tablet daily until gone' });
+
+    expect(result.success).toBe(true);
+    expect(result.error?.type).not.toBe('unexpected_error');
+    expect(result.warnings.some(w => w.type === 'quantity_rounded')).toBe(false);
+  });
+
+  test('should warn when a controlled substance overrides the requested tolerance profile', async () => {
+    searchDrugByName.mockResolvedValueOnce({ rxcui: '1049621', name: 'oxycodone hydrochloride 5 MG Oral Tablet', synonym: null });
+    getNDCsByRxCUI.mockResolvedValueOnce(LISINOPRIL_NDCS);
+
+    const result = await runCalculation({
+      drugName: 'oxycodone 5 mg tablet',
+      sig: 'Take 1 tablet by mouth every 6 hours',
+      daysSupply: 5,
+      toleranceProfile: 'long_term_care'
+    });
+
+    expect(result.toleranceProfile).toMatchObject({ name: 'controlled_substance', requestedProfile: 'long_term_care' });
+    expect(result.warnings.find(w => w.type === 'tolerance_profile_overridden')).toMatchObject({
+      severity: 'warning',
+      data: { requestedProfile: 'long_term_care', profile: 'controlled_substance' }
+    });
+  });
+});
@@ -10,12 +10,40 @@
 
 import { searchDrugByName } from '../api/rxnorm.js';
 import { getNDCsByRxCUI } from '../api/fda.js';
-import { parseSIG } from '../calculations/sig-parsing.js';
+import { parseSIGWithProvider } from '../calculations/sig-parsing.js';
 import { calculateQuantity } from '../calculations/quantity.js';
+import { convertSIGToVolume, roundToDispensableVolume } from '../calculations/unit-conversion.js';
+import { convertSIGToDosageUnits } from '../calculations/strength-conversion.js';
+import { convertWeightBasedSIG, checkMaxDailyDose } from '../calculations/weight-dosing.js';
+import { isInsulinProduct, calculateInsulinQuantity } from '../calculations/insulin.js';
+import { isDropUnit, calculateDropQuantity } from '../calculations/ophthalmic.js';
 import { selectOptimalNDCs } from '../calculations/ndc-matching.js';
+import { convertDeviceQuantityStep } from './device-conversion.js';
+import { registerConfiguredSIGParsers } from './sig-parser-setup.js';
+import { checkNDCRouteStep } from './route-check.js';
+import { resolveDaysSupplyStep } from './days-supply.js';
+import { reviewParsedSIGStep } from './sig-review.js';
+import { applyRoundingPolicyStep } from './quantity-rounding.js';
+import { getConfiguredPricingSource } from './pricing-setup.js';
+import { applyPricing } from '../calculations/ndc-pricing.js';
+import { prefersUnitDose } from '../calculations/packaging.js';
+import { resolveToleranceProfileStep } from './tolerance-profiles.js';
 import { logEvent, logCalculationStart, logCalculationCompleted } from '../utils/logger.js';
 import { logCalculationCreated } from '../utils/audit.js';
 import { trackCalculation } from '../utils/performance.js';
+import {
+  createPRNCeilingWarning,
+  createUnitConversionWarning,
+  createStrengthConversionWarning,
+  createTabletSplitWarning,
+  createWeightBasedDoseWarning,
+  createMaxDailyDoseWarning,
+  createVolumeRoundingWarning,
+  createDaysSupplyAdjustedWarning,
+  createTopicalEstimateWarning,
+  createErrorProneAbbreviationWarning,
+  createFillPlanWarning
+} from './calculation-warnings.js';
 
 /**
  * Main calculation orchestration function
@@ -24,13 +52,20 @@ import { trackCalculation } from '../utils/performance.js';
  * @param {string} [input.ndc] - NDC code (either drugName or ndc required)
  * @param {string} input.sig - Prescription directions
  * @param {number} [input.daysSupply] - Days supply (optional)
+ * @param {string} [input.planProfile] - Plan profile whose rounding policies apply (defaults to "standard")
+ * @param {string} [input.roundingPolicy] - Rounding policy for this calculation, overriding the plan profile
+ * @param {string} [input.scoringMode] - NDC ranking: "default" or "cost" (cheapest combination within tolerance)
+ * @param {string} [input.toleranceProfile] - Matching tolerance profile (defaults to the profile for the user's role)
  * @param {Object} [options] - Calculation options
  * @param {string} [options.userId] - User ID for logging
  * @param {number} [options.maxAlternatives] - Max NDC alternatives to return
+ * @param {number} [options.reviewThreshold] - Parse confidence below which pharmacist review is
+ *   required (defaults to SIG_REVIEW_CONFIDENCE_THRESHOLD or 0.6)
+ * @param {string} [options.userRole] - User role, for the role's tolerance profile (looked up from userId when omitted)
  * @returns {Promise<Object>} Complete calculation result
  */
 export async function runCalculation(input, options = {}) {
-  const { userId = null, maxAlternatives = 5 } = options;
+  const { userId = null, maxAlternatives = 5, reviewThreshold, userRole } = options;
 
   console.log('[CALC-SERVICE] ===== RUN CALCULATION START =====');
   console.log('[CALC-SERVICE] Input:', JSON.stringify(input, null, 2));
@@ -64,6 +99,22 @@ export async function runCalculation(input, options = {}) {
     
     console.log('[CALC-SERVICE] Normalization succeeded');
 
+    // Step 1a: Choose the matching tolerance profile for the request, drug and user role
+    const toleranceResult = await resolveToleranceProfileStep({
+      profileName: input.toleranceProfile,
+      drugName: normalizationResult.data?.drugName || input.drugName,
+      role: userRole,
+      userId
+    });
+
+    if (!toleranceResult.success) {
+      return createErrorResult(
+        'tolerance_profile_failed',
+        toleranceResult.error,
+        { step: 'tolerance_profile', input }
+      );
+    }
+
     // Step 2: Parse SIG (only if quantity not provided directly)
     let sigResult = { success: true, data: null, warnings: [] };
     let quantityResult = { success: true, data: null, warnings: [] };
@@ -116,13 +167,32 @@ export async function runCalculation(input, options = {}) {
       
       console.log('[CALC-SERVICE] SIG parsing succeeded');
 
+      // Step 2a: Check the parse against the drug's dosage form and require review when confidence is low
+      const reviewResult = reviewParsedSIGStep(sigResult.data, normalizationResult.data?.dosageForm, reviewThreshold);
+      sigResult = { ...sigResult, data: reviewResult.data, warnings: [...(sigResult.warnings || []), ...reviewResult.warnings] };
+
+      // Step 2b: Use the SIG duration when no days supply was entered, or flag a mismatch
+      const daysSupplyResult = resolveDaysSupplyStep(sigResult.data, input.daysSupply);
+      sigResult = { ...sigResult, warnings: [...(sigResult.warnings || []), ...daysSupplyResult.warnings] };
+
       // Step 3: Calculate quantity (if days supply provided)
       console.log('[CALC-SERVICE] Step 3: Calculating quantity...');
-      console.log('[CALC-SERVICE] Days supply:', input.daysSupply);
+      console.log('[CALC-SERVICE] Days supply:', daysSupplyResult.data.daysSupply, `(${daysSupplyResult.data.source})`);
       
       quantityResult = await calculateQuantityStep(
         sigResult.data,
-        input.daysSupply,
+        daysSupplyResult.data.daysSupply,
+        {
+          rangeSelection: input.rangeSelection,
+          drugName: normalizationResult.data?.drugName,
+          strength: normalizationResult.data?.strength,
+          dosageForm: normalizationResult.data?.dosageForm,
+          insulinDevice: input.insulinDevice,
+          dropsPerMl: input.dropsPerMl,
+          tabletScored: input.tabletScored,
+          weightKg: input.weightKg,
+          heightCm: input.heightCm
+        },
         userId
       );
       console.log('[CALC-SERVICE] Quantity calculation result:', JSON.stringify(quantityResult, null, 2));
@@ -176,6 +246,68 @@ export async function runCalculation(input, options = {}) {
     console.log('[CALC-SERVICE] NDC fetch succeeded');
     console.log('[CALC-SERVICE] NDCs found:', ndcResult.data?.length || 0);
 
+    // Step 4b: Fit puffs/sprays to inhalers and drop volumes to bottle sizes
+    const deviceResult = convertDeviceQuantityStep(
+      sigResult.data,
+      quantityResult.data,
+      ndcResult.data,
+      { rangeSelection: input.rangeSelection },
+      userId
+    );
+
+    if (!deviceResult.success) {
+      console.log('[CALC-SERVICE] Device conversion failed, creating error result');
+      return createErrorResult(
+        'quantity_calculation_failed',
+        deviceResult.error,
+        {
+          step: 'device_conversion',
+          input,
+          normalization: normalizationResult.data,
+          sig: sigResult.data,
+          quantity: quantityResult.data
+        }
+      );
+    }
+
+    quantityResult = {
+      ...quantityResult,
+      data: deviceResult.data,
+      warnings: [...(quantityResult.warnings || []), ...deviceResult.warnings]
+    };
+
+    // Step 4c: Round to the dispensing policy for the dosage form and plan profile
+    // (skipped when no quantity could be calculated, e.g. "until gone" without a days supply)
+    if (!hasDirectQuantity && quantityResult.data) {
+      const roundingResult = applyRoundingPolicyStep(quantityResult.data, deviceResult.ndcs, {
+        dosageForm: normalizationResult.data?.dosageForm,
+        drugName: normalizationResult.data?.drugName || input.drugName,
+        planProfile: input.planProfile,
+        roundingPolicy: input.roundingPolicy
+      });
+
+      if (!roundingResult.success) {
+        console.log('[CALC-SERVICE] Rounding policy failed, creating error result');
+        return createErrorResult(
+          'quantity_calculation_failed',
+          roundingResult.error,
+          {
+            step: 'quantity_rounding',
+            input,
+            normalization: normalizationResult.data,
+            sig: sigResult.data,
+            quantity: quantityResult.data
+          }
+        );
+      }
+
+      quantityResult = {
+        ...quantityResult,
+        data: roundingResult.data,
+        warnings: [...(quantityResult.warnings || []), ...roundingResult.warnings]
+      };
+    }
+
     // Step 5: Match optimal NDCs
     console.log('[CALC-SERVICE] Step 5: Matching optimal NDCs...');
     const quantity = quantityResult.data?.quantity || 0;
@@ -183,12 +315,22 @@ export async function runCalculation(input, options = {}) {
     
     const matchingResult = await matchNDCsStep(
       quantity,
-      ndcResult.data,
-      { maxAlternatives },
+      deviceResult.ndcs,
+      {
+        maxAlternatives,
+        scoringMode: input.scoringMode,
+        tolerance: toleranceResult.data,
+        parsedSIG: getDispensedSIG(quantityResult),
+        daysSupply: quantityResult.data?.daysSupply || input.daysSupply,
+        preferUnitDose: prefersUnitDose(input.planProfile)
+      },
       userId
     );
     console.log('[CALC-SERVICE] Matching result:', JSON.stringify(matchingResult, null, 2));
 
+    // Step 5b: Cross-check the recommended NDC's route against the SIG
+    const routeResult = checkNDCRouteStep(sigResult.data, matchingResult.recommendations);
+
     // Assemble final result
     console.log('[CALC-SERVICE] Assembling final result...');
     const finalResult = assembleCalculationResult({
@@ -196,13 +338,17 @@ export async function runCalculation(input, options = {}) {
       normalization: normalizationResult.data,
       sig: sigResult.data,
       quantity: quantityResult.data,
-      ndcs: ndcResult.data,
+      ndcs: deviceResult.ndcs,
+      toleranceProfile: toleranceResult.data,
       recommendations: matchingResult.recommendations,
       alternatives: matchingResult.alternatives,
+      fillPlans: matchingResult.fillPlans,
       warnings: [
+        ...(toleranceResult.warnings || []),
         ...(sigResult.warnings || []),
         ...(quantityResult.warnings || []),
-        ...(matchingResult.warnings || [])
+        ...(matchingResult.warnings || []),
+        ...routeResult.warnings
       ]
     });
     console.log('[CALC-SERVICE] Final result assembled:', JSON.stringify(finalResult, null, 2));
@@ -323,7 +469,8 @@ export async function normalizeDrug(input, userId = null) {
  */
 export async function parseSIGStep(sig, userId = null) {
   try {
-    const parsedSIG = parseSIG(sig);
+    registerConfiguredSIGParsers();
+    const parsedSIG = await parseSIGWithProvider(sig);
 
     if (!parsedSIG.parseSuccess) {
       return {
@@ -334,7 +481,7 @@ export async function parseSIGStep(sig, userId = null) {
           type: 'sig_parse_error',
           severity: 'warning',
           message: 'Could not automatically parse directions. Manual entry recommended.',
-          data: { originalText: sig }
+          data: { originalText: sig, annotation: parsedSIG.annotation || [] }
         }]
       };
     }
@@ -342,7 +489,7 @@ export async function parseSIGStep(sig, userId = null) {
     return {
       success: true,
       data: parsedSIG,
-      warnings: []
+      warnings: (parsedSIG.errorProneAbbreviations || []).map(createErrorProneAbbreviationWarning)
     };
 
   } catch (error) {
@@ -362,10 +509,21 @@ export async function parseSIGStep(sig, userId = null) {
  * Step 3: Quantity calculation
  * @param {Object} parsedSIG - Parsed SIG object
  * @param {number} [daysSupply] - Days supply
+ * @param {Object} [options] - Calculation options
+ * @param {string} [options.rangeSelection] - 'min' or 'max' end of a ranged SIG (defaults to max)
+ * @param {string} [options.drugName] - Product name, used to detect insulin products and combination strengths
+ * @param {string} [options.strength] - Product strength, used to convert liquid doses to mL and mass doses to tablets
+ * @param {string} [options.dosageForm] - Product dosage form
+ * @param {string} [options.insulinDevice] - 'pen' or 'vial' when dispensing insulin
+ * @param {number} [options.dropsPerMl] - Drops-per-mL factor for eye/ear drops (overrides the product tables)
+ * @param {boolean} [options.tabletScored] - Whether the tablet is scored, for doses that need half tablets
+ * @param {number} [options.weightKg] - Patient weight, for mg/kg orders
+ * @param {number} [options.heightCm] - Patient height, for mg/m² orders
  * @param {string} [userId] - User ID for logging
- * @returns {Promise<Object>} Quantity calculation result
+ * @returns {Promise<Object>} Quantity calculation result, with the SIG the quantity was
+ *   calculated from (dosingSIG, after weight, mL and strength conversion)
  */
-export async function calculateQuantityStep(parsedSIG, daysSupply, userId = null) {
+export async function calculateQuantityStep(parsedSIG, daysSupply, options = {}, userId = null) {
   try {
     if (!daysSupply) {
       // No quantity calculation requested
@@ -376,7 +534,57 @@ export async function calculateQuantityStep(parsedSIG, daysSupply, userId = null
       };
     }
 
-    const quantityResult = calculateQuantity(parsedSIG, daysSupply);
+    // Weight- and BSA-based orders are converted to a per-dose amount for the patient first
+    const weightResult = convertWeightBasedSIG(parsedSIG, options);
+    if (!weightResult.success) {
+      return {
+        success: false,
+        error: weightResult.error,
+        warnings: []
+      };
+    }
+
+    // Liquid doses in mg or household measures are converted to mL before calculating
+    const conversionResult = convertSIGToVolume(weightResult.data, options);
+    if (!conversionResult.success) {
+      return {
+        success: false,
+        error: conversionResult.error,
+        warnings: []
+      };
+    }
+
+    const { conversion } = conversionResult;
+
+    // Mass doses for tablets and capsules are converted to a count using the product strength
+    const strengthResult = convertSIGToDosageUnits(conversionResult.data, options);
+    if (!strengthResult.success) {
+      return {
+        success: false,
+        error: strengthResult.error,
+        warnings: []
+      };
+    }
+
+    const calculationOptions = { rangeSelection: options.rangeSelection };
+
+    let quantityResult;
+    if (isInsulinProduct(options) && parsedSIG.unit === 'units') {
+      // Insulin doses in units are dispensed as whole pens or vials
+      quantityResult = calculateInsulinQuantity(strengthResult.data, daysSupply, {
+        drugName: options.drugName,
+        strength: options.strength,
+        device: options.insulinDevice
+      }, calculationOptions);
+    } else if (isDropUnit(parsedSIG.unit)) {
+      // Eye and ear drops are dispensed by volume
+      quantityResult = calculateDropQuantity(strengthResult.data, daysSupply, {
+        drugName: options.drugName,
+        dropsPerMl: options.dropsPerMl
+      }, calculationOptions);
+    } else {
+      quantityResult = calculateQuantity(strengthResult.data, daysSupply, calculationOptions);
+    }
 
     if (!quantityResult.success) {
       return {
@@ -386,10 +594,52 @@ export async function calculateQuantityStep(parsedSIG, daysSupply, userId = null
       };
     }
 
+    const warnings = [];
+    if (quantityResult.basis === 'prn_ceiling') {
+      warnings.push(createPRNCeilingWarning(quantityResult));
+    }
+
+    if (quantityResult.basis === 'topical_estimate') {
+      warnings.push(createTopicalEstimateWarning(quantityResult));
+    }
+
+    if (quantityResult.requestedDaysSupply && quantityResult.daysSupply !== quantityResult.requestedDaysSupply) {
+      warnings.push(createDaysSupplyAdjustedWarning(quantityResult));
+    }
+
+    if (weightResult.conversion) {
+      warnings.push(createWeightBasedDoseWarning(weightResult.conversion));
+      warnings.push(...checkMaxDailyDose(weightResult.conversion, options.drugName).map(createMaxDailyDoseWarning));
+      quantityResult.weightBasedDose = weightResult.conversion;
+    }
+
+    if (strengthResult.conversion) {
+      warnings.push(createStrengthConversionWarning(strengthResult.conversion));
+      if (strengthResult.conversion.split) {
+        warnings.push(createTabletSplitWarning(strengthResult.conversion));
+      }
+      quantityResult.conversion = strengthResult.conversion;
+    }
+
+    if (conversion) {
+      warnings.push(createUnitConversionWarning(conversion));
+
+      // Round the volume up to a bottle size that can actually be dispensed
+      const calculatedVolume = quantityResult.quantity;
+      const dispensableVolume = roundToDispensableVolume(calculatedVolume);
+      if (dispensableVolume !== calculatedVolume) {
+        quantityResult.quantity = dispensableVolume;
+        quantityResult.calculation += `; Rounded to dispensable volume = ${dispensableVolume} ml`;
+        warnings.push(createVolumeRoundingWarning(calculatedVolume, dispensableVolume));
+      }
+      quantityResult.conversion = conversion;
+    }
+
     return {
       success: true,
       data: quantityResult,
-      warnings: []
+      dosingSIG: strengthResult.data,
+      warnings
     };
 
   } catch (error) {
@@ -476,6 +726,13 @@ export async function fetchNDCs(identifier, userId = null) {
  * @param {number} quantity - Quantity to match
  * @param {Object} ndcData - NDC data with active/inactive arrays
  * @param {Object} [options] - Matching options
+ * @param {number} [options.maxAlternatives] - Max NDC alternatives to return
+ * @param {string} [options.scoringMode] - "default" or "cost" (see SCORING_MODES)
+ * @param {Object} [options.tolerance] - Tolerance profile limits (defaults to the standard profile)
+ * @param {Object} [options.parsedSIG] - Parsed SIG with its dose in the dispensed unit, for adjusted days
+ *   supply plans when nothing fits
+ * @param {number} [options.daysSupply] - Days supply the quantity covers
+ * @param {boolean} [options.preferUnitDose] - Rank unit-dose packages first
  * @param {string} [userId] - User ID for logging
  * @returns {Promise<Object>} NDC matching result
  */
@@ -496,10 +753,11 @@ export async function matchNDCsStep(quantity, ndcData, options = {}, userId = nu
       };
     }
 
-    const allNDCs = [
+    // Attach package prices (if a price file is configured) so combinations can be costed
+    const allNDCs = applyPricing([
       ...(ndcData.active || []),
       ...(ndcData.inactive || [])
-    ];
+    ], getConfiguredPricingSource());
 
     if (allNDCs.length === 0) {
       return {
@@ -519,12 +777,17 @@ export async function matchNDCsStep(quantity, ndcData, options = {}, userId = nu
     const matchingResult = selectOptimalNDCs(quantity, allNDCs, options);
 
     if (!matchingResult.success) {
+      const fillPlans = matchingResult.fillPlans || [];
       return {
         success: false,
         error: matchingResult.error,
         recommendations: [],
         alternatives: [],
-        warnings: matchingResult.warnings || []
+        fillPlans,
+        warnings: [
+          ...(matchingResult.warnings || []),
+          ...(fillPlans.length > 0 ? [createFillPlanWarning(quantity, fillPlans)] : [])
+        ]
       };
     }
 
@@ -567,8 +830,10 @@ function assembleCalculationResult(components) {
     sig,
     quantity,
     ndcs,
+    toleranceProfile,
     recommendations,
     alternatives,
+    fillPlans,
     warnings
   } = components;
 
@@ -599,12 +864,18 @@ function assembleCalculationResult(components) {
       parsedSIG: sig,
       calculatedQuantity: quantity.quantity,
       unit: quantity.unit,
+      quantityRange: quantity.quantityRange || null,
+      rangeSelection: quantity.rangeSelection || null,
+      daysSupply: quantity.daysSupply || null,
+      roundingPolicy: quantity.roundingPolicy || null,
       breakdown: quantity.calculation
     } : null,
     activeNDCs: ndcs?.active || [],
     inactiveNDCs: ndcs?.inactive || [],
+    toleranceProfile: toleranceProfile || null,
     recommendation: recommendations?.[0] || null,
     alternatives: alternatives || [],
+    fillPlans: fillPlans || [],
     warnings,
     success: !hasErrors
   };
@@ -652,6 +923,18 @@ function createErrorResult(errorType, message, context = {}) {
   return errorResult;
 }
 
+/**
+ * Get the SIG whose dose is in the unit the quantity is dispensed in
+ * Drops, insulin units and device counts are dispensed in another unit (mL, pens,
+ * inhalers), so no daily quantity can be read from their SIG.
+ * @param {Object} quantityResult - Quantity step result
+ * @returns {Object|null} Converted SIG, or null when its unit is not the dispensed unit
+ */
+function getDispensedSIG(quantityResult) {
+  const { dosingSIG, data } = quantityResult;
+  return dosingSIG && data && dosingSIG.unit === data.unit ? dosingSIG : null;
+}
+
 /**
  * Generate unique calculation ID
  * @returns {string} UUID-like calculation ID
@@ -689,7 +972,9 @@ function extractDosageForm(drugName) {
 function extractStrength(drugName) {
   if (!drugName) return null;
 
-  // Look for patterns like "10 mg", "5 mg/ml", etc.
-  const strengthMatch = drugName.match(/(\d+(?:\.\d+)?\s*(?:mg|g|ml|mcg|units?|iu)[^a-z]*)/i);
+  // Look for patterns like "10 mg", "5 mg/ml", "250 MG/5ML", etc.
+  const strengthMatch = drugName.match(
+    /(\d+(?:\.\d+)?\s*(?:mg|g|ml|mcg|units?|unt|iu)\b(?:\s*\/\s*(?:\d+(?:\.\d+)?\s*)?(?:ml|l)\b)?)/i
+  );
   return strengthMatch ? strengthMatch[1].trim() : null;
 }
@@ -0,0 +1,362 @@
+/**
+ * Calculation warning builders
+ *
+ * Builds the warning objects that calculation steps attach to their results
+ * so the pharmacist can see how a quantity was derived.
+ *
+ * @module lib/services/calculation-warnings
+ */
+
+/**
+ * Create the warning shown when a quantity comes from a PRN ceiling rather than a fixed schedule
+ * @param {Object} quantityResult - Quantity calculation result with prnCeiling
+ * @returns {Object} Warning object
+ */
+export function createPRNCeilingWarning(quantityResult) {
+  const { prnCeiling, unit, quantity } = quantityResult;
+  const source = prnCeiling.source === 'max_daily_dose' ? 'the maximum daily dose' : 'the shortest dosing interval';
+
+  return {
+    id: 'prn_ceiling',
+    type: 'prn_ceiling',
+    severity: 'warning',
+    message: `As-needed prescription: ${quantity} ${unit} assumes ${prnCeiling.perDay} ${unit} per day, based on ${source}. Verify the quantity with the prescriber's intent.`,
+    data: { perDay: prnCeiling.perDay, source: prnCeiling.source }
+  };
+}
+
+/**
+ * Create the notice shown when a liquid dose was converted to mL
+ * @param {Object} conversion - Conversion details from convertSIGToVolume
+ * @returns {Object} Warning object
+ */
+export function createUnitConversionWarning(conversion) {
+  return {
+    id: 'unit_conversion',
+    type: 'unit_conversion',
+    severity: 'info',
+    message: `Dose converted to volume: ${conversion.description}.`,
+    data: {
+      from: conversion.from,
+      to: conversion.to,
+      mgPerMl: conversion.mgPerMl
+    }
+  };
+}
+
+/**
+ * Create the notice shown when a weight- or BSA-based order was converted to a per-dose amount
+ * @param {Object} conversion - Conversion details from convertWeightBasedSIG
+ * @returns {Object} Warning object
+ */
+export function createWeightBasedDoseWarning(conversion) {
+  return {
+    id: 'weight_based_dose',
+    type: 'weight_based_dose',
+    severity: 'info',
+    message: `Dose calculated for the patient: ${conversion.description}.`,
+    data: {
+      from: conversion.from,
+      to: conversion.to,
+      weightKg: conversion.weightKg,
+      bsa: conversion.bsa,
+      dailyDose: conversion.dailyDose
+    }
+  };
+}
+
+/**
+ * Create the warning shown when a calculated daily dose exceeds the maximum for the ingredient
+ * @param {Object} exceeded - Exceeded limit from checkMaxDailyDose
+ * @returns {Object} Warning object
+ */
+export function createMaxDailyDoseWarning(exceeded) {
+  return {
+    id: `max_daily_dose_${exceeded.limit}`,
+    type: 'max_daily_dose_exceeded',
+    severity: 'warning',
+    message: `The calculated daily dose of ${exceeded.ingredient} (${exceeded.actual} ${exceeded.unit}) exceeds the maximum of ${exceeded.maximum} ${exceeded.unit}. Verify the order and patient weight with the prescriber.`,
+    data: { ...exceeded }
+  };
+}
+
+/**
+ * Create the notice shown when a mass dose was converted to tablets or capsules
+ * @param {Object} conversion - Conversion details from convertSIGToDosageUnits
+ * @returns {Object} Warning object
+ */
+export function createStrengthConversionWarning(conversion) {
+  return {
+    id: 'strength_conversion',
+    type: 'unit_conversion',
+    severity: 'info',
+    message: `Dose converted using the product strength: ${conversion.description}.`,
+    data: {
+      from: conversion.from,
+      to: conversion.to,
+      strength: conversion.strength,
+      ingredient: conversion.ingredient
+    }
+  };
+}
+
+/**
+ * Create the warning shown when the dose can only be given by splitting tablets
+ * @param {Object} conversion - Conversion details from convertSIGToDosageUnits
+ * @returns {Object} Warning object
+ */
+export function createTabletSplitWarning(conversion) {
+  const check = conversion.scored
+    ? 'The tablet is scored.'
+    : 'Confirm the tablet is scored before dispensing, or choose a strength that does not need splitting.';
+
+  return {
+    id: 'tablet_split',
+    type: 'tablet_split',
+    severity: conversion.scored ? 'info' : 'warning',
+    message: `A ${conversion.split.dose} ${conversion.split.unit} dose is ${conversion.split.count} of a ${conversion.strength} ${conversion.to.unit}, so tablets must be split. ${check}`,
+    data: { ...conversion.split, strength: conversion.strength, scored: conversion.scored }
+  };
+}
+
+/**
+ * Create the notice shown when a liquid volume was rounded up to a bottle size
+ * @param {number} calculatedVolume - Volume calculated from the SIG (mL)
+ * @param {number} dispensableVolume - Rounded dispensable volume (mL)
+ * @returns {Object} Warning object
+ */
+export function createVolumeRoundingWarning(calculatedVolume, dispensableVolume) {
+  return {
+    id: 'volume_rounding',
+    type: 'unit_conversion',
+    severity: 'info',
+    message: `Calculated volume of ${calculatedVolume} ml rounded up to a dispensable volume of ${dispensableVolume} ml.`,
+    data: { calculatedVolume, dispensableVolume }
+  };
+}
+
+/**
+ * Create the notice shown when the dispensed quantity covers a different days supply than requested
+ * (e.g., insulin pens that expire 28 days after opening)
+ * @param {Object} quantityResult - Quantity calculation result with daysSupply and requestedDaysSupply
+ * @returns {Object} Warning object
+ */
+export function createDaysSupplyAdjustedWarning(quantityResult) {
+  const { daysSupply, requestedDaysSupply, quantity, unit } = quantityResult;
+
+  return {
+    id: 'days_supply_adjusted',
+    type: 'days_supply_adjusted',
+    severity: 'info',
+    message: `Days supply adjusted from ${requestedDaysSupply} to ${daysSupply} days: ${quantity} ${unit}${quantity === 1 ? '' : 's'} cannot be split and cover ${daysSupply} days of use.`,
+    data: { requestedDaysSupply, daysSupply }
+  };
+}
+
+/**
+ * Create the notice shown when puffs or sprays were converted into whole devices
+ * @param {Object} quantityResult - Inhaler calculation result with actuations details
+ * @returns {Object} Warning object
+ */
+export function createActuationConversionWarning(quantityResult) {
+  const { actuations, quantity, unit } = quantityResult;
+
+  return {
+    id: 'actuation_conversion',
+    type: 'unit_conversion',
+    severity: 'info',
+    message: `${actuations.totalActuations} ${actuations.unit} converted to ${quantity} ${unit}${quantity === 1 ? '' : 's'} of ${actuations.actuationsPerDevice} actuations (${actuations.primingActuations} used for priming).`,
+    data: {
+      totalActuations: actuations.totalActuations,
+      actuationsPerDevice: actuations.actuationsPerDevice,
+      primingActuations: actuations.primingActuations
+    }
+  };
+}
+
+/**
+ * Create the warning shown when a puff or spray quantity cannot be converted into devices
+ * @param {Object} quantityResult - Quantity calculation result in actuations
+ * @returns {Object} Warning object
+ */
+export function createUnknownActuationsWarning(quantityResult) {
+  return {
+    id: 'actuations_unknown',
+    type: 'unit_conversion',
+    severity: 'warning',
+    message: `No actuation count was found for this product, so the quantity is shown as ${quantityResult.quantity} ${quantityResult.unit}. Check the labeled actuations per device before dispensing.`,
+    data: { quantity: quantityResult.quantity, unit: quantityResult.unit }
+  };
+}
+
+/**
+ * Create the lower-confidence warning shown when a topical quantity was estimated from the application site
+ * @param {Object} quantityResult - Topical calculation result with topical details
+ * @returns {Object} Warning object
+ */
+export function createTopicalEstimateWarning(quantityResult) {
+  const { topical, quantity } = quantityResult;
+  const siteNote = topical.siteEstimated
+    ? `No application site was given, so ${topical.fingertipUnits} fingertip unit was assumed for the affected area.`
+    : `Based on ${topical.fingertipUnits} fingertip units for ${topical.site}.`;
+
+  return {
+    id: 'topical_estimate',
+    type: 'topical_estimate',
+    severity: 'warning',
+    message: `Topical quantity of ${quantity} g is an estimate (${topical.gramsPerApplication} g per application). ${siteNote} Confirm the treatment area before dispensing.`,
+    data: {
+      site: topical.site,
+      fingertipUnits: topical.fingertipUnits,
+      gramsPerApplication: topical.gramsPerApplication,
+      siteEstimated: topical.siteEstimated
+    }
+  };
+}
+
+/**
+ * Create the notice shown when a drop volume was rounded up to an available bottle size
+ * @param {number} calculatedVolume - Volume calculated from the SIG (mL)
+ * @param {Object} selection - Bottle selection with bottleSize, bottles and totalMl
+ * @returns {Object} Warning object
+ */
+export function createBottleSelectionWarning(calculatedVolume, selection) {
+  return {
+    id: 'bottle_selection',
+    type: 'unit_conversion',
+    severity: 'info',
+    message: `Calculated volume of ${calculatedVolume} ml rounded up to ${selection.bottles} × ${selection.bottleSize} ml bottle${selection.bottles === 1 ? '' : 's'} (${selection.totalMl} ml).`,
+    data: { calculatedVolume, ...selection }
+  };
+}
+
+/**
+ * Create the warning shown when the SIG route does not match the selected NDC's labeled route
+ * (e.g., an oral SIG matched to an injectable product)
+ * @param {string} sigRoute - Route from the SIG
+ * @param {Object} ndc - Selected NDC record with routes
+ * @returns {Object} Warning object
+ */
+export function createRouteMismatchWarning(sigRoute, ndc) {
+  return {
+    id: `route_mismatch_${ndc.ndc}`,
+    type: 'route_mismatch',
+    severity: 'warning',
+    message: `Directions are ${sigRoute}, but NDC ${ndc.ndc} is labeled for ${ndc.routes.join(', ')} use. Confirm the product matches the prescribed route.`,
+    data: { sigRoute, ndc: ndc.ndc, ndcRoutes: ndc.routes }
+  };
+}
+
+/**
+ * Create the warning shown when the SIG uses an ISMP error-prone abbreviation or dose designation
+ * @param {Object} abbreviation - Entry from findErrorProneAbbreviations
+ * @returns {Object} Warning object
+ */
+export function createErrorProneAbbreviationWarning(abbreviation) {
+  return {
+    id: `error_prone_abbreviation_${abbreviation.id}`,
+    type: 'error_prone_abbreviation',
+    severity: 'warning',
+    message: `"${abbreviation.text}" is an ISMP error-prone abbreviation (${abbreviation.reason}). Clarify with the prescriber; write "${abbreviation.suggestion}" instead.`,
+    data: { ...abbreviation }
+  };
+}
+
+/**
+ * Create the notice shown when the days supply was taken from the duration written in the SIG
+ * @param {number} sigDays - Course length stated in the SIG, in days
+ * @param {string} [sigText] - SIG text the duration was read from
+ * @returns {Object} Warning object
+ */
+export function createDaysSupplyFromSIGWarning(sigDays, sigText) {
+  return {
+    id: 'days_supply_from_sig',
+    type: 'days_supply_adjusted',
+    severity: 'info',
+    message: `No days supply was entered; using the ${sigDays}-day course stated in the SIG.`,
+    data: { daysSupply: sigDays, sig: sigText || null }
+  };
+}
+
+/**
+ * Create the warning shown when the entered days supply disagrees with the duration written in the SIG
+ * @param {number} daysSupply - Days supply entered with the prescription
+ * @param {number} sigDays - Course length stated in the SIG, in days
+ * @returns {Object} Warning object
+ */
+export function createDaysSupplyConflictWarning(daysSupply, sigDays) {
+  const comparison = daysSupply > sigDays ? 'longer' : 'shorter';
+
+  return {
+    id: 'days_supply_conflict',
+    type: 'days_supply_conflict',
+    severity: 'warning',
+    message: `The entered days supply (${daysSupply} days) is ${comparison} than the ${sigDays}-day course stated in the SIG. The quantity was calculated for ${daysSupply} days; confirm the intended duration.`,
+    data: { daysSupply, sigDurationDays: sigDays }
+  };
+}
+
+/**
+ * Create the warning shown when the parsed SIG is not trusted enough to dispense without pharmacist review
+ * @param {Object} parsedSIG - Parsed SIG with confidence and confidenceFactors
+ * @param {number} threshold - Confidence below which review is required
+ * @returns {Object} Warning object
+ */
+export function createPharmacistReviewWarning(parsedSIG, threshold) {
+  return {
+    id: 'pharmacist_review_required',
+    type: 'pharmacist_review_required',
+    severity: 'warning',
+    message: `The directions were read with low confidence (${Math.round(parsedSIG.confidence * 100)}%, below the ${Math.round(threshold * 100)}% review threshold). A pharmacist must verify the dose, frequency and unit before dispensing.`,
+    data: { confidence: parsedSIG.confidence, threshold, factors: parsedSIG.confidenceFactors || null }
+  };
+}
+
+/**
+ * Create the notice shown when a rounding policy changed the calculated quantity
+ * @param {Object} quantityData - Quantity data with roundingPolicy
+ * @returns {Object} Warning object
+ */
+export function createRoundingPolicyWarning(quantityData) {
+  const { roundingPolicy, unit } = quantityData;
+  const direction = roundingPolicy.quantity > roundingPolicy.calculatedQuantity ? 'up' : 'down';
+
+  return {
+    id: 'quantity_rounded',
+    type: 'quantity_rounded',
+    severity: 'info',
+    message: `Quantity rounded ${direction} from ${roundingPolicy.calculatedQuantity} to ${roundingPolicy.quantity} ${unit} by the ${roundingPolicy.name} policy (${roundingPolicy.description.toLowerCase()}).`,
+    data: { ...roundingPolicy }
+  };
+}
+
+/**
+ * Create the warning shown when no package combination fits within tolerance and fallback fills are proposed
+ * @param {number} quantity - Calculated quantity
+ * @param {Array<Object>} fillPlans - Plans from planShortSupplyFills
+ * @returns {Object} Warning object
+ */
+export function createFillPlanWarning(quantity, fillPlans) {
+  return {
+    id: 'short_supply',
+    type: 'short_supply',
+    severity: 'warning',
+    message: `No package combination fits ${quantity} within the matching tolerance. Choose a partial fill or an adjusted days supply below.`,
+    data: { quantity, planTypes: fillPlans.map(plan => plan.type) }
+  };
+}
+
+/**
+ * Create the warning shown when the controlled-substance tolerance profile replaced the requested profile
+ * @param {Object} profile - Selected profile with name and requestedProfile
+ * @returns {Object} Warning object
+ */
+export function createToleranceProfileOverrideWarning(profile) {
+  return {
+    id: 'tolerance_profile_overridden',
+    type: 'tolerance_profile_overridden',
+    severity: 'warning',
+    message: `The ${profile.requestedProfile} tolerance profile was requested, but this drug is a controlled substance, so packages were matched with the ${profile.name} profile (at most ${profile.maxOverfill}% overfill).`,
+    data: { requestedProfile: profile.requestedProfile, profile: profile.name, source: profile.source }
+  };
+}
@@ -0,0 +1,36 @@
+/**
+ * Days supply resolution step
+ *
+ * Reconciles the entered days supply with the course duration written in the
+ * SIG ("x 10 days", "for 2 weeks"). The SIG duration fills in a missing days
+ * supply, and a disagreement between the two is flagged for review.
+ *
+ * @module lib/services/days-supply
+ */
+
+import { createDaysSupplyFromSIGWarning, createDaysSupplyConflictWarning } from './calculation-warnings.js';
+
+/**
+ * Step 2b: Resolve the days supply to calculate with
+ * The entered days supply always wins; the SIG duration is only used when none was entered.
+ * @param {Object|null} parsedSIG - Parsed SIG object (null when quantity was entered directly)
+ * @param {number} [daysSupply] - Days supply entered with the prescription
+ * @returns {Object} Result with data ({ daysSupply, source }) and warnings
+ */
+export function resolveDaysSupplyStep(parsedSIG, daysSupply) {
+  const sigDays = parsedSIG?.durationDays || null;
+
+  if (!daysSupply) {
+    return {
+      success: true,
+      data: { daysSupply: sigDays, source: sigDays ? 'sig' : null },
+      warnings: sigDays ? [createDaysSupplyFromSIGWarning(sigDays, parsedSIG.originalText)] : []
+    };
+  }
+
+  return {
+    success: true,
+    data: { daysSupply, source: 'entered' },
+    warnings: sigDays && sigDays !== daysSupply ? [createDaysSupplyConflictWarning(daysSupply, sigDays)] : []
+  };
+}
@@ -0,0 +1,124 @@
+/**
+ * Device conversion step
+ *
+ * Fits quantities to the devices and containers in the NDC list once the NDCs
+ * are known: puffs or sprays become whole inhalers or spray bottles (using
+ * the labeled actuations per device), and eye/ear drop volumes are rounded up
+ * to the available bottle sizes. Runs between NDC fetching and matching.
+ *
+ * @module lib/services/device-conversion
+ */
+
+import { isActuationUnit, selectActuationsPerDevice, calculateInhalerQuantity } from '../calculations/inhaler.js';
+import { selectBottleSize } from '../calculations/ophthalmic.js';
+import { logEvent } from '../utils/logger.js';
+import {
+  createActuationConversionWarning,
+  createUnknownActuationsWarning,
+  createBottleSelectionWarning
+} from './calculation-warnings.js';
+
+/**
+ * Step 4b: Fit a calculated quantity to the devices available for the product
+ * @param {Object} parsedSIG - Parsed SIG object
+ * @param {Object|null} quantityData - Quantity calculation result from Step 3
+ * @param {Object} ndcData - NDC data with active/inactive arrays
+ * @param {Object} [options] - Calculation options
+ * @param {string} [options.rangeSelection] - 'min' or 'max' end of a ranged SIG
+ * @param {string} [userId] - User ID for logging
+ * @returns {Object} Result with the (possibly converted) quantity data, the NDC data
+ *   narrowed to interchangeable devices, and warnings
+ */
+export function convertDeviceQuantityStep(parsedSIG, quantityData, ndcData, options = {}, userId = null) {
+  if (quantityData && isActuationUnit(quantityData.unit)) {
+    return convertActuations(parsedSIG, quantityData, ndcData, options, userId);
+  }
+
+  if (quantityData?.drops) {
+    return fitDropsToBottles(quantityData, ndcData);
+  }
+
+  return { success: true, data: quantityData, ndcs: ndcData, warnings: [] };
+}
+
+/**
+ * Convert an actuation quantity into whole inhalers or spray bottles
+ * @param {Object} parsedSIG - Parsed SIG object
+ * @param {Object} quantityData - Quantity calculation result in actuations
+ * @param {Object} ndcData - NDC data with active/inactive arrays
+ * @param {Object} options - Calculation options
+ * @param {string} [userId] - User ID for logging
+ * @returns {Object} Step result
+ */
+function convertActuations(parsedSIG, quantityData, ndcData, options, userId) {
+  const actuationsPerDevice = selectActuationsPerDevice(ndcData.active);
+  if (!actuationsPerDevice) {
+    return {
+      success: true,
+      data: quantityData,
+      ndcs: ndcData,
+      warnings: [createUnknownActuationsWarning(quantityData)]
+    };
+  }
+
+  const deviceResult = calculateInhalerQuantity(
+    parsedSIG,
+    quantityData.daysSupply,
+    { actuationsPerDevice },
+    { rangeSelection: options.rangeSelection }
+  );
+
+  if (!deviceResult.success) {
+    logEvent('ACTUATION_CONVERSION_FAILED', {
+      actuationsPerDevice,
+      error: deviceResult.error
+    }, null, userId);
+
+    return { success: false, error: deviceResult.error, warnings: [] };
+  }
+
+  // Only devices with the actuation count the quantity was calculated from are interchangeable
+  const matchesDevice = ndc => !ndc.actuationsPerDevice || ndc.actuationsPerDevice === actuationsPerDevice;
+
+  return {
+    success: true,
+    data: deviceResult,
+    ndcs: {
+      active: ndcData.active.filter(matchesDevice),
+      inactive: ndcData.inactive.filter(matchesDevice)
+    },
+    warnings: [createActuationConversionWarning(deviceResult)]
+  };
+}
+
+/**
+ * Round a drop volume up to the bottle sizes in the NDC list
+ * Volumes are left unchanged when no NDC states its content in mL.
+ * @param {Object} quantityData - Drop calculation result in mL
+ * @param {Object} ndcData - NDC data with active/inactive arrays
+ * @returns {Object} Step result
+ */
+function fitDropsToBottles(quantityData, ndcData) {
+  const bottleSizes = ndcData.active
+    .filter(ndc => ndc.packageUnit === 'ml')
+    .map(ndc => ndc.packageSize);
+  const selection = selectBottleSize(quantityData.quantity, bottleSizes);
+
+  if (!selection || selection.totalMl === quantityData.quantity) {
+    return { success: true, data: quantityData, ndcs: ndcData, warnings: [] };
+  }
+
+  const bottleLabel = selection.bottles === 1 ? 'bottle' : 'bottles';
+
+  return {
+    success: true,
+    data: {
+      ...quantityData,
+      quantity: selection.totalMl,
+      bottleSelection: selection,
+      calculation: `${quantityData.calculation}; Rounded to ${selection.bottles} × ${selection.bottleSize} ml ${bottleLabel} = ${selection.totalMl} ml`
+    },
+    ndcs: ndcData,
+    warnings: [createBottleSelectionWarning(quantityData.quantity, selection)]
+  };
+}
@@ -0,0 +1,65 @@
+/**
+ * NDC pricing source setup
+ *
+ * Loads the configured pricing source on the server. NDC_PRICE_FILE_PATH
+ * points at a locally imported CSV of package prices (see
+ * lib/calculations/ndc-pricing), and NDC_PRICE_BASIS picks the acquisition
+ * cost or AWP column. Without a price file, NDCs stay unpriced.
+ *
+ * @module lib/services/pricing-setup
+ */
+
+import { readFileSync } from 'fs';
+import path from 'path';
+import { parsePriceCSV, createCSVPricingSource, PRICE_BASES } from '../calculations/ndc-pricing.js';
+import { logEvent } from '../utils/logger.js';
+
+let pricingSource;
+
+/**
+ * Load a CSV price file
+ * @param {string} filePath - Path to the CSV (absolute, or relative to the project root)
+ * @returns {Object} Result with success and data (price rows keyed by normalized NDC) and
+ *   errors for skipped rows, or an error
+ */
+export function loadPriceFile(filePath) {
+  try {
+    const resolvedPath = path.isAbsolute(filePath) ? filePath : path.join(process.cwd(), filePath);
+    return parsePriceCSV(readFileSync(resolvedPath, 'utf8'));
+  } catch (error) {
+    return { success: false, error: `Could not load price file ${filePath}: ${error.message}` };
+  }
+}
+
+/**
+ * Get the configured pricing source, loading it once per process
+ * Problems with the price file are logged and leave NDCs unpriced.
+ * @returns {Object|null} Pricing source, or null when no price file is configured or it cannot be read
+ */
+export function getConfiguredPricingSource() {
+  if (pricingSource !== undefined) {
+    return pricingSource;
+  }
+  pricingSource = null;
+
+  const filePath = process.env.NDC_PRICE_FILE_PATH;
+  if (!filePath) {
+    return pricingSource;
+  }
+
+  const priceResult = loadPriceFile(filePath);
+  if (!priceResult.success) {
+    logEvent('NDC_PRICE_FILE_UNAVAILABLE', { error: priceResult.error });
+    return pricingSource;
+  }
+  if (priceResult.errors.length > 0) {
+    logEvent('NDC_PRICE_FILE_ROWS_SKIPPED', { skipped: priceResult.errors.length, errors: priceResult.errors.slice(0, 10) });
+  }
+
+  const basis = Object.values(PRICE_BASES).includes(process.env.NDC_PRICE_BASIS)
+    ? process.env.NDC_PRICE_BASIS
+    : PRICE_BASES.ACQUISITION;
+  pricingSource = createCSVPricingSource(priceResult.data, { basis });
+
+  return pricingSource;
+}
@@ -0,0 +1,46 @@
+/**
+ * Quantity rounding step
+ *
+ * Applies the dispensing rounding policy for the dosage form and plan profile
+ * once the NDCs are known, so whole-package rounding can use the package
+ * sizes on file. Runs after device conversion and before NDC matching.
+ *
+ * @module lib/services/quantity-rounding
+ */
+
+import { resolveRoundingPolicy, applyRoundingPolicy } from '../calculations/rounding-policy.js';
+import { createRoundingPolicyWarning } from './calculation-warnings.js';
+
+/**
+ * Step 4c: Round the quantity with the policy for the dosage form and plan profile
+ * @param {Object} quantityData - Quantity data after device conversion
+ * @param {Object} ndcData - NDC data with active/inactive arrays
+ * @param {Object} [context] - Calculation context
+ * @param {string} [context.dosageForm] - Dosage form from normalization
+ * @param {string} [context.drugName] - Drug name, checked for controlled substances
+ * @param {string} [context.planProfile] - Plan profile name
+ * @param {string} [context.roundingPolicy] - Policy name chosen for this calculation
+ * @returns {Object} Result with the rounded quantity data and warnings, or success false with an error
+ */
+export function applyRoundingPolicyStep(quantityData, ndcData, context = {}) {
+  const policyResult = resolveRoundingPolicy({
+    dosageForm: context.dosageForm,
+    unit: quantityData.unit,
+    drugName: context.drugName,
+    planProfile: context.planProfile,
+    policy: context.roundingPolicy
+  });
+
+  if (!policyResult.success) {
+    return { success: false, error: policyResult.error, warnings: [] };
+  }
+
+  const rounded = applyRoundingPolicy(quantityData, policyResult.data, ndcData?.active);
+  const { calculatedQuantity, quantity } = rounded.roundingPolicy;
+
+  return {
+    success: true,
+    data: rounded,
+    warnings: quantity !== calculatedQuantity ? [createRoundingPolicyWarning(rounded)] : []
+  };
+}
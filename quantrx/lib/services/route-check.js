@@ -0,0 +1,31 @@
+/**
+ * Route check step
+ *
+ * Cross-checks the route written in the SIG against the labeled routes of the
+ * recommended NDCs, so an oral SIG matched to an injectable product (or an
+ * eye drop SIG matched to an ear drop) is flagged before dispensing.
+ *
+ * @module lib/services/route-check
+ */
+
+import { isRouteCompatible } from '../calculations/sig-details.js';
+import { createRouteMismatchWarning } from './calculation-warnings.js';
+
+/**
+ * Step 5b: Check the recommended NDCs against the SIG route
+ * NDCs without labeled routes, and SIGs without a route, are not checked.
+ * @param {Object|null} parsedSIG - Parsed SIG object (null when quantity was entered directly)
+ * @param {Array<Object>} [recommendations] - Recommendations from NDC matching
+ * @returns {Object} Result with route_mismatch warnings
+ */
+export function checkNDCRouteStep(parsedSIG, recommendations = []) {
+  const sigRoute = parsedSIG?.route;
+  const recommendedNDCs = recommendations?.[0]?.ndcs || [];
+
+  const mismatched = recommendedNDCs.filter(ndc => isRouteCompatible(sigRoute, ndc.routes) === false);
+
+  return {
+    success: true,
+    warnings: mismatched.map(ndc => createRouteMismatchWarning(sigRoute, ndc))
+  };
+}
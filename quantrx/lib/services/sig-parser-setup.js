@@ -0,0 +1,70 @@
+/**
+ * SIG parser backend setup
+ *
+ * Registers the configured SIG parser backends on the server: the rule-pack
+ * backend (from lib/rule-packs/sig-rules.json, or SIG_RULE_PACK_PATH) and, in
+ * mock mode, the offline mock parser. SIG_PARSER_PROVIDER selects the active
+ * backend; the built-in regex parser is used otherwise.
+ *
+ * @module lib/services/sig-parser-setup
+ */
+
+import { readFileSync } from 'fs';
+import path from 'path';
+import { registerSIGParser, selectSIGParser } from '../calculations/sig-parsing.js';
+import { createRulePackParser } from '../calculations/sig-rule-pack.js';
+import { createMockSIGParser } from '../mocks/sig-parser-fixtures.js';
+import { logEvent } from '../utils/logger.js';
+
+/**
+ * Default rule pack location, relative to the project root
+ */
+const DEFAULT_RULE_PACK_PATH = 'lib/rule-packs/sig-rules.json';
+
+let parsersRegistered = false;
+
+/**
+ * Load a rule pack file
+ * @param {string} [filePath] - Path to the rule pack JSON (absolute, or relative to the project root)
+ * @returns {Object} Result with success and data (the parsed pack), or an error
+ */
+export function loadRulePack(filePath = process.env.SIG_RULE_PACK_PATH || DEFAULT_RULE_PACK_PATH) {
+  try {
+    const resolvedPath = path.isAbsolute(filePath) ? filePath : path.join(process.cwd(), filePath);
+    return { success: true, data: JSON.parse(readFileSync(resolvedPath, 'utf8')) };
+  } catch (error) {
+    return { success: false, error: `Could not load rule pack ${filePath}: ${error.message}` };
+  }
+}
+
+/**
+ * Register the configured SIG parser backends once per process
+ * Problems with the rule pack are logged and leave the regex parser in place.
+ * @returns {void}
+ */
+export function registerConfiguredSIGParsers() {
+  if (parsersRegistered) {
+    return;
+  }
+  parsersRegistered = true;
+
+  const packResult = loadRulePack();
+  const parserResult = packResult.success ? createRulePackParser(packResult.data) : packResult;
+  if (parserResult.success) {
+    registerSIGParser(parserResult.data);
+  } else {
+    logEvent('SIG_RULE_PACK_UNAVAILABLE', { error: parserResult.error });
+  }
+
+  if (process.env.USE_MOCK_APIS === 'true') {
+    registerSIGParser(createMockSIGParser());
+  }
+
+  const provider = process.env.SIG_PARSER_PROVIDER;
+  if (provider) {
+    const selection = selectSIGParser(provider);
+    if (!selection.success) {
+      logEvent('SIG_PARSER_SELECTION_FAILED', { provider, error: selection.error });
+    }
+  }
+}
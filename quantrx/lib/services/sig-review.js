@@ -0,0 +1,51 @@
+/**
+ * SIG review step
+ *
+ * Adjusts the parse confidence for agreement between the SIG unit and the
+ * drug's dosage form, and requires pharmacist review when the confidence is
+ * below the review threshold. A unit that fits the dosage form says nothing
+ * about whether the dose and frequency were read, so the agreement bonus
+ * cannot lift a parse past review; a mismatch can still send it to review.
+ *
+ * @module lib/services/sig-review
+ */
+
+import { applyDosageFormAgreement } from '../calculations/sig-confidence.js';
+import { DEFAULT_REVIEW_CONFIDENCE_THRESHOLD } from '../constants/confidence.js';
+import { createPharmacistReviewWarning } from './calculation-warnings.js';
+
+/**
+ * Resolve the confidence below which a parsed SIG must be reviewed
+ * @param {number} [threshold] - Threshold passed with the calculation
+ * @returns {number} The given threshold, else SIG_REVIEW_CONFIDENCE_THRESHOLD, else the default
+ */
+export function getReviewThreshold(threshold) {
+  if (typeof threshold === 'number' && threshold >= 0 && threshold <= 1) {
+    return threshold;
+  }
+
+  const configured = Number.parseFloat(process.env.SIG_REVIEW_CONFIDENCE_THRESHOLD);
+  return configured >= 0 && configured <= 1 ? configured : DEFAULT_REVIEW_CONFIDENCE_THRESHOLD;
+}
+
+/**
+ * Step 2a: Check whether the parsed SIG needs pharmacist review
+ * @param {Object} parsedSIG - Parsed SIG object with confidence
+ * @param {string|null} dosageForm - Dosage form of the normalized drug
+ * @param {number} [threshold] - Review threshold (see getReviewThreshold)
+ * @returns {Object} Result with data (the parsed SIG with adjusted confidence) and warnings
+ */
+export function reviewParsedSIGStep(parsedSIG, dosageForm, threshold) {
+  const adjusted = applyDosageFormAgreement(parsedSIG, dosageForm);
+  const reviewThreshold = getReviewThreshold(threshold);
+  const gateConfidence = Math.min(parsedSIG?.confidence, adjusted?.confidence);
+  const needsReview = typeof adjusted?.confidence === 'number' && gateConfidence < reviewThreshold;
+  // A parse sent to review keeps the confidence it was gated on, without the agreement bonus
+  const reviewed = needsReview ? { ...adjusted, confidence: gateConfidence } : adjusted;
+
+  return {
+    success: true,
+    data: reviewed,
+    warnings: needsReview ? [createPharmacistReviewWarning(reviewed, reviewThreshold)] : []
+  };
+}
@@ -0,0 +1,111 @@
+/**
+ * Tolerance profile step
+ *
+ * Loads the NDC matching tolerance profiles from the tolerance_profiles table
+ * (falling back to the built-in profiles when the table cannot be read) and
+ * picks the profile for a calculation from the request, the drug and the
+ * user's role.
+ *
+ * @module lib/services/tolerance-profiles
+ */
+
+import { buildToleranceProfiles, selectToleranceProfile } from '../calculations/tolerance-profiles.js';
+import { logEvent } from '../utils/logger.js';
+import { createToleranceProfileOverrideWarning } from './calculation-warnings.js';
+
+/**
+ * How long loaded profiles are reused before the table is read again
+ */
+const PROFILE_CACHE_TTL_MS = 5 * 60 * 1000;
+
+let cachedProfiles = null;
+let cachedAt = 0;
+
+/**
+ * Check if mock mode is enabled (profiles and roles are not read from the database)
+ * @returns {boolean} True if using mock APIs
+ */
+function isMockMode() {
+  return process.env.USE_MOCK_APIS === 'true';
+}
+
+/**
+ * Load tolerance profiles, merged over the built-in profiles
+ * @returns {Promise<Object>} Profiles keyed by name
+ */
+export async function loadToleranceProfiles() {
+  if (cachedProfiles && Date.now() - cachedAt < PROFILE_CACHE_TTL_MS) {
+    return cachedProfiles;
+  }
+
+  let rows = [];
+  if (!isMockMode()) {
+    try {
+      const { supabaseAdmin } = await import('../api/supabase.js');
+      const { data, error } = await supabaseAdmin
+        .from('tolerance_profiles')
+        .select('name, description, max_overfill_percentage, max_underfill_percentage, preferred_overfill_percentage, roles');
+
+      if (error) {
+        logEvent('TOLERANCE_PROFILES_UNAVAILABLE', { error: error.message });
+      } else {
+        rows = data || [];
+      }
+    } catch (error) {
+      logEvent('TOLERANCE_PROFILES_UNAVAILABLE', { error: error.message });
+    }
+  }
+
+  cachedProfiles = buildToleranceProfiles(rows);
+  cachedAt = Date.now();
+  return cachedProfiles;
+}
+
+/**
+ * Look up a user's role
+ * @param {string} userId - Auth0 user ID
+ * @returns {Promise<string|null>} Role, or null when unknown
+ */
+async function getUserRole(userId) {
+  if (!userId || isMockMode()) {
+    return null;
+  }
+
+  try {
+    const { supabaseAdmin } = await import('../api/supabase.js');
+    const { data } = await supabaseAdmin
+      .from('users')
+      .select('role')
+      .eq('auth0_id', userId)
+      .maybeSingle();
+
+    return data?.role || null;
+  } catch (error) {
+    logEvent('USER_ROLE_LOOKUP_FAILED', { error: error.message }, null, userId);
+    return null;
+  }
+}
+
+/**
+ * Step 1a: Choose the tolerance profile for NDC matching
+ * @param {Object} context - Calculation context
+ * @param {string} [context.profileName] - Profile requested for this calculation
+ * @param {string} [context.drugName] - Drug name, checked for controlled substances
+ * @param {string} [context.role] - User role (looked up from userId when omitted)
+ * @param {string} [context.userId] - Auth0 user ID
+ * @returns {Promise<Object>} Result with success, data (the profile) and warnings (set when the
+ *   controlled-substance profile replaced the requested one), or an error
+ */
+export async function resolveToleranceProfileStep({ profileName, drugName, role, userId } = {}) {
+  const profiles = await loadToleranceProfiles();
+  const userRole = role || await getUserRole(userId);
+  const result = selectToleranceProfile(profiles, { profileName, role: userRole, drugName });
+
+  if (!result.success) {
+    return result;
+  }
+
+  const overridden = result.data.requestedProfile && result.data.requestedProfile !== result.data.name;
+
+  return { ...result, warnings: overridden ? [createToleranceProfileOverrideWarning(result.data)] : [] };
+}
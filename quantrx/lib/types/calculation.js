@@ -11,11 +11,82 @@
 /**
  * @typedef {Object} ParsedSIG
  * @property {number} dose - Number of units per dose (e.g., 1 tablet)
- * @property {number} frequency - Number of times per day (e.g., 2 for "twice daily")
+ * @property {number|null} frequency - Number of times per day (e.g., 2 for "twice daily"); null for unscheduled PRN SIGs
  * @property {string} unit - Unit of measurement (e.g., "tablet", "ml", "mg")
  * @property {string} [originalText] - Original SIG text for debugging/reference
  * @property {boolean} [parseSuccess] - Whether parsing was successful
  * @property {string} [parseError] - Error message if parsing failed
+ * @property {Array<DosingPhase>} [phases] - Ordered dosing phases for multi-step SIGs (e.g., tapers)
+ * @property {Range} [doseRange] - Dose range for SIGs like "1-2 tablets" (dose holds the max)
+ * @property {Range} [frequencyRange] - Times-per-day range for SIGs like "every 4-6 hours" (frequency holds the max)
+ * @property {boolean} [asNeeded] - Whether the SIG is written as needed (PRN)
+ * @property {Object|null} [maxDailyDose] - Stated cap, e.g. "max 6 tablets per day"
+ * @property {number} maxDailyDose.amount - Cap amount per day
+ * @property {string|null} maxDailyDose.unit - Cap unit ("dose" when doses are counted, null when not written)
+ * @property {number|null} [durationDays] - Course duration stated in the SIG (e.g., "x 10 days", "for 2 weeks"); used when no days supply is entered
+ * @property {string} [strategy] - Parsing strategy that produced the result ("structured", "abbreviated", "simple", "complex", "prn", "multi_step", "topical")
+ * @property {boolean} [untilGone] - True when the SIG runs until the supply is used up ("until gone")
+ * @property {Regimen} [regimen] - Repeating schedule for weekly, interval and cyclical SIGs (frequency holds the average per day)
+ * @property {Object} [topical] - Site-based estimate for creams and ointments (dose is grams per application)
+ * @property {string} topical.site - Application site (e.g., "both hands", "affected area")
+ * @property {number} topical.fingertipUnits - Fingertip units per application
+ * @property {number} topical.gramsPerApplication - Grams per application
+ * @property {boolean} topical.siteEstimated - True when no site was stated and the affected-area default was used
+ * @property {number} [confidence] - Parser confidence from 0 to 1
+ * @property {Object|null} [confidenceFactors] - What the built-in confidence score was based on
+ * @property {string|null} confidenceFactors.strategy - Strategy whose calibrated accuracy the score starts from
+ * @property {number} confidenceFactors.strategyConfidence - Starting confidence for that strategy
+ * @property {number|null} confidenceFactors.coverage - Share of the SIG text the parser recognized (0-1)
+ * @property {boolean} confidenceFactors.ambiguous - True when the strategies read the SIG differently
+ * @property {boolean} confidenceFactors.translated - True when the SIG was translated before parsing
+ * @property {boolean|null} [confidenceFactors.dosageFormAgreement] - Whether the SIG unit fits the drug's dosage form (null when unknown)
+ * @property {string} [provider] - SIG parser backend that produced the result (e.g., "regex", "rule-pack")
+ * @property {string} [fallbackFrom] - Backend that failed before the regex parser was used
+ * @property {Object} [rulePack] - Rule that matched when parsed by the rule-pack backend
+ * @property {string} rulePack.name - Rule pack name
+ * @property {string} rulePack.version - Rule pack version
+ * @property {string} rulePack.ruleId - ID of the matching rule
+ * @property {Array<SIGSpan>} [annotation] - Labelled spans covering the SIG text, in order
+ * @property {string|null} [route] - Route of administration (e.g., "oral", "ophthalmic"), stated or implied by the site
+ * @property {string|null} [site] - Application site (e.g., "left eye", "affected area")
+ * @property {string|null} [timing] - Dose timing (e.g., "at bedtime", "before meals")
+ * @property {string|null} [indication] - Reason for use (e.g., "pain")
+ * @property {string} [language] - Language the SIG is written in ("en" or "es"); Spanish SIGs are parsed from their English translation
+ * @property {string} [expandedText] - SIG in plain English, translated and with abbreviations written out ("1 tab po qhs" → "1 tablet by mouth at bedtime")
+ * @property {Array<Object>} [errorProneAbbreviations] - ISMP error-prone abbreviations found ({ id, text, reason, suggestion })
+ */
+
+/**
+ * @typedef {Object} SIGSpan
+ * @property {string} type - 'dose', 'unit', 'route', 'frequency', 'duration', 'indication', 'timing',
+ *   'max_dose', 'unrecognized' (not read by the parse) or 'text'
+ * @property {string} text - Span text
+ * @property {number} start - Start offset in the SIG text
+ * @property {number} end - End offset in the SIG text (exclusive)
+ * @property {number|string|null} value - Interpreted value (dose amount, normalized unit, times per day, days)
+ */
+
+/**
+ * @typedef {Object} Regimen
+ * @property {number} cycleDays - Length of the repeating cycle in days (7 for weekly, 28 for "every 28 days")
+ * @property {Array<number>} dosingDays - Days with doses, as 0-based offsets from the first dose in each cycle
+ * @property {number} dosesPerDosingDay - Doses given on each dosing day
+ * @property {string} description - Readable schedule (e.g., "days 1-21 of a 28-day cycle")
+ */
+
+/**
+ * @typedef {Object} DosingPhase
+ * @property {number} dose - Number of units per dose during this phase
+ * @property {number} frequency - Number of times per day during this phase
+ * @property {string} unit - Unit of measurement (same for every phase)
+ * @property {number|null} durationDays - Length of the phase in days (null for an open-ended final phase)
+ * @property {boolean} [oneTime] - True for a single dose taken on the phase's first day ("Take 2 tablets now")
+ */
+
+/**
+ * @typedef {Object} Range
+ * @property {number} min - Lower bound
+ * @property {number} max - Upper bound
  */
 
 /**
@@ -23,13 +94,18 @@
  * @property {string} ndc - National Drug Code (11 digits, format: 12345-678-90)
  * @property {string} manufacturer - Drug manufacturer name
  * @property {number} packageSize - Number of units in package (e.g., 30 tablets)
+ * @property {number|null} [actuationsPerDevice] - Labeled actuations per inhaler or spray bottle (e.g., 200)
+ * @property {Array<string>} [routes] - Labeled routes of administration (e.g., ["oral"], ["subcutaneous"])
+ * @property {string|null} [packageUnit] - Unit of packageSize when it is a net content ("g" for a 30 g tube, "ml" for a 100 ml bottle)
+ * @property {string} [packagingType] - Packaging from the FDA package description: "bulk", "unit_dose", "kit", "dose_pack" or "device"
  * @property {string} dosageForm - Dosage form (e.g., "tablet", "capsule", "injection")
  * @property {string} strength - Drug strength (e.g., "10 mg", "5 mg/ml")
  * @property {string} status - Status: "active" or "inactive"
  * @property {string} [marketingEndDate] - Date when NDC was discontinued (ISO format)
  * @property {string} [marketingStartDate] - Date when NDC was introduced (ISO format)
  * @property {string} [rxcui] - RxNorm Concept Unique Identifier
- * @property {number} [cost] - Estimated cost per package (future feature)
+ * @property {number|null} [cost] - Package price from the configured pricing source (null when unpriced)
+ * @property {string} [costSource] - Pricing source and basis of the cost (e.g., "csv:acquisition")
  */
 
 /**
@@ -38,6 +114,16 @@
  * @property {string} [ndc] - NDC to validate (either drugName or ndc required)
  * @property {string} sig - Prescription directions (required)
  * @property {number} [daysSupply] - Number of days supply (optional, affects quantity calculation)
+ * @property {string} [rangeSelection] - Which end of a ranged SIG to dispense: "min" or "max" (default "max")
+ * @property {string} [insulinDevice] - Insulin device to dispense: "pen" or "vial" (detected from the drug name when omitted)
+ * @property {number} [dropsPerMl] - Drops per mL for eye/ear drops (looked up by ingredient, default 20, when omitted)
+ * @property {number} [weightKg] - Patient weight in kg, required for mg/kg orders
+ * @property {number} [heightCm] - Patient height in cm, required with weight for mg/m² orders
+ * @property {boolean} [tabletScored] - Whether the tablet is scored; half-tablet doses are refused when false and flagged for confirmation when omitted
+ * @property {string} [planProfile] - Plan profile whose rounding policies apply: "standard" (default), "long_term_care" (also ranks unit-dose packages first), "mail_order" or "medicaid"
+ * @property {string} [roundingPolicy] - Rounding policy for this calculation, overriding the plan profile (see ROUNDING_POLICIES); controlled substances always use "no_overfill"
+ * @property {string} [toleranceProfile] - NDC matching tolerance profile name (defaults to the profile assigned to the user's role, else "standard"); controlled substances use "controlled_substance"
+ * @property {string} [scoringMode] - NDC ranking: "default" (least overfill, fewest packages) or "cost" (cheapest priced combination within tolerance)
  */
 
 /**
@@ -55,18 +141,31 @@
  * @property {string} normalization.dosageForm - Normalized dosage form
  * @property {string} normalization.strength - Drug strength
  * @property {Array<NDCRecord>} activeNDCs - List of active NDCs for this drug
+ * @property {Object|null} toleranceProfile - Matching tolerance profile used: name, description, maxOverfill,
+ *   maxUnderfill and preferredOverfill (percent), source ("controlled_substance", "request", "role" or "default"),
+ *   and requestedProfile (the profile named in the request, or null)
  * @property {Array<NDCRecord>} inactiveNDCs - List of inactive NDCs for warnings
  * @property {Object} calculation - Quantity calculation results
  * @property {ParsedSIG} calculation.parsedSIG - Parsed SIG information
  * @property {number} calculation.calculatedQuantity - Total quantity to dispense
  * @property {string} calculation.unit - Unit of measurement
+ * @property {Range|null} [calculation.quantityRange] - Min/max quantity for ranged SIGs
+ * @property {string|null} [calculation.rangeSelection] - End of the range used for calculatedQuantity
+ * @property {number|null} [calculation.daysSupply] - Days supply the quantity covers (may differ from the requested days supply)
+ * @property {Object|null} [calculation.roundingPolicy] - Rounding policy applied to the quantity: name, type, description,
+ *   source ("controlled_substance", "request", "plan_profile" or "dosage_form"), planProfile, calculatedQuantity (before
+ *   rounding), quantity (after rounding) and basis
  * @property {Object} recommendation - Primary NDC recommendation
  * @property {NDCRecord} recommendation.ndc - Recommended NDC details
  * @property {number} recommendation.packages - Number of packages needed
  * @property {number} recommendation.totalQuantity - Total quantity from packages
  * @property {number} recommendation.overfill - Overfill amount (0 if exact match)
  * @property {string} recommendation.breakdown - Quantity breakdown description
+ * @property {number|null} recommendation.cost - Total package cost (null unless every NDC is priced)
+ * @property {number|null} recommendation.savings - Cost saved against the default (least overfill) pick
  * @property {Array<Object>} alternatives - Alternative NDC options
+ * @property {Array<Object>} fillPlans - Fallback plans when no combination fits within tolerance: type ("partial_fill" or
+ *   "adjusted_days_supply"), ndcs, packages, totalQuantity, owedQuantity, daysSupply, originalDaysSupply and description
  * @property {Array<Warning>} warnings - List of warnings/issues
  * @property {string} status - Calculation status: "success", "partial", "error"
  */
@@ -74,7 +173,7 @@
 /**
  * @typedef {Object} Warning
  * @property {string} id - Unique warning identifier
- * @property {string} type - Warning type: "inactive_ndc", "sig_parse_error", "overfill", "underfill", "api_error"
+ * @property {string} type - Warning type: "inactive_ndc", "sig_parse_error", "overfill", "underfill", "api_error", "prn_ceiling", "unit_conversion", "days_supply_adjusted", "topical_estimate", "route_mismatch", "error_prone_abbreviation", "days_supply_conflict", "pharmacist_review_required", "tablet_split", "weight_based_dose", "max_daily_dose_exceeded", "quantity_rounded", "short_supply", "tolerance_profile_overridden"
  * @property {string} severity - Severity level: "info", "warning", "error"
  * @property {string} message - Human-readable warning message
  * @property {Object} [data] - Additional warning-specific data
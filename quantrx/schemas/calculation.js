@@ -9,6 +9,12 @@
  */
 
 import { z } from 'zod';
+import { hasSIGDuration } from '../lib/calculations/sig-parsing.js';
+import { PATIENT_WEIGHT_RANGE_KG, PATIENT_HEIGHT_RANGE_CM } from '../lib/constants/pediatric.js';
+import { ROUNDING_POLICIES, PLAN_PROFILES } from '../lib/constants/rounding.js';
+import { SCORING_MODES } from '../lib/calculations/ndc-matching.js';
+import { TOLERANCE_PROFILE_NAME_PATTERN } from '../lib/constants/tolerance.js';
+import { PACKAGING_TYPES } from '../lib/constants/packaging.js';
 
 /**
  * NDC format validation: Supports 10 or 11 digits in four official FDA formats:
@@ -65,12 +71,21 @@ const validateSIG = (value) => {
   return true;
 };
 
+/**
+ * Patient measurement validation - empty values are allowed, entered values must be in range
+ */
+const isMeasurementInRange = (value, { min, max }) => {
+  if (value === '' || value === null || value === undefined) return true;
+  const numValue = typeof value === 'string' ? parseFloat(value) : value;
+  return !isNaN(numValue) && numValue >= min && numValue <= max;
+};
+
 /**
  * Schema for calculation form inputs
  * Used by React Hook Form with Zod resolver
  * 
  * Supports two modes:
- * 1. Calculated quantity: Requires SIG and daysSupply
+ * 1. Calculated quantity: Requires SIG and daysSupply (daysSupply may be left out when the SIG states a duration)
  * 2. Direct quantity: Requires quantity field, SIG and daysSupply are optional
  */
 export const CalculationFormSchema = z.object({
@@ -122,6 +137,22 @@ export const CalculationFormSchema = z.object({
         return numValue > 0 && numValue <= 100000;
       },
       'Quantity must be between 1 and 100,000'
+    ),
+
+  weightKg: z
+    .union([z.number(), z.string()])
+    .optional()
+    .refine(
+      (value) => isMeasurementInRange(value, PATIENT_WEIGHT_RANGE_KG),
+      `Weight must be between ${PATIENT_WEIGHT_RANGE_KG.min} and ${PATIENT_WEIGHT_RANGE_KG.max} kg`
+    ),
+
+  heightCm: z
+    .union([z.number(), z.string()])
+    .optional()
+    .refine(
+      (value) => isMeasurementInRange(value, PATIENT_HEIGHT_RANGE_CM),
+      `Height must be between ${PATIENT_HEIGHT_RANGE_CM.min} and ${PATIENT_HEIGHT_RANGE_CM.max} cm`
     )
 }).refine(
   (data) => data.drugName || data.ndc,
@@ -141,7 +172,7 @@ export const CalculationFormSchema = z.object({
     
     // Either quantity is provided OR (SIG and daysSupply are provided)
     const hasQuantity = quantityValue > 0;
-    const hasSigAndDays = data.sig && data.sig.trim().length > 0 && daysSupplyValue > 0;
+    const hasSigAndDays = data.sig && data.sig.trim().length > 0 && (daysSupplyValue > 0 || hasSIGDuration(data.sig));
     return hasQuantity || hasSigAndDays;
   },
   {
@@ -204,7 +235,7 @@ export const CalculationFormSchema = z.object({
  * Schema for calculation API input (from frontend)
  * 
  * Supports two modes:
- * 1. Calculated quantity: Requires SIG and daysSupply
+ * 1. Calculated quantity: Requires SIG and daysSupply (daysSupply may be left out when the SIG states a duration)
  * 2. Direct quantity: Requires quantity field, SIG and daysSupply are optional
  */
 export const CalculationInputSchema = z.object({
@@ -212,7 +243,25 @@ export const CalculationInputSchema = z.object({
   ndc: z.string().optional(),
   sig: z.string().optional(),
   daysSupply: z.number().optional(),
-  quantity: z.number().optional()
+  quantity: z.number().optional(),
+  rangeSelection: z.enum(['min', 'max']).optional(),
+  insulinDevice: z.enum(['pen', 'vial']).optional(),
+  dropsPerMl: z.number().positive('Drops per mL must be positive').max(100, 'Drops per mL cannot exceed 100').optional(),
+  tabletScored: z.boolean().optional(),
+  weightKg: z.number()
+    .min(PATIENT_WEIGHT_RANGE_KG.min, `Weight must be at least ${PATIENT_WEIGHT_RANGE_KG.min} kg`)
+    .max(PATIENT_WEIGHT_RANGE_KG.max, `Weight cannot exceed ${PATIENT_WEIGHT_RANGE_KG.max} kg`)
+    .optional(),
+  heightCm: z.number()
+    .min(PATIENT_HEIGHT_RANGE_CM.min, `Height must be at least ${PATIENT_HEIGHT_RANGE_CM.min} cm`)
+    .max(PATIENT_HEIGHT_RANGE_CM.max, `Height cannot exceed ${PATIENT_HEIGHT_RANGE_CM.max} cm`)
+    .optional(),
+  planProfile: z.enum(Object.keys(PLAN_PROFILES)).optional(),
+  roundingPolicy: z.enum(Object.keys(ROUNDING_POLICIES)).optional(),
+  scoringMode: z.enum(Object.values(SCORING_MODES)).optional(),
+  toleranceProfile: z.string()
+    .regex(TOLERANCE_PROFILE_NAME_PATTERN, 'Tolerance profile must be lowercase letters, digits and underscores')
+    .optional()
 }).refine(
   (data) => data.drugName || data.ndc,
   {
@@ -223,7 +272,8 @@ export const CalculationInputSchema = z.object({
   (data) => {
     // Either quantity is provided OR (SIG and daysSupply are provided)
     const hasQuantity = data.quantity && data.quantity > 0;
-    const hasSigAndDays = data.sig && data.sig.trim().length > 0 && data.daysSupply && data.daysSupply > 0;
+    const hasSigAndDays = data.sig && data.sig.trim().length > 0 &&
+      ((data.daysSupply && data.daysSupply > 0) || hasSIGDuration(data.sig));
     return hasQuantity || hasSigAndDays;
   },
   {
@@ -232,16 +282,100 @@ export const CalculationInputSchema = z.object({
   }
 );
 
+/**
+ * Schema for a single dosing phase of a multi-step SIG (e.g., a taper)
+ */
+export const DosingPhaseSchema = z.object({
+  dose: z.number().positive('Dose must be positive'),
+  frequency: z.number().positive('Frequency must be positive'),
+  unit: z.string().min(1, 'Unit is required'),
+  durationDays: z.number().positive('Duration must be positive').nullable()
+});
+
+/**
+ * Schema for a min/max range (dose, times per day, or quantity)
+ */
+export const RangeSchema = z.object({
+  min: z.number().positive('Range minimum must be positive'),
+  max: z.number().positive('Range maximum must be positive')
+}).refine(
+  (range) => range.min <= range.max,
+  'Range minimum cannot exceed maximum'
+);
+
+/**
+ * Schema for a labelled span of SIG text
+ */
+export const SIGSpanSchema = z.object({
+  type: z.enum(['dose', 'unit', 'route', 'frequency', 'duration', 'indication', 'unrecognized', 'text']),
+  text: z.string(),
+  start: z.number().int().nonnegative(),
+  end: z.number().int().nonnegative(),
+  value: z.union([z.number(), z.string()]).nullable()
+});
+
 /**
  * Schema for parsed SIG data structure
  */
 export const ParsedSIGSchema = z.object({
   dose: z.number().positive('Dose must be positive'),
-  frequency: z.number().positive('Frequency must be positive'),
+  frequency: z.number().positive('Frequency must be positive').nullable(),
   unit: z.string().min(1, 'Unit is required'),
   originalText: z.string().optional(),
   parseSuccess: z.boolean().optional(),
-  parseError: z.string().optional()
+  parseError: z.string().optional(),
+  phases: z.array(DosingPhaseSchema).optional(),
+  doseRange: RangeSchema.optional(),
+  frequencyRange: RangeSchema.optional(),
+  asNeeded: z.boolean().optional(),
+  maxDailyDose: z.object({
+    amount: z.number().positive('Maximum daily dose must be positive'),
+    unit: z.string().nullable()
+  }).nullable().optional(),
+  durationDays: z.number().positive().nullable().optional(),
+  untilGone: z.boolean().optional(),
+  strategy: z.string().optional(),
+  regimen: z.object({
+    cycleDays: z.number().int().positive(),
+    dosingDays: z.array(z.number().int().nonnegative()).min(1),
+    dosesPerDosingDay: z.number().positive(),
+    description: z.string()
+  }).optional(),
+  topical: z.object({
+    site: z.string(),
+    fingertipUnits: z.number().positive(),
+    gramsPerApplication: z.number().positive(),
+    siteEstimated: z.boolean()
+  }).optional(),
+  confidence: z.number().min(0).max(1).optional(),
+  confidenceFactors: z.object({
+    strategy: z.string().nullable(),
+    strategyConfidence: z.number(),
+    coverage: z.number().min(0).max(1).nullable(),
+    ambiguous: z.boolean(),
+    translated: z.boolean(),
+    dosageFormAgreement: z.boolean().nullable().optional()
+  }).nullable().optional(),
+  provider: z.string().optional(),
+  fallbackFrom: z.string().optional(),
+  rulePack: z.object({
+    name: z.string(),
+    version: z.string(),
+    ruleId: z.string()
+  }).optional(),
+  annotation: z.array(SIGSpanSchema).optional(),
+  route: z.string().nullable().optional(),
+  site: z.string().nullable().optional(),
+  timing: z.string().nullable().optional(),
+  indication: z.string().nullable().optional(),
+  language: z.enum(['en', 'es']).optional(),
+  expandedText: z.string().optional(),
+  errorProneAbbreviations: z.array(z.object({
+    id: z.string(),
+    text: z.string(),
+    reason: z.string(),
+    suggestion: z.string()
+  })).optional()
 });
 
 /**
@@ -251,13 +385,18 @@ export const NDCRecordSchema = z.object({
   ndc: z.string().regex(ndcRegex, 'Invalid NDC format'),
   manufacturer: z.string().min(1, 'Manufacturer is required'),
   packageSize: z.number().positive('Package size must be positive'),
+  actuationsPerDevice: z.number().int().positive().nullable().optional(),
+  routes: z.array(z.string()).optional(),
+  packageUnit: z.string().nullable().optional(),
+  packagingType: z.enum(Object.values(PACKAGING_TYPES)).optional(),
   dosageForm: z.string().min(1, 'Dosage form is required'),
   strength: z.string().min(1, 'Strength is required'),
   status: z.enum(['active', 'inactive'], 'Status must be active or inactive'),
   marketingEndDate: z.string().optional(),
   marketingStartDate: z.string().optional(),
   rxcui: z.string().optional(),
-  cost: z.number().optional()
+  cost: z.number().nonnegative().nullable().optional(),
+  costSource: z.string().optional()
 });
 
 /**
@@ -280,10 +419,32 @@ export const CalculationResultSchema = z.object({
   }),
   activeNDCs: z.array(NDCRecordSchema),
   inactiveNDCs: z.array(NDCRecordSchema),
+  toleranceProfile: z.object({
+    name: z.string().regex(TOLERANCE_PROFILE_NAME_PATTERN),
+    description: z.string(),
+    maxOverfill: z.number().min(0).max(100),
+    maxUnderfill: z.number().min(0).max(100),
+    preferredOverfill: z.number().min(0).max(100),
+    source: z.enum(['controlled_substance', 'request', 'role', 'default']),
+    requestedProfile: z.string().nullable().optional()
+  }).nullable().optional(),
   calculation: z.object({
     parsedSIG: ParsedSIGSchema,
     calculatedQuantity: z.number().positive('Calculated quantity must be positive'),
-    unit: z.string().min(1, 'Unit is required')
+    unit: z.string().min(1, 'Unit is required'),
+    quantityRange: RangeSchema.nullable().optional(),
+    rangeSelection: z.enum(['min', 'max']).nullable().optional(),
+    daysSupply: z.number().positive().nullable().optional(),
+    roundingPolicy: z.object({
+      name: z.enum(Object.keys(ROUNDING_POLICIES)),
+      type: z.string(),
+      description: z.string(),
+      source: z.enum(['controlled_substance', 'request', 'plan_profile', 'dosage_form']),
+      planProfile: z.enum(Object.keys(PLAN_PROFILES)),
+      calculatedQuantity: z.number(),
+      quantity: z.number(),
+      basis: z.string().nullable()
+    }).nullable().optional()
   }),
   recommendation: z.object({
     ndc: NDCRecordSchema,
@@ -299,9 +460,21 @@ export const CalculationResultSchema = z.object({
     overfill: z.number().min(0),
     breakdown: z.string().min(1)
   })),
+  fillPlans: z.array(z.object({
+    type: z.enum(['partial_fill', 'adjusted_days_supply']),
+    ndcs: z.array(NDCRecordSchema),
+    packages: z.array(z.number().int().positive()),
+    totalQuantity: z.number().positive(),
+    overfill: z.number(),
+    breakdown: z.string().min(1),
+    owedQuantity: z.number().min(0),
+    daysSupply: z.number().positive().nullable(),
+    originalDaysSupply: z.number().positive().nullable(),
+    description: z.string().min(1)
+  })).optional(),
   warnings: z.array(z.object({
     id: z.string().min(1, 'Warning ID is required'),
-    type: z.enum(['inactive_ndc', 'sig_parse_error', 'overfill', 'underfill', 'api_error']),
+    type: z.enum(['inactive_ndc', 'sig_parse_error', 'overfill', 'underfill', 'api_error', 'prn_ceiling', 'unit_conversion', 'days_supply_adjusted', 'topical_estimate', 'route_mismatch', 'error_prone_abbreviation', 'days_supply_conflict', 'pharmacist_review_required', 'tablet_split', 'weight_based_dose', 'max_daily_dose_exceeded', 'quantity_rounded', 'short_supply', 'tolerance_profile_overridden']),
     severity: z.enum(['info', 'warning', 'error']),
     message: z.string().min(1, 'Warning message is required'),
     data: z.record(z.any()).optional()
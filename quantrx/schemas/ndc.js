@@ -8,6 +8,7 @@
  */
 
 import { z } from 'zod';
+import { PACKAGING_TYPES } from '../lib/constants/packaging.js';
 
 /**
  * NDC format validation: Supports 10 or 11 digits in four official FDA formats:
@@ -158,6 +159,10 @@ export const ProcessedNDCRecordSchema = z.object({
   ndc: NDCFormatSchema,
   manufacturer: z.string().min(1, 'Manufacturer is required'),
   packageSize: z.number().positive('Package size must be positive'),
+  actuationsPerDevice: z.number().int().positive().nullable().optional(),
+  routes: z.array(z.string()).optional(),
+  packageUnit: z.string().nullable().optional(),
+  packagingType: z.enum(Object.values(PACKAGING_TYPES)).optional(),
   dosageForm: z.string().min(1, 'Dosage form is required'),
   strength: z.string().min(1, 'Strength is required'),
   status: z.enum(['active', 'inactive']),
@@ -0,0 +1,57 @@
+/**
+ * Zod validation schemas for SIG rule packs
+ *
+ * A rule pack is a versioned data file of regex rules, unit synonyms and
+ * frequency phrases that drives the rule-pack SIG parser backend.
+ *
+ * @module schemas/sig-rule-pack
+ */
+
+import { z } from 'zod';
+
+/**
+ * Rule pack format versions this build can read
+ */
+export const SUPPORTED_RULE_PACK_SCHEMA_VERSIONS = [1];
+
+/**
+ * Schema for a single parsing rule
+ * The pattern uses named groups: dose, doseMax, doseWord, unit and frequency.
+ * unit and frequency can instead be fixed on the rule.
+ */
+export const SIGRuleSchema = z.object({
+  id: z.string().min(1, 'Rule ID is required'),
+  description: z.string().optional(),
+  pattern: z.string().min(1, 'Rule pattern is required').refine(
+    (pattern) => {
+      try {
+        new RegExp(pattern);
+        return true;
+      } catch {
+        return false;
+      }
+    },
+    'Rule pattern must be a valid regular expression'
+  ),
+  flags: z.string().regex(/^[imsu]*$/, 'Rule flags may only contain i, m, s and u').optional(),
+  confidence: z.number().min(0).max(1),
+  unit: z.string().optional(),
+  frequency: z.number().positive().optional()
+});
+
+/**
+ * Schema for a SIG rule pack file
+ */
+export const SIGRulePackSchema = z.object({
+  name: z.string().min(1, 'Rule pack name is required'),
+  version: z.string().regex(/^\d+\.\d+\.\d+$/, 'Rule pack version must be semantic (e.g., 1.0.0)'),
+  schemaVersion: z.number().int().refine(
+    (version) => SUPPORTED_RULE_PACK_SCHEMA_VERSIONS.includes(version),
+    'Unsupported rule pack schema version'
+  ),
+  description: z.string().optional(),
+  numbers: z.record(z.string(), z.number().positive()).optional(),
+  units: z.record(z.string(), z.string()).optional(),
+  frequencies: z.record(z.string(), z.number().positive()).optional(),
+  rules: z.array(SIGRuleSchema).min(1, 'Rule pack must have at least one rule')
+});
@@ -0,0 +1,138 @@
+/**
+ * SIG corpus runner
+ *
+ * Scores parseSIG against the golden SIG corpus and prints accuracy overall,
+ * per parsing strategy and per category, with the change from the stored
+ * baseline, accuracy per parse confidence band, and the strategy starting
+ * confidence calibrated from the baseline. Exits non-zero when accuracy has
+ * dropped.
+ *
+ * Usage:
+ *   node scripts/sig-corpus.js                    Compare with the baseline
+ *   node scripts/sig-corpus.js --failures         Also list every failing case
+ *   node scripts/sig-corpus.js --update-baseline  Store this run as the new baseline
+ *
+ * @module scripts/sig-corpus
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import path from 'path';
+import {
+  evaluateSIGCorpus,
+  createCorpusBaseline,
+  compareToBaseline,
+  calibrateStrategyConfidence
+} from '../lib/calculations/sig-corpus.js';
+import { STRATEGY_CONFIDENCE } from '../lib/constants/confidence.js';
+
+const FIXTURE_DIR = path.join(process.cwd(), 'lib/calculations/__tests__/fixtures');
+const CORPUS_PATH = path.join(FIXTURE_DIR, 'sig-corpus.json');
+const BASELINE_PATH = path.join(FIXTURE_DIR, 'sig-corpus-baseline.json');
+
+/**
+ * Format an accuracy figure as a percentage
+ * @param {number|null} accuracy - Accuracy (0-1)
+ * @returns {string} Percentage, or "-" when missing
+ */
+function percent(accuracy) {
+  return accuracy === null ? '-' : `${(accuracy * 100).toFixed(1)}%`;
+}
+
+/**
+ * Format an accuracy change
+ * @param {number|null} delta - Change in accuracy (0-1)
+ * @returns {string} Signed percentage points, or an empty string when unchanged or missing
+ */
+function change(delta) {
+  if (!delta) return '';
+  return ` (${delta > 0 ? '+' : ''}${(delta * 100).toFixed(1)} pts)`;
+}
+
+/**
+ * Print grouped accuracy figures
+ * @param {string} title - Section title
+ * @param {Object} summaries - Summaries keyed by group name
+ * @param {Array<Object>} [comparison] - Baseline comparison for the groups
+ * @returns {void}
+ */
+function printGroups(title, summaries, comparison = []) {
+  console.log(`\n${title}`);
+  for (const [name, { total, passed, accuracy }] of Object.entries(summaries)) {
+    const delta = comparison.find(group => group.name === name)?.delta ?? null;
+    console.log(`  ${name.padEnd(14)} ${String(passed).padStart(4)}/${String(total).padEnd(4)} ${percent(accuracy).padStart(7)}${change(delta)}`);
+  }
+}
+
+/**
+ * Print the strategy starting confidence calibrated from corpus results, flagging
+ * values that differ from STRATEGY_CONFIDENCE
+ * @param {Object} byStrategy - Summaries keyed by strategy
+ * @returns {void}
+ */
+function printStrategyConfidence(byStrategy) {
+  const calibrated = calibrateStrategyConfidence(byStrategy);
+
+  console.log('\nStrategy confidence (calibrated)');
+  for (const [strategy, confidence] of Object.entries(calibrated)) {
+    const current = STRATEGY_CONFIDENCE[strategy];
+    const note = current === confidence ? '' : ` (STRATEGY_CONFIDENCE has ${current}; update lib/constants/confidence.js)`;
+    console.log(`  ${strategy.padEnd(14)} ${confidence.toFixed(2)}${note}`);
+  }
+}
+
+const args = process.argv.slice(2);
+const corpus = JSON.parse(readFileSync(CORPUS_PATH, 'utf8'));
+const report = evaluateSIGCorpus(corpus.cases);
+
+console.log(`SIG corpus: ${report.passed}/${report.total} cases correct (${percent(report.accuracy)})`);
+
+if (args.includes('--update-baseline')) {
+  writeFileSync(BASELINE_PATH, `${JSON.stringify(createCorpusBaseline(report), null, 2)}\n`);
+  console.log(`Baseline written to ${path.relative(process.cwd(), BASELINE_PATH)}`);
+  printStrategyConfidence(report.byStrategy);
+  process.exit(0);
+}
+
+let comparison = null;
+let baseline = null;
+try {
+  baseline = JSON.parse(readFileSync(BASELINE_PATH, 'utf8'));
+  comparison = compareToBaseline(report, baseline);
+  console.log(`Baseline: ${percent(comparison.baselineAccuracy)}${change(comparison.accuracyDelta) || ' (unchanged)'}`);
+} catch (error) {
+  console.log(`No baseline to compare with (${error.message}); run with --update-baseline to create one`);
+}
+
+printGroups('By strategy', report.byStrategy, comparison?.strategies);
+printGroups('By category', report.byCategory, comparison?.categories);
+
+console.log('\nBy confidence');
+for (const { min, max, total, passed, accuracy, meanConfidence } of report.calibration) {
+  console.log(`  ${min.toFixed(2)}-${max.toFixed(2)}      ${String(passed).padStart(4)}/${String(total).padEnd(4)} ${percent(accuracy).padStart(7)} (mean confidence ${percent(meanConfidence)})`);
+}
+
+if (baseline) {
+  printStrategyConfidence(baseline.byStrategy);
+}
+
+if (comparison?.newlyFailing.length) {
+  console.log(`\nNewly failing: ${comparison.newlyFailing.join(', ')}`);
+}
+if (comparison?.newlyPassing.length) {
+  console.log(`\nNewly passing: ${comparison.newlyPassing.join(', ')} (run with --update-baseline to keep the gain)`);
+}
+
+if (args.includes('--failures')) {
+  console.log('\nFailing cases');
+  for (const result of report.results.filter(caseResult => !caseResult.passed)) {
+    const fields = result.mismatches
+      .map(({ field, expected, actual }) => `${field} expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`)
+      .join('; ');
+    console.log(`  ${result.id} [${result.strategy}] "${result.sig}": ${fields}`);
+  }
+}
+
+if (comparison?.regressed) {
+  console.log('\nAccuracy dropped below the baseline');
+  process.exit(1);
+}